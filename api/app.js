@@ -6,6 +6,13 @@ import studentRoutes from './route/student.js';
 import classRoutes from './route/class.js';
 import companyRoutes from './route/company.js';
 import productRoutes from './route/product.js';
+import transferRoutes from './route/transfer.js';
+import periodRoutes from './route/period.js';
+import recurringExpenseRoutes from './route/recurring-expense.js';
+import loanRoutes from './route/loan.js';
+import eventRoutes from './route/event.js';
+import studentRequestRoutes from './route/student-request.js';
+import portalRoutes from './route/portal.js';
 import authRoutes from './route/auth.js';
 import Mysql from './helpers/mysql.js';
 
@@ -25,6 +32,13 @@ app.use('/students', studentRoutes);
 app.use('/classes', classRoutes);
 app.use('/companies', companyRoutes);
 app.use('/products', productRoutes);
+app.use('/transfers', transferRoutes);
+app.use('/periods', periodRoutes);
+app.use('/recurring-expenses', recurringExpenseRoutes);
+app.use('/loans', loanRoutes);
+app.use('/events', eventRoutes);
+app.use('/student-requests', studentRequestRoutes);
+app.use('/portal', portalRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
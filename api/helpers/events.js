@@ -0,0 +1,56 @@
+import { EventEmitter } from 'events';
+import Mysql from './mysql.js';
+
+// Changes of each class, pushed to the browsers with Server-Sent Events (GET /events?class_id=...).
+// Events published inside a transaction are only delivered once it commits, so browsers never see
+// an operation that was rolled back.
+// Events.publish(classId, 'sale', { companyId, productId }, { connection });
+// const unsubscribe = Events.subscribe(classId, event => console.log(event.type, event.data));
+export default class Events {
+
+    // sale: a product sale was recorded or refunded
+    // expense / revenue: a company expense or revenue was recorded
+    // balance: money moved between accounts (students, companies, bank, market, treasury)
+    // membership: a member joined or left a company, contributed or traded shares
+    // request: a student made a request in the portal, or it was approved, rejected or cancelled
+    static TYPES = ['sale', 'expense', 'revenue', 'balance', 'membership', 'request'];
+
+    // comment sent to open streams so proxies do not close them while the class is quiet
+    static HEARTBEAT_INTERVAL = 25000;
+
+    static emitter = new EventEmitter().setMaxListeners(0);
+
+    static publish(classId, type, data = {}, { connection } = {}) {
+        if (!classId) return;
+
+        const event = { classId, type, data, createdAt: new Date() };
+        Mysql.afterCommit(() => Events.emitter.emit(classId, event), connection);
+    }
+
+    // listener receives every event of the class; call the returned function to stop
+    static subscribe(classId, listener) {
+        Events.emitter.on(classId, listener);
+        return () => Events.emitter.off(classId, listener);
+    }
+
+    // keep an http response open as an event stream of the given classes
+    static stream(req, res, classIds) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+        });
+        res.flushHeaders();
+
+        const send = event => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        const unsubscribes = classIds.map(classId => Events.subscribe(classId, send));
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), Events.HEARTBEAT_INTERVAL);
+
+        send({ type: 'ready', data: { classIds }, createdAt: new Date() });
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribes.forEach(unsubscribe => unsubscribe());
+        });
+    }
+}
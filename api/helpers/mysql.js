@@ -34,9 +34,57 @@ export default class Mysql {
         Mysql.connected = false;
     }
 
+    // run callback inside a transaction. The callback receives a dedicated connection that must be
+    // passed to every query that belongs to the transaction: { connection } in opt.
+    // if a connection is given, the callback joins the transaction already running on it.
+    // db.transaction(async connection => { await db.insert('users', { name: 'John' }, { connection }); });
+    static async transaction(callback, connection = null) {
+        if (connection) return callback(connection);
+
+        await Mysql.connect();
+        connection = await Mysql.connection.getConnection();
+        connection.afterCommit = [];
+
+        try {
+            await connection.beginTransaction();
+            const result = await callback(connection);
+            await connection.commit();
+
+            for (const afterCommit of connection.afterCommit) {
+                try {
+                    afterCommit();
+                }
+                catch (error) {
+                    console.error('After commit callback failed:', error);
+                }
+            }
+            return result;
+        }
+        catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+        finally {
+            // pooled connections are reused, so the callbacks must not leak into the next transaction
+            delete connection.afterCommit;
+            connection.release();
+        }
+    }
+
+    // run callback once the transaction of the connection commits, or now if there is no transaction.
+    // callbacks of a transaction that rolls back are dropped.
+    // db.afterCommit(() => console.log('saved'), connection);
+    static afterCommit(callback, connection = null) {
+        if (connection?.afterCommit) {
+            connection.afterCommit.push(callback);
+            return;
+        }
+        callback();
+    }
+
     // this is a wrapper for mysql2's query function
     // should not be used directly
-    static async query(sql, data) {
+    static async query(sql, data, connection = null) {
         // console.log(sql, data);
         await Mysql.connect();
 
@@ -44,7 +92,7 @@ export default class Mysql {
         // console.log(raw);
         // console.log(Mysql.format(sql, data));
         try {
-            const result = await Mysql.connection.execute(raw.sql.trim(), raw.data);
+            const result = await (connection || Mysql.connection).execute(raw.sql.trim(), raw.data);
             if (result) return result[0];
             return result;
         }
@@ -55,7 +103,7 @@ export default class Mysql {
 
     // db.insert('users', { name: 'John', age: 25 });
     // db.insert('users', [{ name: 'John', age: 25 }, { name: 'Jane', age: 22 }]);
-    static async insert(table, data) {
+    static async insert(table, data, opt={}) {
         if (!data) {
             throw new CustomError(400, 'Invalid data for insert operation.');
         }
@@ -65,12 +113,12 @@ export default class Mysql {
             const values = Object.values(row);
             const fields = Object.keys(row).map(k => `\`${k}\``);
             let sql = `INSERT INTO \`${table}\` (${fields.join(',')}) VALUES (${values.map(() => '?').join(',')})`;
-            return Mysql.query(sql, values);
+            return Mysql.query(sql, values, opt.connection);
         }));
     }
 
     // db.update('users', { name: 'John', age: 11 }, id);
-    static async update(table, data, id) {
+    static async update(table, data, id, opt={}) {
         if (!id) {
             throw new CustomError(400, 'No identifier provided for update.');
         }
@@ -112,7 +160,7 @@ export default class Mysql {
         const sql = `UPDATE \`${table}\` SET ${fielsdSql} WHERE ${id}`;
         // console.log(Mysql.format(sql, data));
         // replicateDB.saveUpdate(table, sql, data, this);
-        return Mysql.query(sql, values);
+        return Mysql.query(sql, values, opt.connection);
     }
 
     static async delete(table, clause, opt={}) {
@@ -136,7 +184,7 @@ export default class Mysql {
             data.push(clause);
         }
         
-        return Mysql.query(sql, data);
+        return Mysql.query(sql, data, opt.connection);
     }
 
     static getWhereStatements(filter) {
@@ -201,6 +249,7 @@ export default class Mysql {
     }
 
     // db.find('users', { filter: { name: 'John' }, view: ['name', 'age'], opt: { limit: 1, sort: { age: -1 }, skip: 1 } });
+    // db.find('users', { filter: { id }, opt: { lock: true, connection } }); // SELECT ... FOR UPDATE inside a transaction
     static async find(table, { filter={}, view=[], opt={}} = {}) {
         view = Array.isArray(view) ? view : [ view ];
         view = view.length > 0 ? view.map(v => `\`${v}\``).join(',') : '*';
@@ -230,9 +279,12 @@ export default class Mysql {
         // OFFSET 10
         const offset = opt.skip ? `OFFSET ${ opt.skip }` : '';
 
-        const sql = `SELECT ${view} FROM \`${table}\` ${where} ${order} ${limit} ${offset}`;
+        // FOR UPDATE (only meaningful inside a transaction)
+        const lock = opt.lock ? 'FOR UPDATE' : '';
+
+        const sql = `SELECT ${view} FROM \`${table}\` ${where} ${order} ${limit} ${offset} ${lock}`;
         // console.log(sql, values);
-        return Mysql.query(sql, values);
+        return Mysql.query(sql, values, opt.connection);
     }
 
     // db.delete('users', id);
@@ -1,4 +1,5 @@
 import Admin from '../model/admin.js';
+import StudentAccount from '../model/student-account.js';
 import CustomError from '../helpers/error.js';
 
 /**
@@ -17,6 +18,11 @@ export const authenticateToken = async (req, res, next) => {
         
         const decoded = Admin.verifyToken(token);
         
+        // Student tokens are signed with the same secret, but never grant admin access
+        if (decoded.type !== 'admin') {
+            throw new CustomError(403, 'Admin access required');
+        }
+        
         // Find the admin user to ensure it still exists and is active
         const admin = await Admin.findByUsername(decoded.username);
         if (!admin) {
@@ -55,6 +61,10 @@ export const optionalAuth = async (req, res, next) => {
         }
         
         const decoded = Admin.verifyToken(token);
+        if (decoded.type !== 'admin') {
+            req.admin = null;
+            return next();
+        }
         
         // Find the admin user to ensure it still exists and is active
         const admin = await Admin.findByUsername(decoded.username);
@@ -93,7 +103,7 @@ export const checkAuthStatus = async (req, res, next) => {
         }
         
         const decoded = Admin.verifyToken(token);
-        const admin = await Admin.findByUsername(decoded.username);
+        const admin = decoded.type === 'admin' ? await Admin.findByUsername(decoded.username) : null;
         
         if (!admin || !admin.is_active) {
             req.isAuthenticated = false;
@@ -115,4 +125,31 @@ export const checkAuthStatus = async (req, res, next) => {
     }
 };
 
-export default { authenticateToken, optionalAuth, checkAuthStatus };
\ No newline at end of file
+/**
+ * Student authentication middleware for the portal
+ * Accepts only student tokens (see StudentAccount) and attaches the student to req.student
+ */
+export const authenticateStudent = async (req, res, next) => {
+    try {
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+        
+        if (!token) {
+            throw new CustomError(401, 'Access token required');
+        }
+        
+        const student = await StudentAccount.verifyToken(token);
+        
+        req.student = {
+            id: student.id,
+            name: student.name,
+            classId: student.class_id
+        };
+        
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default { authenticateToken, optionalAuth, checkAuthStatus, authenticateStudent };
\ No newline at end of file
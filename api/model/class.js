@@ -1,6 +1,9 @@
 import Model from './model.js';
 import Student from './student.js';
+import Company from './company.js';
+import LedgerEntry from './ledger-entry.js';
 import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
 import { randomUUID } from 'crypto';
 
 export default class Class extends Model {
@@ -101,15 +104,233 @@ export default class Class extends Model {
         const students = await this.getStudents();
         const updatedStudents = [];
         
-        for (const studentData of students) {
-            const student = new Student(studentData);
-            await student.resetBalance();
-            updatedStudents.push(student);
-        }
+        await Mysql.transaction(async connection => {
+            for (const studentData of students) {
+                const student = new Student(studentData);
+                await student.resetBalance({ connection });
+                updatedStudents.push(student);
+            }
+        });
         
         return updatedStudents;
     }
 
+    /**
+     * Get the categories available to the expenses and revenues of the companies of this class
+     * @returns {Object} Fixed categories and the custom categories of the class
+     */
+    async getCategories() {
+        const custom = await Mysql.find('company_categories', {
+            filter: { class_id: this.id },
+            opt: { order: { name: 1 } }
+        });
+
+        return {
+            fixed: Company.CATEGORIES,
+            custom: custom.map(category => category.name)
+        };
+    }
+
+    /**
+     * Add a custom category to this class
+     * @param {string} name - Category name (stored in lowercase)
+     * @returns {string} Normalized category name
+     */
+    async addCategory(name) {
+        const category = String(name || '').trim().toLowerCase();
+        if (!category) {
+            throw new CustomError(400, 'Category name is required');
+        }
+        if (category.length > 50) {
+            throw new CustomError(400, 'Category name must have at most 50 characters');
+        }
+
+        const { fixed, custom } = await this.getCategories();
+        if (fixed.includes(category) || custom.includes(category)) {
+            throw new CustomError(409, 'Category already exists');
+        }
+
+        await Mysql.insert('company_categories', {
+            id: randomUUID(),
+            class_id: this.id,
+            name: category,
+            created_at: new Date()
+        });
+
+        return category;
+    }
+
+    /**
+     * Delete a custom category of this class
+     * Categories still used by an expense, revenue or recurring expense of the class cannot be deleted
+     * @param {string} name - Category name
+     */
+    async deleteCategory(name) {
+        const category = String(name || '').trim().toLowerCase();
+
+        const [existing] = await Mysql.find('company_categories', {
+            filter: { class_id: this.id, name: category },
+            opt: { limit: 1 }
+        });
+        if (!existing) {
+            throw new CustomError(404, 'Category not found');
+        }
+
+        const [usage] = await Mysql.query(`
+            SELECT
+                (SELECT COUNT(*) FROM company_expenses e JOIN companies c ON e.company_id = c.id WHERE c.class_id = ? AND e.category = ?) +
+                (SELECT COUNT(*) FROM company_revenues r JOIN companies c ON r.company_id = c.id WHERE c.class_id = ? AND r.category = ?) +
+                (SELECT COUNT(*) FROM recurring_expenses x JOIN companies c ON x.company_id = c.id WHERE c.class_id = ? AND x.category = ?) AS total
+        `, [this.id, category, this.id, category, this.id, category]);
+        if (parseInt(usage.total) > 0) {
+            throw new CustomError(409, 'Category is in use');
+        }
+
+        await Mysql.delete('company_categories', existing.id);
+    }
+
+    /**
+     * Get ledger entries of this class
+     * @param {Object} filter - Optional account filter
+     * @param {string} filter.accountType - Account type (student, company, bank, market, treasury)
+     * @param {string} filter.accountId - Account ID
+     * @param {string} filter.periodId - Period ID
+     * @param {string} filter.transactionType - Transaction type (sale, contribution, ...)
+     * @param {number} filter.limit - Only the latest entries
+     * @returns {Array} Array of ledger entries, newest first
+     */
+    async getLedger({ accountType, accountId, periodId, transactionType, limit } = {}) {
+        const filter = { class_id: this.id };
+
+        if (accountType) {
+            if (!LedgerEntry.ACCOUNT_TYPES.includes(accountType)) {
+                throw new CustomError(400, `Invalid account type. Use: ${LedgerEntry.ACCOUNT_TYPES.join(', ')}`);
+            }
+            filter.account_type = accountType;
+        }
+
+        if (accountId) {
+            filter.account_id = accountId;
+        }
+
+        if (periodId) {
+            filter.period_id = periodId;
+        }
+
+        if (transactionType) {
+            filter.transaction_type = transactionType;
+        }
+
+        if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+            throw new CustomError(400, 'Limit must be a positive integer');
+        }
+
+        const entries = await LedgerEntry.getAll(filter, { limit });
+        return entries.map(entry => new LedgerEntry(entry).toJSON());
+    }
+
+    /**
+     * Compare cached student balances and company budgets with the balances derived from the ledger
+     * @returns {Object} Reconciliation report
+     */
+    async reconcileLedger() {
+        const students = await this.getStudents();
+        const companies = await Company.getByClass(this.id);
+        const balances = await LedgerEntry.getBalances(this.id);
+
+        const ledgerBalance = (type, id = null) => {
+            const account = balances.find(b => b.account_type === type && b.account_id === id);
+            return account ? account.balance : 0;
+        };
+
+        const accounts = [
+            ...students.map(student => ({
+                accountType: 'student',
+                accountId: student.id,
+                name: student.name,
+                cachedBalance: parseFloat(student.current_balance) || 0,
+                ledgerBalance: ledgerBalance('student', student.id)
+            })),
+            ...companies.map(company => ({
+                accountType: 'company',
+                accountId: company.id,
+                name: company.name,
+                cachedBalance: parseFloat(company.current_budget) || 0,
+                ledgerBalance: ledgerBalance('company', company.id)
+            }))
+        ].map(account => {
+            const difference = parseFloat((account.cachedBalance - account.ledgerBalance).toFixed(2));
+            return { ...account, difference, balanced: difference === 0 };
+        });
+
+        // Every movement is a debit/credit pair, so all accounts together must sum to zero
+        const ledgerTotal = parseFloat(balances.reduce((sum, b) => sum + b.balance, 0).toFixed(2));
+
+        const discrepancies = accounts.filter(account => !account.balanced);
+
+        return {
+            classId: this.id,
+            balanced: discrepancies.length === 0 && ledgerTotal === 0,
+            ledgerTotal,
+            bankBalance: ledgerBalance('bank'),
+            marketBalance: ledgerBalance('market'),
+            treasuryBalance: ledgerBalance('treasury'),
+            discrepancyCount: discrepancies.length,
+            accounts
+        };
+    }
+
+    /**
+     * Fix the discrepancies found by reconcileLedger
+     * @param {string} source - Which side is trusted:
+     *                          'ledger' overwrites the cached columns with the ledger balances,
+     *                          'cached' records adjustment entries against the bank so the ledger matches the cached columns
+     *                          (useful for money that predates the ledger)
+     * @returns {Object} Reconciliation report after the fix
+     */
+    async applyLedgerReconciliation(source = 'ledger') {
+        if (!['ledger', 'cached'].includes(source)) {
+            throw new CustomError(400, 'Invalid source. Use: ledger or cached');
+        }
+
+        const report = await this.reconcileLedger();
+        const discrepancies = report.accounts.filter(account => !account.balanced);
+
+        await Mysql.transaction(async connection => {
+            for (const account of discrepancies) {
+                const table = account.accountType === 'student' ? 'students' : 'companies';
+                const column = account.accountType === 'student' ? 'current_balance' : 'current_budget';
+                const target = { type: account.accountType, id: account.accountId };
+
+                // Money movements lock the row before writing to the ledger, so once it is locked both sides
+                // are read again and a movement made since the report is not overwritten
+                const [row] = await Mysql.find(table, { filter: { id: account.accountId }, opt: { limit: 1, lock: true, connection } });
+                if (!row) continue;
+
+                const cachedBalance = parseFloat(row[column]) || 0;
+                const ledgerBalance = await LedgerEntry.getBalance(target, this.id, { connection });
+                const difference = parseFloat((cachedBalance - ledgerBalance).toFixed(2));
+                if (difference === 0) continue;
+
+                if (source === 'ledger') {
+                    await Mysql.update(table, { [column]: ledgerBalance }, account.accountId, { connection });
+                    continue;
+                }
+
+                await LedgerEntry.record({
+                    classId: this.id,
+                    from: difference > 0 ? LedgerEntry.BANK : target,
+                    to: difference > 0 ? target : LedgerEntry.BANK,
+                    amount: Math.abs(difference),
+                    type: 'adjustment',
+                    description: `Ledger reconciliation: ${account.name}`
+                }, { connection });
+            }
+        });
+
+        return this.reconcileLedger();
+    }
+
     // Convert to frontend-compatible format
     toJSON() {
         return {
@@ -1,16 +1,52 @@
 import Model from './model.js';
 import Student from './student.js';
+import LedgerEntry from './ledger-entry.js';
+import Period from './period.js';
+import Tax from './tax.js';
 import CustomError from '../helpers/error.js';
 import Mysql from '../helpers/mysql.js';
+import Events from '../helpers/events.js';
 import { randomUUID } from 'crypto';
 
 export default class Company extends Model {
+    // What happens to a member's stake when they leave the company
+    static EXIT_POLICIES = ['keep', 'refund', 'buyout'];
+
+    // How a bulk dividend is split among members
+    static DIVIDEND_SPLITS = ['shares', 'equal'];
+
+    // Price of a share while the company has no equity yet (founding), so R$ 1.00 buys one share
+    static FOUNDING_SHARE_PRICE = 1;
+
+    // Closed companies keep their history but no longer move money
+    static STATUSES = ['active', 'closed'];
+
+    // Fixed categories of expenses and revenues; each class can add custom ones (company_categories)
+    static CATEGORIES = ['marketing', 'production', 'salaries', 'sales', 'dividends', 'funding', 'taxes', 'other'];
+
+    // Category given to the expenses and revenues of the internal flows, by ledger transaction type
+    static LEDGER_CATEGORIES = {
+        sale: 'sales',
+        refund: 'sales',
+        production_cost: 'production',
+        dividend: 'dividends',
+        liquidation: 'dividends',
+        exit_refund: 'funding',
+        exit_buyout: 'funding',
+        transfer: 'funding',
+        loan: 'funding',
+        loan_payment: 'funding',
+        tax: 'taxes'
+    };
+
     constructor({
         id,
         name,
         class_id,
         initial_budget,
         current_budget,
+        status,
+        closed_at,
         created_at
     }) {
         super('companies', {
@@ -20,9 +56,11 @@ export default class Company extends Model {
                 class_id,
                 initial_budget: parseFloat(initial_budget) || 0,
                 current_budget: parseFloat(current_budget) || 0,
+                status: status || 'active',
+                closed_at,
                 created_at
             },
-            allowUpdate: ['name', 'current_budget'],
+            allowUpdate: ['name', 'current_budget', 'status', 'closed_at'],
             insertFields: ['name', 'class_id', 'initial_budget', 'current_budget'],
         });
     }
@@ -45,7 +83,7 @@ export default class Company extends Model {
         }));
     }
 
-    async insert() {
+    async insert({ connection } = {}) {
         // Generate UUID if not provided
         if (!this.id) {
             this.id = randomUUID();
@@ -60,7 +98,7 @@ export default class Company extends Model {
         const originalInsertFields = [...this.insertFields];
         this.insertFields.push('id');
         
-        const result = await super.insert();
+        const result = await super.insert({ connection });
         
         // Restore original insert fields
         this.insertFields = originalInsertFields;
@@ -68,21 +106,60 @@ export default class Company extends Model {
         return result;
     }
 
+    /**
+     * Check a category against the fixed categories and the custom categories of a class
+     * @param {string} classId - Class ID
+     * @param {string} category - Category name
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {string} Normalized category name
+     */
+    static async resolveCategory(classId, category, { connection } = {}) {
+        const name = String(category).trim().toLowerCase();
+        if (Company.CATEGORIES.includes(name)) {
+            return name;
+        }
+
+        const [custom] = await Mysql.find('company_categories', {
+            filter: { class_id: classId, name },
+            opt: { limit: 1, connection }
+        });
+        if (!custom) {
+            throw new CustomError(400, `Invalid category. Use: ${Company.CATEGORIES.join(', ')} or a custom category of the class`);
+        }
+
+        return name;
+    }
+
+    /**
+     * Refuse money movements on a closed company
+     * Must be called after the company row was refreshed
+     */
+    assertActive() {
+        if (this.status === 'closed') {
+            throw new CustomError(400, 'Company is closed');
+        }
+    }
+
     /**
      * Get company members (students)
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
      * @returns {Array} Array of members
      */
-    async getMembers() {
+    async getMembers({ connection } = {}) {
         const result = await Mysql.find('company_members', {
-            filter: { company_id: this.id }
+            filter: { company_id: this.id },
+            opt: { connection }
         });
         
         const members = [];
         for (const memberData of result) {
-            const student = await new Student({ id: memberData.student_id }).get();
+            const student = await new Student({ id: memberData.student_id }).get({ connection });
             members.push({
                 ...student.toJSON(),
                 contribution: parseFloat(memberData.contribution) || 0,
+                shares: parseFloat(memberData.shares) || 0,
                 joinedAt: memberData.created_at
             });
         }
@@ -92,67 +169,290 @@ export default class Company extends Model {
 
     /**
      * Add member to company
+     * The contribution moves from the student balance into the company budget
      * @param {string} studentId - Student ID
      * @param {number} contribution - Member's contribution
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
      * @returns {Object} Membership record
      */
-    async addMember(studentId, contribution = 0) {
-        // Check if student is already a member
-        const existingMember = await Mysql.find('company_members', {
-            filter: { 
+    async addMember(studentId, contribution = 0, { connection } = {}) {
+        return Mysql.transaction(async connection => {
+            await this.get({ connection });
+            this.assertActive();
+
+            // Check if student is already a member
+            const existingMember = await Mysql.find('company_members', {
+                filter: { 
+                    company_id: this.id,
+                    student_id: studentId
+                },
+                opt: { connection }
+            });
+            
+            if (existingMember.length > 0) {
+                throw new CustomError(400, 'Student is already a member of this company');
+            }
+
+            const membershipData = {
                 company_id: this.id,
-                student_id: studentId
+                student_id: studentId,
+                contribution: parseFloat(contribution) || 0,
+                created_at: new Date()
+            };
+
+            // The membership starts empty and the contribution is accumulated on it
+            await Mysql.insert('company_members', { ...membershipData, contribution: 0 }, { connection });
+            
+            if (membershipData.contribution > 0) {
+                await this.addContribution(studentId, membershipData.contribution, {
+                    connection,
+                    description: `Contribution to ${this.name}`
+                });
             }
-        });
-        
-        if (existingMember.length > 0) {
-            throw new CustomError(400, 'Student is already a member of this company');
+
+            Events.publish(this.class_id, 'membership', { companyId: this.id, studentId, action: 'join' }, { connection });
+            
+            return {
+                ...membershipData,
+                contribution: parseFloat(membershipData.contribution)
+            };
+        }, connection);
+    }
+
+    /**
+     * Price of one share: the current budget divided by the outstanding shares
+     * Falls back to the founding price while there are no shares or no equity
+     * @param {number} totalShares - Outstanding shares
+     * @returns {number} Share price
+     */
+    getSharePrice(totalShares) {
+        const budget = parseFloat(this.current_budget);
+        if (!(totalShares > 0) || !(budget > 0)) {
+            return Company.FOUNDING_SHARE_PRICE;
         }
+        return budget / totalShares;
+    }
 
-        const membershipData = {
-            company_id: this.id,
-            student_id: studentId,
-            contribution: parseFloat(contribution),
-            created_at: new Date()
-        };
+    /**
+     * Add a capital contribution from an existing member
+     * The amount moves from the student balance into the company budget and is accumulated on the membership.
+     * New shares are issued at the current share price, so existing members are not diluted below their equity.
+     * @param {string} studentId - Student ID
+     * @param {number} amount - Contribution amount
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {string} options.description - Ledger description (optional)
+     * @returns {Object} Contribution record with the member's accumulated contribution
+     */
+    async addContribution(studentId, amount, { connection, description } = {}) {
+        const contributionAmount = parseFloat(amount);
+
+        if (!(contributionAmount > 0)) {
+            throw new CustomError(400, 'Contribution amount must be positive');
+        }
+
+        return Mysql.transaction(async connection => {
+            // Lock the company row and refresh it to ensure we have the latest budget
+            await this.get({ connection, lock: true });
+            this.assertActive();
+
+            const memberships = await Mysql.find('company_members', {
+                filter: { company_id: this.id },
+                opt: { connection, lock: true }
+            });
+
+            const membership = memberships.find(m => m.student_id === studentId);
+            if (!membership) {
+                throw new CustomError(400, 'Student is not a member of this company');
+            }
+
+            // Price is taken before the new money enters the budget
+            const totalShares = memberships.reduce((sum, m) => sum + (parseFloat(m.shares) || 0), 0);
+            const sharePrice = this.getSharePrice(totalShares);
+            const issuedShares = parseFloat((contributionAmount / sharePrice).toFixed(4));
 
-        await Mysql.insert('company_members', membershipData);
-        
-        // Deduct contribution from student balance
-        if (contribution > 0) {
             const student = new Student({ id: studentId });
-            await student.get();
-            await student.deductBalance(contribution);
+            await student.get({ connection });
+            await student.deductBalance(contributionAmount, {
+                connection,
+                ledger: {
+                    to: LedgerEntry.company(this.id),
+                    type: 'contribution',
+                    description: description || `Additional contribution to ${this.name}`
+                }
+            });
+
+            const newBudget = parseFloat(this.current_budget) + contributionAmount;
+            await this.update({ current_budget: { inc: contributionAmount } }, { connection });
+            await Mysql.update('company_members', {
+                contribution: { inc: contributionAmount },
+                shares: { inc: issuedShares }
+            }, membership.id, { connection });
+
+            // Update instance property to reflect the change
+            this.current_budget = parseFloat(newBudget);
+
+            Events.publish(this.class_id, 'membership', { companyId: this.id, studentId, action: 'contribution' }, { connection });
+
+            return {
+                company_id: this.id,
+                student_id: studentId,
+                amount: contributionAmount,
+                contribution: parseFloat(membership.contribution) + contributionAmount,
+                sharePrice: parseFloat(sharePrice.toFixed(4)),
+                issuedShares,
+                shares: parseFloat(((parseFloat(membership.shares) || 0) + issuedShares).toFixed(4)),
+                student: student.toJSON()
+            };
+        }, connection);
+    }
+
+    /**
+     * Add money that is not income to the budget, like a transfer from a student
+     * As with capital contributions, no revenue is recorded: the movement is only in the ledger (recorded by the
+     * caller), so it does not count as revenue or profit
+     * @param {number} amount - Amount received
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Company} This company, with the updated budget
+     */
+    async addFunds(amount, { connection } = {}) {
+        const fundsAmount = parseFloat(amount);
+
+        if (!(fundsAmount > 0)) {
+            throw new CustomError(400, 'Amount must be positive');
         }
-        
-        return {
-            ...membershipData,
-            contribution: parseFloat(membershipData.contribution)
-        };
+
+        await Mysql.transaction(async connection => {
+            // Lock the company row and refresh it to ensure we have the latest budget
+            await this.get({ connection, lock: true });
+            this.assertActive();
+
+            const newBudget = parseFloat(this.current_budget) + fundsAmount;
+            await this.update({ current_budget: { inc: fundsAmount } }, { connection });
+
+            // Update instance property to reflect the change
+            this.current_budget = parseFloat(newBudget);
+        }, connection);
+
+        return this;
     }
 
     /**
      * Remove member from company
+     * The exit policy decides what the student gets back:
+     * - keep: nothing, the company keeps the contribution
+     * - refund: the original contribution
+     * - buyout: the member's share of the current budget, proportional to their shares
+     * Payouts are booked as company expenses and every exit is recorded in company_member_exits.
      * @param {string} studentId - Student ID
-     * @returns {boolean} Success
+     * @param {Object} options - Options
+     * @param {string} options.policy - Exit policy (keep, refund or buyout)
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object|null} Exit record, or null if the student is not a member
      */
-    async removeMember(studentId) {
-        const result = await Mysql.delete('company_members', {
-            company_id: this.id,
-            student_id: studentId
+    async removeMember(studentId, { policy = 'keep', connection } = {}) {
+        if (!Company.EXIT_POLICIES.includes(policy)) {
+            throw new CustomError(400, `Invalid exit policy. Use: ${Company.EXIT_POLICIES.join(', ')}`);
+        }
+
+        return Mysql.transaction(async connection => {
+            // Lock the company row and refresh it to ensure we have the latest budget
+            await this.get({ connection, lock: true });
+
+            const memberships = await Mysql.find('company_members', {
+                filter: { company_id: this.id },
+                opt: { connection, lock: true }
+            });
+
+            const membership = memberships.find(m => m.student_id === studentId);
+            if (!membership) {
+                return null;
+            }
+
+            const contribution = parseFloat(membership.contribution) || 0;
+            const shares = parseFloat(membership.shares) || 0;
+            let payout = 0;
+
+            if (policy === 'refund') {
+                payout = contribution;
+            } else if (policy === 'buyout') {
+                // Without any outstanding shares the company is split equally
+                const totalShares = memberships.reduce((sum, m) => sum + (parseFloat(m.shares) || 0), 0);
+                const share = totalShares > 0 ? shares / totalShares : 1 / memberships.length;
+                payout = Math.max(0, parseFloat((share * parseFloat(this.current_budget)).toFixed(2)));
+            }
+
+            await Mysql.delete('company_members', {
+                company_id: this.id,
+                student_id: studentId
+            }, { connection });
+
+            let expense = null;
+            if (payout > 0) {
+                const student = await new Student({ id: studentId }).get({ connection });
+                const label = policy === 'refund' ? 'Contribution refund' : 'Equity buyout';
+
+                expense = await this.addExpense(`${label} to ${student.name}`, payout, {
+                    connection,
+                    ledger: { to: LedgerEntry.student(studentId), type: `exit_${policy}` }
+                });
+                await student.addBalance(payout, { connection, ledger: false });
+            }
+
+            const exitData = {
+                id: randomUUID(),
+                company_id: this.id,
+                student_id: studentId,
+                policy,
+                contribution,
+                shares,
+                payout,
+                created_at: new Date()
+            };
+            await Mysql.insert('company_member_exits', exitData, { connection });
+
+            Events.publish(this.class_id, 'membership', { companyId: this.id, studentId, action: 'leave' }, { connection });
+
+            return { ...exitData, expense };
+        }, connection);
+    }
+
+    /**
+     * Get members that left the company and what they received
+     * @returns {Array} Array of exits, newest first
+     */
+    async getMemberExits() {
+        const exits = await Mysql.find('company_member_exits', {
+            filter: { company_id: this.id },
+            opt: { order: { created_at: -1 } }
         });
-        
-        return result.affectedRows > 0;
+
+        return exits.map(exit => ({
+            ...exit,
+            contribution: parseFloat(exit.contribution) || 0,
+            shares: parseFloat(exit.shares) || 0,
+            payout: parseFloat(exit.payout) || 0
+        }));
     }
 
     /**
      * Get company expenses
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {string} options.periodId - Only the expenses of this period (optional)
+     * @param {string} options.category - Only the expenses of this category (optional)
      * @returns {Array} Array of expenses
      */
-    async getExpenses() {
+    async getExpenses({ connection, periodId, category } = {}) {
         const expenses = await Mysql.find('company_expenses', {
-            filter: { company_id: this.id },
-            opt: { order: { created_at: -1 } }
+            filter: {
+                company_id: this.id,
+                ...(periodId && { period_id: periodId }),
+                ...(category && { category: String(category).trim().toLowerCase() })
+            },
+            opt: { order: { created_at: -1 }, connection }
         });
         
         return expenses.map(expense => ({
@@ -163,12 +463,20 @@ export default class Company extends Model {
 
     /**
      * Get company revenues
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {string} options.periodId - Only the revenues of this period (optional)
+     * @param {string} options.category - Only the revenues of this category (optional)
      * @returns {Array} Array of revenues
      */
-    async getRevenues() {
+    async getRevenues({ connection, periodId, category } = {}) {
         const revenues = await Mysql.find('company_revenues', {
-            filter: { company_id: this.id },
-            opt: { order: { created_at: -1 } }
+            filter: {
+                company_id: this.id,
+                ...(periodId && { period_id: periodId }),
+                ...(category && { category: String(category).trim().toLowerCase() })
+            },
+            opt: { order: { created_at: -1 }, connection }
         });
         
         return revenues.map(revenue => ({
@@ -179,20 +487,23 @@ export default class Company extends Model {
 
     /**
      * Add expense
+     * The company row is locked before checking the budget, so concurrent expenses cannot overdraw it
      * @param {string} description - Expense description
      * @param {number} amount - Expense amount
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {Object|false} options.ledger - Overrides for the ledger movement (to, type, description),
+     *                                        or false when the caller records the movement itself
+     * @param {boolean} options.allowNegative - Charge the expense even if the budget does not cover it
+     * @param {string} options.category - Expense category (default: from the ledger type, or 'other')
      * @returns {Object} Created expense
      */
-    async addExpense(description, amount) {
+    async addExpense(description, amount, { connection, ledger = {}, allowNegative = false, category } = {}) {
         const expenseAmount = parseFloat(amount);
         
-        if (expenseAmount <= 0) {
+        if (!(expenseAmount > 0)) {
             throw new CustomError(400, 'Expense amount must be positive');
         }
-        
-        if (this.current_budget < expenseAmount) {
-            throw new CustomError(400, 'Insufficient budget for this expense');
-        }
 
         const expenseData = {
             id: randomUUID(),
@@ -202,14 +513,47 @@ export default class Company extends Model {
             created_at: new Date()
         };
 
-        await Mysql.insert('company_expenses', expenseData);
-        
-        // Update company budget
-        const newBudget = parseFloat(this.current_budget) - expenseAmount;
-        await this.update({ current_budget: newBudget });
-        
-        // Update the instance property to reflect the change
-        this.current_budget = parseFloat(newBudget);
+        await Mysql.transaction(async connection => {
+            // Lock the row and refresh the instance with the latest budget
+            await this.get({ connection, lock: true });
+            this.assertActive();
+
+            if (this.current_budget < expenseAmount && !allowNegative) {
+                throw new CustomError(400, 'Insufficient budget for this expense');
+            }
+
+            expenseData.category = category
+                ? await Company.resolveCategory(this.class_id, category, { connection })
+                : Company.LEDGER_CATEGORIES[ledger?.type] || 'other';
+            expenseData.period_id = await Period.getCurrentId(this.class_id, { connection });
+
+            const newBudget = parseFloat(this.current_budget) - expenseAmount;
+
+            await Mysql.insert('company_expenses', expenseData, { connection });
+            
+            // Update company budget
+            await this.update({ current_budget: { dec: expenseAmount } }, { connection });
+
+            if (ledger) {
+                await LedgerEntry.record({
+                    classId: this.class_id,
+                    from: LedgerEntry.company(this.id),
+                    to: LedgerEntry.MARKET,
+                    amount: expenseAmount,
+                    type: 'expense',
+                    description,
+                    ...ledger
+                }, { connection });
+            }
+            
+            // Update the instance property to reflect the change
+            this.current_budget = parseFloat(newBudget);
+
+            Events.publish(this.class_id, 'expense', {
+                companyId: this.id,
+                expense: { id: expenseData.id, description, amount: expenseAmount, category: expenseData.category }
+            }, { connection });
+        }, connection);
         
         return {
             ...expenseData,
@@ -219,14 +563,21 @@ export default class Company extends Model {
 
     /**
      * Add revenue
+     * The budget is incremented in the database, so concurrent revenues are not lost
      * @param {string} description - Revenue description
      * @param {number} amount - Revenue amount
-     * @returns {Object} Created revenue
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {Object|false} options.ledger - Overrides for the ledger movement (from, type, description),
+     *                                        or false when the caller records the movement itself
+     * @param {boolean} options.tax - Charge the revenue tax of the class (false for money that is not income, like loans)
+     * @param {string} options.category - Revenue category (default: from the ledger type, or 'other')
+     * @returns {Object} Created revenue, with the revenue tax charged (null when none)
      */
-    async addRevenue(description, amount) {
+    async addRevenue(description, amount, { connection, ledger = {}, tax = true, category } = {}) {
         const revenueAmount = parseFloat(amount);
         
-        if (revenueAmount <= 0) {
+        if (!(revenueAmount > 0)) {
             throw new CustomError(400, 'Revenue amount must be positive');
         }
 
@@ -238,85 +589,585 @@ export default class Company extends Model {
             created_at: new Date()
         };
 
-        await Mysql.insert('company_revenues', revenueData);
-        
-        // Update company budget
-        const newBudget = parseFloat(this.current_budget) + revenueAmount;
-        await this.update({ current_budget: newBudget });
-        
-        // Update the instance property to reflect the change and ensure it's a number
-        this.current_budget = parseFloat(newBudget);
+        let revenueTax = null;
+        await Mysql.transaction(async connection => {
+            // Lock the row and refresh the instance with the latest budget
+            await this.get({ connection, lock: true });
+            this.assertActive();
+
+            revenueData.category = category
+                ? await Company.resolveCategory(this.class_id, category, { connection })
+                : Company.LEDGER_CATEGORIES[ledger?.type] || 'other';
+            revenueData.period_id = await Period.getCurrentId(this.class_id, { connection });
+
+            const newBudget = parseFloat(this.current_budget) + revenueAmount;
+
+            await Mysql.insert('company_revenues', revenueData, { connection });
+            
+            // Update company budget
+            await this.update({ current_budget: { inc: revenueAmount } }, { connection });
+
+            if (ledger) {
+                await LedgerEntry.record({
+                    classId: this.class_id,
+                    from: LedgerEntry.MARKET,
+                    to: LedgerEntry.company(this.id),
+                    amount: revenueAmount,
+                    type: 'revenue',
+                    description,
+                    ...ledger
+                }, { connection });
+            }
+            
+            // Update the instance property to reflect the change and ensure it's a number
+            this.current_budget = parseFloat(newBudget);
+
+            if (tax) {
+                revenueTax = await Tax.chargeRevenue(this, revenueAmount, description, { connection });
+            }
+
+            Events.publish(this.class_id, 'revenue', {
+                companyId: this.id,
+                revenue: { id: revenueData.id, description, amount: revenueAmount, category: revenueData.category }
+            }, { connection });
+        }, connection);
                 
         return {
             ...revenueData,
-            amount: parseFloat(revenueData.amount)
+            amount: parseFloat(revenueData.amount),
+            tax: revenueTax
         };
     }
 
     /**
      * Get financial summary
+     * Funding money (loans and their installments, transfers, partner exits) is not income nor cost, so it is
+     * left out of the totals and the profit; only the interest of the paid installments counts as an expense.
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {string} options.periodId - Only count the expenses and revenues of this period (optional)
      * @returns {Object} Financial summary
      */
-    async getFinancialSummary() {
-        const expenses = await this.getExpenses();
-        const revenues = await this.getRevenues();
-        
-        const totalExpenses = expenses.reduce((sum, exp) => sum + exp.amount, 0);
-        const totalRevenues = revenues.reduce((sum, rev) => sum + rev.amount, 0);
+    async getFinancialSummary({ connection, periodId } = {}) {
+        const expenses = await this.getExpenses({ connection, periodId });
+        const revenues = await this.getRevenues({ connection, periodId });
+        const interestExpense = await this.getInterestPaid({ connection, periodId });
+
+        const total = entries => entries
+            .filter(entry => entry.category !== 'funding')
+            .reduce((sum, entry) => sum + entry.amount, 0);
+        const totalExpenses = parseFloat((total(expenses) + interestExpense).toFixed(2));
+        const totalRevenues = parseFloat(total(revenues).toFixed(2));
         const profit = totalRevenues - totalExpenses;
+
+        const totalsByCategory = entries => entries.reduce((totals, entry) => {
+            totals[entry.category] = parseFloat(((totals[entry.category] || 0) + entry.amount).toFixed(2));
+            return totals;
+        }, {});
         
         return {
             initialBudget: parseFloat(this.initial_budget),
             currentBudget: parseFloat(this.current_budget),
             totalExpenses: parseFloat(totalExpenses),
             totalRevenues: parseFloat(totalRevenues),
-            profit: parseFloat(profit),
+            profit: parseFloat(profit.toFixed(2)),
+            interestExpense,
             expenseCount: expenses.length,
-            revenueCount: revenues.length
+            revenueCount: revenues.length,
+            byCategory: {
+                expenses: totalsByCategory(expenses),
+                revenues: totalsByCategory(revenues)
+            },
+            totalTaxes: await this.getTotalTaxes({ connection, periodId }),
+            debt: await this.getDebt({ connection })
+        };
+    }
+
+    /**
+     * Get the interest of the loan installments paid by the company
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {string} options.periodId - Only count the installments paid in this period (optional)
+     * @returns {number} Total of interest paid
+     */
+    async getInterestPaid({ connection, periodId } = {}) {
+        let sql = `
+            SELECT COALESCE(SUM(i.interest), 0) AS total FROM loan_installments i
+            JOIN loans l ON i.loan_id = l.id
+            WHERE l.borrower_type = 'company' AND l.borrower_id = ? AND i.status = 'paid'
+        `;
+        const params = [this.id];
+        if (periodId) {
+            sql += ' AND i.period_id = ?';
+            params.push(periodId);
+        }
+
+        const [result] = await Mysql.query(sql, params, connection);
+        return parseFloat(result.total) || 0;
+    }
+
+    /**
+     * Get the taxes paid by the company (already counted in its expenses)
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {string} options.periodId - Only count the taxes of this period (optional)
+     * @returns {number} Total of taxes paid
+     */
+    async getTotalTaxes({ connection, periodId } = {}) {
+        let sql = 'SELECT COALESCE(SUM(amount), 0) AS total FROM tax_payments WHERE company_id = ?';
+        const params = [this.id];
+        if (periodId) {
+            sql += ' AND period_id = ?';
+            params.push(periodId);
+        }
+
+        const [result] = await Mysql.query(sql, params, connection);
+        return parseFloat(result.total) || 0;
+    }
+
+    /**
+     * Get what the company still owes: the unpaid installments of its active loans (interest included)
+     * and the recurring expenses left as debt
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Debt by origin and total
+     */
+    async getDebt({ connection } = {}) {
+        const sql = `
+            SELECT
+                (SELECT COALESCE(SUM(i.amount), 0) FROM loan_installments i JOIN loans l ON l.id = i.loan_id
+                    WHERE l.borrower_type = 'company' AND l.borrower_id = ? AND l.status = 'active' AND i.status != 'paid') AS loans,
+                (SELECT COALESCE(SUM(outstanding), 0) FROM recurring_expense_charges WHERE company_id = ?) AS recurring_expenses
+        `;
+        const [debt] = await Mysql.query(sql, [this.id, this.id], connection);
+
+        const loans = parseFloat(debt.loans) || 0;
+        const recurringExpenses = parseFloat(debt.recurring_expenses) || 0;
+
+        return {
+            loans,
+            recurringExpenses,
+            total: parseFloat((loans + recurringExpenses).toFixed(2))
         };
     }
 
     /**
      * Distribute profits to member
+     * For dividends, the dividend tax of the class is withheld from the payout and paid to the treasury,
+     * so the company spends the full amount and the student receives the net amount
      * @param {string} studentId - Student ID
      * @param {number} amount - Amount to distribute
      * @param {string} description - Description
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {string} options.type - Ledger transaction type ('dividend' or 'liquidation'; liquidations are not taxed)
      * @returns {Object} Distribution record
      */
-    async distributeProfits(studentId, amount, description = 'Profit distribution') {
+    async distributeProfits(studentId, amount, description = 'Profit distribution', { connection, type = 'dividend' } = {}) {
         const distributionAmount = parseFloat(amount);
         
-        // Refresh company data from database to ensure we have the latest budget
-        await this.get();
-                
-        // Check if student is a member
+        return Mysql.transaction(async connection => {
+            // Lock the company row and refresh it to ensure we have the latest budget
+            await this.get({ connection, lock: true });
+                    
+            // Check if student is a member
+            const members = await this.getMembers({ connection });
+            const member = members.find(m => m.id === studentId);
+            if (!member) {
+                throw new CustomError(400, 'Student is not a member of this company');
+            }
+            
+            // Check if company has enough current budget for distribution
+            if (this.current_budget < distributionAmount) {
+                throw new CustomError(400, 'Insufficient budget for distribution');
+            }
+            
+            const { dividendRate } = type === 'dividend'
+                ? await Tax.getSettings(this.class_id, { connection })
+                : { dividendRate: 0 };
+            const taxAmount = Tax.compute(distributionAmount, dividendRate);
+            const netAmount = parseFloat((distributionAmount - taxAmount).toFixed(2));
+
+            // Create expense for the distribution
+            const fullDescription = `${description} to ${member.name}`;
+            const expense = netAmount > 0
+                ? await this.addExpense(fullDescription, netAmount, {
+                    connection,
+                    ledger: { to: LedgerEntry.student(studentId), type }
+                })
+                : null;
+
+            const tax = await Tax.collect(this, {
+                type: 'dividend',
+                baseAmount: distributionAmount,
+                rate: dividendRate,
+                description: `Dividend tax (${dividendRate}%): ${fullDescription}`,
+                studentId
+            }, { connection });
+            
+            // Add money to student balance (already recorded in the ledger by the expense)
+            const student = new Student({ id: studentId });
+            await student.get({ connection });
+            if (netAmount > 0) {
+                await student.addBalance(netAmount, { connection, ledger: false });
+            }
+            
+            return {
+                expense,
+                tax,
+                student: student.toJSON(),
+                distributedAmount: distributionAmount,
+                netAmount
+            };
+        }, connection);
+    }
+
+    /**
+     * Get the cap table: outstanding shares of each member and their ownership percentage
+     * @returns {Object} Cap table
+     */
+    async getCapTable() {
         const members = await this.getMembers();
-        const member = members.find(m => m.id === studentId);
-        if (!member) {
-            throw new CustomError(400, 'Student is not a member of this company');
+        const totalShares = members.reduce((sum, m) => sum + m.shares, 0);
+        const sharePrice = this.getSharePrice(totalShares);
+
+        return {
+            totalShares: parseFloat(totalShares.toFixed(4)),
+            sharePrice: parseFloat(sharePrice.toFixed(4)),
+            equity: parseFloat(this.current_budget),
+            holders: members.map(member => ({
+                studentId: member.id,
+                name: member.name,
+                shares: member.shares,
+                percentage: totalShares > 0 ? parseFloat((member.shares / totalShares * 100).toFixed(2)) : 0,
+                value: parseFloat((member.shares * sharePrice).toFixed(2)),
+                contribution: member.contribution
+            }))
+        };
+    }
+
+    /**
+     * Transfer shares from one member to another student of the class
+     * The target becomes a member if needed. When a price is agreed, the buyer pays the seller.
+     * @param {string} fromStudentId - Seller (must be a member)
+     * @param {string} toStudentId - Buyer
+     * @param {number} shares - Number of shares
+     * @param {Object} options - Options
+     * @param {number} options.price - Total price paid by the buyer (optional, default 0)
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Share transfer record with both memberships updated
+     */
+    async transferShares(fromStudentId, toStudentId, shares, { price = 0, connection } = {}) {
+        const shareCount = parseFloat(shares);
+        const totalPrice = parseFloat(price) || 0;
+
+        if (!(shareCount > 0)) {
+            throw new CustomError(400, 'Number of shares must be positive');
         }
-        
-        // Check if company has enough current budget for distribution
-        if (this.current_budget < distributionAmount) {
-            throw new CustomError(400, 'Insufficient budget for distribution');
+
+        if (totalPrice < 0) {
+            throw new CustomError(400, 'Price cannot be negative');
         }
-        
-        // Create expense for the distribution
-        const fullDescription = `${description} to ${member.name}`;
-        const expense = await this.addExpense(fullDescription, distributionAmount);
-        
-        // Add money to student balance
-        const student = new Student({ id: studentId });
-        await student.get();
-        await student.addBalance(distributionAmount);
-        
+
+        if (fromStudentId === toStudentId) {
+            throw new CustomError(400, 'Cannot transfer shares to the same student');
+        }
+
+        return Mysql.transaction(async connection => {
+            // Lock the company row so the memberships cannot change meanwhile
+            await this.get({ connection, lock: true });
+            this.assertActive();
+
+            const memberships = await Mysql.find('company_members', {
+                filter: { company_id: this.id },
+                opt: { connection, lock: true }
+            });
+
+            const seller = memberships.find(m => m.student_id === fromStudentId);
+            if (!seller) {
+                throw new CustomError(400, 'Seller is not a member of this company');
+            }
+
+            if ((parseFloat(seller.shares) || 0) < shareCount) {
+                throw new CustomError(400, 'Seller does not have enough shares');
+            }
+
+            const sellerStudent = await new Student({ id: fromStudentId }).get({ connection });
+            const buyerStudent = await new Student({ id: toStudentId }).get({ connection });
+
+            if (buyerStudent.class_id !== this.class_id) {
+                throw new CustomError(400, 'Buyer must belong to the same class as the company');
+            }
+
+            // The buyer joins the company without contributing capital
+            let buyer = memberships.find(m => m.student_id === toStudentId);
+            if (!buyer) {
+                await this.addMember(toStudentId, 0, { connection });
+                [buyer] = await Mysql.find('company_members', {
+                    filter: { company_id: this.id, student_id: toStudentId },
+                    opt: { connection, lock: true }
+                });
+            }
+
+            await Mysql.update('company_members', { shares: { dec: shareCount } }, seller.id, { connection });
+            await Mysql.update('company_members', { shares: { inc: shareCount } }, buyer.id, { connection });
+
+            if (totalPrice > 0) {
+                await buyerStudent.deductBalance(totalPrice, {
+                    connection,
+                    ledger: {
+                        to: LedgerEntry.student(fromStudentId),
+                        type: 'share_sale',
+                        description: `Purchase of ${shareCount} ${this.name} shares from ${sellerStudent.name}`
+                    }
+                });
+                await sellerStudent.addBalance(totalPrice, { connection, ledger: false });
+            }
+
+            Events.publish(this.class_id, 'membership', {
+                companyId: this.id,
+                studentId: toStudentId,
+                fromStudentId,
+                action: 'share_transfer'
+            }, { connection });
+
+            return {
+                company_id: this.id,
+                from: { studentId: fromStudentId, name: sellerStudent.name, shares: parseFloat(((parseFloat(seller.shares) || 0) - shareCount).toFixed(4)) },
+                to: { studentId: toStudentId, name: buyerStudent.name, shares: parseFloat(((parseFloat(buyer.shares) || 0) + shareCount).toFixed(4)) },
+                shares: shareCount,
+                price: totalPrice
+            };
+        }, connection);
+    }
+
+    /**
+     * Calculate how a dividend would be split among all members, without moving any money
+     * @param {Object} dividend - Dividend settings
+     * @param {number} dividend.amount - Total amount to distribute (use this or profitPercentage)
+     * @param {number} dividend.profitPercentage - Percentage of the current profit to distribute (0-100]
+     * @param {string} dividend.split - 'shares' (pro-rata) or 'equal'
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Dividend plan with one payout per member
+     */
+    async planDividends({ amount, profitPercentage, split = 'shares' } = {}, { connection } = {}) {
+        if (!Company.DIVIDEND_SPLITS.includes(split)) {
+            throw new CustomError(400, `Invalid split. Use: ${Company.DIVIDEND_SPLITS.join(', ')}`);
+        }
+
+        const hasAmount = amount !== undefined && amount !== null && amount !== '';
+        const hasPercentage = profitPercentage !== undefined && profitPercentage !== null && profitPercentage !== '';
+        if (hasAmount === hasPercentage) {
+            throw new CustomError(400, 'Provide either amount or profitPercentage');
+        }
+
+        const { profit } = await this.getFinancialSummary({ connection });
+
+        let totalAmount;
+        if (hasAmount) {
+            totalAmount = parseFloat(amount);
+        } else {
+            const percentage = parseFloat(profitPercentage);
+            if (!(percentage > 0 && percentage <= 100)) {
+                throw new CustomError(400, 'Profit percentage must be between 0 and 100');
+            }
+            if (profit <= 0) {
+                throw new CustomError(400, 'No profit available for distribution');
+            }
+            totalAmount = profit * percentage / 100;
+        }
+        totalAmount = parseFloat(totalAmount.toFixed(2));
+
+        if (!(totalAmount > 0)) {
+            throw new CustomError(400, 'Dividend amount must be positive');
+        }
+
+        const members = await this.getMembers({ connection });
+        if (members.length === 0) {
+            throw new CustomError(400, 'Company has no members');
+        }
+
+        // Without any outstanding shares there is nothing to be proportional to, so members split equally
+        const totalShares = members.reduce((sum, m) => sum + m.shares, 0);
+        const appliedSplit = split === 'shares' && totalShares > 0 ? 'shares' : 'equal';
+
+        const payouts = members.map(member => {
+            const share = appliedSplit === 'shares'
+                ? member.shares / totalShares
+                : 1 / members.length;
+
+            return {
+                studentId: member.id,
+                name: member.name,
+                shares: member.shares,
+                share: parseFloat((share * 100).toFixed(2)),
+                amount: Math.floor(totalAmount * share * 100 + 1e-6) / 100
+            };
+        });
+
+        // Rounding leftovers go to the largest shares, one cent each, so payouts add up to the total
+        let remainingCents = Math.round((totalAmount - payouts.reduce((sum, p) => sum + p.amount, 0)) * 100);
+        const byShare = [...payouts].sort((a, b) => b.share - a.share);
+        for (let i = 0; remainingCents > 0; i = (i + 1) % byShare.length, remainingCents--) {
+            byShare[i].amount = parseFloat((byShare[i].amount + 0.01).toFixed(2));
+        }
+
+        return {
+            totalAmount,
+            profit: parseFloat(profit),
+            profitPercentage: hasPercentage ? parseFloat(profitPercentage) : null,
+            split: appliedSplit,
+            currentBudget: parseFloat(this.current_budget),
+            payouts
+        };
+    }
+
+    /**
+     * Distribute a dividend to all members in a single transaction
+     * Each payout creates its own expense and credits the student balance
+     * @param {Object} dividend - Dividend settings (see planDividends)
+     * @param {string} dividend.description - Expense description prefix
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Dividend plan with the distribution of each payout
+     */
+    async distributeDividends({ description = 'Dividend distribution', ...dividend } = {}, { connection, type = 'dividend' } = {}) {
+        return Mysql.transaction(async connection => {
+            // Lock the company row so the plan is computed against the latest budget
+            await this.get({ connection, lock: true });
+
+            const plan = await this.planDividends(dividend, { connection });
+
+            if (this.current_budget < plan.totalAmount) {
+                throw new CustomError(400, 'Insufficient budget for distribution');
+            }
+
+            const distributions = [];
+            for (const payout of plan.payouts) {
+                if (payout.amount <= 0) continue;
+                distributions.push(await this.distributeProfits(payout.studentId, payout.amount, description, { connection, type }));
+            }
+
+            return {
+                ...plan,
+                currentBudget: parseFloat(this.current_budget),
+                distributions
+            };
+        }, connection);
+    }
+
+    /**
+     * Count the records that would be lost if the company was deleted
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Number of products, sales, expenses and revenues
+     */
+    async getHistoryCounts({ connection } = {}) {
+        const sql = `
+            SELECT
+                (SELECT COUNT(*) FROM products WHERE company_id = ?) AS products,
+                (SELECT COUNT(*) FROM product_sales ps JOIN products p ON p.id = ps.product_id WHERE p.company_id = ?) AS sales,
+                (SELECT COUNT(*) FROM company_expenses WHERE company_id = ?) AS expenses,
+                (SELECT COUNT(*) FROM company_revenues WHERE company_id = ?) AS revenues
+        `;
+        const [counts] = await Mysql.query(sql, [this.id, this.id, this.id, this.id], connection);
+
         return {
-            expense,
-            student: student.toJSON(),
-            distributedAmount: distributionAmount
+            products: parseInt(counts.products) || 0,
+            sales: parseInt(counts.sales) || 0,
+            expenses: parseInt(counts.expenses) || 0,
+            revenues: parseInt(counts.revenues) || 0
         };
     }
 
+    /**
+     * Pay the remaining budget out to the members, pro-rata to their shares
+     * Without members the money goes back to the teacher bank
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Liquidated amount and the payout of each member
+     */
+    async liquidate({ connection } = {}) {
+        return Mysql.transaction(async connection => {
+            await this.get({ connection, lock: true });
+
+            const amount = parseFloat(this.current_budget);
+            if (!(amount > 0)) {
+                return { amount: 0, payouts: [] };
+            }
+
+            const members = await this.getMembers({ connection });
+            if (members.length === 0) {
+                await this.addExpense(`Liquidation of ${this.name}`, amount, {
+                    connection,
+                    ledger: { to: LedgerEntry.BANK, type: 'liquidation' }
+                });
+                return { amount, payouts: [] };
+            }
+
+            const liquidation = await this.distributeDividends({
+                amount,
+                split: 'shares',
+                description: 'Liquidation'
+            }, { connection, type: 'liquidation' });
+
+            return { amount, payouts: liquidation.payouts };
+        }, connection);
+    }
+
+    /**
+     * Close the company: liquidate the remaining budget to the members and stop any further money movement
+     * The products, sales, expenses, revenues and memberships are kept for history
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Liquidation result
+     */
+    async close({ connection } = {}) {
+        return Mysql.transaction(async connection => {
+            await this.get({ connection, lock: true });
+
+            if (this.status === 'closed') {
+                throw new CustomError(400, 'Company is already closed');
+            }
+
+            const liquidation = await this.liquidate({ connection });
+            await this.update({ status: 'closed', closed_at: new Date() }, { connection });
+
+            return liquidation;
+        }, connection);
+    }
+
+    /**
+     * Delete the company
+     * Refused when it has products or financial history, unless forced. The remaining budget
+     * is liquidated to the members first, so their money is not lost with the company.
+     * @param {Object} options - Options
+     * @param {boolean} options.force - Delete even if the company has history
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Liquidation result
+     */
+    async delete({ force = false, connection } = {}) {
+        return Mysql.transaction(async connection => {
+            await this.get({ connection, lock: true });
+
+            const history = await this.getHistoryCounts({ connection });
+            const hasHistory = Object.values(history).some(count => count > 0);
+
+            if (hasHistory && !force) {
+                throw new CustomError(409, 'Company has products or financial history. Close it instead or force the deletion', history);
+            }
+
+            const liquidation = this.status === 'closed'
+                ? { amount: 0, payouts: [] }
+                : await this.liquidate({ connection });
+
+            await super.delete({ connection });
+
+            return liquidation;
+        }, connection);
+    }
+
     // Convert to frontend-compatible format
     toJSON() {
         return {
@@ -325,6 +1176,8 @@ export default class Company extends Model {
             classId: this.class_id,
             initialBudget: parseFloat(this.initial_budget),
             currentBudget: parseFloat(this.current_budget),
+            status: this.status,
+            closedAt: this.closed_at || null,
             createdAt: this.created_at
         };
     }
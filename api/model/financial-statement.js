@@ -0,0 +1,250 @@
+import Period from './period.js';
+import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
+
+/**
+ * Financial statement
+ * Income statement, balance sheet and cash-flow statement of a company, for its whole history or for one period.
+ *
+ * The income statement is built from the expense and revenue categories, with the cost of the goods sold taken
+ * from the sales (production batches enter the stock and only become a cost when their units are sold) and the
+ * loan installments split into interest (a cost) and principal (a repayment). Money that does not come from the
+ * activity (contributions, loans, transfers) and dividends are left out, so the profit is not mixed with funding.
+ *
+ * The cash-flow statement groups the company movements of the ledger by transaction type.
+ */
+export default class FinancialStatement {
+    // Expense and revenue categories that are not part of the operating result
+    static NON_OPERATING_CATEGORIES = ['sales', 'production', 'dividends', 'funding', 'taxes'];
+
+    // Cash-flow section of each ledger transaction type; other types are operating
+    static FINANCING_TYPES = ['contribution', 'transfer', 'loan', 'loan_payment', 'dividend', 'liquidation', 'exit_refund', 'exit_buyout'];
+
+    /**
+     * Build the financial statements of a company
+     * @param {Company} company - Company, already loaded
+     * @param {Object} options - Options
+     * @param {string} options.periodId - Only the activity of this period (optional)
+     * @returns {Object} Scope, income statement, balance sheet and cash-flow statement
+     */
+    static async forCompany(company, { periodId } = {}) {
+        let period = null;
+        if (periodId) {
+            period = await new Period({ id: periodId }).get();
+            if (period.class_id !== company.class_id) {
+                throw new CustomError(400, 'Period does not belong to the class of the company');
+            }
+        }
+
+        return {
+            company: company.toJSON(),
+            period: period ? period.toJSON() : null,
+            incomeStatement: await FinancialStatement.getIncomeStatement(company, period),
+            balanceSheet: await FinancialStatement.getBalanceSheet(company),
+            cashFlow: await FinancialStatement.getCashFlow(company, period)
+        };
+    }
+
+    /**
+     * Income statement: revenue, costs and operating profit, then interest and taxes down to the net income
+     * @param {Company} company - Company
+     * @param {Period|null} period - Period to report, or null for the whole history
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Income statement
+     */
+    static async getIncomeStatement(company, period, { connection } = {}) {
+        const periodFilter = period ? ' AND period_id = ?' : '';
+        const params = period ? [company.id, period.id] : [company.id];
+
+        const totalsByCategory = async table => {
+            const rows = await Mysql.query(
+                `SELECT category, COALESCE(SUM(amount), 0) AS total FROM ${table} WHERE company_id = ?${periodFilter} GROUP BY category`,
+                params,
+                connection
+            );
+            return Object.fromEntries(rows.map(row => [row.category, parseFloat(row.total) || 0]));
+        };
+        const revenues = await totalsByCategory('company_revenues');
+        const expenses = await totalsByCategory('company_expenses');
+
+        // Cost of the units sold, minus the cost of the units refunded back to the stock
+        const [sold] = await Mysql.query(`
+            SELECT COALESCE(SUM(s.total_cost), 0) AS cost FROM product_sales s
+            JOIN products p ON s.product_id = p.id
+            WHERE p.company_id = ?${period ? ' AND s.period_id = ?' : ''}
+        `, params, connection);
+        const [refunded] = await Mysql.query(`
+            SELECT COALESCE(SUM(r.cost), 0) AS cost FROM product_sale_refunds r
+            JOIN products p ON r.product_id = p.id
+            WHERE p.company_id = ?${period ? ' AND r.period_id = ?' : ''}
+        `, params, connection);
+
+        // The dividend tax is withheld from the members' payout: it is part of the dividends, not a tax on the company
+        const [withheld] = await Mysql.query(`
+            SELECT COALESCE(SUM(amount), 0) AS total FROM tax_payments
+            WHERE company_id = ? AND tax_type = 'dividend'${periodFilter}
+        `, params, connection);
+
+        const [interest] = await Mysql.query(`
+            SELECT COALESCE(SUM(i.interest), 0) AS total FROM loan_installments i
+            JOIN loans l ON i.loan_id = l.id
+            WHERE l.borrower_type = 'company' AND l.borrower_id = ? AND i.status = 'paid'${period ? ' AND i.period_id = ?' : ''}
+        `, params, connection);
+
+        const round = value => parseFloat(value.toFixed(2));
+        const sum = values => round(values.reduce((total, value) => total + value, 0));
+
+        const otherRevenues = Object.fromEntries(Object.entries(revenues)
+            .filter(([category]) => !FinancialStatement.NON_OPERATING_CATEGORIES.includes(category)));
+        const operatingExpenses = Object.fromEntries(Object.entries(expenses)
+            .filter(([category]) => !FinancialStatement.NON_OPERATING_CATEGORIES.includes(category)));
+
+        const sales = revenues.sales || 0;
+        const refunds = expenses.sales || 0;
+        const netSales = round(sales - refunds);
+        const totalRevenue = round(netSales + sum(Object.values(otherRevenues)));
+
+        const costOfGoodsSold = round((parseFloat(sold.cost) || 0) - (parseFloat(refunded.cost) || 0));
+        const grossProfit = round(totalRevenue - costOfGoodsSold);
+        const totalOperatingExpenses = sum(Object.values(operatingExpenses));
+        const operatingProfit = round(grossProfit - totalOperatingExpenses);
+
+        const interestExpense = parseFloat(interest.total) || 0;
+        // Taxes given back by the treasury (as on refunded sales) reduce the taxes paid
+        const dividendTax = parseFloat(withheld.total) || 0;
+        const taxes = round((expenses.taxes || 0) - (revenues.taxes || 0) - dividendTax);
+
+        return {
+            revenue: {
+                sales,
+                refunds,
+                netSales,
+                other: otherRevenues,
+                total: totalRevenue
+            },
+            costOfGoodsSold,
+            grossProfit,
+            operatingExpenses: {
+                byCategory: operatingExpenses,
+                total: totalOperatingExpenses
+            },
+            operatingProfit,
+            interestExpense,
+            profitBeforeTaxes: round(operatingProfit - interestExpense),
+            taxes,
+            netIncome: round(operatingProfit - interestExpense - taxes),
+            dividends: round((expenses.dividends || 0) + dividendTax)
+        };
+    }
+
+    /**
+     * Balance sheet: what the company has, what it owes and what belongs to its members, as of now
+     * Retained earnings are what is left of the equity once the capital contributed is taken out
+     * @param {Company} company - Company
+     * @returns {Object} Balance sheet
+     */
+    static async getBalanceSheet(company) {
+        const [inventory] = await Mysql.query(
+            'SELECT COALESCE(SUM(stock_value), 0) AS total FROM products WHERE company_id = ?',
+            [company.id]
+        );
+        const [loans] = await Mysql.query(
+            `SELECT COALESCE(SUM(outstanding_principal), 0) AS total FROM loans
+            WHERE borrower_type = 'company' AND borrower_id = ? AND status = 'active'`,
+            [company.id]
+        );
+        const [recurringExpenses] = await Mysql.query(
+            'SELECT COALESCE(SUM(outstanding), 0) AS total FROM recurring_expense_charges WHERE company_id = ?',
+            [company.id]
+        );
+
+        // Capital put in by the members and by transfers, net of what was paid back to members who left
+        const [capital] = await Mysql.query(`
+            SELECT COALESCE(SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END), 0) AS total
+            FROM ledger_entries
+            WHERE account_type = 'company' AND account_id = ? AND transaction_type IN ('contribution', 'transfer', 'exit_refund', 'exit_buyout')
+        `, [company.id]);
+
+        const round = value => parseFloat(value.toFixed(2));
+
+        const cash = parseFloat(company.current_budget) || 0;
+        const stock = parseFloat(inventory.total) || 0;
+        const totalAssets = round(cash + stock);
+
+        const loanPrincipal = parseFloat(loans.total) || 0;
+        const recurringDebt = parseFloat(recurringExpenses.total) || 0;
+        const totalLiabilities = round(loanPrincipal + recurringDebt);
+
+        const contributedCapital = parseFloat(capital.total) || 0;
+        const totalEquity = round(totalAssets - totalLiabilities);
+
+        return {
+            asOf: new Date(),
+            assets: {
+                cash,
+                inventory: stock,
+                total: totalAssets
+            },
+            liabilities: {
+                loans: loanPrincipal,
+                recurringExpenses: recurringDebt,
+                total: totalLiabilities
+            },
+            equity: {
+                contributedCapital,
+                retainedEarnings: round(totalEquity - contributedCapital),
+                total: totalEquity
+            }
+        };
+    }
+
+    /**
+     * Cash-flow statement: the movements of the company account in the ledger, by transaction type
+     * Operating flows come from the activity; financing flows are the money of members and lenders
+     * @param {Company} company - Company
+     * @param {Period|null} period - Period to report, or null for the whole history
+     * @returns {Object} Cash-flow statement
+     */
+    static async getCashFlow(company, period) {
+        const rows = await Mysql.query(`
+            SELECT transaction_type, SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END) AS total
+            FROM ledger_entries
+            WHERE account_type = 'company' AND account_id = ?${period ? ' AND period_id = ?' : ''}
+            GROUP BY transaction_type
+        `, period ? [company.id, period.id] : [company.id]);
+
+        let openingCash = 0;
+        if (period) {
+            const [opening] = await Mysql.query(`
+                SELECT COALESCE(SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END), 0) AS total
+                FROM ledger_entries
+                WHERE account_type = 'company' AND account_id = ? AND created_at < ?
+            `, [company.id, period.opened_at]);
+            openingCash = parseFloat(opening.total) || 0;
+        }
+
+        const round = value => parseFloat(value.toFixed(2));
+        const section = financing => {
+            const items = Object.fromEntries(rows
+                .filter(row => FinancialStatement.FINANCING_TYPES.includes(row.transaction_type) === financing)
+                .map(row => [row.transaction_type, parseFloat(row.total) || 0]));
+            return {
+                items,
+                net: round(Object.values(items).reduce((total, value) => total + value, 0))
+            };
+        };
+
+        const operating = section(false);
+        const financing = section(true);
+        const netChange = round(operating.net + financing.net);
+
+        return {
+            openingCash,
+            operating,
+            financing,
+            netChange,
+            closingCash: round(openingCash + netChange)
+        };
+    }
+}
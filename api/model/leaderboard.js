@@ -0,0 +1,156 @@
+import Company from './company.js';
+import Student from './student.js';
+import Period from './period.js';
+import FinancialStatement from './financial-statement.js';
+import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
+
+/**
+ * Leaderboard
+ * Ranking of the active companies of a class by one of the METRICS, and of its students by net worth
+ * (balance plus the value of their shares in active companies, at the current share price).
+ *
+ * Entries with the same value share a rank and the next rank skips the tied positions (1, 1, 3).
+ * Companies without a value for the metric (ROI without contributed capital) come last, with no rank.
+ */
+export default class Leaderboard {
+    // Company metrics, in percent for roi and budgetGrowth
+    static METRICS = ['profit', 'revenue', 'roi', 'unitsSold', 'budgetGrowth'];
+
+    /**
+     * Build the leaderboard of a class
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {string} options.metric - Company metric to rank by (default profit)
+     * @param {string} options.periodId - Only the activity of this period, for the company metrics (optional)
+     * @returns {Object} Metric, period, ranked companies and ranked students
+     */
+    static async forClass(classId, { metric = 'profit', periodId } = {}) {
+        if (!Leaderboard.METRICS.includes(metric)) {
+            throw new CustomError(400, `Invalid metric. Use: ${Leaderboard.METRICS.join(', ')}`);
+        }
+
+        let period = null;
+        if (periodId) {
+            period = await new Period({ id: periodId }).get();
+            if (period.class_id !== classId) {
+                throw new CustomError(400, 'Period does not belong to the class');
+            }
+        }
+
+        const rows = await Mysql.find('companies', {
+            filter: { class_id: classId, status: 'active' }
+        });
+        const companies = rows.map(row => new Company(row));
+
+        const companyEntries = [];
+        for (const company of companies) {
+            companyEntries.push(await Leaderboard.getCompanyMetrics(company, period));
+        }
+
+        return {
+            metric,
+            period: period ? period.toJSON() : null,
+            companies: Leaderboard.rank(companyEntries, metric),
+            students: Leaderboard.rank(await Leaderboard.getStudentNetWorths(classId, companies), 'netWorth')
+        };
+    }
+
+    /**
+     * Compute every metric of a company
+     * Profit and revenue come from the income statement, so funding is not counted as revenue
+     * @param {Company} company - Company
+     * @param {Period|null} period - Period to measure, or null for the whole history
+     * @returns {Object} Company entry with all its metrics
+     */
+    static async getCompanyMetrics(company, period) {
+        const incomeStatement = await FinancialStatement.getIncomeStatement(company, period);
+        const { equity } = await FinancialStatement.getBalanceSheet(company);
+
+        const [units] = await Mysql.query(`
+            SELECT COALESCE(SUM(s.quantity - s.refunded_quantity), 0) AS total FROM product_sales s
+            JOIN products p ON s.product_id = p.id
+            WHERE p.company_id = ?${period ? ' AND s.period_id = ?' : ''}
+        `, period ? [company.id, period.id] : [company.id]);
+
+        // Growth of the cash since the company was founded, or since the period opened
+        let startingBudget = company.initial_budget;
+        let endingBudget = company.current_budget;
+        if (period) {
+            const cashFlow = await FinancialStatement.getCashFlow(company, period);
+            startingBudget = cashFlow.openingCash;
+            endingBudget = cashFlow.closingCash;
+        }
+
+        const percent = (value, base) => base > 0 ? parseFloat((value / base * 100).toFixed(2)) : null;
+
+        return {
+            companyId: company.id,
+            name: company.name,
+            profit: incomeStatement.netIncome,
+            revenue: incomeStatement.revenue.total,
+            roi: percent(incomeStatement.netIncome, equity.contributedCapital),
+            unitsSold: parseInt(units.total) || 0,
+            budgetGrowth: percent(endingBudget - startingBudget, startingBudget)
+        };
+    }
+
+    /**
+     * Net worth of every student of a class: balance plus the value of their shares in active companies
+     * @param {string} classId - Class ID
+     * @param {Array<Company>} companies - Active companies of the class
+     * @returns {Array} Student entries with balance, stakes and net worth
+     */
+    static async getStudentNetWorths(classId, companies) {
+        const students = await Student.getByClass(classId);
+
+        const stakes = {};
+        for (const company of companies) {
+            const members = await Mysql.find('company_members', {
+                filter: { company_id: company.id }
+            });
+            const totalShares = members.reduce((sum, member) => sum + (parseFloat(member.shares) || 0), 0);
+            const sharePrice = company.getSharePrice(totalShares);
+
+            for (const member of members) {
+                stakes[member.student_id] = (stakes[member.student_id] || 0) + (parseFloat(member.shares) || 0) * sharePrice;
+            }
+        }
+
+        return students.map(student => {
+            const stakeValue = parseFloat((stakes[student.id] || 0).toFixed(2));
+            return {
+                studentId: student.id,
+                name: student.name,
+                balance: student.current_balance,
+                stakes: stakeValue,
+                netWorth: parseFloat((student.current_balance + stakeValue).toFixed(2))
+            };
+        });
+    }
+
+    /**
+     * Sort entries by a value, highest first, and give each one its rank
+     * @param {Array} entries - Entries to rank
+     * @param {string} key - Value to rank by
+     * @returns {Array} Ranked entries, with rank and tied flags
+     */
+    static rank(entries, key) {
+        const sorted = [...entries].sort((a, b) => {
+            if (a[key] === null || b[key] === null) {
+                return (a[key] === null) - (b[key] === null) || a.name.localeCompare(b.name);
+            }
+            return b[key] - a[key] || a.name.localeCompare(b.name);
+        });
+
+        return sorted.map((entry, index) => {
+            if (entry[key] === null) {
+                return { rank: null, tied: false, ...entry };
+            }
+
+            const first = sorted.findIndex(other => other[key] === entry[key]);
+            const tied = sorted.filter(other => other[key] === entry[key]).length > 1;
+            return { rank: first + 1, tied, ...entry };
+        });
+    }
+}
@@ -0,0 +1,278 @@
+import Model from './model.js';
+import Period from './period.js';
+import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
+import Events from '../helpers/events.js';
+import { randomUUID } from 'crypto';
+
+/**
+ * Ledger entry
+ * Every money movement is recorded as a pair of entries sharing a transaction_id:
+ * a debit on the account the money leaves and a credit on the account it enters.
+ * The balance of an account is the sum of its credits minus the sum of its debits.
+ */
+export default class LedgerEntry extends Model {
+    // Accounts outside the simulation: the teacher bank issues and collects student money,
+    // the market pays for sales and receives expenses, the treasury collects the taxes of the class
+    static BANK = { type: 'bank', id: null };
+    static MARKET = { type: 'market', id: null };
+    static TREASURY = { type: 'treasury', id: null };
+
+    static ACCOUNT_TYPES = ['student', 'company', 'bank', 'market', 'treasury'];
+    static ACCOUNT_NAMES = { bank: 'Teacher', market: 'Market', treasury: 'Treasury' };
+
+    constructor({
+        id,
+        transaction_id,
+        class_id,
+        account_type,
+        account_id,
+        entry_type,
+        amount,
+        transaction_type,
+        description,
+        period_id,
+        created_at
+    }) {
+        super('ledger_entries', {
+            fields: {
+                id,
+                transaction_id,
+                class_id,
+                account_type,
+                account_id,
+                entry_type,
+                amount: parseFloat(amount) || 0,
+                transaction_type,
+                description,
+                period_id,
+                created_at
+            },
+            allowUpdate: [],
+            insertFields: ['id', 'transaction_id', 'class_id', 'account_type', 'account_id', 'entry_type', 'amount', 'transaction_type', 'description', 'period_id'],
+        });
+    }
+
+    /**
+     * Student account reference
+     * @param {string} id - Student ID
+     * @returns {Object} Account reference
+     */
+    static student(id) {
+        return { type: 'student', id };
+    }
+
+    /**
+     * Company account reference
+     * @param {string} id - Company ID
+     * @returns {Object} Account reference
+     */
+    static company(id) {
+        return { type: 'company', id };
+    }
+
+    /**
+     * Record a money movement as a debit/credit pair
+     * @param {Object} movement - Movement data
+     * @param {string} movement.classId - Class the movement belongs to
+     * @param {Object} movement.from - Account the money leaves
+     * @param {Object} movement.to - Account the money enters
+     * @param {number} movement.amount - Amount moved
+     * @param {string} movement.type - Transaction type (deposit, contribution, sale, ...)
+     * @param {string} movement.description - Description
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Transaction ID and the two entries
+     */
+    static async record({ classId, from, to, amount, type, description = '' }, { connection } = {}) {
+        const entryAmount = parseFloat(amount);
+
+        if (!(entryAmount > 0)) {
+            throw new CustomError(400, 'Ledger amount must be positive');
+        }
+
+        if (!classId) {
+            throw new CustomError(400, 'Class ID is required for ledger entries');
+        }
+
+        const transactionId = randomUUID();
+        const createdAt = new Date();
+
+        const entries = [
+            { account: from, entryType: 'debit' },
+            { account: to, entryType: 'credit' },
+        ].map(({ account, entryType }) => new LedgerEntry({
+            id: randomUUID(),
+            transaction_id: transactionId,
+            class_id: classId,
+            account_type: account.type,
+            account_id: account.id || null,
+            entry_type: entryType,
+            amount: entryAmount,
+            transaction_type: type,
+            description,
+            created_at: createdAt
+        }));
+
+        await Mysql.transaction(async connection => {
+            // Movements are tagged with the period open in the class, if any
+            const periodId = await Period.getCurrentId(classId, { connection });
+            for (const entry of entries) {
+                entry.period_id = periodId;
+                await entry.insert({ connection });
+            }
+
+            Events.publish(classId, 'balance', {
+                transactionId,
+                transactionType: type,
+                amount: entryAmount,
+                from: { type: from.type, id: from.id || null },
+                to: { type: to.type, id: to.id || null }
+            }, { connection });
+        }, connection);
+
+        const [debit, credit] = entries;
+        return { transactionId, debit: debit.toJSON(), credit: credit.toJSON() };
+    }
+
+    /**
+     * Get ledger entries
+     * @param {Object} filter - Mysql filter (class_id, account_type, account_id, transaction_id...)
+     * @param {Object} options - Options
+     * @param {number} options.limit - Only the latest entries (optional)
+     * @returns {Array} Array of entries, newest first
+     */
+    static async getAll(filter = {}, { limit } = {}) {
+        const entries = await Mysql.find('ledger_entries', {
+            filter,
+            opt: { order: { sequence: -1 }, limit }
+        });
+
+        return entries.map(entry => ({
+            ...entry,
+            amount: parseFloat(entry.amount) || 0
+        }));
+    }
+
+    /**
+     * Get the movements of a single account with their counterpart and running balance
+     * @param {Object} account - Account reference
+     * @returns {Array} Array of movements, newest first
+     */
+    static async getAccountHistory(account) {
+        const sql = `
+            SELECT e.transaction_id, e.entry_type, e.amount, e.transaction_type, e.description, e.created_at,
+                c.account_type AS counterpart_type, c.account_id AS counterpart_id
+            FROM ledger_entries e
+            JOIN ledger_entries c ON c.transaction_id = e.transaction_id AND c.id <> e.id
+            WHERE e.account_type = ? AND e.account_id = ?
+            ORDER BY e.sequence ASC
+        `;
+        const entries = await Mysql.query(sql, [account.type, account.id]);
+
+        // Resolve counterpart names for student and company accounts
+        const names = {};
+        for (const type of ['student', 'company']) {
+            const ids = [...new Set(entries.filter(e => e.counterpart_type === type).map(e => e.counterpart_id))];
+            if (ids.length === 0) continue;
+
+            const rows = await Mysql.find(type === 'student' ? 'students' : 'companies', {
+                filter: { id: ids },
+                view: ['id', 'name']
+            });
+            rows.forEach(row => names[`${type}:${row.id}`] = row.name);
+        }
+
+        let balance = 0;
+        const history = entries.map(entry => {
+            const amount = parseFloat(entry.amount) || 0;
+            const signedAmount = entry.entry_type === 'credit' ? amount : -amount;
+            balance = parseFloat((balance + signedAmount).toFixed(2));
+
+            return {
+                transactionId: entry.transaction_id,
+                type: entry.transaction_type,
+                direction: entry.entry_type === 'credit' ? 'in' : 'out',
+                amount: signedAmount,
+                counterpart: {
+                    type: entry.counterpart_type,
+                    id: entry.counterpart_id,
+                    name: LedgerEntry.ACCOUNT_NAMES[entry.counterpart_type] || names[`${entry.counterpart_type}:${entry.counterpart_id}`] || null
+                },
+                description: entry.description,
+                balance,
+                date: entry.created_at
+            };
+        });
+
+        return history.reverse();
+    }
+
+    /**
+     * Get the balance of every account in a class, derived from the ledger
+     * @param {string} classId - Class ID
+     * @returns {Array} Array of { account_type, account_id, balance }
+     */
+    static async getBalances(classId) {
+        const sql = `
+            SELECT account_type, account_id,
+                SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END) AS balance
+            FROM ledger_entries
+            WHERE class_id = ?
+            GROUP BY account_type, account_id
+        `;
+        const balances = await Mysql.query(sql, [classId]);
+
+        return balances.map(balance => ({
+            ...balance,
+            balance: parseFloat(balance.balance) || 0
+        }));
+    }
+
+    /**
+     * Get the balance of a single account, derived from the ledger
+     * @param {Object} account - Account reference
+     * @param {string} classId - Class ID (required for bank and market accounts)
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {number} Balance
+     */
+    static async getBalance(account, classId = null, { connection } = {}) {
+        let sql = `
+            SELECT SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END) AS balance
+            FROM ledger_entries
+            WHERE account_type = ?
+        `;
+        const params = [account.type];
+
+        if (account.id) {
+            sql += ' AND account_id = ?';
+            params.push(account.id);
+        }
+
+        if (classId) {
+            sql += ' AND class_id = ?';
+            params.push(classId);
+        }
+
+        const [result] = await Mysql.query(sql, params, connection);
+        return parseFloat(result?.balance) || 0;
+    }
+
+    // Convert to frontend-compatible format
+    toJSON() {
+        return {
+            id: this.id,
+            transactionId: this.transaction_id,
+            classId: this.class_id,
+            accountType: this.account_type,
+            accountId: this.account_id,
+            entryType: this.entry_type,
+            amount: parseFloat(this.amount),
+            transactionType: this.transaction_type,
+            description: this.description,
+            periodId: this.period_id || null,
+            createdAt: this.created_at
+        };
+    }
+}
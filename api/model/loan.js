@@ -0,0 +1,503 @@
+import Model from './model.js';
+import Company from './company.js';
+import Student from './student.js';
+import Period from './period.js';
+import LedgerEntry from './ledger-entry.js';
+import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
+import { randomUUID } from 'crypto';
+
+/**
+ * Loan
+ * Money lent by the class bank (the teacher) to a company or a student. A loan is requested as pending
+ * and only moves money once the teacher approves it: the principal is paid to the borrower and an
+ * amortization schedule (fixed installments, interest on the outstanding principal) is stored.
+ *
+ * One installment falls due per charge cycle, which runs when a period is closed or on demand.
+ * Company installments are booked as expenses (and the principal as a revenue when it is paid out),
+ * student installments are deducted from the balance. A borrower without money keeps the installment
+ * late, and it is charged again in the next cycle.
+ */
+export default class Loan extends Model {
+    static BORROWER_TYPES = ['company', 'student'];
+
+    static STATUSES = ['pending', 'active', 'paid', 'rejected'];
+
+    constructor({
+        id,
+        class_id,
+        borrower_type,
+        borrower_id,
+        description,
+        principal,
+        interest_rate,
+        term,
+        installment_amount,
+        outstanding_principal,
+        cycles_charged,
+        status,
+        approved_at,
+        closed_at,
+        created_at
+    }) {
+        super('loans', {
+            fields: {
+                id,
+                class_id,
+                borrower_type,
+                borrower_id,
+                description,
+                principal: parseFloat(principal) || 0,
+                interest_rate: parseFloat(interest_rate) || 0,
+                term: parseInt(term) || 0,
+                installment_amount: parseFloat(installment_amount) || 0,
+                outstanding_principal: parseFloat(outstanding_principal) || 0,
+                cycles_charged: parseInt(cycles_charged) || 0,
+                status: status || 'pending',
+                approved_at,
+                closed_at,
+                created_at
+            },
+            allowUpdate: ['outstanding_principal', 'cycles_charged', 'status', 'approved_at', 'closed_at'],
+            insertFields: ['id', 'class_id', 'borrower_type', 'borrower_id', 'description', 'principal', 'interest_rate', 'term', 'installment_amount', 'outstanding_principal', 'status'],
+        });
+    }
+
+    /**
+     * Build the amortization schedule of a loan with fixed installments
+     * Each installment pays the interest on the outstanding principal and amortizes the rest;
+     * the last one absorbs the rounding so the principal ends at zero.
+     * @param {number} principal - Amount lent
+     * @param {number} interestRate - Interest per installment, in percent
+     * @param {number} term - Number of installments
+     * @returns {Array} Installments (number, amount, interest, principal, balance)
+     */
+    static schedule(principal, interestRate, term) {
+        const rate = interestRate / 100;
+        const payment = rate > 0
+            ? principal * rate / (1 - Math.pow(1 + rate, -term))
+            : principal / term;
+
+        const installments = [];
+        let balance = principal;
+        for (let number = 1; number <= term; number++) {
+            const interest = parseFloat((balance * rate).toFixed(2));
+            const amortization = number === term
+                ? parseFloat(balance.toFixed(2))
+                : parseFloat((payment - interest).toFixed(2));
+
+            balance = parseFloat((balance - amortization).toFixed(2));
+            installments.push({
+                number,
+                amount: parseFloat((interest + amortization).toFixed(2)),
+                interest,
+                principal: amortization,
+                balance
+            });
+        }
+
+        return installments;
+    }
+
+    /**
+     * Request a loan for a company or a student; it stays pending until the teacher approves it
+     * @param {Object} data - Loan data
+     * @param {string} data.borrowerType - company or student
+     * @param {string} data.borrowerId - Company or student ID
+     * @param {number} data.principal - Amount to borrow
+     * @param {number} data.interestRate - Interest per installment, in percent
+     * @param {number} data.term - Number of installments
+     * @param {string} data.description - Purpose of the loan (optional)
+     * @returns {Loan} Pending loan
+     */
+    static async request({ borrowerType, borrowerId, principal, interestRate = 0, term, description } = {}) {
+        if (!Loan.BORROWER_TYPES.includes(borrowerType)) {
+            throw new CustomError(400, `Invalid borrower type. Use: ${Loan.BORROWER_TYPES.join(', ')}`);
+        }
+
+        const amount = parseFloat(principal);
+        if (!(amount > 0)) {
+            throw new CustomError(400, 'Loan principal must be positive');
+        }
+
+        const rate = parseFloat(interestRate);
+        if (isNaN(rate) || rate < 0) {
+            throw new CustomError(400, 'Interest rate cannot be negative');
+        }
+
+        const installments = parseInt(term);
+        if (!(installments > 0)) {
+            throw new CustomError(400, 'Loan term must be at least one installment');
+        }
+
+        const borrower = await Loan.findBorrower(borrowerType, borrowerId);
+        if (borrowerType === 'company') {
+            borrower.assertActive();
+        }
+
+        const [first] = Loan.schedule(amount, rate, installments);
+        const loan = new Loan({
+            id: randomUUID(),
+            class_id: borrower.class_id,
+            borrower_type: borrowerType,
+            borrower_id: borrowerId,
+            description: description || null,
+            principal: amount,
+            interest_rate: rate,
+            term: installments,
+            installment_amount: first.amount,
+            outstanding_principal: amount,
+            status: 'pending'
+        });
+        await loan.insert();
+
+        return loan.get();
+    }
+
+    /**
+     * Load the company or student that borrows
+     * @param {string} borrowerType - company or student
+     * @param {string} borrowerId - Company or student ID
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {boolean} options.lock - Lock the borrower row
+     * @returns {Company|Student} Borrower
+     */
+    static async findBorrower(borrowerType, borrowerId, { connection, lock = false } = {}) {
+        const borrower = borrowerType === 'company'
+            ? new Company({ id: borrowerId })
+            : new Student({ id: borrowerId });
+
+        return borrower.get({ connection, lock });
+    }
+
+    /**
+     * Get the loans of a class
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {string} options.status - Only the loans with this status (optional)
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Array} Loans, newest first
+     */
+    static async getByClass(classId, { status, connection } = {}) {
+        const loans = await Mysql.find('loans', {
+            filter: { class_id: classId, ...(status && { status }) },
+            opt: { order: { created_at: -1 }, connection }
+        });
+
+        return loans.map(loan => new Loan(loan));
+    }
+
+    /**
+     * Get the loans of a company or a student
+     * @param {string} borrowerType - company or student
+     * @param {string} borrowerId - Company or student ID
+     * @returns {Array} Loans, newest first
+     */
+    static async getByBorrower(borrowerType, borrowerId) {
+        const loans = await Mysql.find('loans', {
+            filter: { borrower_type: borrowerType, borrower_id: borrowerId },
+            opt: { order: { created_at: -1 } }
+        });
+
+        return loans.map(loan => new Loan(loan));
+    }
+
+    /**
+     * Charge the installments due of every active loan of a class
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Installments paid and left late, with their totals
+     */
+    static async chargeForClass(classId, { connection } = {}) {
+        return Mysql.transaction(async connection => {
+            const loans = await Loan.getByClass(classId, { status: 'active', connection });
+
+            const paid = [];
+            const late = [];
+            for (const loan of loans) {
+                const result = await loan.chargeDue({ connection });
+                paid.push(...result.paid);
+                late.push(...result.late);
+            }
+
+            return {
+                paid,
+                late,
+                totals: {
+                    paid: parseFloat(paid.reduce((sum, installment) => sum + installment.amount, 0).toFixed(2)),
+                    interest: parseFloat(paid.reduce((sum, installment) => sum + installment.interest, 0).toFixed(2)),
+                    late: parseFloat(late.reduce((sum, installment) => sum + installment.amount, 0).toFixed(2))
+                }
+            };
+        }, connection);
+    }
+
+    /**
+     * Approve a pending loan: store the schedule and pay the principal to the borrower
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Loan} Active loan
+     */
+    async approve({ connection } = {}) {
+        await Mysql.transaction(async connection => {
+            await this.get({ connection, lock: true });
+
+            if (this.status !== 'pending') {
+                throw new CustomError(400, 'Only pending loans can be approved');
+            }
+
+            const installments = Loan.schedule(parseFloat(this.principal), parseFloat(this.interest_rate), parseInt(this.term));
+            await Mysql.insert('loan_installments', installments.map(installment => ({
+                id: randomUUID(),
+                loan_id: this.id,
+                number: installment.number,
+                amount: installment.amount,
+                interest: installment.interest,
+                principal: installment.principal,
+                status: 'pending'
+            })), { connection });
+
+            const borrower = await Loan.findBorrower(this.borrower_type, this.borrower_id, { connection, lock: true });
+            const description = `Loan from the bank${this.description ? `: ${this.description}` : ''}`;
+            const ledger = { from: LedgerEntry.BANK, type: 'loan', description };
+
+            if (this.borrower_type === 'company') {
+                await borrower.addRevenue(description, parseFloat(this.principal), { connection, ledger, tax: false });
+            } else {
+                await borrower.addBalance(parseFloat(this.principal), { connection, ledger });
+            }
+
+            await this.update({ status: 'active', approved_at: new Date() }, { connection });
+        }, connection);
+
+        return this.get({ connection });
+    }
+
+    /**
+     * Reject a pending loan
+     * The loan row is locked, so it cannot be approved and rejected at the same time
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Loan} Rejected loan
+     */
+    async reject({ connection } = {}) {
+        await Mysql.transaction(async connection => {
+            await this.get({ connection, lock: true });
+
+            if (this.status !== 'pending') {
+                throw new CustomError(400, 'Only pending loans can be rejected');
+            }
+
+            await this.update({ status: 'rejected', closed_at: new Date() }, { connection });
+        }, connection);
+
+        return this.get({ connection });
+    }
+
+    /**
+     * Get the amortization schedule of the loan
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {boolean} options.lock - Lock the installment rows
+     * @returns {Array} Installments, in order
+     */
+    async getInstallments({ connection, lock = false } = {}) {
+        const installments = await Mysql.find('loan_installments', {
+            filter: { loan_id: this.id },
+            opt: { order: { number: 1 }, connection, lock }
+        });
+
+        return installments.map(installment => ({
+            ...installment,
+            amount: parseFloat(installment.amount) || 0,
+            interest: parseFloat(installment.interest) || 0,
+            principal: parseFloat(installment.principal) || 0
+        }));
+    }
+
+    /**
+     * Pay one installment from the borrower's money
+     * The caller must hold the loan lock and check that the borrower can pay
+     * @param {Object} installment - Installment row
+     * @param {Company|Student} borrower - Borrower, locked by the caller
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection
+     * @returns {Object} Paid installment
+     */
+    async payInstallment(installment, borrower, { connection }) {
+        const description = `Loan installment ${installment.number}/${this.term}`;
+        const ledger = { to: LedgerEntry.BANK, type: 'loan_payment', description };
+
+        if (this.borrower_type === 'company') {
+            await borrower.addExpense(description, installment.amount, { connection, ledger });
+        } else {
+            await borrower.deductBalance(installment.amount, { connection, ledger });
+        }
+
+        const paidAt = new Date();
+        const periodId = await Period.getCurrentId(this.class_id, { connection });
+        await Mysql.update('loan_installments', {
+            status: 'paid',
+            paid_at: paidAt,
+            period_id: periodId
+        }, installment.id, { connection });
+
+        const outstanding = parseFloat((parseFloat(this.outstanding_principal) - installment.principal).toFixed(2));
+        const finished = installment.number === parseInt(this.term);
+        await this.update({
+            outstanding_principal: Math.max(0, outstanding),
+            ...(finished && { status: 'paid', closed_at: paidAt })
+        }, { connection });
+
+        return Loan.formatInstallment({ ...installment, status: 'paid', paid_at: paidAt, period_id: periodId });
+    }
+
+    /**
+     * Money the borrower has available to pay installments
+     * A closed company cannot pay anything
+     * @param {Company|Student} borrower - Borrower
+     * @returns {number} Available money
+     */
+    available(borrower) {
+        if (this.borrower_type === 'company') {
+            return borrower.status === 'closed' ? 0 : parseFloat(borrower.current_budget);
+        }
+        return parseFloat(borrower.current_balance);
+    }
+
+    /**
+     * Run a charge cycle: one more installment falls due, and every installment due is paid,
+     * oldest first, while the borrower has money. The installments left unpaid are marked late.
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Installments paid and left late
+     */
+    async chargeDue({ connection } = {}) {
+        return Mysql.transaction(async connection => {
+            await this.get({ connection, lock: true });
+
+            if (this.status !== 'active') {
+                return { paid: [], late: [] };
+            }
+
+            const cyclesCharged = parseInt(this.cycles_charged) + 1;
+            await this.update({ cycles_charged: cyclesCharged }, { connection });
+
+            const borrower = await Loan.findBorrower(this.borrower_type, this.borrower_id, { connection, lock: true });
+            const due = (await this.getInstallments({ connection, lock: true }))
+                .filter(installment => installment.status !== 'paid' && installment.number <= cyclesCharged);
+
+            const paid = [];
+            const late = [];
+            for (const installment of due) {
+                if (late.length === 0 && this.available(borrower) >= installment.amount) {
+                    paid.push(await this.payInstallment(installment, borrower, { connection }));
+                    continue;
+                }
+
+                if (installment.status !== 'late') {
+                    await Mysql.update('loan_installments', { status: 'late' }, installment.id, { connection });
+                }
+                late.push(Loan.formatInstallment({ ...installment, status: 'late' }));
+            }
+
+            return {
+                paid: paid.map(installment => ({ ...installment, borrowerType: this.borrower_type, borrowerId: this.borrower_id })),
+                late: late.map(installment => ({ ...installment, borrowerType: this.borrower_type, borrowerId: this.borrower_id }))
+            };
+        }, connection);
+    }
+
+    /**
+     * Pay the next unpaid installment now, even before it falls due
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Paid installment
+     */
+    async payNext({ connection } = {}) {
+        return Mysql.transaction(async connection => {
+            await this.get({ connection, lock: true });
+
+            if (this.status !== 'active') {
+                throw new CustomError(400, 'Loan is not active');
+            }
+
+            const borrower = await Loan.findBorrower(this.borrower_type, this.borrower_id, { connection, lock: true });
+            const installment = (await this.getInstallments({ connection, lock: true }))
+                .find(installment => installment.status !== 'paid');
+
+            if (this.available(borrower) < installment.amount) {
+                throw new CustomError(400, 'Insufficient funds to pay the installment');
+            }
+
+            return this.payInstallment(installment, borrower, { connection });
+        }, connection);
+    }
+
+    /**
+     * Sum of the installments not paid yet, interest included
+     * @param {Array} installments - Installments of the loan
+     * @returns {number} Remaining amount
+     */
+    static remaining(installments) {
+        return parseFloat(installments
+            .filter(installment => installment.status !== 'paid')
+            .reduce((sum, installment) => sum + installment.amount, 0)
+            .toFixed(2));
+    }
+
+    /**
+     * Format a loan_installments row for the API
+     * @param {Object} installment - Installment row
+     * @returns {Object} Installment
+     */
+    static formatInstallment(installment) {
+        return {
+            id: installment.id,
+            loanId: installment.loan_id,
+            number: parseInt(installment.number),
+            amount: parseFloat(installment.amount) || 0,
+            interest: parseFloat(installment.interest) || 0,
+            principal: parseFloat(installment.principal) || 0,
+            status: installment.status,
+            paidAt: installment.paid_at || null,
+            periodId: installment.period_id || null
+        };
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            classId: this.class_id,
+            borrowerType: this.borrower_type,
+            borrowerId: this.borrower_id,
+            description: this.description || null,
+            principal: parseFloat(this.principal),
+            interestRate: parseFloat(this.interest_rate),
+            term: parseInt(this.term),
+            installmentAmount: parseFloat(this.installment_amount),
+            outstandingPrincipal: parseFloat(this.outstanding_principal),
+            installmentsDue: Math.min(parseInt(this.cycles_charged) || 0, parseInt(this.term)),
+            status: this.status,
+            approvedAt: this.approved_at || null,
+            closedAt: this.closed_at || null,
+            createdAt: this.created_at
+        };
+    }
+
+    /**
+     * Loan with its schedule and the amount still to pay
+     * @returns {Object} Loan details
+     */
+    async toJSONWithDetails() {
+        const installments = await this.getInstallments();
+
+        return {
+            ...this.toJSON(),
+            remainingAmount: this.status === 'pending' ? 0 : Loan.remaining(installments),
+            installments: installments.map(installment => Loan.formatInstallment(installment))
+        };
+    }
+}
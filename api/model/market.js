@@ -0,0 +1,386 @@
+import Product from './product.js';
+import RecurringExpense from './recurring-expense.js';
+import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
+import { randomUUID } from 'crypto';
+
+/**
+ * Market
+ * Optional demand simulation for a class. Each round, every product of the active companies
+ * in the class gets a demand from the class demand model, and the units in stock are sold
+ * through Product.recordSale, so revenues reach the companies as manual sales do.
+ *
+ * Products compete only with the products of the same category (products without a category
+ * share one market): the market size is split evenly between the categories, then between the
+ * products of each category, and products priced below the reference price of their category
+ * (the average price of the category, unless the teacher sets one) sell more than those priced above it.
+ *
+ * The recurring expenses charged per round are applied once the sales of the round are recorded.
+ */
+export default class Market {
+    static DEMAND_MODELS = ['linear', 'elastic'];
+
+    static DEFAULTS = {
+        enabled: false,
+        demandModel: 'linear',
+        marketSize: 100,
+        referencePrice: null,
+        elasticity: 1,
+        noise: 0.2
+    };
+
+    /**
+     * Get the market settings of a class, with the defaults when the class has none
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Market settings
+     */
+    static async getSettings(classId, { connection } = {}) {
+        const [row] = await Mysql.find('market_settings', {
+            filter: { class_id: classId },
+            opt: { limit: 1, connection }
+        });
+
+        if (!row) {
+            return { classId, ...Market.DEFAULTS };
+        }
+
+        return {
+            classId,
+            enabled: !!row.enabled,
+            demandModel: row.demand_model,
+            marketSize: parseInt(row.market_size) || 0,
+            referencePrice: row.reference_price === null ? null : parseFloat(row.reference_price),
+            elasticity: parseFloat(row.elasticity) || 0,
+            noise: parseFloat(row.noise) || 0
+        };
+    }
+
+    /**
+     * Update the market settings of a class
+     * Only the given fields change; the others keep their current value
+     * @param {string} classId - Class ID
+     * @param {Object} data - Settings to change (enabled, demandModel, marketSize, referencePrice, elasticity, noise)
+     * @returns {Object} Updated market settings
+     */
+    static async updateSettings(classId, data = {}) {
+        const settings = { ...await Market.getSettings(classId) };
+
+        if (data.enabled !== undefined) {
+            settings.enabled = data.enabled === true || data.enabled === 'true';
+        }
+
+        if (data.demandModel !== undefined) {
+            if (!Market.DEMAND_MODELS.includes(data.demandModel)) {
+                throw new CustomError(400, `Invalid demand model. Use: ${Market.DEMAND_MODELS.join(', ')}`);
+            }
+            settings.demandModel = data.demandModel;
+        }
+
+        if (data.marketSize !== undefined) {
+            const marketSize = parseInt(data.marketSize);
+            if (isNaN(marketSize) || marketSize < 0) {
+                throw new CustomError(400, 'Market size cannot be negative');
+            }
+            settings.marketSize = marketSize;
+        }
+
+        if (data.referencePrice !== undefined) {
+            // An empty reference price goes back to the average price of the market
+            const referencePrice = data.referencePrice === null || data.referencePrice === '' ? null : parseFloat(data.referencePrice);
+            if (referencePrice !== null && !(referencePrice > 0)) {
+                throw new CustomError(400, 'Reference price must be positive');
+            }
+            settings.referencePrice = referencePrice;
+        }
+
+        if (data.elasticity !== undefined) {
+            const elasticity = parseFloat(data.elasticity);
+            if (isNaN(elasticity) || elasticity < 0) {
+                throw new CustomError(400, 'Elasticity cannot be negative');
+            }
+            settings.elasticity = elasticity;
+        }
+
+        if (data.noise !== undefined) {
+            const noise = parseFloat(data.noise);
+            if (isNaN(noise) || noise < 0 || noise > 1) {
+                throw new CustomError(400, 'Noise must be between 0 and 1');
+            }
+            settings.noise = noise;
+        }
+
+        const row = {
+            enabled: settings.enabled ? 1 : 0,
+            demand_model: settings.demandModel,
+            market_size: settings.marketSize,
+            reference_price: settings.referencePrice,
+            elasticity: settings.elasticity,
+            noise: settings.noise,
+            updated_at: new Date()
+        };
+
+        const [existing] = await Mysql.find('market_settings', {
+            filter: { class_id: classId },
+            opt: { limit: 1 }
+        });
+
+        if (existing) {
+            await Mysql.update('market_settings', row, { class_id: classId });
+        } else {
+            await Mysql.insert('market_settings', { class_id: classId, ...row });
+        }
+
+        return settings;
+    }
+
+    /**
+     * Demand of one product relative to the demand at the reference price
+     * linear: 1 - elasticity × (price / reference - 1), never below zero
+     * elastic: (price / reference) ^ -elasticity
+     * @param {number} price - Product price
+     * @param {number} referencePrice - Reference price of the market
+     * @param {Object} settings - Market settings
+     * @returns {number} Demand factor (1 at the reference price)
+     */
+    static demandFactor(price, referencePrice, { demandModel, elasticity }) {
+        if (!(price > 0) || !(referencePrice > 0)) return 0;
+
+        const ratio = price / referencePrice;
+        if (demandModel === 'elastic') {
+            return Math.pow(ratio, -elasticity);
+        }
+        return Math.max(0, 1 - elasticity * (ratio - 1));
+    }
+
+    /**
+     * Get the products that take part in the market: those of the active companies in the class
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Array} Products with the company name
+     */
+    static async getProducts(classId, { connection } = {}) {
+        const products = await Mysql.query(`
+            SELECT p.*, c.name AS company_name FROM products p
+            JOIN companies c ON p.company_id = c.id
+            WHERE c.class_id = ? AND c.status = 'active'
+            ORDER BY p.category, c.name, p.name
+        `, [classId], connection);
+
+        return products.map(product => ({
+            ...product,
+            category: product.category || null,
+            price: parseFloat(product.price) || 0,
+            stock: parseInt(product.stock) || 0
+        }));
+    }
+
+    /**
+     * Group the products by market category, case-insensitively
+     * @param {Array} products - Products from getProducts
+     * @returns {Array} Categories with their name and products, in the order they first appear
+     */
+    static groupByCategory(products) {
+        const categories = new Map();
+        for (const product of products) {
+            const key = product.category ? product.category.toLowerCase() : null;
+            if (!categories.has(key)) {
+                categories.set(key, { category: product.category, products: [] });
+            }
+            categories.get(key).products.push(product);
+        }
+        return [...categories.values()];
+    }
+
+    /**
+     * Project the demand of every product for the next round, without noise
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Settings, the market of each category, per-product projection and totals
+     */
+    static async preview(classId, { connection } = {}) {
+        const settings = await Market.getSettings(classId, { connection });
+        const groups = Market.groupByCategory(await Market.getProducts(classId, { connection }));
+
+        // The market size is split between the categories, then between the competing products of each one
+        const categorySize = groups.length > 0 ? settings.marketSize / groups.length : 0;
+
+        const categories = [];
+        const projections = [];
+        for (const { category, products } of groups) {
+            const averagePrice = products.reduce((sum, product) => sum + product.price, 0) / products.length;
+            const referencePrice = settings.referencePrice || averagePrice;
+            const baseDemand = categorySize / products.length;
+
+            categories.push({
+                category,
+                marketSize: parseFloat(categorySize.toFixed(2)),
+                referencePrice: parseFloat(referencePrice.toFixed(2)),
+                productCount: products.length
+            });
+
+            for (const product of products) {
+                const expectedDemand = baseDemand * Market.demandFactor(product.price, referencePrice, settings);
+                const expectedSales = Math.min(Math.round(expectedDemand), product.stock);
+
+                projections.push({
+                    productId: product.id,
+                    name: product.name,
+                    category,
+                    companyId: product.company_id,
+                    companyName: product.company_name,
+                    price: product.price,
+                    referencePrice: parseFloat(referencePrice.toFixed(2)),
+                    stock: product.stock,
+                    expectedDemand: parseFloat(expectedDemand.toFixed(2)),
+                    minDemand: Math.max(0, Math.round(expectedDemand * (1 - settings.noise))),
+                    maxDemand: Math.round(expectedDemand * (1 + settings.noise)),
+                    expectedSales,
+                    expectedRevenue: parseFloat((expectedSales * product.price).toFixed(2))
+                });
+            }
+        }
+
+        return {
+            settings,
+            categories,
+            products: projections,
+            totals: {
+                expectedDemand: parseFloat(projections.reduce((sum, p) => sum + p.expectedDemand, 0).toFixed(2)),
+                expectedSales: projections.reduce((sum, p) => sum + p.expectedSales, 0),
+                expectedRevenue: parseFloat(projections.reduce((sum, p) => sum + p.expectedRevenue, 0).toFixed(2))
+            }
+        };
+    }
+
+    /**
+     * Run a market round: draw the demand of every product and sell what the stock allows
+     * Demand beyond the stock is reported as lost sales, and the recurring expenses charged per round are applied after the sales
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Round record, the result of every product and the recurring expenses charged
+     */
+    static async runRound(classId, { connection } = {}) {
+        return Mysql.transaction(async connection => {
+            // Lock the class row so two rounds cannot be run at once and take the same number
+            await Mysql.find('classes', {
+                filter: { id: classId },
+                opt: { limit: 1, connection, lock: true }
+            });
+
+            const projection = await Market.preview(classId, { connection });
+
+            if (!projection.settings.enabled) {
+                throw new CustomError(400, 'Market simulation is disabled for this class');
+            }
+
+            if (projection.products.length === 0) {
+                throw new CustomError(400, 'There are no products of active companies in this class');
+            }
+
+            const [{ rounds }] = await Mysql.query(
+                'SELECT COUNT(*) AS rounds FROM market_rounds WHERE class_id = ?',
+                [classId],
+                connection
+            );
+
+            const round = {
+                id: randomUUID(),
+                class_id: classId,
+                number: parseInt(rounds) + 1,
+                units_sold: 0,
+                revenue: 0,
+                lost_sales: 0,
+                created_at: new Date()
+            };
+            await Mysql.insert('market_rounds', round, { connection });
+
+            const { noise } = projection.settings;
+            const results = [];
+            for (const projected of projection.products) {
+                // Noise moves the demand up or down by up to `noise` of the expected demand
+                const variation = 1 + noise * (Math.random() * 2 - 1);
+                const demand = Math.max(0, Math.round(projected.expectedDemand * variation));
+
+                // The sale locks the product, so the stock is read again there
+                const product = await new Product({ id: projected.productId }).get({ connection, lock: true });
+                const unitsSold = Math.min(demand, parseInt(product.stock) || 0);
+
+                let revenue = 0;
+                if (unitsSold > 0) {
+                    const { sale } = await product.recordSale(unitsSold, null, { connection, roundId: round.id });
+                    revenue = sale.total_amount;
+                }
+
+                round.units_sold += unitsSold;
+                round.revenue += revenue;
+                round.lost_sales += demand - unitsSold;
+
+                results.push({
+                    productId: projected.productId,
+                    name: projected.name,
+                    category: projected.category,
+                    companyId: projected.companyId,
+                    companyName: projected.companyName,
+                    price: projected.price,
+                    expectedDemand: projected.expectedDemand,
+                    demand,
+                    unitsSold,
+                    lostSales: demand - unitsSold,
+                    revenue
+                });
+            }
+
+            round.revenue = parseFloat(round.revenue.toFixed(2));
+            await Mysql.update('market_rounds', {
+                units_sold: round.units_sold,
+                revenue: round.revenue,
+                lost_sales: round.lost_sales
+            }, round.id, { connection });
+
+            const recurringExpenses = await RecurringExpense.applyForClass(classId, { frequency: 'round', connection });
+
+            return {
+                round: Market.formatRound(round),
+                categories: projection.categories,
+                results,
+                recurringExpenses
+            };
+        }, connection);
+    }
+
+    /**
+     * Get the rounds already run in a class
+     * @param {string} classId - Class ID
+     * @returns {Array} Rounds, newest first
+     */
+    static async getRounds(classId) {
+        const rounds = await Mysql.find('market_rounds', {
+            filter: { class_id: classId },
+            opt: { order: { number: -1 } }
+        });
+
+        return rounds.map(round => Market.formatRound(round));
+    }
+
+    /**
+     * Format a market_rounds row for the API
+     * @param {Object} round - Round row
+     * @returns {Object} Round
+     */
+    static formatRound(round) {
+        return {
+            id: round.id,
+            classId: round.class_id,
+            number: parseInt(round.number),
+            unitsSold: parseInt(round.units_sold) || 0,
+            revenue: parseFloat(round.revenue) || 0,
+            lostSales: parseInt(round.lost_sales) || 0,
+            createdAt: round.created_at
+        };
+    }
+}
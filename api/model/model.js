@@ -18,10 +18,10 @@ export default class Model {
         return Mysql.find(table, { filter, opt: options });
     }
 
-    async get() {
+    async get({ connection, lock = false } = {}) {
         const result = await Mysql.find(this.table, { 
             filter: { id: this.id },
-            opt: { limit: 1 }
+            opt: { limit: 1, connection, lock }
         });
         
         if (!result || result.length === 0) {
@@ -57,7 +57,7 @@ export default class Model {
         return this;
     }
 
-    async insert() {
+    async insert({ connection } = {}) {
         // Prepare data for insertion
         const insertData = {};
         this.insertFields.forEach(field => {
@@ -71,7 +71,7 @@ export default class Model {
             insertData.created_at = new Date();
         }
 
-        const result = await Mysql.insert(this.table, insertData);
+        const result = await Mysql.insert(this.table, insertData, { connection });
         
         // Set the ID from the insert result
         if (result && result.insertId) {
@@ -81,7 +81,7 @@ export default class Model {
         return result;
     }
 
-    async update(data = {}) {
+    async update(data = {}, { connection } = {}) {
         if (!this.id) {
             throw new CustomError(400, 'ID is required for update');
         }
@@ -99,15 +99,15 @@ export default class Model {
             throw new CustomError(400, 'No valid fields to update');
         }
 
-        return Mysql.update(this.table, updateData, this.id);
+        return Mysql.update(this.table, updateData, this.id, { connection });
     }
 
-    async delete() {
+    async delete({ connection } = {}) {
         if (!this.id) {
             throw new CustomError(400, 'ID is required for delete');
         }
         
-        return Mysql.delete(this.table, this.id);
+        return Mysql.delete(this.table, this.id, { connection });
     }
 
     // Helper method to convert to JSON representation
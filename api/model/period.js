@@ -0,0 +1,259 @@
+import Model from './model.js';
+import RecurringExpense from './recurring-expense.js';
+import Loan from './loan.js';
+import Tax from './tax.js';
+import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
+import { randomUUID } from 'crypto';
+
+/**
+ * Period
+ * A round of the activity in a class (a week, a lesson...). At most one period per class is open;
+ * expenses, revenues, sales and ledger entries recorded while it is open are tagged with its id.
+ * Closing a period snapshots the balance of every student and the budget of every company of the class.
+ */
+export default class Period extends Model {
+    static STATUSES = ['open', 'closed'];
+
+    constructor({
+        id,
+        class_id,
+        number,
+        name,
+        status,
+        opened_at,
+        closed_at
+    }) {
+        super('periods', {
+            fields: {
+                id,
+                class_id,
+                number: parseInt(number) || 0,
+                name,
+                status: status || 'open',
+                opened_at,
+                closed_at
+            },
+            allowUpdate: ['name', 'status', 'closed_at'],
+            insertFields: ['id', 'class_id', 'number', 'name', 'status', 'opened_at'],
+        });
+    }
+
+    /**
+     * Get the periods of a class
+     * @param {string} classId - Class ID
+     * @returns {Array} Periods, oldest first
+     */
+    static async getByClass(classId) {
+        const periods = await Mysql.find('periods', {
+            filter: { class_id: classId },
+            opt: { order: { number: 1 } }
+        });
+
+        return periods.map(period => new Period(period));
+    }
+
+    /**
+     * Get the open period of a class
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Period|null} Open period, or null when the class has none
+     */
+    static async getCurrent(classId, { connection } = {}) {
+        const [period] = await Mysql.find('periods', {
+            filter: { class_id: classId, status: 'open' },
+            opt: { limit: 1, connection }
+        });
+
+        return period ? new Period(period) : null;
+    }
+
+    /**
+     * Get the id of the open period of a class, used to tag the records created while it is open
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {string|null} Period ID, or null when the class has no open period
+     */
+    static async getCurrentId(classId, { connection } = {}) {
+        if (!classId) return null;
+
+        const period = await Period.getCurrent(classId, { connection });
+        return period ? period.id : null;
+    }
+
+    /**
+     * Open a new period in a class
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {string} options.name - Period name (defaults to "Period N")
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Period} Opened period
+     */
+    static async open(classId, { name, connection } = {}) {
+        return Mysql.transaction(async connection => {
+            // Lock the class row so two periods cannot be opened at once
+            await Mysql.find('classes', {
+                filter: { id: classId },
+                opt: { limit: 1, connection, lock: true }
+            });
+
+            const current = await Period.getCurrent(classId, { connection });
+            if (current) {
+                throw new CustomError(409, `Period ${current.number} is still open`, { period: current.toJSON() });
+            }
+
+            const [{ periods }] = await Mysql.query(
+                'SELECT COUNT(*) AS periods FROM periods WHERE class_id = ?',
+                [classId],
+                connection
+            );
+            const number = parseInt(periods) + 1;
+
+            const period = new Period({
+                id: randomUUID(),
+                class_id: classId,
+                number,
+                name: name || `Period ${number}`,
+                status: 'open',
+                opened_at: new Date()
+            });
+            await period.insert({ connection });
+
+            return period;
+        }, connection);
+    }
+
+    /**
+     * Close this period, snapshotting every student balance and company budget of the class
+     * The loan installments due, the recurring expenses charged per period and the profit tax are applied first,
+     * so they belong to the closing period
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Closed period, its snapshots, the loan installments, the recurring expenses and the taxes charged
+     */
+    async close({ connection } = {}) {
+        let loans;
+        let recurringExpenses;
+        let taxes;
+        await Mysql.transaction(async connection => {
+            await this.get({ connection, lock: true });
+
+            if (this.status === 'closed') {
+                throw new CustomError(400, 'Period is already closed');
+            }
+
+            loans = await Loan.chargeForClass(this.class_id, { connection });
+            recurringExpenses = await RecurringExpense.applyForClass(this.class_id, { frequency: 'period', connection });
+            taxes = await Tax.applyForClass(this.class_id, { connection });
+
+            const students = await Mysql.find('students', {
+                filter: { class_id: this.class_id },
+                opt: { connection }
+            });
+            const companies = await Mysql.find('companies', {
+                filter: { class_id: this.class_id },
+                opt: { connection }
+            });
+
+            const createdAt = new Date();
+            const snapshots = [
+                ...students.map(student => ({
+                    account_type: 'student',
+                    account_id: student.id,
+                    name: student.name,
+                    balance: parseFloat(student.current_balance) || 0
+                })),
+                ...companies.map(company => ({
+                    account_type: 'company',
+                    account_id: company.id,
+                    name: company.name,
+                    balance: parseFloat(company.current_budget) || 0
+                }))
+            ].map(snapshot => ({
+                id: randomUUID(),
+                period_id: this.id,
+                ...snapshot,
+                created_at: createdAt
+            }));
+
+            if (snapshots.length > 0) {
+                await Mysql.insert('period_snapshots', snapshots, { connection });
+            }
+
+            await this.update({ status: 'closed', closed_at: createdAt }, { connection });
+        }, connection);
+
+        return {
+            period: this,
+            snapshots: await this.getSnapshots({ connection }),
+            loans,
+            recurringExpenses,
+            taxes
+        };
+    }
+
+    /**
+     * Get the balances snapshotted when this period was closed
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Array} Snapshots (students first, then companies)
+     */
+    async getSnapshots({ connection } = {}) {
+        const snapshots = await Mysql.find('period_snapshots', {
+            filter: { period_id: this.id },
+            opt: { order: { account_type: -1 }, connection }
+        });
+
+        return snapshots.map(snapshot => ({
+            accountType: snapshot.account_type,
+            accountId: snapshot.account_id,
+            name: snapshot.name,
+            balance: parseFloat(snapshot.balance) || 0
+        }));
+    }
+
+    /**
+     * Get the activity recorded while this period was open
+     * @returns {Object} Totals of expenses, revenues and sales of the period
+     */
+    async getSummary() {
+        const [expenses] = await Mysql.query(
+            'SELECT COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total FROM company_expenses WHERE period_id = ?',
+            [this.id]
+        );
+        const [revenues] = await Mysql.query(
+            'SELECT COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total FROM company_revenues WHERE period_id = ?',
+            [this.id]
+        );
+        const [sales] = await Mysql.query(`
+            SELECT COUNT(*) AS count,
+                COALESCE(SUM(quantity - refunded_quantity), 0) AS units,
+                COALESCE(SUM(total_amount - refunded_amount), 0) AS total
+            FROM product_sales WHERE period_id = ?
+        `, [this.id]);
+
+        return {
+            expenseCount: parseInt(expenses.count) || 0,
+            totalExpenses: parseFloat(expenses.total) || 0,
+            revenueCount: parseInt(revenues.count) || 0,
+            totalRevenues: parseFloat(revenues.total) || 0,
+            salesCount: parseInt(sales.count) || 0,
+            unitsSold: parseInt(sales.units) || 0,
+            salesRevenue: parseFloat(sales.total) || 0
+        };
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            classId: this.class_id,
+            number: parseInt(this.number),
+            name: this.name,
+            status: this.status,
+            openedAt: this.opened_at,
+            closedAt: this.closed_at || null
+        };
+    }
+}
@@ -1,7 +1,10 @@
 import Model from './model.js';
 import Company from './company.js';
+import Period from './period.js';
+import Tax from './tax.js';
 import CustomError from '../helpers/error.js';
 import Mysql from '../helpers/mysql.js';
+import Events from '../helpers/events.js';
 import { randomUUID } from 'crypto';
 
 export default class Product extends Model {
@@ -9,9 +12,14 @@ export default class Product extends Model {
         id,
         name,
         price,
+        unit_cost,
+        category,
         company_id,
         sales_count,
         total_revenue,
+        total_cost,
+        stock,
+        stock_value,
         launched_at,
         created_at
     }) {
@@ -20,24 +28,49 @@ export default class Product extends Model {
                 id,
                 name,
                 price: parseFloat(price) || 0,
+                unit_cost: parseFloat(unit_cost) || 0,
+                category,
                 company_id,
                 sales_count: parseInt(sales_count) || 0,
                 total_revenue: parseFloat(total_revenue) || 0,
+                total_cost: parseFloat(total_cost) || 0,
+                stock: parseInt(stock) || 0,
+                stock_value: parseFloat(stock_value) || 0,
                 launched_at,
                 created_at
             },
-            allowUpdate: ['name', 'price', 'sales_count', 'total_revenue'],
-            insertFields: ['name', 'price', 'company_id', 'sales_count', 'total_revenue', 'launched_at'],
+            allowUpdate: ['name', 'price', 'unit_cost', 'category', 'sales_count', 'total_revenue', 'total_cost', 'stock', 'stock_value'],
+            insertFields: ['name', 'price', 'unit_cost', 'category', 'company_id', 'sales_count', 'total_revenue', 'total_cost', 'stock', 'stock_value', 'launched_at'],
         });
     }
 
+    /**
+     * Clean the market category of a product: trimmed, and null when empty
+     * Products of the same category compete with each other in the market simulation
+     * @param {string} category - Category typed by the teacher
+     * @returns {string|null} Category to store
+     */
+    static normalizeCategory(category) {
+        if (category === undefined || category === null) return null;
+
+        const cleaned = String(category).trim().replace(/\s+/g, ' ');
+        if (cleaned.length > 50) {
+            throw new CustomError(400, 'Product category cannot be longer than 50 characters');
+        }
+        return cleaned || null;
+    }
+
     static async getAll(filter = {}) {
         const products = await Model.getAll('products', filter);
         return products.map(product => ({
             ...product,
             price: parseFloat(product.price) || 0,
+            unit_cost: parseFloat(product.unit_cost) || 0,
             sales_count: parseInt(product.sales_count) || 0,
-            total_revenue: parseFloat(product.total_revenue) || 0
+            total_revenue: parseFloat(product.total_revenue) || 0,
+            total_cost: parseFloat(product.total_cost) || 0,
+            stock: parseInt(product.stock) || 0,
+            stock_value: parseFloat(product.stock_value) || 0
         }));
     }
 
@@ -46,8 +79,12 @@ export default class Product extends Model {
         return products.map(product => ({
             ...product,
             price: parseFloat(product.price) || 0,
+            unit_cost: parseFloat(product.unit_cost) || 0,
             sales_count: parseInt(product.sales_count) || 0,
-            total_revenue: parseFloat(product.total_revenue) || 0
+            total_revenue: parseFloat(product.total_revenue) || 0,
+            total_cost: parseFloat(product.total_cost) || 0,
+            stock: parseInt(product.stock) || 0,
+            stock_value: parseFloat(product.stock_value) || 0
         }));
     }
 
@@ -63,8 +100,12 @@ export default class Product extends Model {
         return products.map(product => ({
             ...product,
             price: parseFloat(product.price) || 0,
+            unit_cost: parseFloat(product.unit_cost) || 0,
             sales_count: parseInt(product.sales_count) || 0,
-            total_revenue: parseFloat(product.total_revenue) || 0
+            total_revenue: parseFloat(product.total_revenue) || 0,
+            total_cost: parseFloat(product.total_cost) || 0,
+            stock: parseInt(product.stock) || 0,
+            stock_value: parseFloat(product.stock_value) || 0
         }));
     }
 
@@ -103,12 +144,16 @@ export default class Product extends Model {
         return products.map(product => ({
             ...product,
             price: parseFloat(product.price) || 0,
+            unit_cost: parseFloat(product.unit_cost) || 0,
             sales_count: parseInt(product.sales_count) || 0,
-            total_revenue: parseFloat(product.total_revenue) || 0
+            total_revenue: parseFloat(product.total_revenue) || 0,
+            total_cost: parseFloat(product.total_cost) || 0,
+            stock: parseInt(product.stock) || 0,
+            stock_value: parseFloat(product.stock_value) || 0
         }));
     }
 
-    async insert() {
+    async insert({ connection } = {}) {
         // Generate UUID if not provided
         if (!this.id) {
             this.id = randomUUID();
@@ -123,7 +168,7 @@ export default class Product extends Model {
         const originalInsertFields = [...this.insertFields];
         this.insertFields.push('id');
         
-        const result = await super.insert();
+        const result = await super.insert({ connection });
         
         // Restore original insert fields
         this.insertFields = originalInsertFields;
@@ -133,78 +178,395 @@ export default class Product extends Model {
 
     /**
      * Get the company that owns this product
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
      * @returns {Object} Company object
      */
-    async getCompany() {
+    async getCompany({ connection } = {}) {
         const company = new Company({ id: this.company_id });
-        await company.get();
+        await company.get({ connection });
         return company;
     }
 
+    /**
+     * Produce a batch of this product
+     * The company pays the unit cost of every unit and the units enter the stock
+     * @param {number} quantity - Units to produce
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Batch record
+     */
+    async produce(quantity, { connection } = {}) {
+        const batchQuantity = parseInt(quantity);
+
+        if (!(batchQuantity > 0)) {
+            throw new CustomError(400, 'Batch quantity must be positive');
+        }
+
+        const batchData = {
+            id: randomUUID(),
+            product_id: this.id,
+            quantity: batchQuantity,
+            created_at: new Date()
+        };
+
+        await Mysql.transaction(async connection => {
+            // Lock the product row and refresh the instance with the latest stock and cost
+            await this.get({ connection, lock: true });
+
+            const unitCost = parseFloat(this.unit_cost) || 0;
+            const batchCost = parseFloat((batchQuantity * unitCost).toFixed(2));
+            batchData.unit_cost = unitCost;
+            batchData.total_cost = batchCost;
+
+            // Pay for the batch first, so production fails when the budget is insufficient
+            const company = await this.getCompany({ connection });
+            if (batchCost > 0) {
+                await company.addExpense(`Production: ${this.name} (${batchQuantity} units)`, batchCost, {
+                    connection,
+                    ledger: { type: 'production_cost' }
+                });
+            } else {
+                company.assertActive();
+            }
+
+            await Mysql.insert('product_batches', batchData, { connection });
+
+            await this.update({
+                stock: { inc: batchQuantity },
+                stock_value: { inc: batchCost }
+            }, { connection });
+
+            this.stock = parseInt(this.stock) + batchQuantity;
+            this.stock_value = parseFloat(this.stock_value) + batchCost;
+        }, connection);
+
+        return {
+            batch: {
+                ...batchData,
+                unit_cost: parseFloat(batchData.unit_cost),
+                total_cost: parseFloat(batchData.total_cost)
+            },
+            product: this.toJSON()
+        };
+    }
+
+    /**
+     * Get the production batches of this product
+     * @returns {Array} Array of batches, newest first
+     */
+    async getBatches() {
+        const batches = await Mysql.find('product_batches', {
+            filter: { product_id: this.id },
+            opt: { order: { created_at: -1 } }
+        });
+
+        return batches.map(batch => ({
+            ...batch,
+            quantity: parseInt(batch.quantity) || 0,
+            unit_cost: parseFloat(batch.unit_cost) || 0,
+            total_cost: parseFloat(batch.total_cost) || 0
+        }));
+    }
+
     /**
      * Record a sale for this product
+     * Units are taken from the stock; their production cost (average cost of the stock)
+     * was already paid when the batch was produced and is kept on the sale for the gross margin
      * @param {number} quantity - Quantity sold
      * @param {number} unitPrice - Price per unit (optional, uses product price if not provided)
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {string} options.roundId - Market round that generated the sale (optional)
      * @returns {Object} Sale record
      */
-    async recordSale(quantity, unitPrice = null) {
+    async recordSale(quantity, unitPrice = null, { connection, roundId = null } = {}) {
         const saleQuantity = parseInt(quantity);
-        const salePrice = unitPrice !== null ? parseFloat(unitPrice) : parseFloat(this.price);
         
-        if (saleQuantity <= 0) {
+        if (!(saleQuantity > 0)) {
             throw new CustomError(400, 'Sale quantity must be positive');
         }
         
-        if (salePrice <= 0) {
+        if (unitPrice !== null && !(parseFloat(unitPrice) > 0)) {
             throw new CustomError(400, 'Sale price must be positive');
         }
         
-        const saleAmount = saleQuantity * salePrice;
-        
-        // Create sale record
+        // Create sale record (price and amount are set once the product is locked)
         const saleData = {
             id: randomUUID(),
             product_id: this.id,
             quantity: saleQuantity,
-            unit_price: salePrice,
-            total_amount: saleAmount,
+            status: 'completed',
+            round_id: roundId,
             sale_date: new Date(),
             created_at: new Date()
         };
         
-        await Mysql.insert('product_sales', saleData);
-        
-        // Update product totals
-        const newSalesCount = parseInt(this.sales_count) + saleQuantity;
-        const newTotalRevenue = parseFloat(this.total_revenue) + saleAmount;
-        
-        await this.update({
-            sales_count: newSalesCount,
-            total_revenue: newTotalRevenue
-        });
-        
-        // Update instance properties to reflect the changes
-        this.sales_count = parseInt(newSalesCount);
-        this.total_revenue = parseFloat(newTotalRevenue);
-        
-        // Add revenue to company
-        const company = await this.getCompany();
-        await company.addRevenue(`Product sales: ${this.name} (${saleQuantity} units)`, saleAmount);
+        let saleAmount;
+        await Mysql.transaction(async connection => {
+            // Lock the product row and refresh the instance with the latest totals
+            await this.get({ connection, lock: true });
+
+            // The list price is read after the lock, so a price changed meanwhile is the one charged
+            const salePrice = unitPrice !== null ? parseFloat(unitPrice) : parseFloat(this.price);
+            if (!(salePrice > 0)) {
+                throw new CustomError(400, 'Sale price must be positive');
+            }
+            saleAmount = saleQuantity * salePrice;
+            saleData.unit_price = salePrice;
+            saleData.total_amount = saleAmount;
+
+            const stock = parseInt(this.stock) || 0;
+            if (stock < saleQuantity) {
+                throw new CustomError(400, `Insufficient stock: only ${stock} units of ${this.name} available`);
+            }
+
+            // Units leave the stock at its average cost; the last units take whatever value is left
+            const stockValue = parseFloat(this.stock_value) || 0;
+            const costAmount = saleQuantity === stock
+                ? parseFloat(stockValue.toFixed(2))
+                : parseFloat((stockValue / stock * saleQuantity).toFixed(2));
+            saleData.unit_cost = parseFloat((costAmount / saleQuantity).toFixed(2));
+            saleData.total_cost = costAmount;
+
+            const newSalesCount = parseInt(this.sales_count) + saleQuantity;
+            const newTotalRevenue = parseFloat(this.total_revenue) + saleAmount;
+            const newTotalCost = parseFloat(this.total_cost) + costAmount;
+
+            const company = await this.getCompany({ connection });
+            saleData.period_id = await Period.getCurrentId(company.class_id, { connection });
+
+            await Mysql.insert('product_sales', saleData, { connection });
+            
+            // Update product totals and take the units out of the stock
+            await this.update({
+                sales_count: { inc: saleQuantity },
+                total_revenue: { inc: saleAmount },
+                total_cost: { inc: costAmount },
+                stock: { dec: saleQuantity },
+                stock_value: { dec: costAmount }
+            }, { connection });
+            
+            // Update instance properties to reflect the changes
+            this.sales_count = parseInt(newSalesCount);
+            this.total_revenue = parseFloat(newTotalRevenue);
+            this.total_cost = parseFloat(newTotalCost);
+            this.stock = stock - saleQuantity;
+            this.stock_value = parseFloat((stockValue - costAmount).toFixed(2));
+            
+            // Add revenue to company
+            const revenue = await company.addRevenue(`Product sales: ${this.name} (${saleQuantity} units)`, saleAmount, {
+                connection,
+                ledger: { type: 'sale' }
+            });
+
+            // The revenue tax is kept on the sale, so a refund can give back its share
+            saleData.tax_amount = revenue.tax ? revenue.tax.amount : 0;
+            if (saleData.tax_amount > 0) {
+                await Mysql.update('product_sales', { tax_amount: saleData.tax_amount }, saleData.id, { connection });
+            }
+
+            this.publishSale(company.class_id, { saleId: saleData.id, quantity: saleQuantity, amount: saleAmount }, { connection });
+        }, connection);
         
         return {
             sale: {
                 ...saleData,
                 quantity: parseInt(saleData.quantity),
                 unit_price: parseFloat(saleData.unit_price),
-                total_amount: parseFloat(saleData.total_amount)
+                total_amount: parseFloat(saleData.total_amount),
+                unit_cost: parseFloat(saleData.unit_cost),
+                total_cost: parseFloat(saleData.total_cost),
+                refunded_quantity: 0,
+                refunded_amount: 0,
+                refunded_cost: 0,
+                refunded_tax: 0
             },
             product: this.toJSON(),
             companyRevenue: parseFloat(saleAmount)
         };
     }
 
+    /**
+     * Push the updated totals of this product to the browsers watching the class
+     * @param {string} classId - Class of the product's company
+     * @param {Object} sale - Sale that changed the totals (saleId, quantity and amount; negative for refunds)
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection, so the event waits for the commit
+     */
+    publishSale(classId, sale, { connection } = {}) {
+        Events.publish(classId, 'sale', {
+            companyId: this.company_id,
+            productId: this.id,
+            ...sale,
+            product: {
+                id: this.id,
+                salesCount: this.sales_count,
+                totalRevenue: this.total_revenue,
+                totalCost: this.total_cost,
+                stock: this.stock
+            }
+        }, { connection });
+    }
+
+    /**
+     * Refund a sale of this product, fully or partially
+     * The refunded units go back to the stock at the cost they left it, the product totals are reduced
+     * and the amount is paid back from the company budget as a refund expense
+     * @param {string} saleId - ID of the sale
+     * @param {number|null} quantity - Units to refund (defaults to every unit not refunded yet)
+     * @param {Object} options - Options
+     * @param {string} options.reason - Why the sale is refunded (optional)
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Refund record, updated sale and product
+     */
+    async refundSale(saleId, quantity = null, { reason = null, connection } = {}) {
+        let refundData;
+        let sale;
+
+        await Mysql.transaction(async connection => {
+            // Lock the product first, as recordSale does, then the sale
+            await this.get({ connection, lock: true });
+
+            const [saleRow] = await Mysql.find('product_sales', {
+                filter: { id: saleId, product_id: this.id },
+                opt: { limit: 1, connection, lock: true }
+            });
+            if (!saleRow) {
+                throw new CustomError(404, 'Sale not found');
+            }
+
+            sale = Product.parseSale(saleRow);
+            const remaining = sale.quantity - sale.refunded_quantity;
+            if (remaining <= 0) {
+                throw new CustomError(400, 'Sale has already been refunded');
+            }
+
+            const refundQuantity = quantity === null ? remaining : parseInt(quantity);
+            if (!(refundQuantity > 0)) {
+                throw new CustomError(400, 'Refund quantity must be positive');
+            }
+            if (refundQuantity > remaining) {
+                throw new CustomError(400, `Only ${remaining} units of this sale can still be refunded`);
+            }
+
+            // Refunding the last units takes whatever is left, so rounding never leaves cents behind
+            const isFull = refundQuantity === remaining;
+            const amount = isFull
+                ? parseFloat((sale.total_amount - sale.refunded_amount).toFixed(2))
+                : parseFloat((sale.unit_price * refundQuantity).toFixed(2));
+            const cost = isFull
+                ? parseFloat((sale.total_cost - sale.refunded_cost).toFixed(2))
+                : parseFloat((sale.unit_cost * refundQuantity).toFixed(2));
+            // The revenue tax of the sale is given back in proportion to the refunded amount
+            const tax = isFull
+                ? parseFloat((sale.tax_amount - sale.refunded_tax).toFixed(2))
+                : parseFloat((sale.total_amount > 0 ? sale.tax_amount * amount / sale.total_amount : 0).toFixed(2));
+
+            // The refund belongs to the period it is made in, which may not be the period of the sale
+            const company = await this.getCompany({ connection });
+            refundData = {
+                id: randomUUID(),
+                sale_id: sale.id,
+                product_id: this.id,
+                quantity: refundQuantity,
+                amount,
+                cost,
+                tax,
+                reason,
+                period_id: await Period.getCurrentId(company.class_id, { connection }),
+                created_at: new Date()
+            };
+            await Mysql.insert('product_sale_refunds', refundData, { connection });
+
+            const status = isFull ? 'refunded' : 'partially_refunded';
+            await Mysql.update('product_sales', {
+                refunded_quantity: { inc: refundQuantity },
+                refunded_amount: { inc: amount },
+                refunded_cost: { inc: cost },
+                refunded_tax: { inc: tax },
+                status
+            }, sale.id, { connection });
+
+            sale.refunded_quantity += refundQuantity;
+            sale.refunded_amount = parseFloat((sale.refunded_amount + amount).toFixed(2));
+            sale.refunded_cost = parseFloat((sale.refunded_cost + cost).toFixed(2));
+            sale.refunded_tax = parseFloat((sale.refunded_tax + tax).toFixed(2));
+            sale.status = status;
+
+            // Reverse the product totals and put the units back in the stock
+            await this.update({
+                sales_count: { dec: refundQuantity },
+                total_revenue: { dec: amount },
+                total_cost: { dec: cost },
+                stock: { inc: refundQuantity },
+                stock_value: { inc: cost }
+            }, { connection });
+
+            this.sales_count = parseInt(this.sales_count) - refundQuantity;
+            this.total_revenue = parseFloat((parseFloat(this.total_revenue) - amount).toFixed(2));
+            this.total_cost = parseFloat((parseFloat(this.total_cost) - cost).toFixed(2));
+            this.stock = parseInt(this.stock) + refundQuantity;
+            this.stock_value = parseFloat((parseFloat(this.stock_value) + cost).toFixed(2));
+
+            // The money goes back to the market, offsetting the sale revenue in the company history,
+            // and the treasury gives back the revenue tax paid on it
+            if (tax > 0) {
+                await Tax.reverse(company, {
+                    type: 'revenue',
+                    baseAmount: amount,
+                    rate: sale.total_amount > 0 ? parseFloat((sale.tax_amount / sale.total_amount * 100).toFixed(2)) : 0,
+                    amount: tax,
+                    description: `Revenue tax reversal: ${this.name} (${refundQuantity} units)`
+                }, { connection });
+            }
+            if (amount > 0) {
+                await company.addExpense(`Refund: ${this.name} (${refundQuantity} units)`, amount, {
+                    connection,
+                    ledger: { type: 'refund' }
+                });
+            }
+
+            this.publishSale(company.class_id, { saleId: sale.id, quantity: -refundQuantity, amount: -amount }, { connection });
+        }, connection);
+
+        return {
+            refund: {
+                ...refundData,
+                quantity: parseInt(refundData.quantity),
+                amount: parseFloat(refundData.amount),
+                cost: parseFloat(refundData.cost),
+                tax: parseFloat(refundData.tax)
+            },
+            sale,
+            product: this.toJSON()
+        };
+    }
+
+    /**
+     * Parse the numeric columns of a sale row
+     * @param {Object} sale - Raw product_sales row
+     * @returns {Object} Sale with numbers
+     */
+    static parseSale(sale) {
+        return {
+            ...sale,
+            quantity: parseInt(sale.quantity) || 0,
+            unit_price: parseFloat(sale.unit_price) || 0,
+            total_amount: parseFloat(sale.total_amount) || 0,
+            unit_cost: parseFloat(sale.unit_cost) || 0,
+            total_cost: parseFloat(sale.total_cost) || 0,
+            refunded_quantity: parseInt(sale.refunded_quantity) || 0,
+            refunded_amount: parseFloat(sale.refunded_amount) || 0,
+            refunded_cost: parseFloat(sale.refunded_cost) || 0,
+            tax_amount: parseFloat(sale.tax_amount) || 0,
+            refunded_tax: parseFloat(sale.refunded_tax) || 0
+        };
+    }
+
     /**
      * Get all sales for this product
+     * Each sale carries its refunds, newest first
      * @returns {Array} Array of sales
      */
     async getSales() {
@@ -212,12 +574,23 @@ export default class Product extends Model {
             filter: { product_id: this.id },
             opt: { order: { sale_date: -1 } }
         });
+
+        const refunds = await Mysql.find('product_sale_refunds', {
+            filter: { product_id: this.id },
+            opt: { order: { created_at: -1 } }
+        });
         
         return sales.map(sale => ({
-            ...sale,
-            quantity: parseInt(sale.quantity) || 0,
-            unit_price: parseFloat(sale.unit_price) || 0,
-            total_amount: parseFloat(sale.total_amount) || 0
+            ...Product.parseSale(sale),
+            refunds: refunds
+                .filter(refund => refund.sale_id === sale.id)
+                .map(refund => ({
+                    ...refund,
+                    quantity: parseInt(refund.quantity) || 0,
+                    amount: parseFloat(refund.amount) || 0,
+                    cost: parseFloat(refund.cost) || 0,
+                    tax: parseFloat(refund.tax) || 0
+                }))
         }));
     }
 
@@ -232,6 +605,9 @@ export default class Product extends Model {
             return {
                 totalSales: 0,
                 totalRevenue: 0,
+                totalCost: 0,
+                grossProfit: 0,
+                grossMargin: 0,
                 averageOrderValue: 0,
                 salesCount: 0,
                 firstSale: null,
@@ -239,8 +615,11 @@ export default class Product extends Model {
             };
         }
         
-        const totalSales = sales.reduce((sum, sale) => sum + sale.quantity, 0);
-        const totalRevenue = sales.reduce((sum, sale) => sum + sale.total_amount, 0);
+        // Refunded units are taken out of every total
+        const totalSales = sales.reduce((sum, sale) => sum + sale.quantity - sale.refunded_quantity, 0);
+        const totalRevenue = sales.reduce((sum, sale) => sum + sale.total_amount - sale.refunded_amount, 0);
+        const totalCost = sales.reduce((sum, sale) => sum + sale.total_cost - sale.refunded_cost, 0);
+        const grossProfit = totalRevenue - totalCost;
         const averageOrderValue = totalRevenue / sales.length;
         
         // Sort by date for first/last
@@ -248,7 +627,10 @@ export default class Product extends Model {
         
         return {
             totalSales: parseInt(totalSales) || 0,
-            totalRevenue: parseFloat(totalRevenue) || 0,
+            totalRevenue: parseFloat(totalRevenue.toFixed(2)) || 0,
+            totalCost: parseFloat(totalCost.toFixed(2)) || 0,
+            grossProfit: parseFloat(grossProfit.toFixed(2)) || 0,
+            grossMargin: totalRevenue > 0 ? parseFloat((grossProfit / totalRevenue * 100).toFixed(2)) : 0,
             averageOrderValue: parseFloat(averageOrderValue) || 0,
             salesCount: sales.length,
             firstSale: sortedSales[0],
@@ -258,17 +640,36 @@ export default class Product extends Model {
 
     /**
      * Update product price
+     * Every change is recorded in product_price_history with the old and the new price
      * @param {number} newPrice - New price
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
      * @returns {Object} Updated product
      */
-    async updatePrice(newPrice) {
+    async updatePrice(newPrice, { connection } = {}) {
         const price = parseFloat(newPrice);
         
-        if (price <= 0) {
+        if (!(price > 0)) {
             throw new CustomError(400, 'Product price must be positive');
         }
         
-        await this.update({ price });
+        await Mysql.transaction(async connection => {
+            // Lock the row so the recorded old price is the one being replaced
+            await this.get({ connection, lock: true });
+
+            const oldPrice = parseFloat(this.price);
+            if (oldPrice === price) return;
+
+            await Mysql.insert('product_price_history', {
+                id: randomUUID(),
+                product_id: this.id,
+                old_price: oldPrice,
+                new_price: price,
+                created_at: new Date()
+            }, { connection });
+
+            await this.update({ price }, { connection });
+        }, connection);
         
         // Update instance property to reflect the change
         this.price = parseFloat(price);
@@ -276,15 +677,95 @@ export default class Product extends Model {
         return this;
     }
 
+    /**
+     * Get the price history of this product
+     * Besides the changes, the product life is split into price periods with the sales made in each one,
+     * so the effect of a price change on the sales volume can be compared
+     * @returns {Object} Price changes (oldest first) and price periods
+     */
+    async getPriceHistory() {
+        const changes = await Mysql.find('product_price_history', {
+            filter: { product_id: this.id },
+            opt: { order: { created_at: 1 } }
+        });
+
+        const history = changes.map(change => ({
+            id: change.id,
+            oldPrice: parseFloat(change.old_price) || 0,
+            newPrice: parseFloat(change.new_price) || 0,
+            changedAt: change.created_at
+        }));
+
+        // Each period starts at the launch or at a price change and ends at the next change
+        const periods = [{
+            price: history.length > 0 ? history[0].oldPrice : parseFloat(this.price),
+            from: this.launched_at,
+            to: null
+        }];
+        history.forEach(change => {
+            periods[periods.length - 1].to = change.changedAt;
+            periods.push({ price: change.newPrice, from: change.changedAt, to: null });
+        });
+
+        const sales = await this.getSales();
+        periods.forEach((period, index) => {
+            const periodSales = sales.filter(sale => {
+                const date = new Date(sale.sale_date);
+                // The first period takes every sale before the first change
+                return (index === 0 || date >= new Date(period.from)) && (!period.to || date < new Date(period.to));
+            });
+
+            period.salesCount = periodSales.length;
+            period.unitsSold = periodSales.reduce((sum, sale) => sum + sale.quantity - sale.refunded_quantity, 0);
+            period.revenue = parseFloat(periodSales.reduce((sum, sale) => sum + sale.total_amount - sale.refunded_amount, 0).toFixed(2));
+        });
+
+        return { history, periods };
+    }
+
+    /**
+     * Update product unit cost
+     * Only future batches are affected; units already in stock keep the cost they were produced at
+     * @param {number} newCost - New unit cost
+     * @returns {Object} Updated product
+     */
+    async updateCost(newCost) {
+        const unitCost = parseFloat(newCost);
+        
+        if (isNaN(unitCost) || unitCost < 0) {
+            throw new CustomError(400, 'Product unit cost cannot be negative');
+        }
+        
+        await this.update({ unit_cost: unitCost });
+        
+        // Update instance property to reflect the change
+        this.unit_cost = parseFloat(unitCost);
+        
+        return this;
+    }
+
     // Convert to frontend-compatible format
     toJSON() {
+        const price = parseFloat(this.price) || 0;
+        const unitCost = parseFloat(this.unit_cost) || 0;
+        const totalRevenue = parseFloat(this.total_revenue) || 0;
+        const totalCost = parseFloat(this.total_cost) || 0;
+
         return {
             id: this.id,
             name: this.name,
-            price: parseFloat(this.price) || 0,
+            price,
+            unitCost,
+            unitMargin: price > 0 ? parseFloat(((price - unitCost) / price * 100).toFixed(2)) : 0,
+            category: this.category || null,
             companyId: this.company_id,
             salesCount: parseInt(this.sales_count) || 0,
-            totalRevenue: parseFloat(this.total_revenue) || 0,
+            totalRevenue,
+            totalCost,
+            grossProfit: parseFloat((totalRevenue - totalCost).toFixed(2)),
+            grossMargin: totalRevenue > 0 ? parseFloat(((totalRevenue - totalCost) / totalRevenue * 100).toFixed(2)) : 0,
+            stock: parseInt(this.stock) || 0,
+            stockValue: parseFloat(this.stock_value) || 0,
             launchedAt: this.launched_at,
             createdAt: this.created_at
         };
@@ -0,0 +1,394 @@
+import Model from './model.js';
+import Company from './company.js';
+import Period from './period.js';
+import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
+import { randomUUID } from 'crypto';
+
+/**
+ * Recurring expense
+ * A fixed cost of a company (rent, salaries, subscriptions) charged as a regular expense every time it is applied.
+ * Round expenses are charged after each market round, period expenses when a period is closed, and manual
+ * expenses only by the "apply recurring expenses" action of the class (which charges every frequency).
+ *
+ * The budget policy decides what happens when the company cannot pay:
+ * block skips the charge, allow_negative charges it anyway and debt charges what the budget covers
+ * and keeps the rest outstanding, to be settled before the next charge.
+ */
+export default class RecurringExpense extends Model {
+    static FREQUENCIES = ['round', 'period', 'manual'];
+
+    static BUDGET_POLICIES = ['block', 'allow_negative', 'debt'];
+
+    constructor({
+        id,
+        company_id,
+        description,
+        amount,
+        category,
+        frequency,
+        budget_policy,
+        active,
+        last_applied_at,
+        created_at
+    }) {
+        super('recurring_expenses', {
+            fields: {
+                id,
+                company_id,
+                description,
+                amount: parseFloat(amount) || 0,
+                category: category || 'other',
+                frequency: frequency || 'manual',
+                budget_policy: budget_policy || 'block',
+                active: active === undefined ? true : !!active,
+                last_applied_at,
+                created_at
+            },
+            allowUpdate: ['description', 'amount', 'category', 'frequency', 'budget_policy', 'active', 'last_applied_at'],
+            insertFields: ['id', 'company_id', 'description', 'amount', 'category', 'frequency', 'budget_policy', 'active'],
+        });
+    }
+
+    /**
+     * Validate the editable fields of a recurring expense
+     * Only the given fields are checked, so it serves both creation and partial updates
+     * The category is only normalized here; it is checked against the categories of the class by the caller
+     * @param {Object} data - Fields (description, amount, category, frequency, budgetPolicy, active)
+     * @returns {Object} Fields in database format
+     */
+    static parse({ description, amount, category, frequency, budgetPolicy, active } = {}) {
+        const fields = {};
+
+        if (description !== undefined) {
+            if (!description || !String(description).trim()) {
+                throw new CustomError(400, 'Recurring expense description is required');
+            }
+            fields.description = String(description).trim();
+        }
+
+        if (amount !== undefined) {
+            if (isNaN(amount) || !(parseFloat(amount) > 0)) {
+                throw new CustomError(400, 'Recurring expense amount must be positive');
+            }
+            fields.amount = parseFloat(amount);
+        }
+
+        if (category !== undefined && category !== null && category !== '') {
+            fields.category = String(category).trim().toLowerCase();
+        }
+
+        if (frequency !== undefined) {
+            if (!RecurringExpense.FREQUENCIES.includes(frequency)) {
+                throw new CustomError(400, `Invalid frequency. Use: ${RecurringExpense.FREQUENCIES.join(', ')}`);
+            }
+            fields.frequency = frequency;
+        }
+
+        if (budgetPolicy !== undefined) {
+            if (!RecurringExpense.BUDGET_POLICIES.includes(budgetPolicy)) {
+                throw new CustomError(400, `Invalid budget policy. Use: ${RecurringExpense.BUDGET_POLICIES.join(', ')}`);
+            }
+            fields.budget_policy = budgetPolicy;
+        }
+
+        if (active !== undefined) {
+            fields.active = active === true || active === 'true' ? 1 : 0;
+        }
+
+        return fields;
+    }
+
+    /**
+     * Create a recurring expense for a company
+     * @param {string} companyId - Company ID
+     * @param {Object} data - Description, amount, category (default other), frequency (default manual), budgetPolicy (default block)
+     * @returns {RecurringExpense} Created recurring expense
+     */
+    static async create(companyId, data = {}) {
+        if (data.description === undefined || data.amount === undefined) {
+            throw new CustomError(400, 'Recurring expense description and amount are required');
+        }
+
+        const company = await new Company({ id: companyId }).get();
+        company.assertActive();
+
+        const fields = RecurringExpense.parse(data);
+        if (fields.category) {
+            fields.category = await Company.resolveCategory(company.class_id, fields.category);
+        }
+
+        const recurringExpense = new RecurringExpense({
+            id: randomUUID(),
+            company_id: companyId,
+            ...fields
+        });
+        await recurringExpense.insert();
+
+        return recurringExpense.get();
+    }
+
+    /**
+     * Get the recurring expenses of a company
+     * @param {string} companyId - Company ID
+     * @returns {Array} Recurring expenses, oldest first
+     */
+    static async getByCompany(companyId) {
+        const recurringExpenses = await Mysql.find('recurring_expenses', {
+            filter: { company_id: companyId },
+            opt: { order: { created_at: 1 } }
+        });
+
+        return recurringExpenses.map(recurringExpense => new RecurringExpense(recurringExpense));
+    }
+
+    /**
+     * Get the recurring expenses of every company of a class
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {string} options.frequency - Only the expenses of this frequency (optional)
+     * @param {boolean} options.chargeable - Only the active expenses of active companies
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Array} Recurring expenses with the company name
+     */
+    static async getByClass(classId, { frequency, chargeable = false, connection } = {}) {
+        const conditions = ['c.class_id = ?'];
+        const params = [classId];
+
+        if (frequency) {
+            conditions.push('r.frequency = ?');
+            params.push(frequency);
+        }
+
+        if (chargeable) {
+            conditions.push(`r.active = 1 AND c.status = 'active'`);
+        }
+
+        const recurringExpenses = await Mysql.query(`
+            SELECT r.*, c.name AS company_name FROM recurring_expenses r
+            JOIN companies c ON c.id = r.company_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY c.name, r.created_at
+        `, params, connection);
+
+        return recurringExpenses.map(recurringExpense => Object.assign(
+            new RecurringExpense(recurringExpense),
+            { company_name: recurringExpense.company_name }
+        ));
+    }
+
+    /**
+     * Get the amount a company still owes from recurring expenses charged under the debt policy
+     * @param {string} companyId - Company ID
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {number} Outstanding debt
+     */
+    static async getOutstandingDebt(companyId, { connection } = {}) {
+        const [{ debt }] = await Mysql.query(
+            'SELECT COALESCE(SUM(outstanding), 0) AS debt FROM recurring_expense_charges WHERE company_id = ?',
+            [companyId],
+            connection
+        );
+
+        return parseFloat(debt) || 0;
+    }
+
+    /**
+     * Charge every chargeable recurring expense of a class
+     * A charge the budget cannot cover is recorded as blocked or as debt, so one company
+     * short of money does not stop the others from being charged.
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {string} options.frequency - Only charge the expenses of this frequency (optional, all by default)
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Charges and their totals
+     */
+    static async applyForClass(classId, { frequency, connection } = {}) {
+        if (frequency && !RecurringExpense.FREQUENCIES.includes(frequency)) {
+            throw new CustomError(400, `Invalid frequency. Use: ${RecurringExpense.FREQUENCIES.join(', ')}`);
+        }
+
+        return Mysql.transaction(async connection => {
+            const recurringExpenses = await RecurringExpense.getByClass(classId, { frequency, chargeable: true, connection });
+
+            const charges = [];
+            for (const recurringExpense of recurringExpenses) {
+                const charge = await recurringExpense.charge({ connection });
+                charges.push({ ...charge, companyName: recurringExpense.company_name });
+            }
+
+            return {
+                charges,
+                totals: {
+                    charged: parseFloat(charges.reduce((sum, charge) => sum + charge.amount, 0).toFixed(2)),
+                    paid: parseFloat(charges.reduce((sum, charge) => sum + charge.paidAmount, 0).toFixed(2)),
+                    outstanding: parseFloat(charges.reduce((sum, charge) => sum + charge.outstanding, 0).toFixed(2)),
+                    blocked: charges.filter(charge => charge.status === 'blocked').length
+                }
+            };
+        }, connection);
+    }
+
+    /**
+     * Update the recurring expense
+     * @param {Object} data - Fields to change (description, amount, category, frequency, budgetPolicy, active)
+     * @returns {RecurringExpense} Updated recurring expense
+     */
+    async edit(data = {}) {
+        const fields = RecurringExpense.parse(data);
+        if (Object.keys(fields).length === 0) {
+            throw new CustomError(400, 'No fields to update');
+        }
+
+        if (fields.category) {
+            const company = await new Company({ id: this.company_id }).get();
+            fields.category = await Company.resolveCategory(company.class_id, fields.category);
+        }
+
+        await this.update(fields);
+        return this.get();
+    }
+
+    /**
+     * Settle the debt left by earlier charges of this expense, oldest first, as far as the budget allows
+     * @param {Company} company - Company of the expense, locked by the caller
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {number} Amount paid
+     */
+    async settleDebt(company, { connection } = {}) {
+        const charges = await Mysql.query(
+            'SELECT * FROM recurring_expense_charges WHERE recurring_expense_id = ? AND outstanding > 0 ORDER BY created_at FOR UPDATE',
+            [this.id],
+            connection
+        );
+
+        let settled = 0;
+        for (const charge of charges) {
+            const payment = parseFloat(Math.min(parseFloat(charge.outstanding), parseFloat(company.current_budget)).toFixed(2));
+            if (!(payment > 0)) break;
+
+            await company.addExpense(`Recurring debt: ${this.description}`, payment, { connection, category: this.category });
+
+            const outstanding = parseFloat((parseFloat(charge.outstanding) - payment).toFixed(2));
+            await Mysql.update('recurring_expense_charges', {
+                paid_amount: { inc: payment },
+                outstanding,
+                status: outstanding > 0 ? 'debt' : 'paid'
+            }, charge.id, { connection });
+
+            settled += payment;
+        }
+
+        return settled;
+    }
+
+    /**
+     * Charge the recurring expense once, following its budget policy
+     * Any debt left by earlier charges is settled first
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Charge record
+     */
+    async charge({ connection } = {}) {
+        return Mysql.transaction(async connection => {
+            await this.get({ connection });
+
+            // Lock the company row, so the budget cannot change between the check and the expense
+            const company = await new Company({ id: this.company_id }).get({ connection, lock: true });
+            company.assertActive();
+
+            await this.settleDebt(company, { connection });
+
+            const amount = parseFloat(this.amount);
+            const description = `Recurring: ${this.description}`;
+
+            let paidAmount = 0;
+            if (parseFloat(company.current_budget) >= amount || this.budget_policy === 'allow_negative') {
+                await company.addExpense(description, amount, { connection, allowNegative: true, category: this.category });
+                paidAmount = amount;
+            } else if (this.budget_policy === 'debt') {
+                // Take what the budget covers, the rest stays outstanding
+                paidAmount = parseFloat(Math.max(0, parseFloat(company.current_budget)).toFixed(2));
+                if (paidAmount > 0) {
+                    await company.addExpense(description, paidAmount, { connection, category: this.category });
+                }
+            }
+
+            const outstanding = this.budget_policy === 'debt' ? parseFloat((amount - paidAmount).toFixed(2)) : 0;
+
+            let status = 'paid';
+            if (paidAmount < amount) {
+                status = this.budget_policy === 'debt' ? 'debt' : 'blocked';
+            }
+
+            const charge = {
+                id: randomUUID(),
+                recurring_expense_id: this.id,
+                company_id: this.company_id,
+                amount,
+                paid_amount: paidAmount,
+                outstanding,
+                status,
+                period_id: await Period.getCurrentId(company.class_id, { connection }),
+                created_at: new Date()
+            };
+            await Mysql.insert('recurring_expense_charges', charge, { connection });
+
+            this.last_applied_at = charge.created_at;
+            await this.update({ last_applied_at: charge.created_at }, { connection });
+
+            return RecurringExpense.formatCharge({ ...charge, description: this.description });
+        }, connection);
+    }
+
+    /**
+     * Get the charges of this recurring expense
+     * @returns {Array} Charges, newest first
+     */
+    async getCharges() {
+        const charges = await Mysql.find('recurring_expense_charges', {
+            filter: { recurring_expense_id: this.id },
+            opt: { order: { created_at: -1 } }
+        });
+
+        return charges.map(charge => RecurringExpense.formatCharge({ ...charge, description: this.description }));
+    }
+
+    /**
+     * Format a recurring_expense_charges row for the API
+     * @param {Object} charge - Charge row
+     * @returns {Object} Charge
+     */
+    static formatCharge(charge) {
+        return {
+            id: charge.id,
+            recurringExpenseId: charge.recurring_expense_id,
+            companyId: charge.company_id,
+            description: charge.description,
+            amount: parseFloat(charge.amount) || 0,
+            paidAmount: parseFloat(charge.paid_amount) || 0,
+            outstanding: parseFloat(charge.outstanding) || 0,
+            status: charge.status,
+            periodId: charge.period_id || null,
+            createdAt: charge.created_at
+        };
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            companyId: this.company_id,
+            ...(this.company_name && { companyName: this.company_name }),
+            description: this.description,
+            amount: parseFloat(this.amount),
+            category: this.category,
+            frequency: this.frequency,
+            budgetPolicy: this.budget_policy,
+            active: !!this.active,
+            lastAppliedAt: this.last_applied_at || null,
+            createdAt: this.created_at
+        };
+    }
+}
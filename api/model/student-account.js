@@ -0,0 +1,276 @@
+import jwt from 'jsonwebtoken';
+import Admin from './admin.js';
+import Class from './class.js';
+import Student from './student.js';
+import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
+import { randomInt } from 'crypto';
+
+/**
+ * Student Account
+ * Login of the students to the portal. The teacher creates a join code for the class and a personal PIN
+ * (or password) for each student; a student logs in with the join code, their name and the PIN.
+ * Student tokens carry type 'student', so they are never accepted where an admin token is required.
+ * PINs are hashed the same way as the admin passwords, and too many wrong PINs lock the student out for a while.
+ */
+export default class StudentAccount {
+    // Join codes skip characters that are easy to confuse on the board (0/O, 1/I/L)
+    static JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+    static JOIN_CODE_LENGTH = 6;
+
+    static MIN_PIN_LENGTH = 4;
+    static MAX_PIN_LENGTH = 64;
+
+    // Wrong PINs in a row before the student is locked out, and for how long
+    static MAX_PIN_ATTEMPTS = 5;
+    static PIN_LOCK_MINUTES = 15;
+
+    static TOKEN_EXPIRATION = '12h';
+
+    /**
+     * Create a new join code for a class, replacing the current one
+     * Students already logged in keep their session
+     * @param {string} classId - Class ID
+     * @returns {string} Join code
+     */
+    static async createJoinCode(classId) {
+        await new Class({ id: classId }).get();
+
+        // Codes are unique, so draw again on the rare collision
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const code = Array.from({ length: StudentAccount.JOIN_CODE_LENGTH },
+                () => StudentAccount.JOIN_CODE_ALPHABET[randomInt(StudentAccount.JOIN_CODE_ALPHABET.length)]
+            ).join('');
+
+            const [existing] = await Mysql.find('classes', { filter: { join_code: code }, opt: { limit: 1 } });
+            if (!existing) {
+                await Mysql.update('classes', { join_code: code }, classId);
+                return code;
+            }
+        }
+
+        throw new CustomError(500, 'Could not create a join code, try again');
+    }
+
+    /**
+     * Get the join code of a class
+     * @param {string} classId - Class ID
+     * @returns {string|null} Join code, or null when the teacher has not created one
+     */
+    static async getJoinCode(classId) {
+        const classObj = await new Class({ id: classId }).get();
+        return classObj.join_code || null;
+    }
+
+    /**
+     * Find the class of a join code
+     * @param {string} joinCode - Join code, in any case
+     * @returns {Class} Class
+     */
+    static async findClass(joinCode) {
+        const code = String(joinCode || '').trim().toUpperCase();
+        if (!code) {
+            throw new CustomError(400, 'Join code is required');
+        }
+
+        const [classData] = await Mysql.find('classes', { filter: { join_code: code }, opt: { limit: 1 } });
+        if (!classData) {
+            throw new CustomError(404, 'Invalid join code');
+        }
+
+        return new Class(classData);
+    }
+
+    /**
+     * Class of a join code with its students, for the student to pick their name before typing the PIN
+     * @param {string} joinCode - Join code
+     * @returns {Object} Class and students (id, name and whether they can log in)
+     */
+    static async getRoster(joinCode) {
+        const classObj = await StudentAccount.findClass(joinCode);
+        const students = await Mysql.find('students', {
+            filter: { class_id: classObj.id },
+            opt: { order: { name: 1 } }
+        });
+
+        return {
+            class: { id: classObj.id, name: classObj.name },
+            students: students.map(student => ({
+                id: student.id,
+                name: student.name,
+                hasPin: Boolean(student.pin_hash)
+            }))
+        };
+    }
+
+    /**
+     * Check that a PIN can be used
+     * @param {string} pin - PIN or password
+     */
+    static validatePin(pin) {
+        const value = String(pin ?? '');
+        if (value.length < StudentAccount.MIN_PIN_LENGTH || value.length > StudentAccount.MAX_PIN_LENGTH) {
+            throw new CustomError(400, `PIN must have between ${StudentAccount.MIN_PIN_LENGTH} and ${StudentAccount.MAX_PIN_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * Set the PIN of a student (done by the teacher)
+     * @param {string} studentId - Student ID
+     * @param {string} pin - New PIN or password
+     * @returns {Student} Student
+     */
+    static async setPin(studentId, pin) {
+        StudentAccount.validatePin(pin);
+
+        // A new PIN also lifts a lockout, so the teacher can let a locked student back in
+        const student = await new Student({ id: studentId }).get();
+        await Mysql.update('students', {
+            pin_hash: await Admin.hashPassword(String(pin)),
+            pin_failed_attempts: 0,
+            pin_locked_until: null
+        }, student.id);
+
+        return student;
+    }
+
+    /**
+     * Check the PIN of a student, counting the wrong ones
+     * After MAX_PIN_ATTEMPTS wrong PINs in a row the student is locked out for PIN_LOCK_MINUTES, so a short PIN
+     * cannot be found by trying every combination. The student row is locked while the PIN is checked, so
+     * attempts made at once are counted one after the other.
+     * @param {string} studentId - Student ID
+     * @param {string|null} classId - Class the student must belong to (optional)
+     * @param {string} pin - PIN to check
+     * @returns {Object|null} Student row, or null when there is no such student
+     */
+    static async checkPin(studentId, classId, pin) {
+        const result = await Mysql.transaction(async connection => {
+            const [student] = await Mysql.query(`
+                SELECT *, GREATEST(COALESCE(TIMESTAMPDIFF(SECOND, NOW(), pin_locked_until), 0), 0) AS pin_lock_seconds
+                FROM students WHERE id = ?${classId ? ' AND class_id = ?' : ''} LIMIT 1 FOR UPDATE
+            `, classId ? [studentId, classId] : [studentId], connection);
+            if (!student || !student.pin_hash || student.pin_lock_seconds > 0) {
+                return { student };
+            }
+
+            if (await Admin.verifyPassword(String(pin ?? ''), student.pin_hash)) {
+                if (student.pin_failed_attempts > 0) {
+                    await Mysql.update('students', { pin_failed_attempts: 0 }, student.id, { connection });
+                }
+                return { student, valid: true };
+            }
+
+            // The last attempt locks the student out and starts the count again
+            const attempts = (parseInt(student.pin_failed_attempts) || 0) + 1;
+            if (attempts < StudentAccount.MAX_PIN_ATTEMPTS) {
+                await Mysql.update('students', { pin_failed_attempts: attempts }, student.id, { connection });
+                return { student };
+            }
+
+            await Mysql.query(
+                'UPDATE students SET pin_failed_attempts = 0, pin_locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE id = ?',
+                [StudentAccount.PIN_LOCK_MINUTES, student.id],
+                connection
+            );
+            return { student: { ...student, pin_lock_seconds: StudentAccount.PIN_LOCK_MINUTES * 60 } };
+        });
+
+        const { student, valid } = result;
+        if (student && student.pin_lock_seconds > 0) {
+            const minutes = Math.ceil(student.pin_lock_seconds / 60);
+            throw new CustomError(429, `Too many wrong PINs. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+        }
+
+        return student ? { ...student, valid: Boolean(valid) } : null;
+    }
+
+    /**
+     * Change the PIN of a student, who must confirm the current one
+     * @param {string} studentId - Student ID
+     * @param {string} currentPin - Current PIN
+     * @param {string} newPin - New PIN
+     */
+    static async changePin(studentId, currentPin, newPin) {
+        const student = await new Student({ id: studentId }).get();
+
+        const checked = await StudentAccount.checkPin(student.id, null, currentPin);
+        if (!checked.pin_hash || !checked.valid) {
+            throw new CustomError(401, 'Current PIN is incorrect');
+        }
+
+        await StudentAccount.setPin(student.id, newPin);
+    }
+
+    /**
+     * Log a student in to the portal
+     * @param {string} joinCode - Join code of the class
+     * @param {string} studentId - Student ID, picked from the roster
+     * @param {string} pin - PIN or password
+     * @returns {Object} Token, student and class
+     */
+    static async authenticate(joinCode, studentId, pin) {
+        if (!joinCode || !studentId || !pin) {
+            throw new CustomError(400, 'Join code, student and PIN are required');
+        }
+
+        const classObj = await StudentAccount.findClass(joinCode);
+
+        const studentData = await StudentAccount.checkPin(studentId, classObj.id, pin);
+        if (!studentData) {
+            throw new CustomError(401, 'Invalid credentials');
+        }
+
+        if (!studentData.pin_hash) {
+            throw new CustomError(401, 'No PIN set for this student yet. Ask your teacher');
+        }
+
+        if (!studentData.valid) {
+            throw new CustomError(401, 'Invalid credentials');
+        }
+
+        const student = new Student(studentData);
+
+        return {
+            token: StudentAccount.generateToken(student),
+            student: student.toJSON(),
+            class: { id: classObj.id, name: classObj.name }
+        };
+    }
+
+    /**
+     * Generate the JWT of a student
+     * @param {Student} student - Student
+     * @returns {string} JWT token
+     */
+    static generateToken(student) {
+        const payload = {
+            id: student.id,
+            name: student.name,
+            classId: student.class_id,
+            type: 'student'
+        };
+
+        const secret = process.env.JWT_SECRET || 'busicode-secret-key';
+        return jwt.sign(payload, secret, { expiresIn: StudentAccount.TOKEN_EXPIRATION });
+    }
+
+    /**
+     * Verify a student token and load the student
+     * @param {string} token - JWT token
+     * @returns {Student} Student of the token
+     */
+    static async verifyToken(token) {
+        const decoded = Admin.verifyToken(token);
+
+        if (decoded.type !== 'student') {
+            throw new CustomError(403, 'Student access required');
+        }
+
+        try {
+            return await new Student({ id: decoded.id }).get();
+        } catch (error) {
+            throw new CustomError(401, 'Student not found');
+        }
+    }
+}
@@ -0,0 +1,313 @@
+import Model from './model.js';
+import Company from './company.js';
+import Student from './student.js';
+import Transfer from './transfer.js';
+import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
+import Events from '../helpers/events.js';
+import { randomUUID } from 'crypto';
+
+/**
+ * Student Request
+ * Something a student asks for in the portal, applied only when the teacher approves it:
+ * - expense: a company of the student pays an expense (the student must be a member)
+ * - transfer: money leaves the student balance to another student or a company of the class
+ * Everything is checked again on approval, as balances and memberships may have changed meanwhile.
+ */
+export default class StudentRequest extends Model {
+    static TYPES = ['expense', 'transfer'];
+
+    static STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+    constructor({
+        id,
+        class_id,
+        student_id,
+        type,
+        company_id,
+        target_type,
+        target_id,
+        amount,
+        description,
+        category,
+        status,
+        review_note,
+        reviewed_at,
+        created_at
+    }) {
+        super('student_requests', {
+            fields: {
+                id,
+                class_id,
+                student_id,
+                type,
+                company_id: company_id || null,
+                target_type: target_type || null,
+                target_id: target_id || null,
+                amount: parseFloat(amount) || 0,
+                description: description || null,
+                category: category || null,
+                status: status || 'pending',
+                review_note: review_note || null,
+                reviewed_at,
+                created_at
+            },
+            allowUpdate: ['status', 'review_note', 'reviewed_at'],
+            insertFields: ['id', 'class_id', 'student_id', 'type', 'company_id', 'target_type', 'target_id', 'amount', 'description', 'category', 'status'],
+        });
+    }
+
+    /**
+     * Create a pending request of a student
+     * @param {string} studentId - Student making the request
+     * @param {Object} data - Request data
+     * @param {string} data.type - expense or transfer
+     * @param {number} data.amount - Amount
+     * @param {string} data.description - What the money is for (required for expenses)
+     * @param {string} data.companyId - expense: company that pays it
+     * @param {string} data.category - expense: category (optional)
+     * @param {string} data.targetType - transfer: student or company
+     * @param {string} data.targetId - transfer: who receives the money
+     * @returns {StudentRequest} Pending request
+     */
+    static async create(studentId, { type, amount, description, companyId, category, targetType, targetId } = {}) {
+        if (!StudentRequest.TYPES.includes(type)) {
+            throw new CustomError(400, `Invalid request type. Use: ${StudentRequest.TYPES.join(', ')}`);
+        }
+
+        const requestAmount = parseFloat(amount);
+        if (!(requestAmount > 0)) {
+            throw new CustomError(400, 'Request amount must be positive');
+        }
+
+        const student = await new Student({ id: studentId }).get();
+        const data = {
+            id: randomUUID(),
+            class_id: student.class_id,
+            student_id: student.id,
+            type,
+            amount: requestAmount,
+            description: description ? String(description).trim() : null,
+            status: 'pending'
+        };
+
+        if (type === 'expense') {
+            if (!data.description) {
+                throw new CustomError(400, 'Description is required for expense requests');
+            }
+
+            const company = await StudentRequest.findMemberCompany(student, companyId);
+            company.assertActive();
+
+            data.company_id = company.id;
+            data.category = category ? await Company.resolveCategory(company.class_id, category) : null;
+        } else {
+            if (!Transfer.TARGET_TYPES.includes(targetType) || !targetId) {
+                throw new CustomError(400, `Invalid transfer target. Use: ${Transfer.TARGET_TYPES.join(', ')}`);
+            }
+
+            if (targetType === 'student' && targetId === student.id) {
+                throw new CustomError(400, 'Cannot transfer to the same account');
+            }
+
+            const target = targetType === 'student'
+                ? await new Student({ id: targetId }).get()
+                : await new Company({ id: targetId }).get();
+            if (target.class_id !== student.class_id) {
+                throw new CustomError(400, 'Transfer accounts must belong to the same class');
+            }
+
+            if (parseFloat(student.current_balance) < requestAmount) {
+                throw new CustomError(400, 'Insufficient balance');
+            }
+
+            data.target_type = targetType;
+            data.target_id = target.id;
+        }
+
+        const request = new StudentRequest(data);
+        await request.insert();
+
+        Events.publish(request.class_id, 'request', { requestId: request.id, studentId: student.id, status: 'pending' });
+
+        return request.get();
+    }
+
+    /**
+     * Load a company of which the student is a member
+     * @param {Student} student - Student
+     * @param {string} companyId - Company ID
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Company} Company
+     */
+    static async findMemberCompany(student, companyId, { connection } = {}) {
+        if (!companyId) {
+            throw new CustomError(400, 'Company ID is required');
+        }
+
+        const [membership] = await Mysql.find('company_members', {
+            filter: { company_id: companyId, student_id: student.id },
+            opt: { limit: 1, connection }
+        });
+        if (!membership) {
+            throw new CustomError(403, 'Student is not a member of this company');
+        }
+
+        return new Company({ id: companyId }).get({ connection });
+    }
+
+    /**
+     * Get the requests of a class
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {string} options.status - Only the requests with this status (optional)
+     * @returns {Array} Requests, newest first
+     */
+    static async getByClass(classId, { status } = {}) {
+        const requests = await Mysql.find('student_requests', {
+            filter: { class_id: classId, ...(status && { status }) },
+            opt: { order: { created_at: -1 } }
+        });
+
+        return requests.map(request => new StudentRequest(request));
+    }
+
+    /**
+     * Get the requests of a student
+     * @param {string} studentId - Student ID
+     * @param {Object} options - Options
+     * @param {string} options.status - Only the requests with this status (optional)
+     * @returns {Array} Requests, newest first
+     */
+    static async getByStudent(studentId, { status } = {}) {
+        const requests = await Mysql.find('student_requests', {
+            filter: { student_id: studentId, ...(status && { status }) },
+            opt: { order: { created_at: -1 } }
+        });
+
+        return requests.map(request => new StudentRequest(request));
+    }
+
+    /**
+     * Approve a pending request, moving the money
+     * @param {Object} options - Options
+     * @param {string} options.note - Answer to the student (optional)
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {StudentRequest} Approved request
+     */
+    async approve({ note = null, connection } = {}) {
+        await Mysql.transaction(async connection => {
+            await this.get({ connection, lock: true });
+            this.assertPending();
+
+            const student = await new Student({ id: this.student_id }).get({ connection });
+
+            if (this.type === 'expense') {
+                const company = await StudentRequest.findMemberCompany(student, this.company_id, { connection });
+                await company.addExpense(`${this.description} (requested by ${student.name})`, parseFloat(this.amount), {
+                    connection,
+                    ...(this.category && { category: this.category })
+                });
+            } else {
+                await Transfer.create({
+                    from: { type: 'student', id: student.id },
+                    to: { type: this.target_type, id: this.target_id },
+                    amount: parseFloat(this.amount),
+                    description: this.description || ''
+                }, { connection });
+            }
+
+            await this.update({ status: 'approved', review_note: note || null, reviewed_at: new Date() }, { connection });
+            Events.publish(this.class_id, 'request', { requestId: this.id, studentId: this.student_id, status: 'approved' }, { connection });
+        }, connection);
+
+        return this.get({ connection });
+    }
+
+    /**
+     * Reject a pending request
+     * @param {Object} options - Options
+     * @param {string} options.note - Why it was rejected (optional)
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {StudentRequest} Rejected request
+     */
+    async reject({ note = null, connection } = {}) {
+        await Mysql.transaction(async connection => {
+            // Locked like in approve(), so a request is never approved and rejected at once
+            await this.get({ connection, lock: true });
+            this.assertPending();
+
+            await this.update({ status: 'rejected', review_note: note || null, reviewed_at: new Date() }, { connection });
+            Events.publish(this.class_id, 'request', { requestId: this.id, studentId: this.student_id, status: 'rejected' }, { connection });
+        }, connection);
+
+        return this.get({ connection });
+    }
+
+    /**
+     * Cancel a pending request (done by the student who made it)
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {StudentRequest} Cancelled request
+     */
+    async cancel({ connection } = {}) {
+        await Mysql.transaction(async connection => {
+            await this.get({ connection, lock: true });
+            this.assertPending();
+
+            await this.update({ status: 'cancelled', reviewed_at: new Date() }, { connection });
+            Events.publish(this.class_id, 'request', { requestId: this.id, studentId: this.student_id, status: 'cancelled' }, { connection });
+        }, connection);
+
+        return this.get({ connection });
+    }
+
+    /**
+     * Refuse to review a request twice
+     * Must be called after the row was refreshed
+     */
+    assertPending() {
+        if (this.status !== 'pending') {
+            throw new CustomError(400, 'Only pending requests can be reviewed');
+        }
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            classId: this.class_id,
+            studentId: this.student_id,
+            type: this.type,
+            companyId: this.company_id || null,
+            targetType: this.target_type || null,
+            targetId: this.target_id || null,
+            amount: parseFloat(this.amount),
+            description: this.description || null,
+            category: this.category || null,
+            status: this.status,
+            reviewNote: this.review_note || null,
+            reviewedAt: this.reviewed_at || null,
+            createdAt: this.created_at
+        };
+    }
+
+    /**
+     * Request with the names of the student, the company and the transfer target, for listing
+     * @returns {Object} Request details
+     */
+    async toJSONWithDetails() {
+        const nameOf = async (type, id) => {
+            if (!id) return null;
+            const [row] = await Mysql.find(type === 'company' ? 'companies' : 'students', { filter: { id }, opt: { limit: 1 } });
+            return row?.name || null;
+        };
+
+        return {
+            ...this.toJSON(),
+            studentName: await nameOf('student', this.student_id),
+            companyName: await nameOf('company', this.company_id),
+            targetName: await nameOf(this.target_type, this.target_id)
+        };
+    }
+}
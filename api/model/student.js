@@ -1,5 +1,7 @@
 import Model from './model.js';
 import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
+import LedgerEntry from './ledger-entry.js';
 import { randomUUID } from 'crypto';
 
 export default class Student extends Model {
@@ -43,7 +45,7 @@ export default class Student extends Model {
         }));
     }
 
-    async insert() {
+    async insert({ connection } = {}) {
         // Generate UUID if not provided
         if (!this.id) {
             this.id = randomUUID();
@@ -58,7 +60,23 @@ export default class Student extends Model {
         const originalInsertFields = [...this.insertFields];
         this.insertFields.push('id');
         
-        const result = await super.insert();
+        const result = await Mysql.transaction(async connection => {
+            const result = await super.insert({ connection });
+
+            // The starting balance is issued by the teacher bank
+            if (parseFloat(this.current_balance) > 0) {
+                await LedgerEntry.record({
+                    classId: this.class_id,
+                    from: LedgerEntry.BANK,
+                    to: LedgerEntry.student(this.id),
+                    amount: this.current_balance,
+                    type: 'initial_balance',
+                    description: 'Initial balance'
+                }, { connection });
+            }
+
+            return result;
+        }, connection);
         
         // Restore original insert fields
         this.insertFields = originalInsertFields;
@@ -68,74 +86,166 @@ export default class Student extends Model {
 
     /**
      * Add balance to student
+     * The row is locked and incremented in the database, so concurrent changes are not lost
      * @param {number} amount - Amount to add
-     * @param {string} description - Description of the transaction
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {Object|false} options.ledger - Overrides for the ledger movement (from, type, description),
+     *                                        or false when the caller records the movement itself
      * @returns {Object} Updated student
      */
-    async addBalance(amount) {
-        const newBalance = parseFloat(this.current_balance) + parseFloat(amount);
-        await this.update({ current_balance: newBalance });
-        
-        // Update instance property to reflect the change
-        this.current_balance = parseFloat(newBalance);
-        
-        return this;
+    async addBalance(amount, { connection, ledger = {} } = {}) {
+        const addAmount = parseFloat(amount);
+
+        return Mysql.transaction(async connection => {
+            // Lock the row and refresh the instance with the latest balance
+            await this.get({ connection, lock: true });
+
+            const newBalance = parseFloat(this.current_balance) + addAmount;
+            await this.update({ current_balance: { inc: addAmount } }, { connection });
+
+            if (ledger) {
+                await LedgerEntry.record({
+                    classId: this.class_id,
+                    from: LedgerEntry.BANK,
+                    to: LedgerEntry.student(this.id),
+                    amount: addAmount,
+                    type: 'deposit',
+                    description: 'Balance added',
+                    ...ledger
+                }, { connection });
+            }
+            
+            // Update instance property to reflect the change
+            this.current_balance = parseFloat(newBalance);
+            
+            return this;
+        }, connection);
     }
 
     /**
      * Deduct balance from student
+     * The row is locked before checking funds, so concurrent deductions cannot overdraw it
      * @param {number} amount - Amount to deduct
-     * @param {string} description - Description of the transaction
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {Object|false} options.ledger - Overrides for the ledger movement (to, type, description),
+     *                                        or false when the caller records the movement itself
      * @returns {Object} Updated student
      */
-    async deductBalance(amount) {
+    async deductBalance(amount, { connection, ledger = {} } = {}) {
         const deductAmount = parseFloat(amount);
-        if (parseFloat(this.current_balance) < deductAmount) {
-            throw new CustomError(400, 'Insufficient balance');
-        }
-        
-        const newBalance = parseFloat(this.current_balance) - deductAmount;
-        await this.update({ current_balance: newBalance });
-        
-        // Update instance property to reflect the change
-        this.current_balance = parseFloat(newBalance);
-        
-        return this;
+
+        return Mysql.transaction(async connection => {
+            // Lock the row and refresh the instance with the latest balance
+            await this.get({ connection, lock: true });
+
+            if (parseFloat(this.current_balance) < deductAmount) {
+                throw new CustomError(400, 'Insufficient balance');
+            }
+            
+            const newBalance = parseFloat(this.current_balance) - deductAmount;
+            await this.update({ current_balance: { dec: deductAmount } }, { connection });
+
+            if (ledger) {
+                await LedgerEntry.record({
+                    classId: this.class_id,
+                    from: LedgerEntry.student(this.id),
+                    to: LedgerEntry.BANK,
+                    amount: deductAmount,
+                    type: 'withdrawal',
+                    description: 'Balance deducted',
+                    ...ledger
+                }, { connection });
+            }
+            
+            // Update instance property to reflect the change
+            this.current_balance = parseFloat(newBalance);
+            
+            return this;
+        }, connection);
+    }
+
+    /**
+     * Set the current balance to an absolute value
+     * The difference is recorded in the ledger against the teacher bank
+     * @param {number} balance - New current balance
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {Object} options.data - Extra fields to update together with the balance
+     * @param {string} options.type - Ledger transaction type
+     * @param {string} options.description - Ledger description
+     * @returns {Object} Updated student
+     */
+    async setBalance(balance, { connection, data = {}, type = 'adjustment', description = 'Balance adjustment' } = {}) {
+        const newBalance = parseFloat(balance);
+
+        return Mysql.transaction(async connection => {
+            // Lock the row and refresh the instance with the latest balance
+            await this.get({ connection, lock: true });
+
+            const difference = parseFloat((newBalance - parseFloat(this.current_balance)).toFixed(2));
+
+            await this.update({ ...data, current_balance: newBalance }, { connection });
+
+            if (difference !== 0) {
+                await LedgerEntry.record({
+                    classId: this.class_id,
+                    from: difference > 0 ? LedgerEntry.BANK : LedgerEntry.student(this.id),
+                    to: difference > 0 ? LedgerEntry.student(this.id) : LedgerEntry.BANK,
+                    amount: Math.abs(difference),
+                    type,
+                    description
+                }, { connection });
+            }
+
+            // Update instance property to reflect the change
+            this.current_balance = newBalance;
+
+            return this;
+        }, connection);
     }
 
     /**
      * Reset balance to initial balance
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
      * @returns {Object} Updated student
      */
-    async resetBalance() {
+    async resetBalance({ connection } = {}) {
         const resetBalance = parseFloat(this.initial_balance);
-        await this.update({ current_balance: resetBalance });
-        
-        // Update instance property to reflect the change
-        this.current_balance = resetBalance;
-        
-        return this;
+        return this.setBalance(resetBalance, { connection, type: 'reset', description: 'Balance reset' });
     }
 
     /**
      * Set a new initial balance and reset current balance
      * @param {number} newInitialBalance - New initial balance
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
      * @returns {Object} Updated student
      */
-    async setInitialBalance(newInitialBalance) {
+    async setInitialBalance(newInitialBalance, { connection } = {}) {
         const balance = parseFloat(newInitialBalance);
-        await this.update({ 
-            initial_balance: balance,
-            current_balance: balance 
+        await this.setBalance(balance, {
+            connection,
+            data: { initial_balance: balance },
+            description: 'Initial balance changed'
         });
         
         // Update instance properties to reflect the changes
         this.initial_balance = balance;
-        this.current_balance = balance;
         
         return this;
     }
 
+    /**
+     * Get every change to this student's balance, derived from the ledger
+     * @returns {Array} Array of transactions with counterpart and running balance, newest first
+     */
+    async getTransactions() {
+        return LedgerEntry.getAccountHistory(LedgerEntry.student(this.id));
+    }
+
     // Convert to frontend-compatible format
     toJSON() {
         return {
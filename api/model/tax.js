@@ -0,0 +1,384 @@
+import Company from './company.js';
+import FinancialStatement from './financial-statement.js';
+import LedgerEntry from './ledger-entry.js';
+import Period from './period.js';
+import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
+import { randomUUID } from 'crypto';
+
+/**
+ * Tax
+ * Tax rules of a class and the taxes collected into its treasury. Three taxes can be set, as percentages:
+ * - revenue: charged on each taxable revenue of a company (sales and manual revenues)
+ * - profit: charged on the profit not yet taxed, when a period closes or the teacher applies it
+ * - dividend: withheld from each dividend paid to a student
+ *
+ * Every tax is booked as a company expense moving the money to the treasury account of the ledger,
+ * and recorded in tax_payments with its base, rate and amount.
+ */
+export default class Tax {
+    static TYPES = ['revenue', 'profit', 'dividend'];
+
+    static DEFAULTS = {
+        revenueRate: 0,
+        profitRate: 0,
+        dividendRate: 0
+    };
+
+    /**
+     * Get the tax rules of a class, with no tax when the class has none
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Tax settings
+     */
+    static async getSettings(classId, { connection } = {}) {
+        const [row] = await Mysql.find('tax_settings', {
+            filter: { class_id: classId },
+            opt: { limit: 1, connection }
+        });
+
+        if (!row) {
+            return { classId, ...Tax.DEFAULTS };
+        }
+
+        return {
+            classId,
+            revenueRate: parseFloat(row.revenue_rate) || 0,
+            profitRate: parseFloat(row.profit_rate) || 0,
+            dividendRate: parseFloat(row.dividend_rate) || 0
+        };
+    }
+
+    /**
+     * Update the tax rules of a class
+     * Only the given rates change; the others keep their current value
+     * @param {string} classId - Class ID
+     * @param {Object} data - Rates to change (revenueRate, profitRate, dividendRate), in percent
+     * @returns {Object} Updated tax settings
+     */
+    static async updateSettings(classId, data = {}) {
+        const settings = { ...await Tax.getSettings(classId) };
+
+        for (const key of Object.keys(Tax.DEFAULTS)) {
+            if (data[key] === undefined) continue;
+
+            const rate = parseFloat(data[key]);
+            if (isNaN(rate) || rate < 0 || rate > 100) {
+                throw new CustomError(400, 'Tax rates must be between 0 and 100');
+            }
+            settings[key] = rate;
+        }
+
+        const row = {
+            revenue_rate: settings.revenueRate,
+            profit_rate: settings.profitRate,
+            dividend_rate: settings.dividendRate,
+            updated_at: new Date()
+        };
+
+        const [existing] = await Mysql.find('tax_settings', {
+            filter: { class_id: classId },
+            opt: { limit: 1 }
+        });
+
+        if (existing) {
+            await Mysql.update('tax_settings', row, { class_id: classId });
+        } else {
+            await Mysql.insert('tax_settings', { class_id: classId, ...row });
+        }
+
+        return settings;
+    }
+
+    /**
+     * Tax due on an amount, rounded to cents
+     * @param {number} baseAmount - Taxed amount
+     * @param {number} rate - Rate in percent
+     * @returns {number} Tax amount
+     */
+    static compute(baseAmount, rate) {
+        return parseFloat((parseFloat(baseAmount) * parseFloat(rate) / 100).toFixed(2));
+    }
+
+    /**
+     * Collect a tax from a company into the treasury
+     * @param {Company} company - Paying company
+     * @param {Object} tax - Tax to collect
+     * @param {string} tax.type - Tax type (revenue, profit or dividend)
+     * @param {number} tax.baseAmount - Taxed amount
+     * @param {number} tax.rate - Rate in percent
+     * @param {string} tax.description - Expense description
+     * @param {string} tax.studentId - Receiver of the dividend, for dividend taxes (optional)
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @param {boolean} options.allowNegative - Charge the tax even if the budget does not cover it
+     * @returns {Object|null} Tax payment, or null when there is nothing to collect
+     */
+    static async collect(company, { type, baseAmount, rate, description, studentId = null }, { connection, allowNegative = false } = {}) {
+        const amount = Tax.compute(baseAmount, rate);
+        if (!(amount > 0)) {
+            return null;
+        }
+
+        return Mysql.transaction(async connection => {
+            const expense = await company.addExpense(description, amount, {
+                connection,
+                allowNegative,
+                ledger: { to: LedgerEntry.TREASURY, type: 'tax' }
+            });
+
+            const payment = {
+                id: randomUUID(),
+                class_id: company.class_id,
+                company_id: company.id,
+                student_id: studentId,
+                tax_type: type,
+                base_amount: parseFloat(parseFloat(baseAmount).toFixed(2)),
+                rate: parseFloat(rate),
+                amount,
+                expense_id: expense.id,
+                period_id: expense.period_id,
+                created_at: expense.created_at
+            };
+            await Mysql.insert('tax_payments', payment, { connection });
+
+            return Tax.formatPayment(payment);
+        }, connection);
+    }
+
+    /**
+     * Give back part of a tax already collected from a company, as when a taxed sale is refunded
+     * The money moves from the treasury back to the company (a revenue in the taxes category) and the
+     * reversal is recorded in tax_payments with negative amounts, so the totals of the tax go down
+     * @param {Company} company - Company that paid the tax
+     * @param {Object} tax - Tax to reverse
+     * @param {string} tax.type - Tax type (revenue, profit or dividend)
+     * @param {number} tax.baseAmount - Part of the base that is no longer taxed
+     * @param {number} tax.rate - Rate in percent the tax was collected at
+     * @param {number} tax.amount - Tax to give back
+     * @param {string} tax.description - Revenue description
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object|null} Reversal payment, or null when there is nothing to give back
+     */
+    static async reverse(company, { type, baseAmount, rate, amount, description }, { connection } = {}) {
+        const reversalAmount = parseFloat(parseFloat(amount).toFixed(2));
+        if (!(reversalAmount > 0)) {
+            return null;
+        }
+
+        return Mysql.transaction(async connection => {
+            const revenue = await company.addRevenue(description, reversalAmount, {
+                connection,
+                tax: false,
+                ledger: { from: LedgerEntry.TREASURY, type: 'tax' }
+            });
+
+            const payment = {
+                id: randomUUID(),
+                class_id: company.class_id,
+                company_id: company.id,
+                student_id: null,
+                tax_type: type,
+                base_amount: -parseFloat(parseFloat(baseAmount).toFixed(2)),
+                rate: parseFloat(rate),
+                amount: -reversalAmount,
+                expense_id: null,
+                period_id: revenue.period_id,
+                created_at: revenue.created_at
+            };
+            await Mysql.insert('tax_payments', payment, { connection });
+
+            return Tax.formatPayment(payment);
+        }, connection);
+    }
+
+    /**
+     * Charge the revenue tax of the class on a revenue just received by a company
+     * @param {Company} company - Company that received the revenue, locked by the caller
+     * @param {number} amount - Revenue amount
+     * @param {string} description - Revenue description
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object|null} Tax payment, or null when the class has no revenue tax
+     */
+    static async chargeRevenue(company, amount, description, { connection } = {}) {
+        const { revenueRate } = await Tax.getSettings(company.class_id, { connection });
+
+        return Tax.collect(company, {
+            type: 'revenue',
+            baseAmount: amount,
+            rate: revenueRate,
+            description: `Revenue tax (${revenueRate}%): ${description}`
+        }, { connection });
+    }
+
+    /**
+     * Charge the profit tax of the class on the profit of a company not taxed yet
+     * The profit of the open period is taxed (the whole history when no period is open), minus the
+     * part already taxed, so applying the tax twice does not charge the same profit again.
+     * The tax is charged even if the budget does not cover it, as it is owed on profit already made.
+     * @param {string} companyId - Company ID
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object|null} Tax payment, or null when there is no profit to tax
+     */
+    static async chargeProfit(companyId, { connection } = {}) {
+        return Mysql.transaction(async connection => {
+            const company = new Company({ id: companyId });
+            await company.get({ connection, lock: true });
+            company.assertActive();
+
+            const { profitRate } = await Tax.getSettings(company.class_id, { connection });
+            if (!(profitRate > 0)) {
+                return null;
+            }
+
+            // The income statement leaves out funding, dividends and the cost of unsold stock
+            const periodId = await Period.getCurrentId(company.class_id, { connection });
+            const period = periodId ? await new Period({ id: periodId }).get({ connection }) : null;
+            const { netIncome } = await FinancialStatement.getIncomeStatement(company, period, { connection });
+
+            let sql = `
+                SELECT COALESCE(SUM(base_amount), 0) AS base_amount, COALESCE(SUM(amount), 0) AS amount
+                FROM tax_payments WHERE company_id = ? AND tax_type = 'profit'
+            `;
+            const params = [company.id];
+            if (periodId) {
+                sql += ' AND period_id = ?';
+                params.push(periodId);
+            }
+            const [taxed] = await Mysql.query(sql, params, connection);
+
+            // The profit taxes already paid are taxes of the same scope, so they are added back
+            const taxableProfit = parseFloat((netIncome + parseFloat(taxed.amount) - parseFloat(taxed.base_amount)).toFixed(2));
+            if (!(taxableProfit > 0)) {
+                return null;
+            }
+
+            const payment = await Tax.collect(company, {
+                type: 'profit',
+                baseAmount: taxableProfit,
+                rate: profitRate,
+                description: `Profit tax (${profitRate}%)`
+            }, { connection, allowNegative: true });
+
+            return payment && { ...payment, companyName: company.name };
+        }, connection);
+    }
+
+    /**
+     * Charge the profit tax of every active company of the class
+     * @param {string} classId - Class ID
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Tax payments and the total collected
+     */
+    static async applyForClass(classId, { connection } = {}) {
+        return Mysql.transaction(async connection => {
+            const companies = await Mysql.find('companies', {
+                filter: { class_id: classId, status: 'active' },
+                opt: { connection }
+            });
+
+            const payments = [];
+            for (const company of companies) {
+                const payment = await Tax.chargeProfit(company.id, { connection });
+                if (payment) {
+                    payments.push(payment);
+                }
+            }
+
+            return {
+                payments,
+                total: parseFloat(payments.reduce((sum, payment) => sum + payment.amount, 0).toFixed(2))
+            };
+        }, connection);
+    }
+
+    /**
+     * Get the taxes collected in a class
+     * @param {string} classId - Class ID
+     * @param {Object} filter - Filter
+     * @param {string} filter.companyId - Only the taxes paid by this company (optional)
+     * @param {string} filter.type - Only this tax type (optional)
+     * @param {string} filter.periodId - Only the taxes of this period (optional)
+     * @returns {Array} Tax payments with the company and student names, newest first
+     */
+    static async getPayments(classId, { companyId, type, periodId } = {}) {
+        if (type && !Tax.TYPES.includes(type)) {
+            throw new CustomError(400, `Invalid tax type. Use: ${Tax.TYPES.join(', ')}`);
+        }
+
+        let sql = `
+            SELECT t.*, c.name AS company_name, s.name AS student_name FROM tax_payments t
+            JOIN companies c ON t.company_id = c.id
+            LEFT JOIN students s ON t.student_id = s.id
+            WHERE t.class_id = ?
+        `;
+        const params = [classId];
+
+        if (companyId) {
+            sql += ' AND t.company_id = ?';
+            params.push(companyId);
+        }
+        if (type) {
+            sql += ' AND t.tax_type = ?';
+            params.push(type);
+        }
+        if (periodId) {
+            sql += ' AND t.period_id = ?';
+            params.push(periodId);
+        }
+        sql += ' ORDER BY t.created_at DESC';
+
+        const payments = await Mysql.query(sql, params);
+        return payments.map(payment => Tax.formatPayment(payment));
+    }
+
+    /**
+     * Get the treasury of a class: its ledger balance and the taxes collected by type
+     * @param {string} classId - Class ID
+     * @param {Object} filter - Payments filter (see getPayments)
+     * @returns {Object} Treasury balance, totals by tax type and payments
+     */
+    static async getTreasury(classId, filter = {}) {
+        const payments = await Tax.getPayments(classId, filter);
+
+        const totals = Object.fromEntries(Tax.TYPES.map(type => [
+            type,
+            parseFloat(payments.filter(payment => payment.type === type).reduce((sum, payment) => sum + payment.amount, 0).toFixed(2))
+        ]));
+
+        return {
+            balance: await LedgerEntry.getBalance(LedgerEntry.TREASURY, classId),
+            totalCollected: parseFloat(payments.reduce((sum, payment) => sum + payment.amount, 0).toFixed(2)),
+            totals,
+            payments
+        };
+    }
+
+    /**
+     * Format a tax_payments row for the API
+     * @param {Object} payment - Tax payment row
+     * @returns {Object} Tax payment
+     */
+    static formatPayment(payment) {
+        return {
+            id: payment.id,
+            classId: payment.class_id,
+            companyId: payment.company_id,
+            studentId: payment.student_id || null,
+            type: payment.tax_type,
+            baseAmount: parseFloat(payment.base_amount) || 0,
+            rate: parseFloat(payment.rate) || 0,
+            amount: parseFloat(payment.amount) || 0,
+            expenseId: payment.expense_id || null,
+            periodId: payment.period_id || null,
+            createdAt: payment.created_at,
+            ...(payment.company_name !== undefined && { companyName: payment.company_name }),
+            ...(payment.student_name !== undefined && { studentName: payment.student_name })
+        };
+    }
+}
@@ -0,0 +1,89 @@
+import Student from './student.js';
+import Company from './company.js';
+import LedgerEntry from './ledger-entry.js';
+import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
+
+/**
+ * Transfer
+ * Moves money from a student to another student or to a company.
+ * Transfers have no table of their own: they are recorded in the ledger with the 'transfer' type,
+ * so they show up in the history of both parties.
+ */
+export default class Transfer {
+    static SOURCE_TYPES = ['student'];
+    static TARGET_TYPES = ['student', 'company'];
+
+    /**
+     * Transfer money between two accounts
+     * @param {Object} transfer - Transfer data
+     * @param {Object} transfer.from - Source account ({ type, id })
+     * @param {Object} transfer.to - Target account ({ type, id })
+     * @param {number} transfer.amount - Amount to transfer
+     * @param {string} transfer.description - Description (optional)
+     * @param {Object} options - Options
+     * @param {Object} options.connection - Transaction connection (optional)
+     * @returns {Object} Transfer record with both parties updated
+     */
+    static async create({ from, to, amount, description = '' }, { connection } = {}) {
+        const transferAmount = parseFloat(amount);
+
+        if (!from?.id || !Transfer.SOURCE_TYPES.includes(from.type)) {
+            throw new CustomError(400, `Invalid transfer source. Use: ${Transfer.SOURCE_TYPES.join(', ')}`);
+        }
+
+        if (!to?.id || !Transfer.TARGET_TYPES.includes(to.type)) {
+            throw new CustomError(400, `Invalid transfer target. Use: ${Transfer.TARGET_TYPES.join(', ')}`);
+        }
+
+        if (!(transferAmount > 0)) {
+            throw new CustomError(400, 'Transfer amount must be positive');
+        }
+
+        if (from.type === to.type && from.id === to.id) {
+            throw new CustomError(400, 'Cannot transfer to the same account');
+        }
+
+        return Mysql.transaction(async connection => {
+            const source = await new Student({ id: from.id }).get({ connection });
+            const target = to.type === 'student'
+                ? await new Student({ id: to.id }).get({ connection })
+                : await new Company({ id: to.id }).get({ connection });
+
+            if (source.class_id !== target.class_id) {
+                throw new CustomError(400, 'Transfer accounts must belong to the same class');
+            }
+
+            const ledgerDescription = description || `Transfer from ${source.name} to ${target.name}`;
+
+            if (to.type === 'student') {
+                // Lock both students in a fixed order so opposite transfers cannot deadlock
+                const students = [source, target].sort((a, b) => a.id.localeCompare(b.id));
+                for (const student of students) {
+                    await student.get({ connection, lock: true });
+                }
+
+                await source.deductBalance(transferAmount, {
+                    connection,
+                    ledger: { to: LedgerEntry.student(target.id), type: 'transfer', description: ledgerDescription }
+                });
+                await target.addBalance(transferAmount, { connection, ledger: false });
+            } else {
+                await source.deductBalance(transferAmount, {
+                    connection,
+                    ledger: { to: LedgerEntry.company(target.id), type: 'transfer', description: ledgerDescription }
+                });
+
+                // Financing, like a capital contribution: the company history shows it from the ledger, not as a revenue
+                await target.addFunds(transferAmount, { connection });
+            }
+
+            return {
+                from: { type: from.type, ...source.toJSON() },
+                to: { type: to.type, ...target.toJSON() },
+                amount: transferAmount,
+                description: ledgerDescription
+            };
+        }, connection);
+    }
+}
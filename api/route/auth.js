@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import Admin from '../model/admin.js';
-import { authenticateToken } from '../middleware/auth.js';
+import StudentAccount from '../model/student-account.js';
+import { authenticateToken, authenticateStudent } from '../middleware/auth.js';
 import CustomError from '../helpers/error.js';
 
 const router = Router();
@@ -80,7 +81,7 @@ router.get('/status', async (req, res, next) => {
         
         try {
             const decoded = Admin.verifyToken(token);
-            const admin = await Admin.findByUsername(decoded.username);
+            const admin = decoded.type === 'admin' ? await Admin.findByUsername(decoded.username) : null;
             
             if (!admin || !admin.is_active) {
                 return res.status(200).json({
@@ -107,6 +108,56 @@ router.get('/status', async (req, res, next) => {
     }
 });
 
+/**
+ * GET /auth/student/classes/:joinCode
+ * Class of a join code and its students, so a student can pick their name before typing the PIN
+ */
+router.get('/student/classes/:joinCode', async (req, res, next) => {
+    try {
+        const roster = await StudentAccount.getRoster(req.params.joinCode);
+        
+        res.status(200).json(roster);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /auth/student/login
+ * Authenticate a student with the join code of the class and their PIN
+ */
+router.post('/student/login', async (req, res, next) => {
+    try {
+        const { joinCode, studentId, pin } = req.body;
+        
+        const result = await StudentAccount.authenticate(joinCode, studentId, pin);
+        
+        res.status(200).json({
+            message: 'Login successful',
+            token: result.token,
+            student: result.student,
+            class: result.class
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /auth/student/verify
+ * Verify if the current student token is valid and return the student
+ */
+router.get('/student/verify', authenticateStudent, async (req, res, next) => {
+    try {
+        res.status(200).json({
+            valid: true,
+            student: req.student
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * POST /auth/create-admin
  * Create a new admin user (protected route - requires admin authentication)
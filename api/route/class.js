@@ -1,6 +1,13 @@
 import { Router } from 'express';
 import Class from '../model/class.js';
 import Student from '../model/student.js';
+import Market from '../model/market.js';
+import Period from '../model/period.js';
+import RecurringExpense from '../model/recurring-expense.js';
+import Loan from '../model/loan.js';
+import Tax from '../model/tax.js';
+import Leaderboard from '../model/leaderboard.js';
+import StudentAccount from '../model/student-account.js';
 import { authenticateToken } from '../middleware/auth.js';
 import CustomError from '../helpers/error.js';
 
@@ -107,6 +114,55 @@ router.get('/:id/stats', async (req, res, next) => {
     }
 });
 
+// Get the ranking of the companies and students of a class
+router.get('/:id/leaderboard', async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const leaderboard = await Leaderboard.forClass(classObj.id, {
+            metric: req.query.metric,
+            periodId: req.query.period_id
+        });
+        
+        res.send({
+            class: classObj.toJSON(),
+            ...leaderboard
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get the join code students use to log in to the portal
+router.get('/:id/join-code', authenticateToken, async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const joinCode = await StudentAccount.getJoinCode(classObj.id);
+        
+        res.send({
+            class: classObj.toJSON(),
+            joinCode
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Create a new join code, replacing the current one
+router.post('/:id/join-code', authenticateToken, async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const joinCode = await StudentAccount.createJoinCode(classObj.id);
+        
+        res.status(201).send({
+            message: 'Join code created successfully',
+            class: classObj.toJSON(),
+            joinCode
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Get students in a class
 router.get('/:id/students', async (req, res, next) => {
     try {
@@ -170,6 +226,360 @@ router.post('/:id/reset-balances', authenticateToken, async (req, res, next) =>
     }
 });
 
+// Get class ledger entries
+router.get('/:id/ledger', async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const { account_type, account_id, period_id, transaction_type, limit } = req.query;
+        
+        const entries = await classObj.getLedger({
+            accountType: account_type,
+            accountId: account_id,
+            periodId: period_id,
+            transactionType: transaction_type,
+            limit: limit === undefined ? undefined : Number(limit)
+        });
+        
+        res.send({
+            class: classObj.toJSON(),
+            entries
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Reconcile cached balances against the ledger
+router.get('/:id/ledger/reconcile', async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const reconciliation = await classObj.reconcileLedger();
+        
+        res.send({
+            class: classObj.toJSON(),
+            reconciliation
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Fix discrepancies between cached balances and the ledger
+router.post('/:id/ledger/reconcile', authenticateToken, async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const { source } = req.body;
+        
+        const reconciliation = await classObj.applyLedgerReconciliation(source || 'ledger');
+        
+        res.send({
+            message: 'Ledger reconciled successfully',
+            class: classObj.toJSON(),
+            reconciliation
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get class periods
+router.get('/:id/periods', async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const periods = await Period.getByClass(classObj.id);
+        
+        res.send({
+            class: classObj.toJSON(),
+            periods: periods.map(period => period.toJSON())
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get the open period of the class
+router.get('/:id/periods/current', async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const period = await Period.getCurrent(classObj.id);
+        
+        res.send({
+            class: classObj.toJSON(),
+            period: period ? period.toJSON() : null
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Open a new period in the class
+router.post('/:id/periods', authenticateToken, async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const { name } = req.body;
+        
+        const period = await Period.open(classObj.id, { name });
+        
+        res.status(201).send({
+            message: 'Period opened successfully',
+            class: classObj.toJSON(),
+            period: period.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get class market simulation settings
+router.get('/:id/market', async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const settings = await Market.getSettings(classObj.id);
+        
+        res.send({
+            class: classObj.toJSON(),
+            settings
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Update class market simulation settings
+router.put('/:id/market', authenticateToken, async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const { enabled, demandModel, marketSize, referencePrice, elasticity, noise } = req.body;
+        
+        const settings = await Market.updateSettings(classObj.id, {
+            enabled,
+            demandModel,
+            marketSize,
+            referencePrice,
+            elasticity,
+            noise
+        });
+        
+        res.send({
+            message: 'Market settings updated successfully',
+            class: classObj.toJSON(),
+            settings
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Preview the projected sales of the next market round
+router.get('/:id/market/preview', async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const preview = await Market.preview(classObj.id);
+        
+        res.send({
+            class: classObj.toJSON(),
+            ...preview
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get the market rounds already run
+router.get('/:id/market/rounds', async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const rounds = await Market.getRounds(classObj.id);
+        
+        res.send({
+            class: classObj.toJSON(),
+            rounds
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Run a market round, generating the sales of every product
+router.post('/:id/market/rounds', authenticateToken, async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const result = await Market.runRound(classObj.id);
+        
+        res.status(201).send({
+            message: 'Market round completed successfully',
+            ...result
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get the recurring expenses of every company of the class
+router.get('/:id/recurring-expenses', async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const recurringExpenses = await RecurringExpense.getByClass(classObj.id, { frequency: req.query.frequency });
+        
+        res.send({
+            class: classObj.toJSON(),
+            recurringExpenses: recurringExpenses.map(recurringExpense => recurringExpense.toJSON())
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Charge the recurring expenses of every active company of the class
+router.post('/:id/recurring-expenses/apply', authenticateToken, async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const { frequency } = req.body;
+        
+        const result = await RecurringExpense.applyForClass(classObj.id, { frequency });
+        
+        res.status(201).send({
+            message: 'Recurring expenses applied successfully',
+            class: classObj.toJSON(),
+            ...result
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Charge the loan installments due in the class, as closing a period does
+router.post('/:id/loans/charge', authenticateToken, async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const result = await Loan.chargeForClass(classObj.id);
+        
+        res.status(201).send({
+            message: 'Loan installments charged successfully',
+            class: classObj.toJSON(),
+            ...result
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get the expense and revenue categories of the class
+router.get('/:id/categories', async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const categories = await classObj.getCategories();
+        
+        res.send({
+            class: classObj.toJSON(),
+            categories
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Add a custom category to the class
+router.post('/:id/categories', authenticateToken, async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const category = await classObj.addCategory(req.body.name);
+        
+        res.status(201).send({
+            message: 'Category added successfully',
+            category,
+            categories: await classObj.getCategories()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Delete a custom category of the class
+router.delete('/:id/categories/:name', authenticateToken, async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        await classObj.deleteCategory(req.params.name);
+        
+        res.send({
+            message: 'Category deleted successfully',
+            categories: await classObj.getCategories()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get class tax rules
+router.get('/:id/taxes', async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const settings = await Tax.getSettings(classObj.id);
+        
+        res.send({
+            class: classObj.toJSON(),
+            settings
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Update class tax rules
+router.put('/:id/taxes', authenticateToken, async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const { revenueRate, profitRate, dividendRate } = req.body;
+        
+        const settings = await Tax.updateSettings(classObj.id, { revenueRate, profitRate, dividendRate });
+        
+        res.send({
+            message: 'Tax settings updated successfully',
+            class: classObj.toJSON(),
+            settings
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Charge the profit tax of every active company of the class, as closing a period does
+router.post('/:id/taxes/apply', authenticateToken, async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const result = await Tax.applyForClass(classObj.id);
+        
+        res.status(201).send({
+            message: 'Profit tax applied successfully',
+            class: classObj.toJSON(),
+            ...result
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get the class treasury: balance and taxes collected
+router.get('/:id/treasury', async (req, res, next) => {
+    try {
+        const classObj = await new Class({ id: req.params.id }).get();
+        const { company_id, type, period_id } = req.query;
+        
+        const treasury = await Tax.getTreasury(classObj.id, {
+            companyId: company_id,
+            type,
+            periodId: period_id
+        });
+        
+        res.send({
+            class: classObj.toJSON(),
+            ...treasury
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Delete class
 router.delete('/:id', authenticateToken, async (req, res, next) => {
     try {
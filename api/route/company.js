@@ -1,8 +1,11 @@
 import { Router } from 'express';
 import Company from '../model/company.js';
 import Student from '../model/student.js';
+import RecurringExpense from '../model/recurring-expense.js';
+import FinancialStatement from '../model/financial-statement.js';
 import { authenticateToken } from '../middleware/auth.js';
 import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
 
 const router = Router();
 
@@ -89,16 +92,20 @@ router.post('/', authenticateToken, async (req, res, next) => {
             name,
             class_id: classId,
             initial_budget: initialBudget,
-            current_budget: initialBudget
+            // Budget starts empty and is filled by each member contribution
+            current_budget: 0
         });
 
-        await company.insert();
-        
-        // Add members to company
-        for (const memberId of uniqueMemberIds) {
-            const contribution = parseFloat(contributions[memberId]) || 0;
-            await company.addMember(memberId, contribution);
-        }
+        // Company and memberships are created as one unit so a failed contribution leaves nothing behind
+        await Mysql.transaction(async connection => {
+            await company.insert({ connection });
+            
+            // Add members to company
+            for (const memberId of uniqueMemberIds) {
+                const contribution = parseFloat(contributions[memberId]) || 0;
+                await company.addMember(memberId, contribution, { connection });
+            }
+        });
         
         const result = await company.toJSONWithDetails();
         
@@ -171,29 +178,120 @@ router.post('/:id/members', authenticateToken, async (req, res, next) => {
     }
 });
 
+// Add capital contribution from an existing member
+router.post('/:id/contributions', authenticateToken, async (req, res, next) => {
+    try {
+        const company = await new Company({ id: req.params.id }).get();
+        const { studentId, amount } = req.body;
+        
+        if (!studentId) {
+            throw new CustomError(400, 'Student ID is required');
+        }
+        
+        if (!amount || isNaN(amount)) {
+            throw new CustomError(400, 'Valid contribution amount is required');
+        }
+        
+        const contribution = await company.addContribution(studentId, amount);
+        
+        res.status(201).send({
+            message: 'Contribution added successfully',
+            contribution,
+            company: company.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Remove member from company
 router.delete('/:id/members/:studentId', authenticateToken, async (req, res, next) => {
     try {
         const company = await new Company({ id: req.params.id }).get();
-        const success = await company.removeMember(req.params.studentId);
+        const { policy } = req.query;
         
-        if (!success) {
+        const exit = await company.removeMember(req.params.studentId, { policy: policy || 'keep' });
+        
+        if (!exit) {
             throw new CustomError(404, 'Member not found in company');
         }
         
         res.send({
-            message: 'Member removed from company successfully'
+            message: 'Member removed from company successfully',
+            exit,
+            company: company.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get members that left the company
+router.get('/:id/member-exits', async (req, res, next) => {
+    try {
+        const company = await new Company({ id: req.params.id }).get();
+        const exits = await company.getMemberExits();
+        
+        res.send({
+            company: company.toJSON(),
+            exits
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get company cap table (shares and ownership of each member)
+router.get('/:id/cap-table', async (req, res, next) => {
+    try {
+        const company = await new Company({ id: req.params.id }).get();
+        const capTable = await company.getCapTable();
+        
+        res.send({
+            company: company.toJSON(),
+            ...capTable
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Transfer shares between students
+router.post('/:id/shares/transfer', authenticateToken, async (req, res, next) => {
+    try {
+        const company = await new Company({ id: req.params.id }).get();
+        const { fromStudentId, toStudentId, shares, price } = req.body;
+        
+        if (!fromStudentId || !toStudentId) {
+            throw new CustomError(400, 'Source and target student IDs are required');
+        }
+        
+        if (!shares || isNaN(shares)) {
+            throw new CustomError(400, 'Valid number of shares is required');
+        }
+        
+        if (price && isNaN(price)) {
+            throw new CustomError(400, 'Price must be a number');
+        }
+        
+        const transfer = await company.transferShares(fromStudentId, toStudentId, shares, { price });
+        const capTable = await company.getCapTable();
+        
+        res.status(201).send({
+            message: 'Shares transferred successfully',
+            transfer,
+            company: company.toJSON(),
+            ...capTable
         });
     } catch (error) {
         next(error);
     }
 });
 
-// Get company expenses
 router.get('/:id/expenses', async (req, res, next) => {
     try {
         const company = await new Company({ id: req.params.id }).get();
-        const expenses = await company.getExpenses();
+        const expenses = await company.getExpenses({ periodId: req.query.period_id, category: req.query.category });
         
         res.send({ 
             company: company.toJSON(),
@@ -201,6 +299,8 @@ router.get('/:id/expenses', async (req, res, next) => {
                 description: expense.description,
                 date: expense.created_at,
                 amount: expense.amount,
+                category: expense.category,
+                periodId: expense.period_id || null,
             }))
         });
     } catch (error) {
@@ -212,7 +312,7 @@ router.get('/:id/expenses', async (req, res, next) => {
 router.post('/:id/expenses', authenticateToken, async (req, res, next) => {
     try {
         const company = await new Company({ id: req.params.id }).get();
-        const { description, amount } = req.body;
+        const { description, amount, category } = req.body;
         
         if (!description) {
             throw new CustomError(400, 'Expense description is required');
@@ -222,7 +322,7 @@ router.post('/:id/expenses', authenticateToken, async (req, res, next) => {
             throw new CustomError(400, 'Valid expense amount is required');
         }
         
-        const expense = await company.addExpense(description, amount);
+        const expense = await company.addExpense(description, amount, { category });
         
         res.status(201).send({
             message: 'Expense added successfully',
@@ -234,11 +334,50 @@ router.post('/:id/expenses', authenticateToken, async (req, res, next) => {
     }
 });
 
+// Get company recurring expenses
+router.get('/:id/recurring-expenses', async (req, res, next) => {
+    try {
+        const company = await new Company({ id: req.params.id }).get();
+        const recurringExpenses = await RecurringExpense.getByCompany(company.id);
+        const outstandingDebt = await RecurringExpense.getOutstandingDebt(company.id);
+        
+        res.send({
+            company: company.toJSON(),
+            recurringExpenses: recurringExpenses.map(recurringExpense => recurringExpense.toJSON()),
+            outstandingDebt
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Add company recurring expense
+router.post('/:id/recurring-expenses', authenticateToken, async (req, res, next) => {
+    try {
+        const { description, amount, category, frequency, budgetPolicy } = req.body;
+        
+        const recurringExpense = await RecurringExpense.create(req.params.id, {
+            description,
+            amount,
+            category,
+            frequency,
+            budgetPolicy
+        });
+        
+        res.status(201).send({
+            message: 'Recurring expense created successfully',
+            recurringExpense: recurringExpense.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Get company revenues
 router.get('/:id/revenues', async (req, res, next) => {
     try {
         const company = await new Company({ id: req.params.id }).get();
-        const revenues = await company.getRevenues();
+        const revenues = await company.getRevenues({ periodId: req.query.period_id, category: req.query.category });
         
         res.send({ 
             company: company.toJSON(),
@@ -246,6 +385,8 @@ router.get('/:id/revenues', async (req, res, next) => {
                 description: revenue.description,
                 date: revenue.created_at,
                 amount: revenue.amount,
+                category: revenue.category,
+                periodId: revenue.period_id || null,
             }))
         });
     } catch (error) {
@@ -257,7 +398,7 @@ router.get('/:id/revenues', async (req, res, next) => {
 router.post('/:id/revenues', authenticateToken, async (req, res, next) => {
     try {
         const company = await new Company({ id: req.params.id }).get();
-        const { description, amount } = req.body;
+        const { description, amount, category } = req.body;
         
         if (!description) {
             throw new CustomError(400, 'Revenue description is required');
@@ -267,7 +408,7 @@ router.post('/:id/revenues', authenticateToken, async (req, res, next) => {
             throw new CustomError(400, 'Valid revenue amount is required');
         }
         
-        const revenue = await company.addRevenue(description, amount);
+        const revenue = await company.addRevenue(description, amount, { category });
         
         res.status(201).send({
             message: 'Revenue added successfully',
@@ -283,7 +424,7 @@ router.post('/:id/revenues', authenticateToken, async (req, res, next) => {
 router.get('/:id/financial-summary', async (req, res, next) => {
     try {
         const company = await new Company({ id: req.params.id }).get();
-        const summary = await company.getFinancialSummary();
+        const summary = await company.getFinancialSummary({ periodId: req.query.period_id });
         
         res.send({ 
             company: company.toJSON(),
@@ -294,6 +435,18 @@ router.get('/:id/financial-summary', async (req, res, next) => {
     }
 });
 
+// Get income statement, balance sheet and cash-flow statement
+router.get('/:id/statements', async (req, res, next) => {
+    try {
+        const company = await new Company({ id: req.params.id }).get();
+        const statements = await FinancialStatement.forCompany(company, { periodId: req.query.period_id });
+
+        res.send(statements);
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Distribute profits to student
 router.post('/:id/distribute-profits', authenticateToken, async (req, res, next) => {
     try {
@@ -319,17 +472,77 @@ router.post('/:id/distribute-profits', authenticateToken, async (req, res, next)
     }
 });
 
+// Preview a bulk dividend split among all members
+router.get('/:id/dividends/preview', async (req, res, next) => {
+    try {
+        const company = await new Company({ id: req.params.id }).get();
+        const { amount, profit_percentage, split } = req.query;
+        
+        const preview = await company.planDividends({
+            amount,
+            profitPercentage: profit_percentage,
+            split: split || 'shares'
+        });
+        
+        res.send({
+            company: company.toJSON(),
+            preview
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Distribute a bulk dividend to all members
+router.post('/:id/dividends', authenticateToken, async (req, res, next) => {
+    try {
+        const company = await new Company({ id: req.params.id }).get();
+        const { amount, profitPercentage, split, description } = req.body;
+        
+        const dividend = await company.distributeDividends({
+            amount,
+            profitPercentage,
+            split: split || 'shares',
+            description: description || undefined
+        });
+        
+        res.status(201).send({
+            message: 'Dividends distributed successfully',
+            dividend,
+            company: company.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Close company, liquidating the remaining budget to the members
+router.post('/:id/close', authenticateToken, async (req, res, next) => {
+    try {
+        const company = await new Company({ id: req.params.id }).get();
+        const liquidation = await company.close();
+        
+        res.send({
+            message: 'Company closed successfully',
+            liquidation,
+            company: company.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Delete company
 router.delete('/:id', authenticateToken, async (req, res, next) => {
     try {
         const company = await new Company({ id: req.params.id }).get();
+        const force = req.query.force === 'true';
         
-        // TODO: Add validation to prevent deletion if company has products, etc.
-        
-        await company.delete();
+        const liquidation = await company.delete({ force });
         
         res.send({ 
             message: 'Company deleted successfully',
+            liquidation,
             company: company.toJSON()
         });
     } catch (error) {
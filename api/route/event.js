@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import Class from '../model/class.js';
+import Events from '../helpers/events.js';
+import CustomError from '../helpers/error.js';
+
+const router = Router();
+
+// Stream the changes of one or more classes as Server-Sent Events
+router.get('/', async (req, res, next) => {
+    try {
+        const classIds = [...new Set(String(req.query.class_id || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+        if (classIds.length === 0) {
+            throw new CustomError(400, 'Provide class_id');
+        }
+
+        for (const classId of classIds) {
+            await new Class({ id: classId }).get();
+        }
+
+        Events.stream(req, res, classIds);
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,139 @@
+import { Router } from 'express';
+import Loan from '../model/loan.js';
+import { authenticateToken } from '../middleware/auth.js';
+import CustomError from '../helpers/error.js';
+
+const router = Router();
+
+// Get loans of a class or of a borrower
+router.get('/', async (req, res, next) => {
+    try {
+        const { class_id, borrower_type, borrower_id, status } = req.query;
+        let loans;
+
+        if (borrower_type && borrower_id) {
+            loans = await Loan.getByBorrower(borrower_type, borrower_id);
+            if (status) {
+                loans = loans.filter(loan => loan.status === status);
+            }
+        } else if (class_id) {
+            loans = await Loan.getByClass(class_id, { status });
+        } else {
+            throw new CustomError(400, 'Provide class_id or borrower_type and borrower_id');
+        }
+
+        const formattedLoans = [];
+        for (const loan of loans) {
+            formattedLoans.push(await loan.toJSONWithDetails());
+        }
+
+        res.send({ loans: formattedLoans });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Simulate the amortization schedule of a loan, without requesting it
+router.get('/simulate', async (req, res, next) => {
+    try {
+        const principal = parseFloat(req.query.principal);
+        const interestRate = parseFloat(req.query.interest_rate) || 0;
+        const term = parseInt(req.query.term);
+
+        if (!(principal > 0) || !(term > 0) || interestRate < 0) {
+            throw new CustomError(400, 'Valid principal, interest_rate and term are required');
+        }
+
+        const installments = Loan.schedule(principal, interestRate, term);
+
+        res.send({
+            principal,
+            interestRate,
+            term,
+            totalAmount: parseFloat(installments.reduce((sum, installment) => sum + installment.amount, 0).toFixed(2)),
+            totalInterest: parseFloat(installments.reduce((sum, installment) => sum + installment.interest, 0).toFixed(2)),
+            installments
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get loan by ID, with its schedule
+router.get('/:id', async (req, res, next) => {
+    try {
+        const loan = await new Loan({ id: req.params.id }).get();
+
+        res.send({ loan: await loan.toJSONWithDetails() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Request a loan for a company or a student
+router.post('/', authenticateToken, async (req, res, next) => {
+    try {
+        const { borrowerType, borrowerId, principal, interestRate, term, description } = req.body;
+
+        if (!borrowerId) {
+            throw new CustomError(400, 'Borrower ID is required');
+        }
+
+        const loan = await Loan.request({ borrowerType, borrowerId, principal, interestRate, term, description });
+
+        res.status(201).send({
+            message: 'Loan requested successfully',
+            loan: await loan.toJSONWithDetails()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Approve a pending loan, paying the principal to the borrower
+router.post('/:id/approve', authenticateToken, async (req, res, next) => {
+    try {
+        const loan = await new Loan({ id: req.params.id }).get();
+        await loan.approve();
+
+        res.send({
+            message: 'Loan approved successfully',
+            loan: await loan.toJSONWithDetails()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Reject a pending loan
+router.post('/:id/reject', authenticateToken, async (req, res, next) => {
+    try {
+        const loan = await new Loan({ id: req.params.id }).get();
+        await loan.reject();
+
+        res.send({
+            message: 'Loan rejected successfully',
+            loan: loan.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Pay the next installment of a loan now
+router.post('/:id/pay', authenticateToken, async (req, res, next) => {
+    try {
+        const loan = await new Loan({ id: req.params.id }).get();
+        const installment = await loan.payNext();
+
+        res.status(201).send({
+            message: 'Installment paid successfully',
+            installment,
+            loan: await loan.toJSONWithDetails()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
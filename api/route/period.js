@@ -0,0 +1,43 @@
+import { Router } from 'express';
+import Period from '../model/period.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = Router();
+
+// Get period by ID, with the activity recorded in it and the snapshots taken at close
+router.get('/:id', async (req, res, next) => {
+    try {
+        const period = await new Period({ id: req.params.id }).get();
+        const summary = await period.getSummary();
+        const snapshots = await period.getSnapshots();
+        
+        res.send({
+            period: period.toJSON(),
+            summary,
+            snapshots
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Close period
+router.post('/:id/close', authenticateToken, async (req, res, next) => {
+    try {
+        const period = await new Period({ id: req.params.id }).get();
+        const { snapshots, loans, recurringExpenses, taxes } = await period.close();
+        
+        res.send({
+            message: 'Period closed successfully',
+            period: period.toJSON(),
+            snapshots,
+            loans,
+            recurringExpenses,
+            taxes
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,147 @@
+import { Router } from 'express';
+import Student from '../model/student.js';
+import Class from '../model/class.js';
+import Company from '../model/company.js';
+import StudentAccount from '../model/student-account.js';
+import StudentRequest from '../model/student-request.js';
+import { authenticateStudent } from '../middleware/auth.js';
+import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
+
+// Student portal: every route acts on the student of the token (see StudentAccount)
+const router = Router();
+
+// Get the logged student with their class and the companies they are a member of
+router.get('/me', authenticateStudent, async (req, res, next) => {
+    try {
+        const student = await new Student({ id: req.student.id }).get();
+        const classObj = await new Class({ id: student.class_id }).get();
+
+        const memberships = await Mysql.find('company_members', { filter: { student_id: student.id } });
+        const companies = [];
+        for (const membership of memberships) {
+            const company = await new Company({ id: membership.company_id }).get();
+            const { holders } = await company.getCapTable();
+            const holder = holders.find(h => h.studentId === student.id);
+
+            companies.push({
+                ...company.toJSON(),
+                contribution: parseFloat(membership.contribution) || 0,
+                shares: parseFloat(membership.shares) || 0,
+                percentage: holder?.percentage || 0,
+                value: holder?.value || 0
+            });
+        }
+
+        res.send({
+            student: student.toJSON(),
+            class: classObj.toJSON(),
+            companies
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get the transaction history of the logged student
+router.get('/transactions', authenticateStudent, async (req, res, next) => {
+    try {
+        const student = await new Student({ id: req.student.id }).get();
+        const transactions = await student.getTransactions();
+
+        res.send({ transactions });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get the finances of a company of the logged student
+router.get('/companies/:id', authenticateStudent, async (req, res, next) => {
+    try {
+        const student = await new Student({ id: req.student.id }).get();
+        const company = await StudentRequest.findMemberCompany(student, req.params.id);
+
+        const expenses = await company.getExpenses();
+        const revenues = await company.getRevenues();
+        const format = entry => ({
+            description: entry.description,
+            date: entry.created_at,
+            amount: entry.amount,
+            category: entry.category
+        });
+
+        res.send({
+            company: await company.toJSONWithDetails(),
+            expenses: expenses.map(format),
+            revenues: revenues.map(format)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get the requests of the logged student
+router.get('/requests', authenticateStudent, async (req, res, next) => {
+    try {
+        const requests = await StudentRequest.getByStudent(req.student.id, { status: req.query.status });
+
+        const formattedRequests = [];
+        for (const request of requests) {
+            formattedRequests.push(await request.toJSONWithDetails());
+        }
+
+        res.send({ requests: formattedRequests });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Make a request (company expense or transfer) for the teacher to approve
+router.post('/requests', authenticateStudent, async (req, res, next) => {
+    try {
+        const { type, amount, description, companyId, category, targetType, targetId } = req.body;
+
+        const request = await StudentRequest.create(req.student.id, { type, amount, description, companyId, category, targetType, targetId });
+
+        res.status(201).send({
+            message: 'Request sent successfully',
+            request: await request.toJSONWithDetails()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Cancel a pending request of the logged student
+router.post('/requests/:id/cancel', authenticateStudent, async (req, res, next) => {
+    try {
+        const request = await new StudentRequest({ id: req.params.id }).get();
+        if (request.student_id !== req.student.id) {
+            throw new CustomError(404, 'Request not found');
+        }
+
+        await request.cancel();
+
+        res.send({
+            message: 'Request cancelled successfully',
+            request: request.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Change the PIN of the logged student
+router.put('/pin', authenticateStudent, async (req, res, next) => {
+    try {
+        const { currentPin, newPin } = req.body;
+
+        await StudentAccount.changePin(req.student.id, currentPin, newPin);
+
+        res.send({ message: 'PIN changed successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -1,19 +1,25 @@
 import { Router } from 'express';
 import Product from '../model/product.js';
 import Company from '../model/company.js';
+import Period from '../model/period.js';
 import { authenticateToken } from '../middleware/auth.js';
 import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
 
 const router = Router();
 
 // Get all products
 router.get('/', async (req, res, next) => {
     try {
-        const { company_id, class_id, include_details, start_date, end_date } = req.query;
+        const { company_id, class_id, include_details, start_date, end_date, period_id } = req.query;
         let products;
         
-        // If date filtering is requested, use the efficient database-level method
-        if (start_date || end_date) {
+        // A period filter is the date range the period was open (up to now while it is still open)
+        if (period_id) {
+            const period = await new Period({ id: period_id }).get();
+            products = await Product.getByDateRange(period.opened_at, period.closed_at, company_id, class_id);
+        } else if (start_date || end_date) {
+            // If date filtering is requested, use the efficient database-level method
             products = await Product.getByDateRange(start_date, end_date, company_id, class_id);
         } else if (company_id) {
             products = await Product.getByCompany(company_id);
@@ -64,7 +70,7 @@ router.get('/:id', async (req, res, next) => {
 // Launch new product
 router.post('/', authenticateToken, async (req, res, next) => {
     try {
-        const { name, price, companyId } = req.body;
+        const { name, price, unitCost, category, companyId } = req.body;
         
         if (!name) {
             throw new CustomError(400, 'Product name is required');
@@ -74,19 +80,27 @@ router.post('/', authenticateToken, async (req, res, next) => {
             throw new CustomError(400, 'Valid product price is required');
         }
         
+        if (unitCost !== undefined && (isNaN(unitCost) || parseFloat(unitCost) < 0)) {
+            throw new CustomError(400, 'Product unit cost cannot be negative');
+        }
+        
         if (!companyId) {
             throw new CustomError(400, 'Company ID is required');
         }
         
-        // Verify company exists
-        await new Company({ id: companyId }).get();
+        // Verify company exists and is still active
+        const company = await new Company({ id: companyId }).get();
+        company.assertActive();
         
         const product = new Product({
             name,
             price: parseFloat(price),
+            unit_cost: parseFloat(unitCost) || 0,
+            category: Product.normalizeCategory(category),
             company_id: companyId,
             sales_count: 0,
-            total_revenue: 0
+            total_revenue: 0,
+            total_cost: 0
         });
 
         await product.insert();
@@ -105,23 +119,42 @@ router.post('/', authenticateToken, async (req, res, next) => {
 // Update product
 router.put('/:id', authenticateToken, async (req, res, next) => {
     try {
-        const product = await new Product({ id: req.params.id }).get();
-        const { name, price } = req.body;
+        const { name, price, unitCost, category } = req.body;
         
         const updateData = {};
         if (name !== undefined) updateData.name = name;
+        if (category !== undefined) updateData.category = Product.normalizeCategory(category);
         if (price !== undefined) {
             if (isNaN(price) || parseFloat(price) <= 0) {
                 throw new CustomError(400, 'Product price must be positive');
             }
-            updateData.price = parseFloat(price);
+        }
+        if (unitCost !== undefined) {
+            if (isNaN(unitCost) || parseFloat(unitCost) < 0) {
+                throw new CustomError(400, 'Product unit cost cannot be negative');
+            }
+            updateData.unit_cost = parseFloat(unitCost);
         }
         
-        if (Object.keys(updateData).length === 0) {
+        if (Object.keys(updateData).length === 0 && price === undefined) {
             throw new CustomError(400, 'No valid fields to update');
         }
         
-        await product.update(updateData);
+        // All the changes are saved together, so a failed one leaves the product as it was
+        const product = await Mysql.transaction(async connection => {
+            const product = await new Product({ id: req.params.id }).get({ connection, lock: true });
+            
+            if (Object.keys(updateData).length > 0) {
+                await product.update(updateData, { connection });
+            }
+            
+            // Price changes go through updatePrice so they are kept in the price history
+            if (price !== undefined) {
+                await product.updatePrice(price, { connection });
+            }
+            
+            return product;
+        });
         
         res.send({
             message: 'Product updated successfully',
@@ -161,6 +194,67 @@ router.post('/:id/sales', authenticateToken, async (req, res, next) => {
     }
 });
 
+// Refund a product sale, fully or partially
+router.post('/:id/sales/:saleId/refund', authenticateToken, async (req, res, next) => {
+    try {
+        const product = await new Product({ id: req.params.id }).get();
+        const { quantity, reason } = req.body;
+        
+        if (quantity !== undefined && quantity !== null && (isNaN(quantity) || parseInt(quantity) <= 0)) {
+            throw new CustomError(400, 'Refund quantity must be positive if provided');
+        }
+        
+        const refundResult = await product.refundSale(
+            req.params.saleId,
+            quantity !== undefined && quantity !== null ? parseInt(quantity) : null,
+            { reason: reason || null }
+        );
+        
+        res.status(201).send({
+            message: 'Sale refunded successfully',
+            ...refundResult
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Produce a batch of the product
+router.post('/:id/batches', authenticateToken, async (req, res, next) => {
+    try {
+        const product = await new Product({ id: req.params.id }).get();
+        const { quantity } = req.body;
+        
+        if (!quantity || isNaN(quantity) || parseInt(quantity) <= 0) {
+            throw new CustomError(400, 'Valid quantity is required');
+        }
+        
+        const batchResult = await product.produce(parseInt(quantity));
+        
+        res.status(201).send({
+            message: 'Batch produced successfully',
+            ...batchResult
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get product production batches
+router.get('/:id/batches', async (req, res, next) => {
+    try {
+        const product = await new Product({ id: req.params.id }).get();
+        const batches = await product.getBatches();
+        
+        res.send({ 
+            product: product.toJSON(),
+            batches 
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Get product sales
 router.get('/:id/sales', async (req, res, next) => {
     try {
@@ -191,6 +285,22 @@ router.get('/:id/sales/stats', async (req, res, next) => {
     }
 });
 
+// Get product price history
+router.get('/:id/price-history', async (req, res, next) => {
+    try {
+        const product = await new Product({ id: req.params.id }).get();
+        const { history, periods } = await product.getPriceHistory();
+        
+        res.send({ 
+            product: product.toJSON(),
+            history,
+            periods
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Update product price
 router.put('/:id/price', authenticateToken, async (req, res, next) => {
     try {
@@ -212,14 +322,35 @@ router.put('/:id/price', authenticateToken, async (req, res, next) => {
     }
 });
 
+// Update product unit cost
+router.put('/:id/cost', authenticateToken, async (req, res, next) => {
+    try {
+        const product = await new Product({ id: req.params.id }).get();
+        const { unitCost } = req.body;
+        
+        if (unitCost === undefined || unitCost === null || isNaN(unitCost)) {
+            throw new CustomError(400, 'Valid unit cost is required');
+        }
+        
+        await product.updateCost(unitCost);
+        
+        res.send({
+            message: 'Product cost updated successfully',
+            product: product.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Delete product
 router.delete('/:id', authenticateToken, async (req, res, next) => {
     try {
         const product = await new Product({ id: req.params.id }).get();
         
-        // Check if product has sales
+        // Check if product has sales; fully refunded sales do not count
         const sales = await product.getSales();
-        if (sales.length > 0) {
+        if (sales.some(sale => sale.quantity > sale.refunded_quantity)) {
             throw new CustomError(409, 'Cannot delete product with sales records');
         }
         
@@ -0,0 +1,77 @@
+import { Router } from 'express';
+import RecurringExpense from '../model/recurring-expense.js';
+import { authenticateToken } from '../middleware/auth.js';
+import CustomError from '../helpers/error.js';
+
+const router = Router();
+
+// Get recurring expense by ID, with its charges
+router.get('/:id', async (req, res, next) => {
+    try {
+        const recurringExpense = await new RecurringExpense({ id: req.params.id }).get();
+        const charges = await recurringExpense.getCharges();
+
+        res.send({
+            recurringExpense: recurringExpense.toJSON(),
+            charges
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Update recurring expense
+router.put('/:id', authenticateToken, async (req, res, next) => {
+    try {
+        const recurringExpense = await new RecurringExpense({ id: req.params.id }).get();
+        const { description, amount, category, frequency, budgetPolicy, active } = req.body;
+
+        await recurringExpense.edit({ description, amount, category, frequency, budgetPolicy, active });
+
+        res.send({
+            message: 'Recurring expense updated successfully',
+            recurringExpense: recurringExpense.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Charge the recurring expense now, regardless of its frequency
+router.post('/:id/charge', authenticateToken, async (req, res, next) => {
+    try {
+        const recurringExpense = await new RecurringExpense({ id: req.params.id }).get();
+        const charge = await recurringExpense.charge();
+
+        res.status(201).send({
+            message: 'Recurring expense charged successfully',
+            charge
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Delete recurring expense
+router.delete('/:id', authenticateToken, async (req, res, next) => {
+    try {
+        const recurringExpense = await new RecurringExpense({ id: req.params.id }).get();
+
+        // Outstanding debt would be forgiven with the charges; deactivate the expense instead
+        const charges = await recurringExpense.getCharges();
+        if (charges.some(charge => charge.outstanding > 0)) {
+            throw new CustomError(409, 'Recurring expense has outstanding debt. Deactivate it instead');
+        }
+
+        await recurringExpense.delete();
+
+        res.send({
+            message: 'Recurring expense deleted successfully',
+            recurringExpense: recurringExpense.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,65 @@
+import { Router } from 'express';
+import StudentRequest from '../model/student-request.js';
+import { authenticateToken } from '../middleware/auth.js';
+import CustomError from '../helpers/error.js';
+
+// Review of the requests students make in the portal (see route/portal.js)
+const router = Router();
+
+// Get the requests of a class
+router.get('/', authenticateToken, async (req, res, next) => {
+    try {
+        const { class_id, status } = req.query;
+
+        if (!class_id) {
+            throw new CustomError(400, 'Provide class_id');
+        }
+
+        if (status && !StudentRequest.STATUSES.includes(status)) {
+            throw new CustomError(400, `Invalid status. Use: ${StudentRequest.STATUSES.join(', ')}`);
+        }
+
+        const requests = await StudentRequest.getByClass(class_id, { status });
+
+        const formattedRequests = [];
+        for (const request of requests) {
+            formattedRequests.push(await request.toJSONWithDetails());
+        }
+
+        res.send({ requests: formattedRequests });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Approve a pending request, moving the money
+router.post('/:id/approve', authenticateToken, async (req, res, next) => {
+    try {
+        const request = await new StudentRequest({ id: req.params.id }).get();
+        await request.approve({ note: req.body?.note });
+
+        res.send({
+            message: 'Request approved successfully',
+            request: await request.toJSONWithDetails()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Reject a pending request
+router.post('/:id/reject', authenticateToken, async (req, res, next) => {
+    try {
+        const request = await new StudentRequest({ id: req.params.id }).get();
+        await request.reject({ note: req.body?.note });
+
+        res.send({
+            message: 'Request rejected successfully',
+            request: await request.toJSONWithDetails()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -1,7 +1,9 @@
 import { Router } from 'express';
 import Student from '../model/student.js';
+import StudentAccount from '../model/student-account.js';
 import { authenticateToken } from '../middleware/auth.js';
 import CustomError from '../helpers/error.js';
+import Mysql from '../helpers/mysql.js';
 
 const router = Router();
 
@@ -39,6 +41,21 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
+// Get student transaction history
+router.get('/:id/transactions', async (req, res, next) => {
+    try {
+        const student = await new Student({ id: req.params.id }).get();
+        const transactions = await student.getTransactions();
+        
+        res.send({
+            student: student.toJSON(),
+            transactions
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Create new student
 router.post('/', authenticateToken, async (req, res, next) => {
     try {
@@ -73,22 +90,27 @@ router.post('/', authenticateToken, async (req, res, next) => {
 // Update student
 router.put('/:id', authenticateToken, async (req, res, next) => {
     try {
-        const student = await new Student({ id: req.params.id }).get();
         const { name, initialBalance } = req.body;
         
-        const updateData = {};
-        if (name !== undefined) updateData.name = name;
-        if (initialBalance !== undefined) {
-            updateData.initial_balance = parseFloat(initialBalance);
-            // Also update current balance to match new initial balance
-            updateData.current_balance = parseFloat(initialBalance);
-        }
-        
-        if (Object.keys(updateData).length === 0) {
+        if (name === undefined && initialBalance === undefined) {
             throw new CustomError(400, 'No valid fields to update');
         }
         
-        await student.update(updateData);
+        // All the changes are saved together, so a failed one leaves the student as it was
+        const student = await Mysql.transaction(async connection => {
+            const student = await new Student({ id: req.params.id }).get({ connection, lock: true });
+            
+            if (name !== undefined) {
+                await student.update({ name }, { connection });
+            }
+            
+            // Changing the initial balance also resets the current balance, recording the difference in the ledger
+            if (initialBalance !== undefined) {
+                await student.setInitialBalance(initialBalance, { connection });
+            }
+            
+            return student;
+        });
         
         res.send({
             message: 'Student updated successfully',
@@ -132,6 +154,20 @@ router.put('/:id/balance', authenticateToken, async (req, res, next) => {
     }
 });
 
+// Set the PIN the student uses to log in to the portal
+router.put('/:id/pin', authenticateToken, async (req, res, next) => {
+    try {
+        const student = await StudentAccount.setPin(req.params.id, req.body.pin);
+        
+        res.send({
+            message: 'Student PIN set successfully',
+            student: student.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Delete student
 router.delete('/:id', authenticateToken, async (req, res, next) => {
     try {
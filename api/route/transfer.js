@@ -0,0 +1,32 @@
+import { Router } from 'express';
+import Transfer from '../model/transfer.js';
+import { authenticateToken } from '../middleware/auth.js';
+import CustomError from '../helpers/error.js';
+
+const router = Router();
+
+// Transfer money from a student to another student or to a company
+router.post('/', authenticateToken, async (req, res, next) => {
+    try {
+        const { from, to, amount, description } = req.body;
+        
+        if (!from || !to) {
+            throw new CustomError(400, 'Source and target accounts are required');
+        }
+        
+        if (!amount || isNaN(amount)) {
+            throw new CustomError(400, 'Valid transfer amount is required');
+        }
+        
+        const transfer = await Transfer.create({ from, to, amount, description });
+        
+        res.status(201).send({
+            message: 'Transfer completed successfully',
+            transfer
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
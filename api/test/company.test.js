@@ -0,0 +1,36 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect, createDatabase, dropDatabase, seed, seedStudent } from './database.js';
+import Mysql from '../helpers/mysql.js';
+import Company from '../model/company.js';
+
+/**
+ * Company money
+ * The instance returned to the routes must carry the budget saved in the database.
+ */
+
+const skip = await connect();
+before(createDatabase);
+after(dropDatabase);
+
+test('a contribution returns the updated budget', { skip }, async () => {
+    const { classId, companyId } = await seed({ budget: 100 });
+    const studentId = await seedStudent(classId, 80);
+    await Mysql.insert('company_members', { company_id: companyId, student_id: studentId, contribution: 100, shares: 100 });
+
+    const company = await new Company({ id: companyId }).get();
+    const contribution = await company.addContribution(studentId, 30);
+
+    assert.equal(contribution.amount, 30);
+    assert.equal(company.toJSON().currentBudget, 130);
+
+    const saved = await new Company({ id: companyId }).get();
+    assert.equal(parseFloat(saved.current_budget), 130);
+});
+
+test('expenses and revenues that are not numbers are refused', async () => {
+    const company = new Company({ id: 'unknown' });
+
+    await assert.rejects(company.addExpense('Expense', 'abc'), { code: 400 });
+    await assert.rejects(company.addRevenue('Revenue', 'abc'), { code: 400 });
+});
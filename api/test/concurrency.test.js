@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect, createDatabase, dropDatabase, seed } from './database.js';
+import Mysql from '../helpers/mysql.js';
+import Company from '../model/company.js';
+import Product from '../model/product.js';
+import LedgerEntry from '../model/ledger-entry.js';
+import Market from '../model/market.js';
+
+/**
+ * Concurrency of the company money
+ * Many sales and revenues hit the same company at once, and no update may be lost: the budget
+ * and the ledger must both end with the exact sum of every movement. Rounds run at once must not
+ * take the same number either.
+ */
+
+// Concurrent calls of each kind
+const CALLS = 20;
+const PRICE = 10;
+const REVENUE = 5;
+
+const skip = await connect();
+before(createDatabase);
+after(dropDatabase);
+
+test('concurrent sales and revenues keep the exact budget and ledger', { skip }, async () => {
+    const { classId, companyId, productId } = await seed({ stock: CALLS, price: PRICE });
+
+    // Every call loads its own instance, as separate requests would
+    await Promise.all([
+        ...Array.from({ length: CALLS }, () => new Product({ id: productId }).recordSale(1)),
+        ...Array.from({ length: CALLS }, (_, i) => new Company({ id: companyId }).addRevenue(`Revenue ${i}`, REVENUE))
+    ]);
+
+    const expected = CALLS * PRICE + CALLS * REVENUE;
+
+    const company = await new Company({ id: companyId }).get();
+    assert.equal(parseFloat(company.current_budget), expected);
+    assert.equal(await LedgerEntry.getBalance(LedgerEntry.company(companyId), classId), expected);
+
+    const [revenues] = await Mysql.query('SELECT COUNT(*) AS count, SUM(amount) AS total FROM company_revenues WHERE company_id = ?', [companyId]);
+    assert.equal(parseInt(revenues.count), CALLS * 2);
+    assert.equal(parseFloat(revenues.total), expected);
+
+    const product = await new Product({ id: productId }).get();
+    assert.equal(parseInt(product.stock), 0);
+    assert.equal(parseInt(product.sales_count), CALLS);
+    assert.equal(parseFloat(product.total_revenue), CALLS * PRICE);
+});
+
+test('concurrent sales never sell more than the stock', { skip }, async () => {
+    const stock = Math.floor(CALLS / 2);
+    const { classId, companyId, productId } = await seed({ stock, price: PRICE });
+
+    const results = await Promise.allSettled(
+        Array.from({ length: CALLS }, () => new Product({ id: productId }).recordSale(1))
+    );
+
+    const sold = results.filter(result => result.status === 'fulfilled').length;
+    assert.equal(sold, stock);
+    results.filter(result => result.status === 'rejected').forEach(({ reason }) => {
+        assert.equal(reason.code, 400);
+    });
+
+    const company = await new Company({ id: companyId }).get();
+    assert.equal(parseFloat(company.current_budget), stock * PRICE);
+    assert.equal(await LedgerEntry.getBalance(LedgerEntry.company(companyId), classId), stock * PRICE);
+
+    const product = await new Product({ id: productId }).get();
+    assert.equal(parseInt(product.stock), 0);
+    assert.equal(parseFloat(product.stock_value), 0);
+});
+
+test('concurrent market rounds take consecutive numbers', { skip }, async () => {
+    const { classId } = await seed({ stock: CALLS * 100, price: PRICE });
+    await Mysql.insert('market_settings', { class_id: classId, enabled: true });
+
+    const rounds = 5;
+    await Promise.all(Array.from({ length: rounds }, () => Market.runRound(classId)));
+
+    const numbers = await Mysql.query('SELECT number FROM market_rounds WHERE class_id = ? ORDER BY number', [classId]);
+    assert.deepEqual(numbers.map(row => parseInt(row.number)), Array.from({ length: rounds }, (_, i) => i + 1));
+});
@@ -0,0 +1,110 @@
+import { readFile } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import mysql from 'mysql2/promise';
+import Mysql from '../helpers/mysql.js';
+
+/**
+ * Test database
+ * Every test file runs in its own process against a database of its own: Mysql uses
+ * `<MYSQL_DATABASE>_test_<TEST_DATABASE_ID>` when NODE_ENV is test. It is created from
+ * database/schema.sql before the tests and dropped after them.
+ *
+ * Without a reachable MySQL server the tests are skipped, unless TEST_REQUIRE_MYSQL is set (as in CI),
+ * where the missing server fails the run instead.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.MYSQL_DATABASE ||= 'busicode';
+process.env.TEST_DATABASE_ID ||= String(process.pid);
+
+const DATABASE = `${process.env.MYSQL_DATABASE}_test_${process.env.TEST_DATABASE_ID}`;
+const SCHEMA = new URL('../../database/schema.sql', import.meta.url);
+
+let server = null;
+
+/**
+ * Connect to the MySQL server and read the schema
+ * @returns {string|false} Why the tests must be skipped, or false when they can run
+ */
+export async function connect() {
+    let reason = false;
+    try {
+        const { host, user, password, port } = Mysql.config;
+        server = await mysql.createConnection({ host, user, password, port, multipleStatements: true, connectTimeout: 5000 });
+    } catch (error) {
+        reason = `MySQL is not reachable (${error.code || error.message})`;
+    }
+
+    if (!reason && !await readFile(SCHEMA, 'utf8').catch(() => null)) {
+        reason = `Schema not found at ${SCHEMA.pathname}`;
+    }
+
+    if (reason && process.env.TEST_REQUIRE_MYSQL) {
+        throw new Error(reason);
+    }
+    return reason;
+}
+
+/**
+ * Create the test database from the schema, replacing one left by an interrupted run
+ */
+export async function createDatabase() {
+    if (!server) return;
+    await server.query(`DROP DATABASE IF EXISTS \`${DATABASE}\``);
+    await server.query(`CREATE DATABASE \`${DATABASE}\``);
+    await server.query(`USE \`${DATABASE}\``);
+    await server.query(await readFile(SCHEMA, 'utf8'));
+}
+
+/**
+ * Close the pool of the app and drop the test database
+ */
+export async function dropDatabase() {
+    if (!server) return;
+    await Mysql.close();
+    await server.query(`DROP DATABASE IF EXISTS \`${DATABASE}\``);
+    await server.end();
+}
+
+/**
+ * Create a class with one active company and, optionally, one product of it in stock
+ * @param {Object} options - Options
+ * @param {number} options.budget - Budget of the company (default 0)
+ * @param {number} options.stock - Units in stock of the product (no product when not given)
+ * @param {number} options.price - Price of the product (default 10)
+ * @param {number} options.unitCost - Unit cost of the units in stock (default 4)
+ * @returns {Object} Class, company and product IDs
+ */
+export async function seed({ budget = 0, stock, price = 10, unitCost = 4 } = {}) {
+    const classId = randomUUID();
+    const companyId = randomUUID();
+    const productId = stock !== undefined ? randomUUID() : null;
+
+    await Mysql.insert('classes', { id: classId, name: `Class ${classId}` });
+    await Mysql.insert('companies', { id: companyId, name: 'Company', class_id: classId, initial_budget: budget, current_budget: budget });
+    if (productId) {
+        await Mysql.insert('products', {
+            id: productId,
+            name: 'Product',
+            price,
+            unit_cost: unitCost,
+            company_id: companyId,
+            stock,
+            stock_value: stock * unitCost
+        });
+    }
+
+    return { classId, companyId, productId };
+}
+
+/**
+ * Create a student of a class with a balance
+ * @param {string} classId - Class ID
+ * @param {number} balance - Starting balance
+ * @returns {string} Student ID
+ */
+export async function seedStudent(classId, balance = 0) {
+    const studentId = randomUUID();
+    await Mysql.insert('students', { id: studentId, name: `Student ${studentId}`, class_id: classId, initial_balance: balance, current_balance: balance });
+    return studentId;
+}
@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { connect, createDatabase, dropDatabase, seed } from './database.js';
+import Mysql from '../helpers/mysql.js';
+import Company from '../model/company.js';
+import Product from '../model/product.js';
+import LedgerEntry from '../model/ledger-entry.js';
+import Period from '../model/period.js';
+import FinancialStatement from '../model/financial-statement.js';
+
+/**
+ * Products
+ * Sales and refunds move the stock and the company money together.
+ */
+
+const skip = await connect();
+before(createDatabase);
+after(dropDatabase);
+
+test('sale quantities that are not numbers are refused', async () => {
+    await assert.rejects(new Product({ id: 'unknown' }).recordSale('abc'), { code: 400 });
+});
+
+test('refunds give back the revenue tax of the sale in proportion', { skip }, async () => {
+    const { classId, companyId, productId } = await seed({ stock: 4, price: 10 });
+    await Mysql.insert('tax_settings', { class_id: classId, revenue_rate: 10 });
+
+    const product = new Product({ id: productId });
+    const { sale } = await product.recordSale(4);
+    assert.equal(sale.tax_amount, 4);
+
+    const partial = await product.refundSale(sale.id, 1);
+    assert.equal(partial.refund.tax, 1);
+    assert.equal(partial.sale.refunded_tax, 1);
+    assert.equal(await LedgerEntry.getBalance(LedgerEntry.TREASURY, classId), 3);
+
+    const full = await product.refundSale(sale.id);
+    assert.equal(full.refund.tax, 3);
+    assert.equal(full.sale.refunded_tax, 4);
+
+    // Nothing is left taxed and the company is back where it started
+    assert.equal(await LedgerEntry.getBalance(LedgerEntry.TREASURY, classId), 0);
+    const [taxes] = await Mysql.query('SELECT SUM(amount) AS total FROM tax_payments WHERE company_id = ?', [companyId]);
+    assert.equal(parseFloat(taxes.total), 0);
+    const company = await new Company({ id: companyId }).get();
+    assert.equal(parseFloat(company.current_budget), 0);
+    assert.equal(await LedgerEntry.getBalance(LedgerEntry.company(companyId), classId), 0);
+});
+
+test('a refund lowers the cost of goods sold of the period it is made in', { skip }, async () => {
+    const { classId, companyId, productId } = await seed({ stock: 4, price: 10, unitCost: 4 });
+    const first = randomUUID();
+    const second = randomUUID();
+    await Mysql.insert('periods', { id: first, class_id: classId, number: 1, name: 'Period 1' });
+
+    const product = new Product({ id: productId });
+    const { sale } = await product.recordSale(2);
+
+    // Both periods share the same second, so only the period of the refund tells them apart
+    await Mysql.query('UPDATE periods SET status = ?, closed_at = NOW() WHERE id = ?', ['closed', first]);
+    await Mysql.insert('periods', { id: second, class_id: classId, number: 2, name: 'Period 2' });
+    const { refund } = await product.refundSale(sale.id, 1);
+    assert.equal(refund.period_id, second);
+
+    const company = await new Company({ id: companyId }).get();
+    const statement = async id => FinancialStatement.getIncomeStatement(company, await new Period({ id }).get());
+    assert.equal((await statement(first)).costOfGoodsSold, 8);
+    assert.equal((await statement(second)).costOfGoodsSold, -4);
+});
@@ -0,0 +1,32 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect, createDatabase, dropDatabase, seed, seedStudent } from './database.js';
+import StudentAccount from '../model/student-account.js';
+
+/**
+ * Student accounts
+ * A short PIN must not be found by trying every combination on the portal login.
+ */
+
+const skip = await connect();
+before(createDatabase);
+after(dropDatabase);
+
+test('too many wrong PINs lock the student out until a new PIN is set', { skip }, async () => {
+    const { classId } = await seed();
+    const studentId = await seedStudent(classId);
+    const joinCode = await StudentAccount.createJoinCode(classId);
+    await StudentAccount.setPin(studentId, '4821');
+
+    for (let attempt = 1; attempt < StudentAccount.MAX_PIN_ATTEMPTS; attempt++) {
+        await assert.rejects(StudentAccount.authenticate(joinCode, studentId, '0000'), { code: 401 });
+    }
+    await assert.rejects(StudentAccount.authenticate(joinCode, studentId, '0000'), { code: 429 });
+
+    // Not even the right PIN gets in while the lockout lasts
+    await assert.rejects(StudentAccount.authenticate(joinCode, studentId, '4821'), { code: 429 });
+
+    await StudentAccount.setPin(studentId, '1357');
+    const { student } = await StudentAccount.authenticate(joinCode, studentId, '1357');
+    assert.equal(student.id, studentId);
+});
@@ -0,0 +1,31 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect, createDatabase, dropDatabase, seed, seedStudent } from './database.js';
+import Mysql from '../helpers/mysql.js';
+import Company from '../model/company.js';
+import Tax from '../model/tax.js';
+
+/**
+ * Taxes
+ * Each tax is charged on its own base, and no tax may be charged on money another one already took.
+ */
+
+const skip = await connect();
+before(createDatabase);
+after(dropDatabase);
+
+test('the dividend tax withheld from a payout does not lower the taxable profit', { skip }, async () => {
+    const { classId, companyId } = await seed();
+    const studentId = await seedStudent(classId);
+    await Mysql.insert('company_members', { company_id: companyId, student_id: studentId, contribution: 0, shares: 100 });
+    await Mysql.insert('tax_settings', { class_id: classId, profit_rate: 10, dividend_rate: 20 });
+
+    const company = await new Company({ id: companyId }).get();
+    await company.addRevenue('Service', 100);
+    const { tax } = await company.distributeProfits(studentId, 50);
+    assert.equal(tax.amount, 10);
+
+    const payment = await Tax.chargeProfit(companyId);
+    assert.equal(payment.baseAmount, 100);
+    assert.equal(payment.amount, 10);
+});
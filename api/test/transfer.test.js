@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect, createDatabase, dropDatabase, seed, seedStudent } from './database.js';
+import Company from '../model/company.js';
+import FinancialStatement from '../model/financial-statement.js';
+import LedgerEntry from '../model/ledger-entry.js';
+import Transfer from '../model/transfer.js';
+
+/**
+ * Transfers
+ * A transfer to a company is financing: the budget grows without a revenue, and the response
+ * carries the balances saved in the database.
+ */
+
+const skip = await connect();
+before(createDatabase);
+after(dropDatabase);
+
+test('a transfer to a company returns the updated budget without a revenue', { skip }, async () => {
+    const { classId, companyId } = await seed({ budget: 50 });
+    const studentId = await seedStudent(classId, 40);
+
+    const transfer = await Transfer.create({
+        from: { type: 'student', id: studentId },
+        to: { type: 'company', id: companyId },
+        amount: 25
+    });
+
+    assert.equal(transfer.from.currentBalance, 15);
+    assert.equal(transfer.to.currentBudget, 75);
+
+    const company = await new Company({ id: companyId }).get();
+    assert.equal(parseFloat(company.current_budget), 75);
+    assert.equal((await company.getRevenues()).length, 0);
+    assert.equal(await LedgerEntry.getBalance(LedgerEntry.company(companyId), classId), 25);
+});
+
+test('a transfer to a company counts as contributed capital', { skip }, async () => {
+    const { classId, companyId } = await seed();
+    const studentId = await seedStudent(classId, 40);
+
+    await Transfer.create({
+        from: { type: 'student', id: studentId },
+        to: { type: 'company', id: companyId },
+        amount: 25
+    });
+
+    const company = await new Company({ id: companyId }).get();
+    const { equity } = await FinancialStatement.getBalanceSheet(company);
+    assert.equal(equity.contributedCapital, 25);
+    assert.equal(equity.retainedEarnings, 0);
+});
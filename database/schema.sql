@@ -22,9 +22,38 @@ INSERT INTO admin_users (id, username, password_hash) VALUES
 CREATE TABLE classes (
     id VARCHAR(36) PRIMARY KEY,
     name VARCHAR(255) NOT NULL UNIQUE,
+    join_code VARCHAR(8) NULL UNIQUE, -- code the students use to log in to the portal; NULL until the teacher creates it
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Periods (rounds of the activity: weeks, lessons...). At most one period per class is open;
+-- expenses, revenues, sales and ledger entries recorded meanwhile are tagged with its id
+CREATE TABLE periods (
+    id VARCHAR(36) PRIMARY KEY,
+    class_id VARCHAR(36) NOT NULL,
+    number INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    status ENUM('open', 'closed') DEFAULT 'open',
+    opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP NULL,
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+    UNIQUE KEY uk_periods_class_number (class_id, number),
+    INDEX idx_periods_class_status (class_id, status)
+);
+
+-- Balances taken when a period is closed: every student balance and company budget of the class
+CREATE TABLE period_snapshots (
+    id VARCHAR(36) PRIMARY KEY,
+    period_id VARCHAR(36) NOT NULL,
+    account_type ENUM('student', 'company') NOT NULL,
+    account_id VARCHAR(36) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    balance DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (period_id) REFERENCES periods(id) ON DELETE CASCADE,
+    INDEX idx_period_snapshots_period (period_id)
+);
+
 -- Students table
 CREATE TABLE students (
     id VARCHAR(36) PRIMARY KEY,
@@ -32,6 +61,9 @@ CREATE TABLE students (
     class_id VARCHAR(36) NOT NULL,
     initial_balance DECIMAL(10,2) DEFAULT 0.00,
     current_balance DECIMAL(10,2) DEFAULT 0.00,
+    pin_hash VARCHAR(255) NULL, -- bcrypt hash of the portal PIN; students without a PIN cannot log in
+    pin_failed_attempts INT DEFAULT 0, -- wrong PINs in a row since the last login or lockout
+    pin_locked_until TIMESTAMP NULL, -- portal login refused until then after too many wrong PINs
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
     INDEX idx_students_class (class_id)
@@ -44,6 +76,8 @@ CREATE TABLE companies (
     class_id VARCHAR(36) NOT NULL,
     initial_budget DECIMAL(10,2) DEFAULT 0.00,
     current_budget DECIMAL(10,2) DEFAULT 0.00,
+    status ENUM('active', 'closed') DEFAULT 'active',
+    closed_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
     INDEX idx_companies_class (class_id)
@@ -55,6 +89,7 @@ CREATE TABLE company_members (
     company_id VARCHAR(36) NOT NULL,
     student_id VARCHAR(36) NOT NULL,
     contribution DECIMAL(10,2) DEFAULT 0.00,
+    shares DECIMAL(14,4) DEFAULT 0.0000,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
     FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
@@ -63,15 +98,34 @@ CREATE TABLE company_members (
     INDEX idx_company_members_student (student_id)
 );
 
+-- Members that left a company and what they received under the exit policy
+CREATE TABLE company_member_exits (
+    id VARCHAR(36) PRIMARY KEY,
+    company_id VARCHAR(36) NOT NULL,
+    student_id VARCHAR(36) NOT NULL,
+    policy ENUM('keep', 'refund', 'buyout') NOT NULL,
+    contribution DECIMAL(10,2) DEFAULT 0.00,
+    shares DECIMAL(14,4) DEFAULT 0.0000,
+    payout DECIMAL(10,2) DEFAULT 0.00,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    INDEX idx_company_member_exits_company (company_id)
+);
+
 -- Company expenses
 CREATE TABLE company_expenses (
     id VARCHAR(36) PRIMARY KEY,
     company_id VARCHAR(36) NOT NULL,
     description TEXT NOT NULL,
     amount DECIMAL(10,2) NOT NULL,
+    category VARCHAR(50) NOT NULL DEFAULT 'other', -- fixed category or a custom category of the class
+    period_id VARCHAR(36) NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    FOREIGN KEY (period_id) REFERENCES periods(id) ON DELETE SET NULL,
     INDEX idx_company_expenses_company (company_id),
+    INDEX idx_company_expenses_category (company_id, category),
     INDEX idx_company_expenses_date (created_at)
 );
 
@@ -81,24 +135,140 @@ CREATE TABLE company_revenues (
     company_id VARCHAR(36) NOT NULL,
     description TEXT NOT NULL,
     amount DECIMAL(10,2) NOT NULL,
+    category VARCHAR(50) NOT NULL DEFAULT 'other', -- fixed category or a custom category of the class
+    period_id VARCHAR(36) NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    FOREIGN KEY (period_id) REFERENCES periods(id) ON DELETE SET NULL,
     INDEX idx_company_revenues_company (company_id),
+    INDEX idx_company_revenues_category (company_id, category),
     INDEX idx_company_revenues_date (created_at)
 );
 
+-- Custom expense and revenue categories of a class, on top of the fixed ones
+-- (marketing, production, salaries, sales, dividends, funding, taxes, other)
+CREATE TABLE company_categories (
+    id VARCHAR(36) PRIMARY KEY,
+    class_id VARCHAR(36) NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+    UNIQUE KEY uk_company_categories_class_name (class_id, name)
+);
+
+-- Recurring expenses: fixed costs of a company charged every round, every period or on demand
+CREATE TABLE recurring_expenses (
+    id VARCHAR(36) PRIMARY KEY,
+    company_id VARCHAR(36) NOT NULL,
+    description TEXT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    category VARCHAR(50) NOT NULL DEFAULT 'other',
+    frequency ENUM('round', 'period', 'manual') DEFAULT 'manual',
+    budget_policy ENUM('block', 'allow_negative', 'debt') DEFAULT 'block', -- what to do when the budget cannot cover a charge
+    active BOOLEAN DEFAULT TRUE,
+    last_applied_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    INDEX idx_recurring_expenses_company (company_id)
+);
+
+-- Each time a recurring expense was charged; debt charges keep the unpaid part outstanding until settled
+CREATE TABLE recurring_expense_charges (
+    id VARCHAR(36) PRIMARY KEY,
+    recurring_expense_id VARCHAR(36) NOT NULL,
+    company_id VARCHAR(36) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    paid_amount DECIMAL(10,2) DEFAULT 0.00,
+    outstanding DECIMAL(10,2) DEFAULT 0.00,
+    status ENUM('paid', 'blocked', 'debt') NOT NULL,
+    period_id VARCHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (recurring_expense_id) REFERENCES recurring_expenses(id) ON DELETE CASCADE,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    FOREIGN KEY (period_id) REFERENCES periods(id) ON DELETE SET NULL,
+    INDEX idx_recurring_expense_charges_expense (recurring_expense_id, created_at),
+    INDEX idx_recurring_expense_charges_company (company_id)
+);
+
+-- Loans from the class bank to a company or a student; the principal is paid out when the teacher approves
+CREATE TABLE loans (
+    id VARCHAR(36) PRIMARY KEY,
+    class_id VARCHAR(36) NOT NULL,
+    borrower_type ENUM('company', 'student') NOT NULL,
+    borrower_id VARCHAR(36) NOT NULL,
+    description TEXT,
+    principal DECIMAL(10,2) NOT NULL,
+    interest_rate DECIMAL(6,2) DEFAULT 0.00, -- percent per installment
+    term INT NOT NULL, -- number of installments
+    installment_amount DECIMAL(10,2) NOT NULL,
+    outstanding_principal DECIMAL(10,2) NOT NULL,
+    cycles_charged INT DEFAULT 0, -- charge cycles run since approval; installments up to this number are due
+    status ENUM('pending', 'active', 'paid', 'rejected') DEFAULT 'pending',
+    approved_at TIMESTAMP NULL,
+    closed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+    INDEX idx_loans_class (class_id, status),
+    INDEX idx_loans_borrower (borrower_type, borrower_id)
+);
+
+-- Amortization schedule of a loan (fixed installments, interest on the outstanding principal)
+CREATE TABLE loan_installments (
+    id VARCHAR(36) PRIMARY KEY,
+    loan_id VARCHAR(36) NOT NULL,
+    number INT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    interest DECIMAL(10,2) NOT NULL,
+    principal DECIMAL(10,2) NOT NULL,
+    status ENUM('pending', 'late', 'paid') DEFAULT 'pending',
+    paid_at TIMESTAMP NULL,
+    period_id VARCHAR(36) NULL,
+    FOREIGN KEY (loan_id) REFERENCES loans(id) ON DELETE CASCADE,
+    FOREIGN KEY (period_id) REFERENCES periods(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_loan_installments_number (loan_id, number)
+);
+
+-- Requests made by students in the portal (a company expense or a transfer from their balance).
+-- Nothing moves until the teacher approves the request
+CREATE TABLE student_requests (
+    id VARCHAR(36) PRIMARY KEY,
+    class_id VARCHAR(36) NOT NULL,
+    student_id VARCHAR(36) NOT NULL,
+    type ENUM('expense', 'transfer') NOT NULL,
+    company_id VARCHAR(36) NULL, -- expense: company that pays it (the student must be a member)
+    target_type ENUM('student', 'company') NULL, -- transfer: who receives the money
+    target_id VARCHAR(36) NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    description TEXT,
+    category VARCHAR(50) NULL, -- expense category (optional)
+    status ENUM('pending', 'approved', 'rejected', 'cancelled') DEFAULT 'pending',
+    review_note TEXT, -- teacher's answer, mostly why it was rejected
+    reviewed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    INDEX idx_student_requests_class (class_id, status),
+    INDEX idx_student_requests_student (student_id)
+);
+
 -- Products table
 CREATE TABLE products (
     id VARCHAR(36) PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
     price DECIMAL(10,2) NOT NULL,
+    unit_cost DECIMAL(10,2) DEFAULT 0.00,
+    category VARCHAR(50) DEFAULT NULL,
     company_id VARCHAR(36) NOT NULL,
     sales_count INT DEFAULT 0,
     total_revenue DECIMAL(10,2) DEFAULT 0.00,
+    total_cost DECIMAL(10,2) DEFAULT 0.00,
+    stock INT DEFAULT 0,
+    stock_value DECIMAL(10,2) DEFAULT 0.00,
     launched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
     INDEX idx_products_company (company_id),
+    INDEX idx_products_category (category),
     INDEX idx_products_launched (launched_at)
 );
 
@@ -109,13 +279,145 @@ CREATE TABLE product_sales (
     quantity INT NOT NULL,
     unit_price DECIMAL(10,2) NOT NULL,
     total_amount DECIMAL(10,2) NOT NULL,
+    unit_cost DECIMAL(10,2) DEFAULT 0.00,
+    total_cost DECIMAL(10,2) DEFAULT 0.00,
+    refunded_quantity INT DEFAULT 0,
+    refunded_amount DECIMAL(10,2) DEFAULT 0.00,
+    refunded_cost DECIMAL(10,2) DEFAULT 0.00,
+    tax_amount DECIMAL(10,2) DEFAULT 0.00, -- revenue tax collected on the sale
+    refunded_tax DECIMAL(10,2) DEFAULT 0.00, -- part of that tax given back by refunds
+    status ENUM('completed', 'partially_refunded', 'refunded') DEFAULT 'completed',
+    round_id VARCHAR(36) NULL, -- market round that generated the sale, NULL for manual sales
+    period_id VARCHAR(36) NULL,
     sale_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (period_id) REFERENCES periods(id) ON DELETE SET NULL,
     INDEX idx_product_sales_product (product_id),
     INDEX idx_product_sales_date (sale_date)
 );
 
+-- Sale refunds: the units go back to the stock and the amount is paid back from the company budget
+CREATE TABLE product_sale_refunds (
+    id VARCHAR(36) PRIMARY KEY,
+    sale_id VARCHAR(36) NOT NULL,
+    product_id VARCHAR(36) NOT NULL,
+    quantity INT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    cost DECIMAL(10,2) DEFAULT 0.00,
+    tax DECIMAL(10,2) DEFAULT 0.00, -- revenue tax given back to the company
+    reason VARCHAR(255) NULL,
+    period_id VARCHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES product_sales(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (period_id) REFERENCES periods(id) ON DELETE SET NULL,
+    INDEX idx_product_sale_refunds_product (product_id)
+);
+
+-- Product price changes, so the effect of a new price on the sales volume can be studied
+CREATE TABLE product_price_history (
+    id VARCHAR(36) PRIMARY KEY,
+    product_id VARCHAR(36) NOT NULL,
+    old_price DECIMAL(10,2) NOT NULL,
+    new_price DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    INDEX idx_product_price_history_product (product_id, created_at)
+);
+
+-- Production batches: units produced at the unit cost in force, paid from the company budget
+CREATE TABLE product_batches (
+    id VARCHAR(36) PRIMARY KEY,
+    product_id VARCHAR(36) NOT NULL,
+    quantity INT NOT NULL,
+    unit_cost DECIMAL(10,2) DEFAULT 0.00,
+    total_cost DECIMAL(10,2) DEFAULT 0.00,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    INDEX idx_product_batches_product (product_id)
+);
+
+-- Market simulation settings of a class (one row per class, defaults apply while there is none)
+CREATE TABLE market_settings (
+    class_id VARCHAR(36) PRIMARY KEY,
+    enabled BOOLEAN DEFAULT FALSE,
+    demand_model ENUM('linear', 'elastic') DEFAULT 'linear',
+    market_size INT DEFAULT 100, -- units demanded per round at the reference price, split between the products
+    reference_price DECIMAL(10,2) NULL, -- NULL uses the average price of the market
+    elasticity DECIMAL(6,2) DEFAULT 1.00,
+    noise DECIMAL(4,2) DEFAULT 0.20, -- random variation of the demand, from 0 to 1
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE
+);
+
+-- Market rounds: each one generates sales for the products of the class
+CREATE TABLE market_rounds (
+    id VARCHAR(36) PRIMARY KEY,
+    class_id VARCHAR(36) NOT NULL,
+    number INT NOT NULL,
+    units_sold INT DEFAULT 0,
+    revenue DECIMAL(12,2) DEFAULT 0.00,
+    lost_sales INT DEFAULT 0, -- demand that could not be served for lack of stock
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+    UNIQUE KEY uk_market_rounds_class_number (class_id, number)
+);
+
+-- Tax rules of a class (one row per class, no tax applies while there is none); rates are percentages
+CREATE TABLE tax_settings (
+    class_id VARCHAR(36) PRIMARY KEY,
+    revenue_rate DECIMAL(5,2) DEFAULT 0.00, -- on each taxable revenue (sales and manual revenues)
+    profit_rate DECIMAL(5,2) DEFAULT 0.00, -- on the profit not yet taxed, at period close
+    dividend_rate DECIMAL(5,2) DEFAULT 0.00, -- withheld from each dividend paid to a student
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE
+);
+
+-- Taxes collected into the class treasury; each one is booked as a company expense
+CREATE TABLE tax_payments (
+    id VARCHAR(36) PRIMARY KEY,
+    class_id VARCHAR(36) NOT NULL,
+    company_id VARCHAR(36) NOT NULL,
+    student_id VARCHAR(36) NULL, -- receiver of the dividend, for dividend taxes
+    tax_type ENUM('revenue', 'profit', 'dividend') NOT NULL,
+    base_amount DECIMAL(10,2) NOT NULL,
+    rate DECIMAL(5,2) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    expense_id VARCHAR(36) NULL,
+    period_id VARCHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    FOREIGN KEY (period_id) REFERENCES periods(id) ON DELETE SET NULL,
+    INDEX idx_tax_payments_class (class_id, created_at),
+    INDEX idx_tax_payments_company (company_id, tax_type)
+);
+
+-- Ledger entries (double-entry record of every money movement)
+-- Each movement is a debit on the source account and a credit on the destination account sharing a transaction_id.
+-- Account balance = SUM(credits) - SUM(debits). Bank, market and treasury accounts have no account_id.
+CREATE TABLE ledger_entries (
+    id VARCHAR(36) PRIMARY KEY,
+    sequence BIGINT NOT NULL AUTO_INCREMENT UNIQUE, -- insertion order, as several entries can share a created_at second
+    transaction_id VARCHAR(36) NOT NULL,
+    class_id VARCHAR(36) NOT NULL,
+    account_type ENUM('student', 'company', 'bank', 'market', 'treasury') NOT NULL,
+    account_id VARCHAR(36) NULL,
+    entry_type ENUM('debit', 'credit') NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    transaction_type VARCHAR(50) NOT NULL,
+    description TEXT,
+    period_id VARCHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+    FOREIGN KEY (period_id) REFERENCES periods(id) ON DELETE SET NULL,
+    INDEX idx_ledger_entries_transaction (transaction_id),
+    INDEX idx_ledger_entries_account (account_type, account_id),
+    INDEX idx_ledger_entries_class (class_id),
+    INDEX idx_ledger_entries_date (created_at)
+);
+
 -- Sample data for testing (optional)
 -- INSERT INTO classes (id, name) VALUES 
 -- ('class-1', 'Turma A'),
@@ -254,9 +254,13 @@ export default class Backup {
                     if (productData.sales && productData.sales.length > 0) {
                         console.log(`Creating ${productData.sales.length} sales for product ${productData.name}`);
                         for (const sale of productData.sales) {
+                            // Only the units that were not refunded are restored
+                            const quantity = sale.quantity - (sale.refunded_quantity || 0);
+                            if (quantity <= 0) continue;
+                            
                             try {
                                 await this.request.post(`products/${createdProduct.id}/sales`, {
-                                    quantity: sale.quantity,
+                                    quantity,
                                     unitPrice: sale.unit_price || sale.unitPrice || productData.price
                                 });
                             } catch (error) {
@@ -278,6 +278,45 @@ export default class ClassManager {
         }
     }
 
+    /**
+     * Get the transaction history of a student
+     * @param {string} studentId - The ID of the student
+     * @returns {Array} Transactions with counterpart and running balance, newest first
+     */
+    async getStudentTransactions(studentId) {
+        try {
+            const response = await this.getRequest().get(`students/${studentId}/transactions`);
+            return response.transactions || [];
+        } catch (error) {
+            console.error('Error getting student transactions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the ledger entries of a class
+     * @param {string} classId - The ID of the class
+     * @param {Object} filter - Filter
+     * @param {string} filter.accountType - Only the entries of this account type (optional)
+     * @param {string} filter.transactionType - Only the entries of this transaction type (optional)
+     * @param {number} filter.limit - Only the latest entries (optional)
+     * @returns {Array} Ledger entries, newest first
+     */
+    async getLedger(classId, { accountType, transactionType, limit } = {}) {
+        try {
+            const query = {};
+            if (accountType) query.account_type = accountType;
+            if (transactionType) query.transaction_type = transactionType;
+            if (limit) query.limit = limit;
+
+            const response = await this.getRequest().get(`classes/${classId}/ledger`, query);
+            return response.entries || [];
+        } catch (error) {
+            console.error('Error getting class ledger:', error);
+            return [];
+        }
+    }
+
     /**
      * Apply bulk action to all students in a class
      * @param {string} classId - The ID of the class
@@ -320,4 +359,178 @@ export default class ClassManager {
             return { successCount: 0, failCount: 0, studentIds: [] };
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Get the periods of a class
+     * @param {string} classId - The ID of the class
+     * @returns {Array} Periods, oldest first
+     */
+    async getPeriods(classId) {
+        try {
+            const response = await this.getRequest().get(`classes/${classId}/periods`);
+            return response.periods || [];
+        } catch (error) {
+            console.error('Error getting class periods:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the open period of a class
+     * @param {string} classId - The ID of the class
+     * @returns {Object|null} Open period, or null when there is none
+     */
+    async getCurrentPeriod(classId) {
+        try {
+            const response = await this.getRequest().get(`classes/${classId}/periods/current`);
+            return response.period;
+        } catch (error) {
+            console.error('Error getting current period:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get a period with its activity summary and the snapshots taken at close
+     * @param {string} periodId - The ID of the period
+     * @returns {Object|null} Period, summary and snapshots
+     */
+    async getPeriod(periodId) {
+        try {
+            return await this.getRequest().get(`periods/${periodId}`);
+        } catch (error) {
+            console.error('Error getting period:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the ranking of the companies and students of a class
+     * @param {string} classId - The ID of the class
+     * @param {Object} options - Options
+     * @param {string} options.metric - Company metric to rank by (profit, revenue, roi, unitsSold or budgetGrowth)
+     * @param {string|null} options.periodId - Only the activity of this period, for the company metrics
+     * @returns {Object} Result with success flag, the ranked companies and the ranked students
+     */
+    async getLeaderboard(classId, { metric = 'profit', periodId = null } = {}) {
+        try {
+            const query = `metric=${metric}${periodId ? `&period_id=${periodId}` : ''}`;
+            const { period, companies, students } = await this.getRequest().get(`classes/${classId}/leaderboard?${query}`);
+
+            return {
+                success: true,
+                period,
+                companies,
+                students
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao carregar o ranking.'
+            };
+        }
+    }
+
+    /**
+     * Open a new period in a class
+     * @param {string} classId - The ID of the class
+     * @param {string} name - Period name (optional)
+     * @returns {Object} Result with success flag, message and the opened period
+     */
+    async openPeriod(classId, name = '') {
+        try {
+            const response = await this.getRequest().post(`classes/${classId}/periods`, { name });
+            return {
+                success: true,
+                message: response.message,
+                period: response.period
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao abrir período'
+            };
+        }
+    }
+
+    /**
+     * Close a period, snapshotting every balance of the class
+     * @param {string} periodId - The ID of the period
+     * @returns {Object} Result with success flag, message, the closed period and its snapshots
+     */
+    async closePeriod(periodId) {
+        try {
+            const response = await this.getRequest().post(`periods/${periodId}/close`);
+            return {
+                success: true,
+                message: response.message,
+                period: response.period,
+                snapshots: response.snapshots,
+                loans: response.loans,
+                recurringExpenses: response.recurringExpenses
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao encerrar período'
+            };
+        }
+    }
+
+    /**
+     * Get the join code students use to log in to the portal
+     * @param {string} classId - The ID of the class
+     * @returns {string|null} Join code, or null if the class has none
+     */
+    async getJoinCode(classId) {
+        try {
+            const response = await this.getRequest().get(`classes/${classId}/join-code`);
+            return response.joinCode || null;
+        } catch (error) {
+            console.error('Error getting join code:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Create a new join code for a class, replacing the current one
+     * @param {string} classId - The ID of the class
+     * @returns {Object} Result with success flag, message and the join code
+     */
+    async createJoinCode(classId) {
+        try {
+            const response = await this.getRequest().post(`classes/${classId}/join-code`);
+            return {
+                success: true,
+                message: response.message,
+                joinCode: response.joinCode
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao gerar código da turma'
+            };
+        }
+    }
+
+    /**
+     * Set the PIN a student uses to log in to the portal
+     * @param {string} studentId - The ID of the student
+     * @param {string} pin - PIN or password
+     * @returns {Object} Result with success flag and message
+     */
+    async setStudentPin(studentId, pin) {
+        try {
+            const response = await this.getRequest().put(`students/${studentId}/pin`, { pin });
+            return {
+                success: true,
+                message: response.message
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao definir PIN'
+            };
+        }
+    }
+}
@@ -143,12 +143,15 @@ export default class CompanyManager {
 
     /**
      * Delete a company
+     * The API refuses (409) companies with products or financial history unless forced
      * @param {string} id - Company ID
+     * @param {Object} options - Options
+     * @param {boolean} options.force - Delete even if the company has history
      * @returns {boolean} True if successful, false if company not found
      */
-    async deleteCompany(id) {
+    async deleteCompany(id, { force = false } = {}) {
         try {
-            await this.getRequest().delete(`companies/${id}`);
+            await this.getRequest().delete(`companies/${id}${force ? '?force=true' : ''}`);
             return true;
         } catch (error) {
             if (error.status === 404) {
@@ -158,21 +161,45 @@ export default class CompanyManager {
         }
     }
 
+    /**
+     * Close a company, liquidating its remaining budget to the members
+     * @param {string} id - Company ID
+     * @returns {Object} Result with success flag, message and liquidation data
+     */
+    async closeCompany(id) {
+        try {
+            const response = await this.getRequest().post(`companies/${id}/close`);
+            
+            return {
+                success: true,
+                message: response.message,
+                liquidation: response.liquidation
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao encerrar empresa.'
+            };
+        }
+    }
+
     /**
      * Add an expense to a company
      * @param {Company} company - Company object
      * @param {string} description - Expense description
      * @param {number} amount - Expense amount
      * @param {string} date - Expense date
+     * @param {string} category - Expense category (optional, defaults to other)
      * @returns {Object} The created expense or null if company not found
      */
-    async addExpense(company, description, amount, date) {
+    async addExpense(company, description, amount, date, category) {
         if (!company) return null;
         
         try {
             const expense = await this.getRequest().post(`companies/${company.id}/expenses`, {
                 description,
                 amount,
+                category,
             });
             return expense;
         } catch (error) {
@@ -187,15 +214,17 @@ export default class CompanyManager {
      * @param {string} description - Revenue description
      * @param {number} amount - Revenue amount
      * @param {string} date - Revenue date
+     * @param {string} category - Revenue category (optional, defaults to other)
      * @returns {Object} The created revenue or null if company not found
      */
-    async addRevenue(company, description, amount, date) {
+    async addRevenue(company, description, amount, date, category) {
         if (!company) return null;
         
         try {
             const revenue = await this.getRequest().post(`companies/${company.id}/revenues`, {
                 description,
                 amount,
+                category,
             });
             return revenue;
         } catch (error) {
@@ -414,19 +443,149 @@ export default class CompanyManager {
         }
     }
 
+    /**
+     * Preview how a dividend would be split among all members
+     * @param {string} companyId - Company ID
+     * @param {Object} dividend - { amount } or { profitPercentage }, plus split ('shares' or 'equal')
+     * @returns {Object} Result with success flag and the dividend preview
+     */
+    async previewDividends(companyId, { amount, profitPercentage, split }) {
+        try {
+            const params = { split };
+            if (amount !== undefined) params.amount = amount;
+            if (profitPercentage !== undefined) params.profit_percentage = profitPercentage;
+            
+            const response = await this.getRequest().get(`companies/${companyId}/dividends/preview`, params);
+            
+            return {
+                success: true,
+                preview: response.preview
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao calcular dividendos.'
+            };
+        }
+    }
+
+    /**
+     * Distribute a dividend to all members
+     * @param {string} companyId - Company ID
+     * @param {Object} dividend - { amount } or { profitPercentage }, plus split and description
+     * @returns {Object} Result with success flag, message and dividend data
+     */
+    async distributeDividends(companyId, dividend) {
+        try {
+            const response = await this.getRequest().post(`companies/${companyId}/dividends`, dividend);
+            
+            return {
+                success: true,
+                message: response.message,
+                dividend: response.dividend
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao distribuir dividendos.'
+            };
+        }
+    }
+
+    /**
+     * Add a capital contribution from an existing member
+     * @param {string} companyId - Company ID
+     * @param {string} studentId - Member student ID
+     * @param {number} amount - Contribution amount
+     * @returns {Object} Result with success flag, message and contribution data
+     */
+    async addContribution(companyId, studentId, amount) {
+        try {
+            const response = await this.getRequest().post(`companies/${companyId}/contributions`, {
+                studentId,
+                amount
+            });
+            
+            return {
+                success: true,
+                message: response.message,
+                contribution: response.contribution
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao registrar aporte de capital.'
+            };
+        }
+    }
+
+    /**
+     * Get the cap table of a company
+     * @param {string} companyId - Company ID
+     * @returns {Object} Result with success flag and the cap table (totalShares, sharePrice, holders)
+     */
+    async getCapTable(companyId) {
+        try {
+            const { totalShares, sharePrice, equity, holders } = await this.getRequest().get(`companies/${companyId}/cap-table`);
+            
+            return {
+                success: true,
+                capTable: { totalShares, sharePrice, equity, holders }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao carregar a tabela de ações.'
+            };
+        }
+    }
+
+    /**
+     * Transfer shares from a member to another student
+     * @param {string} companyId - Company ID
+     * @param {string} fromStudentId - Seller student ID
+     * @param {string} toStudentId - Buyer student ID
+     * @param {number} shares - Number of shares
+     * @param {number} price - Total price paid by the buyer (0 for a free transfer)
+     * @returns {Object} Result with success flag, message and transfer data
+     */
+    async transferShares(companyId, fromStudentId, toStudentId, shares, price = 0) {
+        try {
+            const response = await this.getRequest().post(`companies/${companyId}/shares/transfer`, {
+                fromStudentId,
+                toStudentId,
+                shares,
+                price
+            });
+            
+            return {
+                success: true,
+                message: response.message,
+                transfer: response.transfer
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao transferir ações.'
+            };
+        }
+    }
+
     /**
      * Remove a student from a company
      * @param {string} studentId - ID of the student to remove
      * @param {string} companyId - ID of the company
-     * @returns {Object} Result object with status and message
+     * @param {string} policy - Exit policy: 'keep', 'refund' or 'buyout'
+     * @returns {Object} Result object with status, message and exit record
      */
-    async removeStudentFromCompany(studentId, companyId) {
+    async removeStudentFromCompany(studentId, companyId, policy = 'keep') {
         try {
-            const response = await this.getRequest().delete(`companies/${companyId}/members/${studentId}`);
+            const response = await this.getRequest().delete(`companies/${companyId}/members/${studentId}?policy=${policy}`);
             
             return {
                 success: true,
-                message: response.message
+                message: response.message,
+                exit: response.exit
             };
         } catch (error) {
             return {
@@ -466,6 +625,188 @@ export default class CompanyManager {
         }
     }
 
+    /**
+     * Get the expense and revenue categories of a class
+     * @param {string} classId - Class ID
+     * @returns {Object} Fixed categories and the custom categories of the class
+     */
+    async getCategories(classId) {
+        try {
+            const response = await this.getRequest().get(`classes/${classId}/categories`);
+            return response.categories;
+        } catch (error) {
+            console.error('Error getting class categories:', error);
+            return { fixed: ['marketing', 'production', 'salaries', 'sales', 'dividends', 'funding', 'taxes', 'other'], custom: [] };
+        }
+    }
+
+    /**
+     * Add a custom expense and revenue category to a class
+     * @param {string} classId - Class ID
+     * @param {string} name - Category name
+     * @returns {Object} Result with success flag, message and the normalized category name
+     */
+    async addCategory(classId, name) {
+        try {
+            const response = await this.getRequest().post(`classes/${classId}/categories`, { name });
+            return {
+                success: true,
+                message: response.message,
+                category: response.category
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao criar categoria'
+            };
+        }
+    }
+
+    /**
+     * Get the recurring expenses of a company
+     * @param {string} companyId - Company ID
+     * @returns {Object} Result with success flag, the recurring expenses and the outstanding debt
+     */
+    async getRecurringExpenses(companyId) {
+        try {
+            const response = await this.getRequest().get(`companies/${companyId}/recurring-expenses`);
+            
+            return {
+                success: true,
+                recurringExpenses: response.recurringExpenses || [],
+                outstandingDebt: response.outstandingDebt || 0
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao carregar os custos fixos.'
+            };
+        }
+    }
+
+    /**
+     * Create a recurring expense for a company
+     * @param {string} companyId - Company ID
+     * @param {Object} recurringExpense - Description, amount, frequency and budgetPolicy
+     * @returns {Object} Result with success flag, message and the created recurring expense
+     */
+    async createRecurringExpense(companyId, recurringExpense) {
+        try {
+            const response = await this.getRequest().post(`companies/${companyId}/recurring-expenses`, recurringExpense);
+            
+            return {
+                success: true,
+                message: response.message,
+                recurringExpense: response.recurringExpense
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao criar o custo fixo.'
+            };
+        }
+    }
+
+    /**
+     * Update a recurring expense
+     * @param {string} recurringExpenseId - Recurring expense ID
+     * @param {Object} updates - Fields to change (description, amount, frequency, budgetPolicy, active)
+     * @returns {Object} Result with success flag, message and the updated recurring expense
+     */
+    async updateRecurringExpense(recurringExpenseId, updates) {
+        try {
+            const response = await this.getRequest().put(`recurring-expenses/${recurringExpenseId}`, updates);
+            
+            return {
+                success: true,
+                message: response.message,
+                recurringExpense: response.recurringExpense
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao atualizar o custo fixo.'
+            };
+        }
+    }
+
+    /**
+     * Get the recurring expenses of every company of a class
+     * @param {string} classId - Class ID
+     * @returns {Array} Recurring expenses with the company name
+     */
+    async getClassRecurringExpenses(classId) {
+        try {
+            const response = await this.getRequest().get(`classes/${classId}/recurring-expenses`);
+            return response.recurringExpenses || [];
+        } catch (error) {
+            console.error('Error getting class recurring expenses:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Charge the recurring expenses of every active company of a class
+     * @param {string} classId - Class ID
+     * @param {string} frequency - Only charge the expenses of this frequency (optional)
+     * @returns {Object} Result with success flag, message, the charges and their totals
+     */
+    async applyRecurringExpenses(classId, frequency = null) {
+        try {
+            const response = await this.getRequest().post(`classes/${classId}/recurring-expenses/apply`, frequency ? { frequency } : {});
+            
+            return {
+                success: true,
+                message: response.message,
+                charges: response.charges,
+                totals: response.totals
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao cobrar os custos fixos.'
+            };
+        }
+    }
+
+    /**
+     * Get the financial summary of a company, with what it still owes
+     * @param {string} companyId - Company ID
+     * @returns {Object|null} Financial summary, or null on error
+     */
+    async getFinancialSummary(companyId) {
+        try {
+            const response = await this.getRequest().get(`companies/${companyId}/financial-summary`);
+            return response.financialSummary;
+        } catch (error) {
+            console.error('Error getting company financial summary:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the income statement, balance sheet and cash-flow statement of a company
+     * @param {string} companyId - Company ID
+     * @param {string|null} periodId - Only the activity of this period (null for the whole history)
+     * @returns {Object} Result with success flag and the statements
+     */
+    async getStatements(companyId, periodId = null) {
+        try {
+            const query = periodId ? `?period_id=${periodId}` : '';
+            const { period, incomeStatement, balanceSheet, cashFlow } = await this.getRequest().get(`companies/${companyId}/statements${query}`);
+
+            return {
+                success: true,
+                statements: { period, incomeStatement, balanceSheet, cashFlow }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao carregar os demonstrativos.'
+            };
+        }
+    }
+
     /**
      * Get the profit for a company
      * @param {string} companyId - Company ID
@@ -0,0 +1,14 @@
+/**
+ * Escape a value for use inside HTML built with template strings
+ * Names and descriptions are typed by users, so they must never be read as markup
+ * @param {*} value - Value to escape (null and undefined become an empty string)
+ * @returns {string} Escaped text
+ */
+export default function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
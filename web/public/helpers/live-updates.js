@@ -0,0 +1,72 @@
+/**
+ * Live Updates
+ * Keeps a Server-Sent Events stream open with the API (GET /events) and re-dispatches every class event
+ * as a 'liveUpdate' document event, so the views update their cards when something changes in another browser
+ */
+import ClassManager from './class-manager.js';
+
+export default class LiveUpdates {
+    static EVENT_TYPES = ['sale', 'expense', 'revenue', 'balance', 'membership', 'request'];
+
+    constructor() {
+        this.url = 'http://localhost:3000/events';
+        this.classManager = new ClassManager();
+        this.source = null;
+        this.classIds = [];
+    }
+
+    /**
+     * Listen to every class, and follow the classes being created or deleted
+     * @returns {LiveUpdates} This instance for chaining
+     */
+    async initialize() {
+        await this.connectAllClasses();
+
+        // Dispatched whenever a class is created, renamed or deleted
+        document.addEventListener('classSelectsUpdated', async () => await this.connectAllClasses());
+
+        return this;
+    }
+
+    /**
+     * Connect to the events of every class
+     */
+    async connectAllClasses() {
+        const classes = await this.classManager.getAllClasses();
+        this.connect(classes.map(classObj => classObj.id));
+    }
+
+    /**
+     * Open the stream of the given classes, replacing the current one
+     * The browser reconnects by itself when the stream drops
+     * @param {Array<string>} classIds - IDs of the classes to listen to
+     */
+    connect(classIds) {
+        const ids = [...new Set(classIds)].sort();
+        if (this.source && ids.join(',') === this.classIds.join(',')) return;
+
+        this.close();
+        this.classIds = ids;
+        if (ids.length === 0) return;
+
+        this.source = new EventSource(`${this.url}?class_id=${ids.map(encodeURIComponent).join(',')}`);
+        LiveUpdates.EVENT_TYPES.forEach(type => {
+            this.source.addEventListener(type, message => {
+                document.dispatchEvent(new CustomEvent('liveUpdate', {
+                    detail: JSON.parse(message.data)
+                }));
+            });
+        });
+    }
+
+    /**
+     * Close the stream
+     */
+    close() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        this.classIds = [];
+    }
+}
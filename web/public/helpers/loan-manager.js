@@ -0,0 +1,172 @@
+/**
+ * Loan Manager
+ * Handles the loans of the class bank in the BusiCode application
+ */
+import Request from './request.js';
+
+export default class LoanManager {
+    constructor() {
+        this.request = new Request({
+            url: 'http://localhost:3000',
+        });
+    }
+
+    /**
+     * Get the appropriate request instance (authenticated if user is logged in)
+     * @returns {Request} Request instance
+     */
+    getRequest() {
+        // Use global auth manager if available and user is authenticated
+        if (window.authManager && window.authManager.isLoggedIn()) {
+            return window.authManager.getAuthenticatedRequest();
+        }
+
+        // Fallback to regular request for read operations
+        return this.request;
+    }
+
+    /**
+     * Get the loans of a class
+     * @param {string} classId - Class ID
+     * @returns {Array} Loans with their schedule, newest first
+     */
+    async getClassLoans(classId) {
+        try {
+            const response = await this.getRequest().get(`loans?class_id=${classId}`);
+            return response.loans || [];
+        } catch (error) {
+            console.error('Error getting class loans:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Simulate the amortization schedule of a loan
+     * @param {number} principal - Amount to borrow
+     * @param {number} interestRate - Interest per installment, in percent
+     * @param {number} term - Number of installments
+     * @returns {Object} Result with success flag and the schedule
+     */
+    async simulate(principal, interestRate, term) {
+        try {
+            const response = await this.getRequest().get(`loans/simulate?principal=${principal}&interest_rate=${interestRate}&term=${term}`);
+            return {
+                success: true,
+                ...response
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao simular empréstimo'
+            };
+        }
+    }
+
+    /**
+     * Request a loan for a company or a student
+     * @param {Object} loan - borrowerType, borrowerId, principal, interestRate, term and description
+     * @returns {Object} Result with success flag, message and the pending loan
+     */
+    async requestLoan(loan) {
+        try {
+            const response = await this.getRequest().post('loans', loan);
+            return {
+                success: true,
+                message: response.message,
+                loan: response.loan
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao solicitar empréstimo'
+            };
+        }
+    }
+
+    /**
+     * Approve a pending loan, paying the principal to the borrower
+     * @param {string} loanId - Loan ID
+     * @returns {Object} Result with success flag, message and the active loan
+     */
+    async approveLoan(loanId) {
+        try {
+            const response = await this.getRequest().post(`loans/${loanId}/approve`);
+            return {
+                success: true,
+                message: response.message,
+                loan: response.loan
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao aprovar empréstimo'
+            };
+        }
+    }
+
+    /**
+     * Reject a pending loan
+     * @param {string} loanId - Loan ID
+     * @returns {Object} Result with success flag, message and the rejected loan
+     */
+    async rejectLoan(loanId) {
+        try {
+            const response = await this.getRequest().post(`loans/${loanId}/reject`);
+            return {
+                success: true,
+                message: response.message,
+                loan: response.loan
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao recusar empréstimo'
+            };
+        }
+    }
+
+    /**
+     * Pay the next installment of a loan now
+     * @param {string} loanId - Loan ID
+     * @returns {Object} Result with success flag, message, the installment and the loan
+     */
+    async payInstallment(loanId) {
+        try {
+            const response = await this.getRequest().post(`loans/${loanId}/pay`);
+            return {
+                success: true,
+                message: response.message,
+                installment: response.installment,
+                loan: response.loan
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao pagar parcela'
+            };
+        }
+    }
+
+    /**
+     * Charge the loan installments due in a class
+     * @param {string} classId - Class ID
+     * @returns {Object} Result with success flag, message, installments paid and late, and totals
+     */
+    async chargeClass(classId) {
+        try {
+            const response = await this.getRequest().post(`classes/${classId}/loans/charge`);
+            return {
+                success: true,
+                message: response.message,
+                paid: response.paid,
+                late: response.late,
+                totals: response.totals
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao cobrar parcelas'
+            };
+        }
+    }
+}
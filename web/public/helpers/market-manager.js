@@ -0,0 +1,130 @@
+/**
+ * Market Manager
+ * Handles the market demand simulation of the classes in the BusiCode application
+ */
+import Request from './request.js';
+
+export default class MarketManager {
+    constructor() {
+        this.request = new Request({
+            url: 'http://localhost:3000',
+        });
+    }
+
+    /**
+     * Get the appropriate request instance (authenticated if user is logged in)
+     * @returns {Request} Request instance
+     */
+    getRequest() {
+        // Use global auth manager if available and user is authenticated
+        if (window.authManager && window.authManager.isLoggedIn()) {
+            return window.authManager.getAuthenticatedRequest();
+        }
+
+        // Fallback to regular request for read operations
+        return this.request;
+    }
+
+    /**
+     * Get the market settings of a class
+     * @param {string} classId - Class ID
+     * @returns {Object} Result with success flag and the settings
+     */
+    async getSettings(classId) {
+        try {
+            const response = await this.getRequest().get(`classes/${classId}/market`);
+            return {
+                success: true,
+                settings: response.settings
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao carregar configuração do mercado'
+            };
+        }
+    }
+
+    /**
+     * Update the market settings of a class
+     * @param {string} classId - Class ID
+     * @param {Object} settings - Settings to change (enabled, demandModel, marketSize, referencePrice, elasticity, noise)
+     * @returns {Object} Result with success flag, message and the updated settings
+     */
+    async updateSettings(classId, settings) {
+        try {
+            const response = await this.getRequest().put(`classes/${classId}/market`, settings);
+            return {
+                success: true,
+                message: response.message,
+                settings: response.settings
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao salvar configuração do mercado'
+            };
+        }
+    }
+
+    /**
+     * Get the projected sales of the next round of a class
+     * @param {string} classId - Class ID
+     * @returns {Object} Result with success flag and the projection
+     */
+    async getPreview(classId) {
+        try {
+            const response = await this.getRequest().get(`classes/${classId}/market/preview`);
+            return {
+                success: true,
+                settings: response.settings,
+                categories: response.categories,
+                products: response.products,
+                totals: response.totals
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao calcular prévia da rodada'
+            };
+        }
+    }
+
+    /**
+     * Get the rounds already run in a class
+     * @param {string} classId - Class ID
+     * @returns {Array} Rounds, newest first
+     */
+    async getRounds(classId) {
+        try {
+            const response = await this.getRequest().get(`classes/${classId}/market/rounds`);
+            return response.rounds || [];
+        } catch (error) {
+            console.error('Error getting market rounds:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Run a market round in a class
+     * @param {string} classId - Class ID
+     * @returns {Object} Result with success flag, message, the round and the result of every product
+     */
+    async runRound(classId) {
+        try {
+            const response = await this.getRequest().post(`classes/${classId}/market/rounds`);
+            return {
+                success: true,
+                message: response.message,
+                round: response.round,
+                results: response.results,
+                recurringExpenses: response.recurringExpenses
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao executar rodada'
+            };
+        }
+    }
+}
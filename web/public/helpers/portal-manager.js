@@ -0,0 +1,137 @@
+/**
+ * Portal Manager
+ * Handles the data of the student portal: profile, companies, transactions and requests of the logged student
+ */
+export default class PortalManager {
+    /**
+     * @param {StudentAuthManager} studentAuthManager - Session of the logged student
+     */
+    constructor(studentAuthManager) {
+        this.studentAuthManager = studentAuthManager;
+    }
+
+    /**
+     * Get the request instance with the student token
+     * @returns {Request} Request instance
+     */
+    getRequest() {
+        return this.studentAuthManager.getAuthenticatedRequest();
+    }
+
+    /**
+     * Get the logged student with their class and companies
+     * @returns {Object|null} Student, class and companies, or null on error
+     */
+    async getProfile() {
+        try {
+            return await this.getRequest().get('portal/me');
+        } catch (error) {
+            console.error('Error getting student profile:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the transaction history of the logged student
+     * @returns {Array} Transactions with counterpart and running balance, newest first
+     */
+    async getTransactions() {
+        try {
+            const response = await this.getRequest().get('portal/transactions');
+            return response.transactions || [];
+        } catch (error) {
+            console.error('Error getting student transactions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the finances of a company of the logged student
+     * @param {string} companyId - Company ID
+     * @returns {Object|null} Company with details, expenses and revenues
+     */
+    async getCompany(companyId) {
+        try {
+            return await this.getRequest().get(`portal/companies/${companyId}`);
+        } catch (error) {
+            console.error('Error getting company finances:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the requests of the logged student
+     * @returns {Array} Requests, newest first
+     */
+    async getRequests() {
+        try {
+            const response = await this.getRequest().get('portal/requests');
+            return response.requests || [];
+        } catch (error) {
+            console.error('Error getting student requests:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Make a request for the teacher to approve
+     * @param {Object} request - type (expense or transfer), amount, description, companyId, category, targetType and targetId
+     * @returns {Object} Result with success flag, message and the pending request
+     */
+    async createRequest(request) {
+        try {
+            const response = await this.getRequest().post('portal/requests', request);
+            return {
+                success: true,
+                message: response.message,
+                request: response.request
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao enviar solicitação'
+            };
+        }
+    }
+
+    /**
+     * Cancel a pending request
+     * @param {string} requestId - Request ID
+     * @returns {Object} Result with success flag and message
+     */
+    async cancelRequest(requestId) {
+        try {
+            const response = await this.getRequest().post(`portal/requests/${requestId}/cancel`);
+            return {
+                success: true,
+                message: response.message
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao cancelar solicitação'
+            };
+        }
+    }
+
+    /**
+     * Change the PIN of the logged student
+     * @param {string} currentPin - Current PIN
+     * @param {string} newPin - New PIN
+     * @returns {Object} Result with success flag and message
+     */
+    async changePin(currentPin, newPin) {
+        try {
+            const response = await this.getRequest().put('portal/pin', { currentPin, newPin });
+            return {
+                success: true,
+                message: response.message
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao alterar PIN'
+            };
+        }
+    }
+}
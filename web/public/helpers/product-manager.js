@@ -40,9 +40,13 @@ export default class ProductManager {
                 id: product.id,
                 name: product.name,
                 price: product.price,
+                unitCost: product.unitCost || 0,
+                category: product.category,
                 companyId: product.companyId,
                 sales: product.salesCount || 0,
                 total: product.totalRevenue || 0,
+                totalCost: product.totalCost || 0,
+                stock: product.stock || 0,
                 launchedAt: product.createdAt || product.launchedAt
             }));
         } catch (error) {
@@ -63,9 +67,13 @@ export default class ProductManager {
                 id: product.id,
                 name: product.name,
                 price: product.price,
+                unitCost: product.unitCost || 0,
+                category: product.category,
                 companyId: product.companyId,
                 sales: product.salesCount || 0,
                 total: product.totalRevenue || 0,
+                totalCost: product.totalCost || 0,
+                stock: product.stock || 0,
                 launchedAt: product.createdAt || product.launchedAt
             }));
         } catch (error) {
@@ -79,14 +87,18 @@ export default class ProductManager {
      * @param {string} companyId - ID of the company launching the product
      * @param {string} productName - Name of the product
      * @param {number} productPrice - Price of the product
+     * @param {number} unitCost - Production cost of one unit (optional)
+     * @param {string} category - Market category (optional)
      * @returns {Object} Result object with product and status information
      */
-    async launchProduct(companyId, productName, productPrice) {
+    async launchProduct(companyId, productName, productPrice, unitCost = 0, category = null) {
         try {
             const response = await this.getRequest().post('products', {
                 companyId,
                 name: productName,
-                price: productPrice
+                price: productPrice,
+                unitCost,
+                category
             });
             
             return { 
@@ -128,6 +140,86 @@ export default class ProductManager {
         }
     }
 
+    /**
+     * Edit a product's market category
+     * @param {string} productId - ID of the product to edit
+     * @param {string} category - New category (empty for none)
+     * @returns {Object} Result object with product and status information
+     */
+    async editProductCategory(productId, category) {
+        try {
+            const response = await this.getRequest().put(`products/${productId}`, {
+                category
+            });
+            
+            return {
+                success: true,
+                message: response.message,
+                product: response.product
+            };
+        } catch (error) {
+            return { 
+                success: false, 
+                message: error.message || 'Erro ao atualizar categoria do produto'
+            };
+        }
+    }
+
+    /**
+     * Edit a product's unit cost
+     * @param {string} productId - ID of the product to edit
+     * @param {number} unitCost - New production cost of one unit
+     * @returns {Object} Result object with product and status information
+     */
+    async editProductCost(productId, unitCost) {
+        try {
+            const response = await this.getRequest().put(`products/${productId}/cost`, {
+                unitCost
+            });
+            
+            return {
+                success: true,
+                message: response.message,
+                product: response.product
+            };
+        } catch (error) {
+            return { 
+                success: false, 
+                message: error.message || 'Erro ao atualizar custo do produto'
+            };
+        }
+    }
+
+    /**
+     * Produce a batch of a product, paid from the company budget
+     * @param {string} productId - ID of the product
+     * @param {number} quantity - Units to produce
+     * @returns {Object} Result object with the batch and the updated product
+     */
+    async produceBatch(productId, quantity) {
+        try {
+            const response = await this.getRequest().post(`products/${productId}/batches`, {
+                quantity
+            });
+            
+            return {
+                success: true,
+                message: response.message,
+                batch: response.batch,
+                product: new Product({
+                    ...response.product,
+                    sales: response.product.salesCount,
+                    total: response.product.totalRevenue,
+                })
+            };
+        } catch (error) {
+            return { 
+                success: false, 
+                message: error.message || 'Erro ao produzir lote'
+            };
+        }
+    }
+
     /**
      * Add sales to a product
      * @param {string} productId - ID of the product
@@ -143,11 +235,11 @@ export default class ProductManager {
             return {
                 success: true,
                 message: response.message,
-                product: {
+                product: new Product({
                     ...response.product,
                     sales: response.product.salesCount,
                     total: response.product.totalRevenue,
-                },
+                }),
                 quantity,
                 price: response.product.price,
                 companyId: response.product.companyId
@@ -160,6 +252,60 @@ export default class ProductManager {
         }
     }
 
+    /**
+     * Get the sales of a product, each one with its refunds
+     * @param {string} productId - ID of the product
+     * @returns {Object} Result object with the sales, newest first
+     */
+    async getProductSales(productId) {
+        try {
+            const response = await this.getRequest().get(`products/${productId}/sales`);
+            return {
+                success: true,
+                sales: response.sales
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao carregar vendas'
+            };
+        }
+    }
+
+    /**
+     * Refund a sale of a product
+     * @param {string} productId - ID of the product
+     * @param {string} saleId - ID of the sale
+     * @param {number|null} quantity - Units to refund (null refunds every unit not refunded yet)
+     * @param {string} reason - Why the sale is refunded (optional)
+     * @returns {Object} Result object with the refund and the updated product
+     */
+    async refundSale(productId, saleId, quantity = null, reason = '') {
+        try {
+            const response = await this.getRequest().post(`products/${productId}/sales/${saleId}/refund`, {
+                quantity,
+                reason
+            });
+            
+            return {
+                success: true,
+                message: response.message,
+                refund: response.refund,
+                sale: response.sale,
+                product: new Product({
+                    ...response.product,
+                    sales: response.product.salesCount,
+                    total: response.product.totalRevenue,
+                })
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao estornar venda'
+            };
+        }
+    }
+
     /**
      * Remove a product from the launched products list
      * @param {string} productId - ID of the product to remove
@@ -201,7 +347,12 @@ export default class ProductManager {
             }
 
             const {products} = await this.getRequest().get('products', opt);
-            return products;
+            return products.map(product => new Product({
+                ...product,
+                sales: product.salesCount || 0,
+                total: product.totalRevenue || 0,
+                launchedAt: product.createdAt || product.launchedAt
+            }));
         } catch (error) {
             console.error('Error getting products by date range:', error);
             return [];
@@ -245,6 +396,27 @@ export default class ProductManager {
         }
     }
 
+    /**
+     * Get the price history of a product
+     * @param {string} productId - ID of the product
+     * @returns {Object} Result object with the price changes and the sales made under each price
+     */
+    async getPriceHistory(productId) {
+        try {
+            const response = await this.getRequest().get(`products/${productId}/price-history`);
+            return {
+                success: true,
+                history: response.history,
+                periods: response.periods
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao carregar histórico de preços'
+            };
+        }
+    }
+
     /**
      * Remove all products for a given company
      * @param {string} companyId - ID of the company
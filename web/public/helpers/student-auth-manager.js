@@ -0,0 +1,130 @@
+import Request from './request.js';
+import Storage from './storage.js';
+
+/**
+ * Student Authentication Manager
+ * Handles the portal session of a student (join code of the class + personal PIN).
+ * It is stored apart from the admin session, so a student token is never sent by the console managers.
+ */
+export default class StudentAuthManager {
+    constructor() {
+        this.request = new Request({
+            url: 'http://localhost:3000',
+        });
+        this.storage = new Storage('busicode_student_auth');
+        this.student = null;
+    }
+
+    /**
+     * Get the class of a join code and its students, to pick a name before typing the PIN
+     * @param {string} joinCode - Join code of the class
+     * @returns {Object} Result with success flag, the class and its students
+     */
+    async getRoster(joinCode) {
+        try {
+            const response = await this.request.get(`auth/student/classes/${encodeURIComponent(joinCode.trim())}`);
+            return {
+                success: true,
+                class: response.class,
+                students: response.students
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.status === 404 ? 'Código da turma inválido.' : (error.message || 'Erro ao buscar a turma')
+            };
+        }
+    }
+
+    /**
+     * Login with the join code, the student picked and the PIN
+     * @param {string} joinCode - Join code of the class
+     * @param {string} studentId - Student ID
+     * @param {string} pin - PIN or password
+     * @returns {Object} Result with success flag and the student
+     */
+    async login(joinCode, studentId, pin) {
+        try {
+            const response = await this.request.post('auth/student/login', { joinCode, studentId, pin });
+
+            this.storage.saveData({
+                token: response.token,
+                student: response.student,
+                class: response.class,
+                loginTime: new Date().toISOString()
+            });
+            this.student = response.student;
+
+            return {
+                success: true,
+                student: response.student,
+                class: response.class
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.status === 401 ? 'PIN inválido ou ainda não definido pelo professor.'
+                    : error.status === 429 ? 'Muitas tentativas com PIN errado. Tente novamente mais tarde ou peça um novo PIN ao professor.'
+                    : (error.message || 'Erro ao entrar')
+            };
+        }
+    }
+
+    /**
+     * Logout the student
+     */
+    logout() {
+        this.storage.clearData();
+        this.student = null;
+    }
+
+    /**
+     * Check the stored session with the server
+     * @returns {boolean} True if the student is logged in
+     */
+    async checkAuthStatus() {
+        const authData = this.storage.loadData();
+        if (!authData || !authData.token) {
+            this.student = null;
+            return false;
+        }
+
+        try {
+            const response = await this.getAuthenticatedRequest().get('auth/student/verify');
+            if (response.valid) {
+                this.student = authData.student;
+                return true;
+            }
+        } catch (error) {
+            console.warn('Student token verification failed:', error);
+        }
+
+        this.logout();
+        return false;
+    }
+
+    /**
+     * Check if a student is logged in (synchronous)
+     * @returns {boolean} Authentication status
+     */
+    isLoggedIn() {
+        return Boolean(this.student);
+    }
+
+    /**
+     * Create a Request instance with the student token
+     * @returns {Request} Authenticated request instance
+     */
+    getAuthenticatedRequest() {
+        const request = new Request({
+            url: 'http://localhost:3000',
+        });
+
+        const authData = this.storage.loadData();
+        if (authData?.token) {
+            request.setHeader('Authorization', `Bearer ${authData.token}`);
+        }
+
+        return request;
+    }
+}
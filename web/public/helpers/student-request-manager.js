@@ -0,0 +1,87 @@
+/**
+ * Student Request Manager
+ * Handles the review of the requests students make in the portal
+ */
+import Request from './request.js';
+
+export default class StudentRequestManager {
+    constructor() {
+        this.request = new Request({
+            url: 'http://localhost:3000',
+        });
+    }
+
+    /**
+     * Get the appropriate request instance (authenticated if user is logged in)
+     * @returns {Request} Request instance
+     */
+    getRequest() {
+        // Use global auth manager if available and user is authenticated
+        if (window.authManager && window.authManager.isLoggedIn()) {
+            return window.authManager.getAuthenticatedRequest();
+        }
+
+        // Fallback to regular request for read operations
+        return this.request;
+    }
+
+    /**
+     * Get the requests of a class
+     * @param {string} classId - Class ID
+     * @param {string} status - Only the requests with this status (optional)
+     * @returns {Array} Requests with student, company and target names, newest first
+     */
+    async getClassRequests(classId, status = null) {
+        try {
+            const response = await this.getRequest().get(`student-requests?class_id=${classId}${status ? `&status=${status}` : ''}`);
+            return response.requests || [];
+        } catch (error) {
+            console.error('Error getting student requests:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Approve a pending request, moving the money
+     * @param {string} requestId - Request ID
+     * @param {string} note - Answer to the student (optional)
+     * @returns {Object} Result with success flag, message and the approved request
+     */
+    async approveRequest(requestId, note = '') {
+        try {
+            const response = await this.getRequest().post(`student-requests/${requestId}/approve`, { note });
+            return {
+                success: true,
+                message: response.message,
+                request: response.request
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao aprovar solicitação'
+            };
+        }
+    }
+
+    /**
+     * Reject a pending request
+     * @param {string} requestId - Request ID
+     * @param {string} note - Why it was rejected (optional)
+     * @returns {Object} Result with success flag, message and the rejected request
+     */
+    async rejectRequest(requestId, note = '') {
+        try {
+            const response = await this.getRequest().post(`student-requests/${requestId}/reject`, { note });
+            return {
+                success: true,
+                message: response.message,
+                request: response.request
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao recusar solicitação'
+            };
+        }
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * Tax Manager
+ * Handles the tax rules and the treasury of the classes in the BusiCode application
+ */
+import Request from './request.js';
+
+export default class TaxManager {
+    constructor() {
+        this.request = new Request({
+            url: 'http://localhost:3000',
+        });
+    }
+
+    /**
+     * Get the appropriate request instance (authenticated if user is logged in)
+     * @returns {Request} Request instance
+     */
+    getRequest() {
+        // Use global auth manager if available and user is authenticated
+        if (window.authManager && window.authManager.isLoggedIn()) {
+            return window.authManager.getAuthenticatedRequest();
+        }
+
+        // Fallback to regular request for read operations
+        return this.request;
+    }
+
+    /**
+     * Get the tax rules of a class
+     * @param {string} classId - Class ID
+     * @returns {Object} Result with success flag and the settings
+     */
+    async getSettings(classId) {
+        try {
+            const response = await this.getRequest().get(`classes/${classId}/taxes`);
+            return {
+                success: true,
+                settings: response.settings
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao carregar impostos'
+            };
+        }
+    }
+
+    /**
+     * Update the tax rules of a class
+     * @param {string} classId - Class ID
+     * @param {Object} settings - Rates to change (revenueRate, profitRate, dividendRate), in percent
+     * @returns {Object} Result with success flag, message and the updated settings
+     */
+    async updateSettings(classId, settings) {
+        try {
+            const response = await this.getRequest().put(`classes/${classId}/taxes`, settings);
+            return {
+                success: true,
+                message: response.message,
+                settings: response.settings
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao salvar impostos'
+            };
+        }
+    }
+
+    /**
+     * Get the treasury of a class: balance and taxes collected
+     * @param {string} classId - Class ID
+     * @returns {Object} Result with success flag, balance, totals by tax type and payments
+     */
+    async getTreasury(classId) {
+        try {
+            const response = await this.getRequest().get(`classes/${classId}/treasury`);
+            return {
+                success: true,
+                ...response
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao carregar tesouro'
+            };
+        }
+    }
+
+    /**
+     * Charge the profit tax of every active company of a class
+     * @param {string} classId - Class ID
+     * @returns {Object} Result with success flag, message, payments and total collected
+     */
+    async applyProfitTax(classId) {
+        try {
+            const response = await this.getRequest().post(`classes/${classId}/taxes/apply`);
+            return {
+                success: true,
+                message: response.message,
+                payments: response.payments,
+                total: response.total
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao cobrar imposto sobre o lucro'
+            };
+        }
+    }
+}
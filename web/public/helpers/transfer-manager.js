@@ -0,0 +1,57 @@
+/**
+ * Transfer Manager
+ * Handles money transfers between students and companies in the BusiCode application
+ */
+import Request from './request.js';
+
+export default class TransferManager {
+    constructor() {
+        this.request = new Request({
+            url: 'http://localhost:3000',
+        });
+    }
+
+    /**
+     * Get the appropriate request instance (authenticated if user is logged in)
+     * @returns {Request} Request instance
+     */
+    getRequest() {
+        // Use global auth manager if available and user is authenticated
+        if (window.authManager && window.authManager.isLoggedIn()) {
+            return window.authManager.getAuthenticatedRequest();
+        }
+        
+        // Fallback to regular request for read operations
+        return this.request;
+    }
+
+    /**
+     * Transfer money from a student to another student or to a company
+     * @param {string} studentId - Source student ID
+     * @param {Object} target - Target account ({ type: 'student' | 'company', id })
+     * @param {number} amount - Amount to transfer
+     * @param {string} description - Optional description
+     * @returns {Object} Result with success flag, message and transfer data
+     */
+    async transfer(studentId, target, amount, description = '') {
+        try {
+            const response = await this.getRequest().post('transfers', {
+                from: { type: 'student', id: studentId },
+                to: target,
+                amount,
+                description
+            });
+            
+            return {
+                success: true,
+                message: response.message,
+                transfer: response.transfer
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: error.message || 'Erro ao realizar transferência'
+            };
+        }
+    }
+}
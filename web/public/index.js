@@ -8,8 +8,40 @@
 import ClassView from './views/class-view.js';
 import CompanyView from './views/company-view.js';
 import ProductView from './views/product-view.js';
+import MarketView from './views/market-view.js';
+import LeaderboardView from './views/leaderboard-view.js';
+import PresentationView from './views/presentation-view.js';
+import PortalView from './views/portal-view.js';
 import NavigationView from './views/navigation-view.js';
 import AuthView from './views/auth-view.js';
+import LiveUpdates from './helpers/live-updates.js';
+
+/**
+ * Class shown in projector mode, from a #/present/<classId> URL
+ * @returns {string|null} Class ID, or null for the console
+ */
+function getPresentationClassId() {
+    const match = window.location.hash.match(/^#\/present\/([^/?]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Whether a hash opens the student portal (#/portal)
+ * @param {string} hash - URL hash
+ * @returns {boolean} True for the portal
+ */
+function isPortalHash(hash) {
+    return /^#\/portal\b/.test(hash);
+}
+
+// Entering or leaving projector mode or the student portal swaps the whole page
+window.addEventListener('hashchange', (event) => {
+    const oldHash = new URL(event.oldURL).hash;
+    const wasPresenting = /#\/present\//.test(oldHash);
+    if (wasPresenting !== Boolean(getPresentationClassId()) || isPortalHash(oldHash) !== isPortalHash(window.location.hash)) {
+        window.location.reload();
+    }
+});
 
 // Main initialization function
 async function initializeApp() {
@@ -20,6 +52,23 @@ async function initializeApp() {
     // Make auth manager globally available for managers
     window.authManager = authView.authManager;
     
+    // Projector mode (#/present/<classId>): read-only dashboard of one class instead of the console
+    const presentation = getPresentationClassId();
+    if (presentation) {
+        authView.isReadOnlyMode = true;
+        authView.updateReadOnlyMode();
+        const presentationView = await new PresentationView(presentation).initialize();
+        new LiveUpdates().connect([presentation]);
+        document.addEventListener('liveUpdate', () => presentationView.debouncedRefresh());
+        return;
+    }
+    
+    // Student portal (#/portal): students log in with the join code of their class instead of the admin console
+    if (isPortalHash(window.location.hash)) {
+        await new PortalView().initialize();
+        return;
+    }
+    
     // Initialize core manager components after auth is ready
     // Pass the current auth state to ensure proper initial rendering
     const isAuthenticated = authView.authManager.isLoggedIn();
@@ -27,10 +76,15 @@ async function initializeApp() {
     const classView = await new ClassView(isAuthenticated).initialize();
     const companyView = await new CompanyView(isAuthenticated).initialize();
     const productView = await new ProductView(isAuthenticated).initialize();
+    const marketView = await new MarketView(isAuthenticated).initialize();
+    const leaderboardView = await new LeaderboardView().initialize();
     
     // Initialize navigation manager
     new NavigationView();
     
+    // Push changes made in other browsers to the views (see the liveUpdate listeners)
+    await new LiveUpdates().initialize();
+    
     // Force a read-only mode update to sync all views
     authView.updateReadOnlyMode();
 }
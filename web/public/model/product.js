@@ -8,15 +8,22 @@ export default class Product {
      * @param {string} name - Name of the product
      * @param {string} description - Description of the product
      * @param {number} price - Selling price of the product
+     * @param {number} unitCost - Production cost of one unit
+     * @param {string} category - Market category, the products it competes with (optional)
      * @param {string} companyId - Unique identifier for the company
+     * @param {number} stock - Units produced and not sold yet
      */
-    constructor({id, name, price, companyId, sales, total, launchedAt}) {
+    constructor({id, name, price, unitCost, category, companyId, sales, total, totalCost, stock, launchedAt}) {
         this.id = id;
         this.name = name;
+        this.category = category || null;
         this.companyId = companyId;
         this.price = parseFloat(price) || 0;
+        this.unitCost = parseFloat(unitCost) || 0;
         this.sales = parseInt(sales) || 0;
         this.total = parseFloat(total) || 0;
+        this.totalCost = parseFloat(totalCost) || 0;
+        this.stock = parseInt(stock) || 0;
         this.launchedAt = launchedAt || new Date().toISOString();
     }
 
@@ -31,10 +38,28 @@ export default class Product {
 
         this.sales += units;
         this.total += units * this.price;
+        this.totalCost += units * this.unitCost;
         
         return this.total;
     }
 
+    /**
+     * Margin of one unit, as a percentage of the price
+     * @returns {number} Unit margin (%)
+     */
+    getUnitMargin() {
+        if (this.price <= 0) return 0;
+        return (this.price - this.unitCost) / this.price * 100;
+    }
+
+    /**
+     * Revenue minus the production cost of the units sold
+     * @returns {number} Gross profit
+     */
+    getGrossProfit() {
+        return this.total - this.totalCost;
+    }
+
     /**
      * Change the product price
      * @param {number} newPrice - New price for the product
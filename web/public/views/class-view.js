@@ -3,12 +3,23 @@
  * Handles UI rendering for classes and their students
  */
 import ClassManager from '../helpers/class-manager.js';
+import CompanyManager from '../helpers/company-manager.js';
+import TransferManager from '../helpers/transfer-manager.js';
+import LoanManager from '../helpers/loan-manager.js';
+import TaxManager from '../helpers/tax-manager.js';
+import StudentRequestManager from '../helpers/student-request-manager.js';
 import Toast from '../components/toast.js';
 import Modal from '../components/modal.js';
+import escapeHtml from '../helpers/html.js';
 
 export default class ClassView {
     constructor(isAuthenticated = false) {
         this.classManager = new ClassManager();
+        this.companyManager = new CompanyManager();
+        this.transferManager = new TransferManager();
+        this.loanManager = new LoanManager();
+        this.taxManager = new TaxManager();
+        this.studentRequestManager = new StudentRequestManager();
         this.isReadOnlyMode = !isAuthenticated; // Set based on initial auth state
     }
     
@@ -23,10 +34,25 @@ export default class ClassView {
         document.querySelector('#class-bulk-action-btn')?.addEventListener('click', async () => await this.showClassBulkActionModal());
 
         document.addEventListener('studentBalanceUpdated', async () => await this.renderClassList());
+        document.addEventListener('transferCompleted', async () => await this.renderClassList());
         document.addEventListener('classSelectsUpdated', async () => {
             await this.updateClassSelects();
         });
 
+        // Listen for money moved in other browsers, updating only the balances of the class involved
+        document.addEventListener('liveUpdate', (event) => {
+            const { type, classId, data } = event.detail;
+            if (type === 'balance' && [data.from, data.to].some(account => account.type === 'student')) {
+                this.debouncedUpdateStudentBalances(classId);
+            }
+            
+            // Warn the teacher of the requests made in the student portal
+            if (type === 'request' && data.status === 'pending' && !this.isReadOnlyMode) {
+                const className = document.querySelector(`#classes-list .card[data-class-id="${classId}"] .class-name-display`)?.textContent;
+                Toast.show({ message: `Nova solicitação no Portal do Aluno${className ? ` (${className})` : ''}.`, type: 'info' });
+            }
+        });
+
         // Listen for read-only mode changes
         document.addEventListener('readOnlyModeChanged', async (event) => {
             this.isReadOnlyMode = event.detail.isReadOnly;
@@ -36,6 +62,40 @@ export default class ClassView {
         return this;
     }
 
+    /**
+     * Refresh the student balances shown in the card of a class
+     * Falls back to a full render when students were added or removed meanwhile
+     * @param {string} classId - The ID of the class
+     * @param {number} delay - Debounce delay in milliseconds, so a burst of events fetches once (default: 300ms)
+     */
+    debouncedUpdateStudentBalances(classId, delay = 300) {
+        this.balanceUpdateTimeouts = this.balanceUpdateTimeouts || {};
+        clearTimeout(this.balanceUpdateTimeouts[classId]);
+
+        this.balanceUpdateTimeouts[classId] = setTimeout(async () => {
+            delete this.balanceUpdateTimeouts[classId];
+
+            const classCard = document.querySelector(`#classes-list .card[data-class-id="${classId}"]`);
+            if (!classCard) return;
+
+            const students = await this.classManager.getStudents(classId);
+            const items = classCard.querySelectorAll('.student-list-item');
+            const rendered = students.map(student => ({
+                student,
+                item: classCard.querySelector(`.student-list-item[data-student-id="${student.id}"]`)
+            }));
+
+            if (items.length !== students.length || rendered.some(({ item }) => !item)) {
+                await this.renderClassList();
+                return;
+            }
+
+            rendered.forEach(({ student, item }) => {
+                item.querySelector('.student-balance').textContent = `R$ ${student.currentBalance.toFixed(2)}`;
+            });
+        }, delay);
+    }
+
     /**
      * Handle read-only mode changes for dynamically generated elements
      */
@@ -133,14 +193,79 @@ export default class ClassView {
             const studentCountDisplay = document.createElement('p');
             studentCountDisplay.innerHTML = `<strong>${students.length}</strong> alunos`;
             
+            // Current period, filled in once it is loaded
+            const periodDisplay = document.createElement('p');
+            periodDisplay.className = 'class-period';
+            
             classHeader.appendChild(classNameContainer);
             classHeader.appendChild(studentCountDisplay);
+            classHeader.appendChild(periodDisplay);
             
             // Class action buttons - only render if not in read-only mode
             const classActions = document.createElement('div');
             classActions.className = 'class-actions';
             
+            // Period list stays visible in read-only mode as it's a view operation
+            const periodsBtn = document.createElement('button');
+            periodsBtn.textContent = 'Períodos';
+            periodsBtn.className = 'periods-button';
+            periodsBtn.addEventListener('click', async () => await this.showPeriodsModal(classId, className));
+            classActions.appendChild(periodsBtn);
+            
+            // Loans are listed in read-only mode too; managing them needs authentication
+            const bankBtn = document.createElement('button');
+            bankBtn.textContent = 'Banco da Turma';
+            bankBtn.className = 'bank-button';
+            bankBtn.addEventListener('click', async () => await this.showBankModal(classId, className));
+            classActions.appendChild(bankBtn);
+            
+            // Treasury is shown in read-only mode too; changing the tax rules needs authentication
+            const taxesBtn = document.createElement('button');
+            taxesBtn.textContent = 'Impostos';
+            taxesBtn.className = 'taxes-button';
+            taxesBtn.addEventListener('click', async () => await this.showTreasuryModal(classId, className));
+            classActions.appendChild(taxesBtn);
+            
+            // Projector mode opens in its own tab, so the console stays available to the teacher
+            const presentBtn = document.createElement('button');
+            presentBtn.textContent = 'Apresentar';
+            presentBtn.className = 'present-button';
+            presentBtn.title = 'Painel da turma para o projetor';
+            presentBtn.addEventListener('click', () => window.open(`#/present/${classId}`, '_blank'));
+            classActions.appendChild(presentBtn);
+            
+            const periodBtn = document.createElement('button');
+            periodBtn.className = 'period-toggle-button';
+            periodBtn.style.display = 'none';
+            
+            this.classManager.getCurrentPeriod(classId).then(period => {
+                periodDisplay.innerHTML = period
+                    ? `Período atual: <strong>${escapeHtml(period.name)}</strong> (desde ${new Date(period.openedAt).toLocaleDateString('pt-BR')})`
+                    : 'Nenhum período aberto';
+                
+                periodBtn.textContent = period ? 'Encerrar Período' : 'Abrir Período';
+                periodBtn.onclick = async () => period
+                    ? await this.showClosePeriodModal(period)
+                    : await this.showOpenPeriodModal(classId);
+                periodBtn.style.display = '';
+            });
+            
             if (!this.isReadOnlyMode) {
+                classActions.appendChild(periodBtn);
+                
+                const recurringBtn = document.createElement('button');
+                recurringBtn.textContent = 'Cobrar Custos Fixos';
+                recurringBtn.className = 'recurring-expenses-button';
+                recurringBtn.addEventListener('click', async () => await this.showApplyRecurringExpensesModal(classId, className));
+                classActions.appendChild(recurringBtn);
+                
+                // Join code, student PINs and the requests made in the portal
+                const portalBtn = document.createElement('button');
+                portalBtn.textContent = 'Portal do Aluno';
+                portalBtn.className = 'portal-button';
+                portalBtn.addEventListener('click', async () => await this.showPortalModal(classId, className));
+                classActions.appendChild(portalBtn);
+                
                 // Bulk action button for entire class
                 const bulkActionBtn = document.createElement('button');
                 bulkActionBtn.textContent = 'Ações em Massa';
@@ -163,6 +288,7 @@ export default class ClassView {
             students.forEach(student => {
                 const listItem = document.createElement('li');
                 listItem.className = 'student-list-item';
+                listItem.dataset.studentId = student.id;
                 
                 // Student info container
                 const studentInfo = document.createElement('div');
@@ -186,6 +312,17 @@ export default class ClassView {
                 const studentActions = document.createElement('div');
                 studentActions.className = 'student-actions';
                 
+                // History button stays visible in read-only mode as it's a view operation
+                const historyBtn = document.createElement('button');
+                historyBtn.innerHTML = '☰';
+                historyBtn.className = 'balance-action-button student-history';
+                historyBtn.title = 'Histórico de Transações';
+                historyBtn.addEventListener('click', async (e) => {
+                    e.preventDefault();
+                    await this.showStudentHistoryModal(student);
+                });
+                studentActions.appendChild(historyBtn);
+                
                 if (!this.isReadOnlyMode) {
                     // Add balance button
                     const addBalanceBtn = document.createElement('button');
@@ -207,6 +344,16 @@ export default class ClassView {
                         await this.showBalanceActionModal(classId, student.id, 'remove');
                     });
                     
+                    // Transfer button
+                    const transferBtn = document.createElement('button');
+                    transferBtn.innerHTML = '⇄';
+                    transferBtn.className = 'balance-action-button transfer-balance';
+                    transferBtn.title = 'Transferir';
+                    transferBtn.addEventListener('click', async (e) => {
+                        e.preventDefault();
+                        await this.showTransferModal(classId, student);
+                    });
+                    
                     // Remove student button
                     const removeStudentBtn = document.createElement('button');
                     removeStudentBtn.innerHTML = '×';
@@ -220,6 +367,7 @@ export default class ClassView {
                     // Add buttons to actions
                     studentActions.appendChild(addBalanceBtn);
                     studentActions.appendChild(removeBalanceBtn);
+                    studentActions.appendChild(transferBtn);
                     studentActions.appendChild(removeStudentBtn);
                 }
                 
@@ -265,6 +413,978 @@ export default class ClassView {
         this.updateClassSelects();
     }
 
+    /**
+     * Show a modal to open a new period in a class
+     * @param {string} classId - The ID of the class
+     */
+    async showOpenPeriodModal(classId) {
+        const periods = await this.classManager.getPeriods(classId);
+        
+        Modal.showInput({
+            title: 'Abrir Período',
+            message: 'Despesas, receitas, vendas e movimentações de saldo ficam registradas no período aberto.',
+            fields: [
+                {
+                    id: 'name',
+                    label: 'Nome do período:',
+                    type: 'text',
+                    value: `Semana ${periods.length + 1}`
+                }
+            ],
+            confirmText: 'Abrir',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const result = await this.classManager.openPeriod(classId, values.name.trim());
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+                
+                await this.renderClassList();
+                Toast.show({ message: `Período "${result.period.name}" aberto.`, type: 'success' });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show a confirmation modal to close the open period of a class
+     * @param {Object} period - The open period
+     */
+    async showClosePeriodModal(period) {
+        Modal.show({
+            title: 'Encerrar Período',
+            message: `Encerrar o período "${escapeHtml(period.name)}"? O saldo de cada aluno e o caixa de cada empresa serão registrados.`,
+            confirmText: 'Encerrar',
+            cancelText: 'Cancelar',
+            type: 'warning',
+            onConfirm: async () => {
+                const result = await this.classManager.closePeriod(period.id);
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return;
+                }
+                
+                await this.renderClassList();
+                
+                const { charges, totals } = result.recurringExpenses;
+                if (charges.length > 0) {
+                    document.dispatchEvent(new CustomEvent('recurringExpensesCharged', { detail: { classId: period.classId } }));
+                }
+                if (result.loans.paid.length > 0) {
+                    document.dispatchEvent(new CustomEvent('loanUpdated', { detail: { classId: period.classId } }));
+                }
+                
+                if (result.taxes.payments.length > 0) {
+                    document.dispatchEvent(new CustomEvent('taxesCollected', { detail: { classId: period.classId } }));
+                }
+                
+                const recurring = charges.length > 0 ? ` Custos fixos cobrados: R$ ${totals.paid.toFixed(2)}.` : '';
+                const loans = result.loans.paid.length > 0 ? ` Parcelas de empréstimos pagas: R$ ${result.loans.totals.paid.toFixed(2)}.` : '';
+                const late = result.loans.late.length > 0 ? ` ${result.loans.late.length} parcela(s) em atraso.` : '';
+                const taxes = result.taxes.payments.length > 0 ? ` Imposto sobre o lucro: R$ ${result.taxes.total.toFixed(2)}.` : '';
+                Toast.show({ message: `Período "${period.name}" encerrado com ${result.snapshots.length} saldos registrados.${recurring}${loans}${late}${taxes}`, type: 'success' });
+            }
+        });
+    }
+
+    /**
+     * Get the companies and students of a class that can borrow from the bank
+     * @param {string} classId - The ID of the class
+     * @returns {Array} Borrowers with type, id and name
+     */
+    async getBorrowers(classId) {
+        const companies = await this.companyManager.getCompaniesForClass(classId);
+        const students = await this.classManager.getStudents(classId);
+        
+        return [
+            ...companies.map(company => ({ type: 'company', id: company.id, name: company.name, active: company.status !== 'closed' })),
+            ...students.map(student => ({ type: 'student', id: student.id, name: student.name, active: true }))
+        ];
+    }
+
+    /**
+     * Show the join code of a class and the requests its students made in the portal
+     * @param {string} classId - The ID of the class
+     * @param {string} className - The name of the class
+     */
+    async showPortalModal(classId, className) {
+        const joinCode = await this.classManager.getJoinCode(classId);
+        const requests = await this.studentRequestManager.getClassRequests(classId);
+        const typeLabels = { expense: 'Despesa', transfer: 'Transferência' };
+        const statusLabels = { pending: 'Aguardando aprovação', approved: 'Aprovada', rejected: 'Recusada', cancelled: 'Cancelada' };
+        
+        const modalContent = document.createElement('div');
+        modalContent.className = 'activity-history-modal';
+        
+        const joinCodeInfo = document.createElement('p');
+        joinCodeInfo.innerHTML = joinCode
+            ? `Código da turma: <strong class="join-code">${joinCode}</strong> | Os alunos entram em <strong>#/portal</strong> com este código e o PIN definido pelo professor.`
+            : 'Esta turma ainda não tem código. Gere um código para os alunos acessarem o portal.';
+        modalContent.appendChild(joinCodeInfo);
+        
+        if (requests.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'Nenhuma solicitação registrada nesta turma.';
+            modalContent.appendChild(empty);
+        } else {
+            const requestsTable = document.createElement('table');
+            requestsTable.className = 'data-table activity-history-table';
+            requestsTable.innerHTML = `
+                <thead>
+                    <tr>
+                        <th>Data</th>
+                        <th>Aluno</th>
+                        <th>Tipo</th>
+                        <th>Empresa/Destino</th>
+                        <th>Descrição</th>
+                        <th>Valor</th>
+                        <th>Situação</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${requests.map(request => `
+                        <tr class="activity-row ${request.status === 'pending' ? 'activity-expense' : 'activity-revenue'}">
+                            <td>${new Date(request.createdAt).toLocaleDateString('pt-BR')}</td>
+                            <td>${escapeHtml(request.studentName || '-')}</td>
+                            <td>${typeLabels[request.type]}</td>
+                            <td>${escapeHtml((request.type === 'expense' ? request.companyName : request.targetName) || '-')}</td>
+                            <td>${escapeHtml(request.description || '-')}</td>
+                            <td>R$ ${request.amount.toFixed(2)}</td>
+                            <td>${statusLabels[request.status]}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            `;
+            modalContent.appendChild(requestsTable);
+        }
+        
+        Modal.show({
+            title: `Portal do Aluno - ${className}`,
+            message: modalContent.outerHTML,
+            confirmText: 'Gerenciar',
+            cancelText: 'Fechar',
+            onConfirm: async () => this.showPortalActionModal(classId, className, joinCode, requests, await this.classManager.getStudents(classId))
+        });
+    }
+
+    /**
+     * Show a modal to pick an operation of the student portal
+     * @param {string} classId - The ID of the class
+     * @param {string} className - The name of the class
+     * @param {string|null} joinCode - Current join code of the class
+     * @param {Array} requests - Requests of the class
+     * @param {Array} students - Students of the class
+     */
+    showPortalActionModal(classId, className, joinCode, requests, students) {
+        const requestLabel = request => `${request.studentName} - ${request.type === 'expense' ? `despesa de ${request.companyName}` : `transferência para ${request.targetName}`} - R$ ${request.amount.toFixed(2)}`;
+        
+        const options = [
+            { value: 'code', text: joinCode ? 'Gerar novo código da turma (o atual deixa de funcionar)' : 'Gerar código da turma' },
+            ...students.map(student => ({ value: `pin:${student.id}`, text: `Definir PIN: ${student.name}` })),
+            ...requests.filter(request => request.status === 'pending').flatMap(request => [
+                { value: `approve:${request.id}`, text: `Aprovar: ${requestLabel(request)}` },
+                { value: `reject:${request.id}`, text: `Recusar: ${requestLabel(request)}` }
+            ])
+        ];
+        
+        Modal.showInput({
+            title: `Portal do Aluno - ${className}`,
+            fields: [
+                {
+                    id: 'operation',
+                    label: 'Operação:',
+                    type: 'select',
+                    options
+                },
+                {
+                    id: 'value',
+                    label: 'PIN (ao definir) ou observação para o aluno (ao aprovar ou recusar):',
+                    type: 'text'
+                }
+            ],
+            confirmText: 'Continuar',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const [operation, id] = values.operation.split(':');
+                const request = requests.find(r => r.id === id);
+                const value = values.value.trim();
+                
+                let result;
+                if (operation === 'code') {
+                    result = await this.classManager.createJoinCode(classId);
+                } else if (operation === 'pin') {
+                    if (value.length < 4) {
+                        Toast.show({ message: 'O PIN deve ter pelo menos 4 caracteres.', type: 'error' });
+                        return false;
+                    }
+                    result = await this.classManager.setStudentPin(id, value);
+                } else if (operation === 'approve') {
+                    result = await this.studentRequestManager.approveRequest(id, value);
+                } else {
+                    result = await this.studentRequestManager.rejectRequest(id, value);
+                }
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+                
+                // Approved requests move money of students and companies
+                if (operation === 'approve') {
+                    if (request.type === 'transfer') {
+                        document.dispatchEvent(new CustomEvent('transferCompleted', { detail: { classId } }));
+                    }
+                    await this.renderClassList();
+                }
+                
+                const messages = {
+                    code: () => `Novo código da turma: ${result.joinCode}`,
+                    pin: () => `PIN de ${students.find(s => s.id === id)?.name} definido.`,
+                    approve: () => `Solicitação de ${request.studentName} aprovada.`,
+                    reject: () => `Solicitação de ${request.studentName} recusada.`
+                };
+                Toast.show({ message: messages[operation](), type: 'success' });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show the loans of a class bank
+     * @param {string} classId - The ID of the class
+     * @param {string} className - The name of the class
+     */
+    async showBankModal(classId, className) {
+        const loans = await this.loanManager.getClassLoans(classId);
+        const borrowers = await this.getBorrowers(classId);
+        const borrowerName = loan => borrowers.find(b => b.type === loan.borrowerType && b.id === loan.borrowerId)?.name || '-';
+        const statusLabels = { pending: 'Aguardando aprovação', active: 'Ativo', paid: 'Quitado', rejected: 'Recusado' };
+        
+        const modalContent = document.createElement('div');
+        modalContent.className = 'activity-history-modal';
+        
+        if (loans.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'Nenhum empréstimo registrado nesta turma.';
+            modalContent.appendChild(empty);
+        } else {
+            const loansTable = document.createElement('table');
+            loansTable.className = 'data-table activity-history-table';
+            loansTable.innerHTML = `
+                <thead>
+                    <tr>
+                        <th>Tomador</th>
+                        <th>Valor</th>
+                        <th>Juros</th>
+                        <th>Parcelas</th>
+                        <th>Saldo devedor</th>
+                        <th>Situação</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${loans.map(loan => {
+                        const paidInstallments = loan.installments.filter(installment => installment.status === 'paid').length;
+                        const lateInstallments = loan.installments.filter(installment => installment.status === 'late').length;
+                        return `
+                            <tr class="activity-row ${loan.status === 'active' ? 'activity-expense' : 'activity-revenue'}">
+                                <td>${escapeHtml(borrowerName(loan))} (${loan.borrowerType === 'company' ? 'Empresa' : 'Aluno'})</td>
+                                <td>R$ ${loan.principal.toFixed(2)}</td>
+                                <td>${loan.interestRate.toFixed(2)}%</td>
+                                <td>${paidInstallments}/${loan.term} de R$ ${loan.installmentAmount.toFixed(2)}${lateInstallments > 0 ? ` <span class="loan-late">(${lateInstallments} em atraso)</span>` : ''}</td>
+                                <td class="amount-cell amount-expense">R$ ${loan.remainingAmount.toFixed(2)}</td>
+                                <td>${statusLabels[loan.status]}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            `;
+            modalContent.appendChild(loansTable);
+        }
+        
+        if (this.isReadOnlyMode) {
+            Modal.show({
+                title: `Banco da Turma - ${className}`,
+                message: modalContent.outerHTML,
+                confirmText: 'Fechar',
+                cancelText: null
+            });
+            return;
+        }
+        
+        Modal.show({
+            title: `Banco da Turma - ${className}`,
+            message: modalContent.outerHTML,
+            confirmText: 'Gerenciar',
+            cancelText: 'Fechar',
+            onConfirm: () => this.showBankActionModal(classId, className, loans, borrowers)
+        });
+    }
+
+    /**
+     * Show a modal to pick an operation of the class bank
+     * @param {string} classId - The ID of the class
+     * @param {string} className - The name of the class
+     * @param {Array} loans - Loans of the class
+     * @param {Array} borrowers - Companies and students of the class
+     */
+    showBankActionModal(classId, className, loans, borrowers) {
+        const borrowerName = loan => borrowers.find(b => b.type === loan.borrowerType && b.id === loan.borrowerId)?.name || '-';
+        
+        const options = [
+            { value: 'request', text: 'Novo empréstimo' },
+            { value: 'charge', text: 'Cobrar parcelas vencidas de todos os empréstimos' },
+            ...loans.filter(loan => loan.status === 'pending').flatMap(loan => [
+                { value: `approve:${loan.id}`, text: `Aprovar: ${borrowerName(loan)} - R$ ${loan.principal.toFixed(2)}` },
+                { value: `reject:${loan.id}`, text: `Recusar: ${borrowerName(loan)} - R$ ${loan.principal.toFixed(2)}` }
+            ]),
+            ...loans.filter(loan => loan.status === 'active').map(loan => ({
+                value: `pay:${loan.id}`,
+                text: `Adiantar parcela: ${borrowerName(loan)} - R$ ${loan.installmentAmount.toFixed(2)}`
+            }))
+        ];
+        
+        Modal.showInput({
+            title: `Banco da Turma - ${className}`,
+            fields: [
+                {
+                    id: 'operation',
+                    label: 'Operação:',
+                    type: 'select',
+                    options
+                }
+            ],
+            confirmText: 'Continuar',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const [operation, loanId] = values.operation.split(':');
+                const loan = loans.find(l => l.id === loanId);
+                
+                if (operation === 'request') {
+                    this.showLoanRequestModal(classId, borrowers.filter(b => b.active));
+                    return true;
+                }
+                
+                let result;
+                if (operation === 'charge') {
+                    result = await this.loanManager.chargeClass(classId);
+                } else if (operation === 'approve') {
+                    result = await this.loanManager.approveLoan(loanId);
+                } else if (operation === 'reject') {
+                    result = await this.loanManager.rejectLoan(loanId);
+                } else {
+                    result = await this.loanManager.payInstallment(loanId);
+                }
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+                
+                // Approvals, payments and charges move money of companies and students
+                if (operation !== 'reject') {
+                    document.dispatchEvent(new CustomEvent('loanUpdated', { detail: { classId } }));
+                    await this.renderClassList();
+                }
+                
+                const messages = {
+                    charge: () => `Parcelas pagas: R$ ${result.totals.paid.toFixed(2)}.${result.late.length > 0 ? ` ${result.late.length} parcela(s) em atraso.` : ''}`,
+                    approve: () => `Empréstimo de R$ ${loan.principal.toFixed(2)} para ${borrowerName(loan)} aprovado.`,
+                    reject: () => `Empréstimo de ${borrowerName(loan)} recusado.`,
+                    pay: () => `Parcela ${result.installment.number}/${loan.term} de ${borrowerName(loan)} paga.`
+                };
+                Toast.show({ message: messages[operation](), type: 'success' });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show a modal to request a loan for a company or a student of the class
+     * The schedule is shown before the teacher decides to approve it now or leave it pending
+     * @param {string} classId - The ID of the class
+     * @param {Array} borrowers - Companies and students that can borrow
+     */
+    showLoanRequestModal(classId, borrowers) {
+        Modal.showInput({
+            title: 'Novo Empréstimo',
+            message: 'As parcelas são fixas e uma parcela vence a cada período encerrado.',
+            fields: [
+                {
+                    id: 'borrower',
+                    label: 'Tomador:',
+                    type: 'select',
+                    options: borrowers.map(borrower => ({
+                        value: `${borrower.type}:${borrower.id}`,
+                        text: `${borrower.name} (${borrower.type === 'company' ? 'Empresa' : 'Aluno'})`
+                    }))
+                },
+                {
+                    id: 'principal',
+                    label: 'Valor (R$):',
+                    type: 'number',
+                    placeholder: '0.00',
+                    required: true
+                },
+                {
+                    id: 'interestRate',
+                    label: 'Juros por parcela (%):',
+                    type: 'number',
+                    value: '5',
+                    required: true
+                },
+                {
+                    id: 'term',
+                    label: 'Número de parcelas:',
+                    type: 'number',
+                    value: '4',
+                    required: true
+                },
+                {
+                    id: 'description',
+                    label: 'Finalidade:',
+                    type: 'text',
+                    placeholder: 'Ex: expansão da produção'
+                }
+            ],
+            confirmText: 'Simular',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const [borrowerType, borrowerId] = values.borrower.split(':');
+                const principal = parseFloat(values.principal);
+                const interestRate = parseFloat(values.interestRate);
+                const term = parseInt(values.term);
+                
+                if (!borrowerId || !(principal > 0) || isNaN(interestRate) || interestRate < 0 || !(term > 0)) {
+                    Toast.show({ message: 'Por favor, preencha todos os campos corretamente.', type: 'error' });
+                    return false;
+                }
+                
+                const simulation = await this.loanManager.simulate(principal, interestRate, term);
+                if (!simulation.success) {
+                    Toast.show({ message: simulation.message, type: 'error' });
+                    return false;
+                }
+                
+                const request = await this.loanManager.requestLoan({
+                    borrowerType,
+                    borrowerId,
+                    principal,
+                    interestRate,
+                    term,
+                    description: values.description.trim()
+                });
+                
+                if (!request.success) {
+                    Toast.show({ message: request.message, type: 'error' });
+                    return false;
+                }
+                
+                this.showLoanApprovalModal(classId, request.loan, simulation);
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show the schedule of a requested loan and approve it if the teacher confirms
+     * @param {string} classId - The ID of the class
+     * @param {Object} loan - The pending loan
+     * @param {Object} simulation - Schedule of the loan
+     */
+    showLoanApprovalModal(classId, loan, simulation) {
+        const modalContent = document.createElement('div');
+        modalContent.className = 'activity-history-modal';
+        
+        const summary = document.createElement('p');
+        summary.innerHTML = `<strong>Valor:</strong> R$ ${simulation.principal.toFixed(2)} | <strong>Total a pagar:</strong> R$ ${simulation.totalAmount.toFixed(2)} | <strong>Juros:</strong> R$ ${simulation.totalInterest.toFixed(2)}`;
+        modalContent.appendChild(summary);
+        
+        const scheduleTable = document.createElement('table');
+        scheduleTable.className = 'data-table activity-history-table';
+        scheduleTable.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Parcela</th>
+                    <th>Valor</th>
+                    <th>Juros</th>
+                    <th>Amortização</th>
+                    <th>Saldo devedor</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${simulation.installments.map(installment => `
+                    <tr class="activity-row activity-expense">
+                        <td>${installment.number}</td>
+                        <td class="amount-cell amount-expense">R$ ${installment.amount.toFixed(2)}</td>
+                        <td>R$ ${installment.interest.toFixed(2)}</td>
+                        <td>R$ ${installment.principal.toFixed(2)}</td>
+                        <td>R$ ${installment.balance.toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+        modalContent.appendChild(scheduleTable);
+        
+        Modal.show({
+            title: 'Aprovar Empréstimo',
+            message: modalContent.outerHTML,
+            confirmText: 'Aprovar Agora',
+            cancelText: 'Deixar Pendente',
+            onConfirm: async () => {
+                const result = await this.loanManager.approveLoan(loan.id);
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return;
+                }
+                
+                document.dispatchEvent(new CustomEvent('loanUpdated', { detail: { classId } }));
+                await this.renderClassList();
+                Toast.show({ message: `Empréstimo de R$ ${loan.principal.toFixed(2)} aprovado.`, type: 'success' });
+            },
+            onCancel: () => Toast.show({ message: 'Empréstimo registrado, aguardando aprovação.', type: 'info' })
+        });
+    }
+
+    /**
+     * Show the tax rules of a class and the taxes collected into its treasury
+     * @param {string} classId - The ID of the class
+     * @param {string} className - The name of the class
+     */
+    async showTreasuryModal(classId, className) {
+        const [settingsResult, treasury] = await Promise.all([
+            this.taxManager.getSettings(classId),
+            this.taxManager.getTreasury(classId)
+        ]);
+        
+        if (!settingsResult.success || !treasury.success) {
+            Toast.show({ message: settingsResult.message || treasury.message, type: 'error' });
+            return;
+        }
+        
+        const { settings } = settingsResult;
+        const typeLabels = { revenue: 'Receita', profit: 'Lucro', dividend: 'Dividendo' };
+        
+        const modalContent = document.createElement('div');
+        modalContent.className = 'activity-history-modal';
+        
+        const rates = document.createElement('p');
+        rates.innerHTML = `<strong>Alíquotas:</strong> receita ${settings.revenueRate}% | lucro ${settings.profitRate}% | dividendos ${settings.dividendRate}%`;
+        modalContent.appendChild(rates);
+        
+        const summary = document.createElement('p');
+        summary.innerHTML = `<strong>Saldo do tesouro:</strong> R$ ${treasury.balance.toFixed(2)} | ${Object.entries(typeLabels).map(([type, label]) => `${label}: R$ ${treasury.totals[type].toFixed(2)}`).join(' | ')}`;
+        modalContent.appendChild(summary);
+        
+        if (treasury.payments.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'Nenhum imposto arrecadado nesta turma.';
+            modalContent.appendChild(empty);
+        } else {
+            const paymentsTable = document.createElement('table');
+            paymentsTable.className = 'data-table activity-history-table';
+            paymentsTable.innerHTML = `
+                <thead>
+                    <tr>
+                        <th>Data</th>
+                        <th>Empresa</th>
+                        <th>Imposto</th>
+                        <th>Base</th>
+                        <th>Alíquota</th>
+                        <th>Valor</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${treasury.payments.map(payment => `
+                        <tr class="activity-row activity-expense">
+                            <td>${new Date(payment.createdAt).toLocaleDateString('pt-BR')}</td>
+                            <td>${escapeHtml(payment.companyName)}${payment.studentName ? ` → ${escapeHtml(payment.studentName)}` : ''}</td>
+                            <td>${typeLabels[payment.type]}</td>
+                            <td>R$ ${payment.baseAmount.toFixed(2)}</td>
+                            <td>${payment.rate}%</td>
+                            <td class="amount-cell amount-expense">R$ ${payment.amount.toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            `;
+            modalContent.appendChild(paymentsTable);
+        }
+        
+        if (this.isReadOnlyMode) {
+            Modal.show({
+                title: `Impostos - ${className}`,
+                message: modalContent.outerHTML,
+                confirmText: 'Fechar',
+                cancelText: null
+            });
+            return;
+        }
+        
+        Modal.show({
+            title: `Impostos - ${className}`,
+            message: modalContent.outerHTML,
+            confirmText: 'Gerenciar',
+            cancelText: 'Fechar',
+            onConfirm: () => this.showTaxActionModal(classId, className, settings)
+        });
+    }
+
+    /**
+     * Show a modal to change the tax rules of a class or charge the profit tax now
+     * @param {string} classId - The ID of the class
+     * @param {string} className - The name of the class
+     * @param {Object} settings - Current tax rules
+     */
+    showTaxActionModal(classId, className, settings) {
+        Modal.showInput({
+            title: `Impostos - ${className}`,
+            message: 'O imposto sobre a receita é cobrado a cada venda ou receita, o de dividendos é retido na distribuição e o de lucro é cobrado no encerramento do período.',
+            fields: [
+                {
+                    id: 'revenueRate',
+                    label: 'Imposto sobre a receita (%):',
+                    type: 'number',
+                    value: String(settings.revenueRate),
+                    required: true
+                },
+                {
+                    id: 'profitRate',
+                    label: 'Imposto sobre o lucro (%):',
+                    type: 'number',
+                    value: String(settings.profitRate),
+                    required: true
+                },
+                {
+                    id: 'dividendRate',
+                    label: 'Imposto sobre dividendos (%):',
+                    type: 'number',
+                    value: String(settings.dividendRate),
+                    required: true
+                },
+                {
+                    id: 'applyProfitTax',
+                    label: 'Cobrar o imposto sobre o lucro agora:',
+                    type: 'select',
+                    options: [
+                        { value: 'false', text: 'Não' },
+                        { value: 'true', text: 'Sim, de todas as empresas ativas' }
+                    ]
+                }
+            ],
+            confirmText: 'Salvar',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const rates = ['revenueRate', 'profitRate', 'dividendRate'].map(key => parseFloat(values[key]));
+                if (rates.some(rate => isNaN(rate) || rate < 0 || rate > 100)) {
+                    Toast.show({ message: 'As alíquotas devem estar entre 0 e 100%.', type: 'error' });
+                    return false;
+                }
+                
+                const [revenueRate, profitRate, dividendRate] = rates;
+                const result = await this.taxManager.updateSettings(classId, { revenueRate, profitRate, dividendRate });
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+                
+                if (values.applyProfitTax !== 'true') {
+                    Toast.show({ message: 'Impostos da turma salvos.', type: 'success' });
+                    return true;
+                }
+                
+                const applied = await this.taxManager.applyProfitTax(classId);
+                if (!applied.success) {
+                    Toast.show({ message: applied.message, type: 'error' });
+                    return false;
+                }
+                
+                if (applied.payments.length > 0) {
+                    document.dispatchEvent(new CustomEvent('taxesCollected', { detail: { classId } }));
+                }
+                
+                Toast.show({
+                    message: applied.payments.length > 0
+                        ? `Impostos salvos. Imposto sobre o lucro cobrado de ${applied.payments.length} empresa(s): R$ ${applied.total.toFixed(2)}.`
+                        : 'Impostos salvos. Nenhuma empresa tem lucro a tributar.',
+                    type: 'success'
+                });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show the recurring expenses of the companies of a class and charge them all once the teacher confirms
+     * @param {string} classId - The ID of the class
+     * @param {string} className - The name of the class
+     */
+    async showApplyRecurringExpensesModal(classId, className) {
+        const recurringExpenses = (await this.companyManager.getClassRecurringExpenses(classId))
+            .filter(recurringExpense => recurringExpense.active);
+        
+        if (recurringExpenses.length === 0) {
+            Toast.show({ message: `Nenhuma empresa da turma "${className}" possui custos fixos ativos.`, type: 'info' });
+            return;
+        }
+        
+        const total = recurringExpenses.reduce((sum, recurringExpense) => sum + recurringExpense.amount, 0);
+        
+        Modal.show({
+            title: `Cobrar Custos Fixos - ${className}`,
+            message: `
+                <p>Serão cobrados ${recurringExpenses.length} custos fixos, no total de R$ ${total.toFixed(2)}, de todas as empresas ativas da turma.</p>
+                <p>Custos por rodada e por período também são cobrados automaticamente nas rodadas de mercado e no encerramento do período.</p>
+            `,
+            confirmText: 'Cobrar',
+            cancelText: 'Cancelar',
+            type: 'warning',
+            onConfirm: async () => {
+                const result = await this.companyManager.applyRecurringExpenses(classId);
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return;
+                }
+                
+                document.dispatchEvent(new CustomEvent('recurringExpensesCharged', { detail: { classId } }));
+                this.showRecurringChargesModal(className, result);
+            }
+        });
+    }
+
+    /**
+     * Show the outcome of each recurring expense charged in a class
+     * @param {string} className - The name of the class
+     * @param {Object} result - Charges and totals returned by the API
+     */
+    showRecurringChargesModal(className, { charges, totals }) {
+        const statusLabels = { paid: 'Pago', blocked: 'Bloqueado', debt: 'Dívida' };
+        
+        const modalContent = document.createElement('div');
+        modalContent.className = 'activity-history-modal';
+        
+        const summary = document.createElement('p');
+        summary.innerHTML = `<strong>Cobrado:</strong> R$ ${totals.charged.toFixed(2)} | <strong>Pago:</strong> R$ ${totals.paid.toFixed(2)} | <strong>Em dívida:</strong> R$ ${totals.outstanding.toFixed(2)} | <strong>Bloqueados:</strong> ${totals.blocked}`;
+        modalContent.appendChild(summary);
+        
+        const chargesTable = document.createElement('table');
+        chargesTable.className = 'data-table activity-history-table';
+        chargesTable.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Empresa</th>
+                    <th>Custo</th>
+                    <th>Valor</th>
+                    <th>Pago</th>
+                    <th>Situação</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${charges.map(charge => `
+                    <tr class="activity-row activity-expense">
+                        <td>${escapeHtml(charge.companyName)}</td>
+                        <td>${escapeHtml(charge.description)}</td>
+                        <td>R$ ${charge.amount.toFixed(2)}</td>
+                        <td class="amount-cell amount-expense">R$ ${charge.paidAmount.toFixed(2)}</td>
+                        <td>${statusLabels[charge.status]}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+        modalContent.appendChild(chargesTable);
+        
+        Modal.show({
+            title: `Custos Fixos Cobrados - ${className}`,
+            message: modalContent.outerHTML,
+            confirmText: 'Fechar',
+            cancelText: null
+        });
+    }
+
+    /**
+     * Show the periods of a class with the activity of each one and the balances at close
+     * @param {string} classId - The ID of the class
+     * @param {string} className - The name of the class
+     */
+    async showPeriodsModal(classId, className) {
+        const periods = await this.classManager.getPeriods(classId);
+        
+        if (periods.length === 0) {
+            Toast.show({ message: `A turma "${className}" ainda não tem períodos.`, type: 'info' });
+            return;
+        }
+        
+        const details = await Promise.all(periods.map(period => this.classManager.getPeriod(period.id)));
+        
+        const modalContent = document.createElement('div');
+        modalContent.className = 'activity-history-modal';
+        
+        // Newest period first
+        details.filter(Boolean).reverse().forEach(({ period, summary, snapshots }) => {
+            const section = document.createElement('div');
+            section.className = 'period-summary';
+            
+            const closedAt = period.closedAt ? new Date(period.closedAt).toLocaleDateString('pt-BR') : 'em andamento';
+            section.innerHTML = `
+                <h4>${escapeHtml(period.name)} <span class="period-dates">${new Date(period.openedAt).toLocaleDateString('pt-BR')} - ${closedAt}</span></h4>
+                <p>Receitas: R$ ${summary.totalRevenues.toFixed(2)} | Despesas: R$ ${summary.totalExpenses.toFixed(2)} | Vendas: ${summary.unitsSold} unidades</p>
+            `;
+            
+            if (snapshots.length > 0) {
+                const snapshotsTable = document.createElement('table');
+                snapshotsTable.className = 'data-table activity-history-table';
+                snapshotsTable.innerHTML = `
+                    <thead>
+                        <tr>
+                            <th>Conta</th>
+                            <th>Tipo</th>
+                            <th>Saldo no encerramento</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${snapshots.map(snapshot => `
+                            <tr>
+                                <td>${escapeHtml(snapshot.name)}</td>
+                                <td>${snapshot.accountType === 'company' ? 'Empresa' : 'Aluno'}</td>
+                                <td class="amount-cell">R$ ${snapshot.balance.toFixed(2)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                `;
+                section.appendChild(snapshotsTable);
+            }
+            
+            modalContent.appendChild(section);
+        });
+        
+        Modal.show({
+            title: `Períodos - ${className}`,
+            message: modalContent.outerHTML,
+            confirmText: 'Fechar',
+            cancelText: null
+        });
+    }
+
+    /**
+     * Show a modal with every balance change of a student
+     * @param {Object} student - The student object
+     */
+    async showStudentHistoryModal(student) {
+        const transactions = await this.classManager.getStudentTransactions(student.id);
+        
+        if (transactions.length === 0) {
+            Toast.show({ message: `Nenhuma transação registrada para ${student.name}.`, type: 'info' });
+            return;
+        }
+        
+        const typeLabels = {
+            initial_balance: 'Saldo Inicial',
+            deposit: 'Depósito',
+            withdrawal: 'Retirada',
+            reset: 'Redefinição',
+            adjustment: 'Ajuste',
+            contribution: 'Contribuição',
+            dividend: 'Distribuição de Lucros',
+            transfer: 'Transferência',
+            exit_refund: 'Devolução de Contribuição',
+            exit_buyout: 'Recompra de Participação',
+            share_sale: 'Venda de Ações',
+            liquidation: 'Liquidação de Empresa',
+            loan: 'Empréstimo',
+            loan_payment: 'Parcela de Empréstimo'
+        };
+        
+        const counterpartLabel = (counterpart) => {
+            if (counterpart.type === 'bank') return 'Professor';
+            if (counterpart.type === 'market') return 'Mercado';
+            if (counterpart.type === 'treasury') return 'Tesouro';
+            return counterpart.name || '-';
+        };
+        
+        const modalContent = document.createElement('div');
+        modalContent.className = 'activity-history-modal';
+        
+        // Create table with all transactions
+        const historyTable = document.createElement('table');
+        historyTable.className = 'data-table activity-history-table';
+        
+        // Table header
+        const tableHeader = document.createElement('thead');
+        tableHeader.innerHTML = `
+            <tr>
+                <th>Data</th>
+                <th>Tipo</th>
+                <th>Origem/Destino</th>
+                <th>Descrição</th>
+                <th>Valor</th>
+                <th>Saldo</th>
+            </tr>
+        `;
+        historyTable.appendChild(tableHeader);
+        
+        // Table body
+        const tableBody = document.createElement('tbody');
+        
+        transactions.forEach(transaction => {
+            // Money entering the student account is shown like a revenue, leaving it like an expense
+            const activityType = transaction.direction === 'in' ? 'revenue' : 'expense';
+            
+            const row = document.createElement('tr');
+            row.className = `activity-row activity-${activityType}`;
+            
+            // Date cell
+            const dateCell = document.createElement('td');
+            dateCell.textContent = new Date(transaction.date).toLocaleDateString('pt-BR');
+            row.appendChild(dateCell);
+            
+            // Type cell
+            const typeCell = document.createElement('td');
+            typeCell.textContent = typeLabels[transaction.type] || transaction.type;
+            typeCell.className = `type-cell type-${activityType}`;
+            row.appendChild(typeCell);
+            
+            // Counterpart cell
+            const counterpartCell = document.createElement('td');
+            counterpartCell.textContent = counterpartLabel(transaction.counterpart);
+            row.appendChild(counterpartCell);
+            
+            // Description cell
+            const descriptionCell = document.createElement('td');
+            descriptionCell.textContent = transaction.description;
+            row.appendChild(descriptionCell);
+            
+            // Amount cell
+            const amountCell = document.createElement('td');
+            const sign = transaction.amount >= 0 ? '+' : '-';
+            amountCell.textContent = `${sign} R$ ${Math.abs(transaction.amount).toFixed(2)}`;
+            amountCell.className = `amount-cell amount-${activityType}`;
+            row.appendChild(amountCell);
+            
+            // Running balance cell
+            const balanceCell = document.createElement('td');
+            balanceCell.textContent = `R$ ${transaction.balance.toFixed(2)}`;
+            balanceCell.className = 'amount-cell';
+            row.appendChild(balanceCell);
+            
+            tableBody.appendChild(row);
+        });
+        
+        historyTable.appendChild(tableBody);
+        modalContent.appendChild(historyTable);
+        
+        // Show the modal
+        Modal.show({
+            title: `Histórico de transações - ${student.name}`,
+            message: modalContent.outerHTML,
+            confirmText: 'Fechar',
+            cancelText: null
+        });
+    }
+
     /**
      * Show in-place UI for renaming a class
      * @param {string} classId - The ID of the class to rename
@@ -543,6 +1663,90 @@ export default class ClassView {
         });
     }
 
+    /**
+     * Show a modal for transferring money from a student to another student or to a company
+     * @param {string} classId - The ID of the class
+     * @param {Object} student - The source student
+     */
+    async showTransferModal(classId, student) {
+        const students = (await this.classManager.getStudents(classId)).filter(s => s.id !== student.id);
+        const companies = (await this.companyManager.getCompaniesForClass(classId))
+            .filter(company => company.status !== 'closed');
+        
+        if (students.length === 0 && companies.length === 0) {
+            Toast.show({ message: 'Não há outros alunos ou empresas nesta turma para receber a transferência.', type: 'warning' });
+            return;
+        }
+        
+        // Target options are encoded as "type:id"
+        const targetOptions = [
+            ...students.map(s => ({ value: `student:${s.id}`, text: `Aluno: ${s.name}` })),
+            ...companies.map(c => ({ value: `company:${c.id}`, text: `Empresa: ${c.name}` }))
+        ];
+        
+        Modal.showInput({
+            title: 'Transferir',
+            message: `Transferir do aluno "${student.name}" (Saldo: R$ ${student.currentBalance.toFixed(2)})`,
+            fields: [
+                {
+                    id: 'target',
+                    label: 'Destinatário:',
+                    type: 'select',
+                    options: targetOptions
+                },
+                {
+                    id: 'amount',
+                    label: 'Valor (R$)',
+                    type: 'number',
+                    placeholder: '0.00',
+                    required: true
+                },
+                {
+                    id: 'description',
+                    label: 'Descrição (opcional):',
+                    type: 'text',
+                    placeholder: 'Ex: Empréstimo'
+                }
+            ],
+            confirmText: 'Transferir',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const amount = parseFloat(values.amount);
+                const [type, id] = values.target.split(':');
+                
+                if (isNaN(amount) || amount <= 0) {
+                    Toast.show({ message: 'Por favor, insira um valor positivo válido.', type: 'error' });
+                    return false;
+                }
+                
+                if (amount > student.currentBalance) {
+                    Toast.show({ message: `O aluno não possui saldo suficiente (R$ ${student.currentBalance.toFixed(2)}) para transferir R$ ${amount.toFixed(2)}.`, type: 'error' });
+                    return false;
+                }
+                
+                const result = await this.transferManager.transfer(student.id, { type, id }, amount, values.description);
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+                
+                const targetName = result.transfer.to.name;
+                Toast.show({ message: `R$ ${amount.toFixed(2)} transferidos de "${student.name}" para "${targetName}".`, type: 'success' });
+                
+                document.dispatchEvent(new CustomEvent('transferCompleted', {
+                    detail: {
+                        classId,
+                        from: result.transfer.from,
+                        to: result.transfer.to
+                    }
+                }));
+                
+                return true;
+            }
+        });
+    }
+
     /**
      * Show a modal for confirming student removal
      * @param {string} classId - The ID of the class
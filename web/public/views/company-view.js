@@ -4,15 +4,60 @@
  */
 import CompanyManager from '../helpers/company-manager.js';
 import ClassManager from '../helpers/class-manager.js';
+import TransferManager from '../helpers/transfer-manager.js';
 import Toast from '../components/toast.js';
 import Modal from '../components/modal.js';
 import Storage from '../helpers/storage.js';
 import Company from '../model/company.js';
 
 export default class CompanyView {
+    // Labels of the recurring expense frequencies and budget policies
+    static RECURRING_FREQUENCIES = {
+        round: 'A cada rodada de mercado',
+        period: 'Ao encerrar o período',
+        manual: 'Somente manual'
+    };
+
+    static RECURRING_POLICIES = {
+        block: 'Bloquear a cobrança',
+        allow_negative: 'Permitir caixa negativo',
+        debt: 'Registrar dívida'
+    };
+
+    // Labels of the fixed expense and revenue categories; custom categories are shown by name
+    static CATEGORY_LABELS = {
+        marketing: 'Marketing',
+        production: 'Produção',
+        salaries: 'Salários',
+        sales: 'Vendas',
+        dividends: 'Dividendos',
+        funding: 'Financiamento',
+        taxes: 'Impostos',
+        other: 'Outros'
+    };
+
+    // Labels of the ledger transaction types shown in the cash-flow statement
+    static CASH_FLOW_LABELS = {
+        sale: 'Vendas',
+        refund: 'Devoluções',
+        revenue: 'Receitas',
+        expense: 'Despesas',
+        production_cost: 'Produção',
+        tax: 'Impostos',
+        contribution: 'Contribuições',
+        transfer: 'Transferências',
+        loan: 'Empréstimos recebidos',
+        loan_payment: 'Parcelas de empréstimos',
+        dividend: 'Distribuição de lucros',
+        liquidation: 'Liquidação',
+        exit_refund: 'Devolução de contribuições',
+        exit_buyout: 'Recompra de participações'
+    };
+
     constructor(isAuthenticated = false) {
         this.companyManager = new CompanyManager();
         this.classManager = new ClassManager();
+        this.transferManager = new TransferManager();
         this.navigationStorage = new Storage('busicode_navigation'); // For remembering filter
         this.isReadOnlyMode = !isAuthenticated; // Set based on initial auth state
         this.isRendering = false; // Flag to prevent concurrent renders
@@ -383,6 +428,37 @@ export default class CompanyView {
         document.addEventListener('productSalesUpdated', async (event) => {
             this.debouncedRenderCompanyList();
         });
+
+        // Listen for transfers (a company may have received money)
+        document.addEventListener('transferCompleted', async () => {
+            this.debouncedRenderCompanyList();
+        });
+
+        // Listen for recurring expenses charged from the class or the market
+        document.addEventListener('recurringExpensesCharged', async () => {
+            this.debouncedRenderCompanyList();
+        });
+
+        // Listen for loans paid out or installments paid
+        document.addEventListener('loanUpdated', async () => {
+            this.debouncedRenderCompanyList();
+        });
+
+        // Listen for profit taxes charged from the class
+        document.addEventListener('taxesCollected', async () => {
+            this.debouncedRenderCompanyList();
+        });
+
+        // Listen for changes made in other browsers, updating only the card of the company involved
+        document.addEventListener('liveUpdate', (event) => {
+            const { type, data } = event.detail;
+            // Student requests move money only when approved, which publishes its own events
+            if (type === 'request') return;
+            const companyIds = type === 'balance'
+                ? [data.from, data.to].filter(account => account.type === 'company').map(account => account.id)
+                : [data.companyId];
+            companyIds.forEach(companyId => this.debouncedUpdateCompanyCard(companyId));
+        });
     }
 
     /**
@@ -453,384 +529,963 @@ export default class CompanyView {
         companies.sort((a, b) => a.name.localeCompare(b.name, 'pt', { sensitivity: 'base' }));
 
         companies.forEach(async company => {
-            const companyMembers = await this.companyManager.getCompanyMembers(company.id);
-            const companyCard = document.createElement('div');
-            companyCard.className = 'card company-card';
-
-            // Get student names for this company
-            const students = await Promise.all(companyMembers.map(async member => {
-                // First try using class ID if available
-                let classStudents = [];
-                classStudents = await this.classManager.getStudents(company.classId);
-                const student = classStudents.find(s => s.id === member.id);
-                return student ? student.name : 'Aluno não encontrado';
-            }));
-
-            const classroomName = (await this.classManager.getClassById(company.classId)).name;
-
-            const expenses = await this.companyManager.getExpenses(company.id);
-            const totalExpenses = expenses.reduce((acc, exp) => acc + exp.amount, 0);
-            const revenues = await this.companyManager.getRevenues(company.id);
-            const totalRevenues = revenues.reduce((acc, rev) => acc + rev.amount, 0);
-            const profit = totalRevenues - totalExpenses;
-
-            const companyContent = document.createElement('div');
-            companyContent.className = 'company-header';
-            companyContent.innerHTML = `
-                    <h4>${company.name}</h4>
-                    <p><strong>Turma:</strong> ${classroomName}</p>
-                    <p class="company-students"><strong>Alunos:</strong> ${students.join(', ')}</p>
-                    <div class="company-finances">
-                        <div class="finance-item">
-                            <div>Receitas</div>
-                            <div class="finance-value budget">R$ ${totalRevenues.toFixed(2)}</div>
-                        </div>
-                        <div class="finance-item">
-                            <div>Despesas</div>
-                            <div class="finance-value expenses">R$ ${totalExpenses.toFixed(2)}</div>
-                        </div>
-                        <div class="finance-item">
-                            <div>Caixa</div>
-                            <div class="finance-value profit">R$ ${profit.toFixed(2)}</div>
-                        </div>
-                    </div>
-                `;
-
-            companyCard.appendChild(companyContent);
+            companiesList.appendChild(await this.renderCompanyCard(company));
+        });
+        } catch (error) {
+            console.error('Error rendering company list:', error);
+        } finally {
+            this.isRendering = false;
+        }
+    }
 
-            // Add activity history
+    /**
+     * Render the card of a company, with its finances, latest activities and actions
+     * @param {Object} company - The company object
+     * @returns {HTMLElement} Company card
+     */
+    async renderCompanyCard(company) {
+        const companyMembers = await this.companyManager.getCompanyMembers(company.id);
+        const companyCard = document.createElement('div');
+        companyCard.className = 'card company-card';
+        companyCard.dataset.companyId = company.id;
+
+        // Closed companies keep their history visible but accept no more operations
+        const isClosed = company.status === 'closed';
+        if (isClosed) {
+            companyCard.classList.add('company-closed');
+        }
 
+        // Get student names for this company, with each member's ownership from the cap table
+        const { capTable } = await this.companyManager.getCapTable(company.id);
+        const ownership = {};
+        (capTable?.holders || []).forEach(holder => ownership[holder.studentId] = holder.percentage);
+        const students = await Promise.all(companyMembers.map(async member => {
+            // First try using class ID if available
+            let classStudents = [];
+            classStudents = await this.classManager.getStudents(company.classId);
+            const student = classStudents.find(s => s.id === member.id);
+            const name = student ? student.name : 'Aluno não encontrado';
+            return capTable?.totalShares > 0 ? `${name} (${(ownership[member.id] || 0).toFixed(2)}%)` : name;
+        }));
 
-            const activityHistory = [
-                ...expenses.map(e => ({...e, type: 'expense', displayAmount: `- R$ ${e.amount.toFixed(2)}`, date: e.date})),
-                ...revenues.map(r => ({...r, type: 'revenue', displayAmount: `+ R$ ${r.amount.toFixed(2)}`, date: r.date}))
-            ].sort((a, b) => new Date(b.date) - new Date(a.date));
-            if (activityHistory.length > 0) {
-                const historyContainer = document.createElement('div');
-                historyContainer.className = 'activity-history-container';
+        const classroomName = (await this.classManager.getClassById(company.classId)).name;
+
+        const expenses = await this.companyManager.getExpenses(company.id);
+        const revenues = await this.companyManager.getRevenues(company.id);
+        // Totals from the summary, which leaves loans, transfers and other funding out of the profit
+        const financialSummary = await this.companyManager.getFinancialSummary(company.id);
+        const totalExpenses = financialSummary?.totalExpenses || 0;
+        const totalRevenues = financialSummary?.totalRevenues || 0;
+        const profit = financialSummary?.profit || 0;
+        const debt = financialSummary?.debt?.total || 0;
+        const taxes = financialSummary?.totalTaxes || 0;
+
+        const companyContent = document.createElement('div');
+        companyContent.className = 'company-header';
+        companyContent.innerHTML = `
+                <h4>${company.name}${isClosed ? ' <span class="company-status-badge">Encerrada</span>' : ''}</h4>
+                <p><strong>Turma:</strong> ${classroomName}</p>
+                <p class="company-students"><strong>Alunos:</strong> ${students.join(', ')}</p>
+                <div class="company-finances">
+                    <div class="finance-item">
+                        <div>Receitas</div>
+                        <div class="finance-value budget">R$ ${totalRevenues.toFixed(2)}</div>
+                    </div>
+                    <div class="finance-item">
+                        <div>Despesas</div>
+                        <div class="finance-value expenses">R$ ${totalExpenses.toFixed(2)}</div>
+                    </div>
+                    <div class="finance-item" title="Receitas menos despesas, sem empréstimos, transferências e outros financiamentos">
+                        <div>Lucro</div>
+                        <div class="finance-value profit">R$ ${profit.toFixed(2)}</div>
+                    </div>
+                    ${taxes > 0 ? `
+                    <div class="finance-item" title="Impostos pagos, já incluídos nas despesas">
+                        <div>Impostos</div>
+                        <div class="finance-value expenses">R$ ${taxes.toFixed(2)}</div>
+                    </div>` : ''}
+                    ${debt > 0 ? `
+                    <div class="finance-item" title="Parcelas de empréstimos e custos fixos em aberto">
+                        <div>Dívidas</div>
+                        <div class="finance-value debt">R$ ${debt.toFixed(2)}</div>
+                    </div>` : ''}
+                </div>
+            `;
+
+        companyCard.appendChild(companyContent);
+
+        // Add activity history
+
+
+        const activityHistory = [
+            ...expenses.map(e => ({...e, type: 'expense', displayAmount: `- R$ ${e.amount.toFixed(2)}`, date: e.date})),
+            ...revenues.map(r => ({...r, type: 'revenue', displayAmount: `+ R$ ${r.amount.toFixed(2)}`, date: r.date}))
+        ].sort((a, b) => new Date(b.date) - new Date(a.date));
+        if (activityHistory.length > 0) {
+            const historyContainer = document.createElement('div');
+            historyContainer.className = 'activity-history-container';
+            
+            const historyTitle = document.createElement('h5');
+            historyTitle.textContent = 'Histórico de Atividades';
+            historyTitle.className = 'activity-history-title';
+            historyContainer.appendChild(historyTitle);
+            
+            const historyList = document.createElement('ul');
+            historyList.className = 'activity-history-list';
+            
+            // Limit to 5 most recent activities
+            const recentActivities = activityHistory.slice(0, 5);
+            
+            recentActivities.forEach(activity => {
+                const historyItem = document.createElement('li');
+                historyItem.className = `activity-item activity-${activity.type}`;
                 
-                const historyTitle = document.createElement('h5');
-                historyTitle.textContent = 'Histórico de Atividades';
-                historyTitle.className = 'activity-history-title';
-                historyContainer.appendChild(historyTitle);
+                const dateFormatted = new Date(activity.date).toLocaleString('pt-BR');
                 
-                const historyList = document.createElement('ul');
-                historyList.className = 'activity-history-list';
+                historyItem.innerHTML = `
+                    <div class="activity-info">
+                        <span class="activity-description">${activity.description}</span>
+                        <span class="activity-date">${dateFormatted}</span>
+                    </div>
+                    <span class="activity-amount">${activity.displayAmount}</span>
+                `;
                 
-                // Limit to 5 most recent activities
-                const recentActivities = activityHistory.slice(0, 5);
+                historyList.appendChild(historyItem);
+            });
+            
+            // Add "View All" button if there are more than 5 activities
+            if (activityHistory.length > 5) {
+                const viewAllItem = document.createElement('li');
+                viewAllItem.className = 'view-all-item';
                 
-                recentActivities.forEach(activity => {
-                    const historyItem = document.createElement('li');
-                    historyItem.className = `activity-item activity-${activity.type}`;
-                    
-                    const dateFormatted = new Date(activity.date).toLocaleString('pt-BR');
-                    
-                    historyItem.innerHTML = `
-                        <div class="activity-info">
-                            <span class="activity-description">${activity.description}</span>
-                            <span class="activity-date">${dateFormatted}</span>
-                        </div>
-                        <span class="activity-amount">${activity.displayAmount}</span>
-                    `;
-                    
-                    historyList.appendChild(historyItem);
-                });
+                const viewAllButton = document.createElement('button');
+                viewAllButton.textContent = 'Ver Histórico Completo';
+                viewAllButton.className = 'view-all-button';
+                viewAllButton.addEventListener('click', () => this.showFullHistoryModal(company, activityHistory));
                 
-                // Add "View All" button if there are more than 5 activities
-                if (activityHistory.length > 5) {
-                    const viewAllItem = document.createElement('li');
-                    viewAllItem.className = 'view-all-item';
-                    
-                    const viewAllButton = document.createElement('button');
-                    viewAllButton.textContent = 'Ver Histórico Completo';
-                    viewAllButton.className = 'view-all-button';
-                    viewAllButton.addEventListener('click', () => this.showFullHistoryModal(company, activityHistory));
-                    
-                    // Note: View All button should remain visible in read-only mode as it's a view operation
-                    
-                    viewAllItem.appendChild(viewAllButton);
-                    historyList.appendChild(viewAllItem);
-                }
+                // Note: View All button should remain visible in read-only mode as it's a view operation
                 
-                historyContainer.appendChild(historyList);
-                companyCard.appendChild(historyContainer);
+                viewAllItem.appendChild(viewAllButton);
+                historyList.appendChild(viewAllItem);
             }
+            
+            historyContainer.appendChild(historyList);
+            companyCard.appendChild(historyContainer);
+        }
 
-            // Add expense and revenue buttons (these will double as fund management)
-            const buttonContainer = document.createElement('div');
-            buttonContainer.className = 'company-actions';
-
-            // Only render action buttons if not in read-only mode
-            if (!this.isReadOnlyMode) {
-                const addExpenseBtn = document.createElement('button');
-                addExpenseBtn.textContent = 'Adicionar Despesa';
-                addExpenseBtn.className = 'expense-button';
-                addExpenseBtn.addEventListener('click', () => this.showFinanceModal(company, 'expense'));
-
-                const addRevenueBtn = document.createElement('button');
-                addRevenueBtn.textContent = 'Adicionar Receita';
-                addRevenueBtn.className = 'revenue-button';
-                addRevenueBtn.addEventListener('click', () => this.showFinanceModal(company, 'revenue'));
-                
-                // Add Edit Students button
-                const editStudentsBtn = document.createElement('button');
-                editStudentsBtn.textContent = 'Editar Alunos';
-                editStudentsBtn.className = 'edit-students-button';
-                editStudentsBtn.addEventListener('click', () => this.showEditStudentsModal(company));
-
-                const profitDistBtn = document.createElement('button');
-                profitDistBtn.textContent = 'Distribuir Lucros';
-                profitDistBtn.className = 'profit-dist-button';
-                profitDistBtn.title = 'Distribuir lucros para os membros da empresa';
-                profitDistBtn.style.backgroundColor = '#9b59b6'; // Purple color to distinguish the button
-                
-                // Only enable the button if there are profits to distribute
-                if (profit <= 0) {
-                    profitDistBtn.disabled = true;
-                    profitDistBtn.title = 'Não há lucros disponíveis para distribuir';
-                }
-                
-                profitDistBtn.addEventListener('click', () => this.showDistributeProfitsModal(company));
-
-                buttonContainer.appendChild(addExpenseBtn);
-                buttonContainer.appendChild(addRevenueBtn);
-                buttonContainer.appendChild(editStudentsBtn);
-                buttonContainer.appendChild(profitDistBtn);
+        // Add expense and revenue buttons (these will double as fund management)
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'company-actions';
+
+        // Recurring expenses stay visible in read-only mode as it's a view operation
+        const recurringBtn = document.createElement('button');
+        recurringBtn.textContent = 'Custos Fixos';
+        recurringBtn.className = 'recurring-expenses-button';
+        recurringBtn.title = 'Aluguel, salários e assinaturas cobrados automaticamente';
+        recurringBtn.addEventListener('click', () => this.showRecurringExpensesModal(company));
+        buttonContainer.appendChild(recurringBtn);
+
+        // Financial statements are a view operation too
+        const statementsBtn = document.createElement('button');
+        statementsBtn.textContent = 'Demonstrativos';
+        statementsBtn.className = 'statements-button';
+        statementsBtn.title = 'DRE, balanço patrimonial e fluxo de caixa';
+        statementsBtn.addEventListener('click', () => this.showStatementsPeriodModal(company));
+        buttonContainer.appendChild(statementsBtn);
+
+        // Only render action buttons if not in read-only mode and the company is still active
+        if (!this.isReadOnlyMode && !isClosed) {
+            const addExpenseBtn = document.createElement('button');
+            addExpenseBtn.textContent = 'Adicionar Despesa';
+            addExpenseBtn.className = 'expense-button';
+            addExpenseBtn.addEventListener('click', () => this.showFinanceModal(company, 'expense'));
+
+            const addRevenueBtn = document.createElement('button');
+            addRevenueBtn.textContent = 'Adicionar Receita';
+            addRevenueBtn.className = 'revenue-button';
+            addRevenueBtn.addEventListener('click', () => this.showFinanceModal(company, 'revenue'));
+            
+            // Add Edit Students button
+            const editStudentsBtn = document.createElement('button');
+            editStudentsBtn.textContent = 'Editar Alunos';
+            editStudentsBtn.className = 'edit-students-button';
+            editStudentsBtn.addEventListener('click', () => this.showEditStudentsModal(company));
+
+            const profitDistBtn = document.createElement('button');
+            profitDistBtn.textContent = 'Distribuir Lucros';
+            profitDistBtn.className = 'profit-dist-button';
+            profitDistBtn.title = 'Distribuir lucros para os membros da empresa';
+            profitDistBtn.style.backgroundColor = '#9b59b6'; // Purple color to distinguish the button
+            
+            // Only enable the button if there are profits to distribute
+            if (profit <= 0) {
+                profitDistBtn.disabled = true;
+                profitDistBtn.title = 'Não há lucros disponíveis para distribuir';
             }
             
-            companyCard.appendChild(buttonContainer);
-
-            // Delete company button - only render if not in read-only mode
-            if (!this.isReadOnlyMode) {
-                const deleteBtn = document.createElement('button');
-                deleteBtn.textContent = 'Excluir Empresa';
-                deleteBtn.className = 'delete-button';
-                deleteBtn.addEventListener('click', () => {
-                    Modal.show({
-                        title: 'Confirmar Exclusão',
-                        message: `Tem certeza que deseja excluir a empresa "${company.name}"?`,
-                        confirmText: 'Excluir',
-                        cancelText: 'Cancelar',
-                        type: 'danger',
-                        onConfirm: async () => {
-                            await this.companyManager.deleteCompany(company.id);
-                            Toast.show({ message: `Empresa "${company.name}" excluída com sucesso.`, type: 'success' });
-                            
-                            // Notify other components that a company has been deleted
-                            document.dispatchEvent(new CustomEvent('companyDeleted', {
-                                detail: { 
-                                    companyId: company.id
-                                }
-                            }));                        
-                        }
-                    });
+            profitDistBtn.addEventListener('click', () => this.showDistributeProfitsModal(company));
+
+            const dividendsBtn = document.createElement('button');
+            dividendsBtn.textContent = 'Distribuir Dividendos';
+            dividendsBtn.className = 'profit-dist-button';
+            dividendsBtn.title = 'Dividir um valor entre todos os membros';
+            dividendsBtn.style.backgroundColor = '#8e44ad';
+            dividendsBtn.addEventListener('click', () => this.showDividendsModal(company));
+
+            const contributionBtn = document.createElement('button');
+            contributionBtn.textContent = 'Aportar Capital';
+            contributionBtn.className = 'contribution-button';
+            contributionBtn.title = 'Registrar um aporte adicional de um membro';
+            contributionBtn.addEventListener('click', () => this.showContributionModal(company));
+
+            const transferBtn = document.createElement('button');
+            transferBtn.textContent = 'Receber Transferência';
+            transferBtn.className = 'transfer-button';
+            transferBtn.title = 'Transferir dinheiro de um aluno para a empresa';
+            transferBtn.addEventListener('click', () => this.showTransferModal(company));
+
+            buttonContainer.appendChild(addExpenseBtn);
+            buttonContainer.appendChild(addRevenueBtn);
+            buttonContainer.appendChild(editStudentsBtn);
+            buttonContainer.appendChild(profitDistBtn);
+            const sharesBtn = document.createElement('button');
+            sharesBtn.textContent = 'Transferir Ações';
+            sharesBtn.className = 'shares-button';
+            sharesBtn.title = 'Transferir ações de um membro para outro aluno da turma';
+            sharesBtn.addEventListener('click', () => this.showShareTransferModal(company));
+
+            buttonContainer.appendChild(dividendsBtn);
+            buttonContainer.appendChild(contributionBtn);
+            buttonContainer.appendChild(transferBtn);
+            buttonContainer.appendChild(sharesBtn);
+
+            const closeBtn = document.createElement('button');
+            closeBtn.textContent = 'Encerrar Empresa';
+            closeBtn.className = 'close-company-button';
+            closeBtn.title = 'Devolver o caixa aos membros e encerrar as operações';
+            closeBtn.addEventListener('click', () => this.showCloseCompanyModal(company));
+
+            buttonContainer.appendChild(closeBtn);
+        }
+        
+        companyCard.appendChild(buttonContainer);
+
+        // Delete company button - only render if not in read-only mode
+        if (!this.isReadOnlyMode) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Excluir Empresa';
+            deleteBtn.className = 'delete-button';
+            deleteBtn.addEventListener('click', () => {
+                Modal.show({
+                    title: 'Confirmar Exclusão',
+                    message: `Tem certeza que deseja excluir a empresa "${company.name}"?`,
+                    confirmText: 'Excluir',
+                    cancelText: 'Cancelar',
+                    type: 'danger',
+                    onConfirm: () => this.deleteCompany(company)
                 });
+            });
 
-                companyCard.appendChild(deleteBtn);
-            }
-            companiesList.appendChild(companyCard);
-        });
-        } catch (error) {
-            console.error('Error rendering company list:', error);
-        } finally {
-            this.isRendering = false;
+            companyCard.appendChild(deleteBtn);
         }
+        return companyCard;
     }
 
     /**
-     * Show a modal to add expense or revenue
-     * @param {Object} company - The company
-     * @param {string} type - 'expense' or 'revenue'
+     * Re-render the card of one company in place, when another browser changed it
+     * Companies not shown with the current filter are ignored
+     * @param {string} companyId - Company ID
+     * @param {number} delay - Debounce delay in milliseconds, so a burst of events renders once (default: 300ms)
      */
-    showFinanceModal(company, type) {
-        const isExpense = type === 'expense';
-        const title = isExpense ? 'Adicionar Despesa' : 'Adicionar Receita';
-        
-        Modal.showInput({
-            title: title,
-            fields: [
-                {
-                    id: 'description',
-                    label: 'Descrição:',
-                    type: 'text',
-                    placeholder: `Descreva a ${isExpense ? 'despesa' : 'receita'}`,
-                    value: `${isExpense ? 'Despesa' : 'Receita'} da empresa ${company.name}`,
-                    required: true
-                },
-                {
-                    id: 'amount',
-                    label: 'Valor (R$):',
-                    type: 'number',
-                    placeholder: '0.00',
-                    required: true
-                },
-                {
-                    id: 'date',
-                    label: 'Data:',
-                    type: 'date',
-                    value: new Date(),
-                    required: true
-                }
-            ],
-            confirmText: 'Salvar',
-            cancelText: 'Cancelar',
-            onConfirm: async (values) => {
-                const { description, amount, date } = values;
-                
-                if (isNaN(amount) || parseFloat(amount) <= 0) {
-                    Toast.show({ message: 'Por favor, insira um valor válido.', type: 'error' });
-                    return false;
-                }
-                
-                if (isExpense) {
-                    await this.companyManager.addExpense(company, description, amount, date);
-                    Toast.show({ message: 'Despesa adicionada com sucesso!', type: 'success' });
-                } else {
-                    await this.companyManager.addRevenue(company, description, amount, date);
-                    Toast.show({ message: 'Receita adicionada com sucesso!', type: 'success' });
+    debouncedUpdateCompanyCard(companyId, delay = 300) {
+        this.cardUpdateTimeouts = this.cardUpdateTimeouts || {};
+        clearTimeout(this.cardUpdateTimeouts[companyId]);
+
+        this.cardUpdateTimeouts[companyId] = setTimeout(async () => {
+            delete this.cardUpdateTimeouts[companyId];
+
+            const currentCard = document.querySelector(`#companies-list .company-card[data-company-id="${companyId}"]`);
+            if (!currentCard) return;
+
+            try {
+                const company = await this.companyManager.getCompany(companyId);
+                if (!company) {
+                    currentCard.remove();
+                    return;
                 }
-                
-                await this.renderCompanyList();
-                return true;
+                currentCard.replaceWith(await this.renderCompanyCard(company));
+            } catch (error) {
+                console.error('Error updating company card:', error);
             }
-        });
+        }, delay);
     }
 
     /**
-     * Show a modal dialog for distributing profits to company members
+     * Delete a company, asking for confirmation again if it has products or financial history
      * @param {Object} company - The company object
+     * @param {boolean} force - Delete even if the company has history
      */
-    async showDistributeProfitsModal(company) {
-        // Get current company members with their details
-        const members = await this.companyManager.getCompanyMembers(company.id);
-
-        const students = (await Promise.all(members.map(async member => {
-            const classStudents = await this.classManager.getStudents(company.classId);
-            return classStudents.find(s => s.id === member.id);
-        }))).filter(student => student); // Filter out any undefined students
-
-        if (students.length === 0) {
-            Toast.show({ message: 'Não há membros disponíveis para distribuir lucros.', type: 'warning' });
+    async deleteCompany(company, force = false) {
+        try {
+            await this.companyManager.deleteCompany(company.id, { force });
+        } catch (error) {
+            if (error.status === 409 && !force) {
+                const history = error.data?.data || {};
+                Modal.show({
+                    title: 'Empresa com Histórico',
+                    message: `
+                        <p>A empresa "${company.name}" possui ${history.products || 0} produto(s), ${history.sales || 0} venda(s), ${history.expenses || 0} despesa(s) e ${history.revenues || 0} receita(s).</p>
+                        <p>Excluir apaga todo esse histórico. Para mantê-lo, use "Encerrar Empresa".</p>
+                    `,
+                    confirmText: 'Excluir mesmo assim',
+                    cancelText: 'Cancelar',
+                    type: 'danger',
+                    onConfirm: () => this.deleteCompany(company, true)
+                });
+                return;
+            }
+            
+            Toast.show({ message: error.message || 'Erro ao excluir empresa.', type: 'error' });
             return;
         }
         
-        // Create modal content with student selection and amount inputs
-        const fields = [
-            {
-                id: 'studentId',
-                label: 'Selecione o membro:',
-                type: 'select',
-                options: students.map(student => ({
-                    value: student.id,
-                    text: `${student.name} (Saldo: R$ ${student.currentBalance.toFixed(2)})`
-                }))
-            },
-            {
-                id: 'amount',
-                label: 'Valor a distribuir (R$):',
-                type: 'number',
-                placeholder: '0.00',
-                required: true
-            },
-            {
-                id: 'description',
-                label: 'Descrição:',
-                type: 'text',
-                placeholder: 'Distribuição de lucros',
-                value: 'Distribuição de lucros'
+        Toast.show({ message: `Empresa "${company.name}" excluída com sucesso.`, type: 'success' });
+        
+        // The remaining budget was returned to the members
+        document.dispatchEvent(new CustomEvent('studentBalanceUpdated', {
+            detail: { classId: company.classId }
+        }));
+        
+        // Notify other components that a company has been deleted
+        document.dispatchEvent(new CustomEvent('companyDeleted', {
+            detail: { 
+                companyId: company.id
             }
-        ];
-
-        const profit = await this.companyManager.getCompanyProfit(company.id);
+        }));
+    }
 
-        Modal.showInput({
-            title: `Distribuir Lucros - ${company.name}`,
-            message: `Lucro disponível: R$ ${profit.toFixed(2)}`,
-            fields,
-            confirmText: 'Distribuir',
+    /**
+     * Show a confirmation modal for closing a company
+     * @param {Object} company - The company object
+     */
+    showCloseCompanyModal(company) {
+        Modal.show({
+            title: 'Encerrar Empresa',
+            message: `
+                <p>O caixa atual de R$ ${company.currentBudget.toFixed(2)} será devolvido aos membros, proporcionalmente às ações (ou ao professor, se não houver membros).</p>
+                <p>O histórico da empresa "${company.name}" continuará disponível, mas nenhuma nova operação poderá ser registrada.</p>
+            `,
+            confirmText: 'Encerrar',
             cancelText: 'Cancelar',
-            onConfirm: async (values) => {
-                const { studentId, amount, description } = values;
-                const parsedAmount = parseFloat(amount);
-                
-                if (!studentId || isNaN(parsedAmount) || parsedAmount <= 0) {
-                    Toast.show({ message: 'Por favor, preencha todos os campos corretamente.', type: 'error' });
-                    return false;
-                }
-                
-                // Use company manager to distribute profits
-                const result = await this.companyManager.distributeProfits(
-                    company.id,
-                    studentId,
-                    parsedAmount,
-                    description
-                );
+            type: 'danger',
+            onConfirm: async () => {
+                const result = await this.companyManager.closeCompany(company.id);
                 
                 if (!result.success) {
                     Toast.show({ message: result.message, type: 'error' });
-                    return false;
+                    return;
                 }
                 
-                // Update UI
                 await this.renderCompanyList();
                 
-                // Notify that student balance was updated
                 document.dispatchEvent(new CustomEvent('studentBalanceUpdated', {
                     detail: {
-                        studentIds: [studentId],
-                        className: company.classroomName
+                        studentIds: result.liquidation.payouts.map(p => p.studentId),
+                        classId: company.classId
                     }
                 }));
                 
-                Toast.show({ message: result.message, type: 'success' });
-                return true;
+                const receiver = result.liquidation.payouts.length > 0 ? 'aos membros' : 'ao professor';
+                Toast.show({ message: `Empresa "${company.name}" encerrada. R$ ${result.liquidation.amount.toFixed(2)} devolvidos ${receiver}.`, type: 'success' });
             }
         });
     }
 
     /**
-     * Show modal with full activity history
-     * @param {Object} company - The company
+     * Show the recurring expenses of a company and the debt they left
+     * @param {Object} company - The company object
      */
-    showFullHistoryModal(company, activityHistory) {
+    async showRecurringExpensesModal(company) {
+        const result = await this.companyManager.getRecurringExpenses(company.id);
+        
+        if (!result.success) {
+            Toast.show({ message: result.message, type: 'error' });
+            return;
+        }
+        
+        const { recurringExpenses, outstandingDebt } = result;
+        const canEdit = !this.isReadOnlyMode && company.status !== 'closed';
+        
         const modalContent = document.createElement('div');
         modalContent.className = 'activity-history-modal';
         
-        // Create table with all activities
-        const historyTable = document.createElement('table');
-        historyTable.className = 'data-table activity-history-table';
+        if (recurringExpenses.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'Esta empresa não possui custos fixos.';
+            modalContent.appendChild(empty);
+        } else {
+            const recurringTable = document.createElement('table');
+            recurringTable.className = 'data-table activity-history-table';
+            recurringTable.innerHTML = `
+                <thead>
+                    <tr>
+                        <th>Descrição</th>
+                        <th>Valor</th>
+                        <th>Cobrança</th>
+                        <th>Caixa insuficiente</th>
+                        <th>Última cobrança</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${recurringExpenses.map(recurringExpense => `
+                        <tr class="activity-row activity-expense ${recurringExpense.active ? '' : 'recurring-inactive'}">
+                            <td>${recurringExpense.description}${recurringExpense.active ? '' : ' (inativo)'}</td>
+                            <td class="amount-cell amount-expense">R$ ${recurringExpense.amount.toFixed(2)}</td>
+                            <td>${CompanyView.RECURRING_FREQUENCIES[recurringExpense.frequency]}</td>
+                            <td>${CompanyView.RECURRING_POLICIES[recurringExpense.budgetPolicy]}</td>
+                            <td>${recurringExpense.lastAppliedAt ? new Date(recurringExpense.lastAppliedAt).toLocaleDateString('pt-BR') : '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            `;
+            modalContent.appendChild(recurringTable);
+        }
         
-        // Table header
-        const tableHeader = document.createElement('thead');
-        tableHeader.innerHTML = `
-            <tr>
-                <th>Data</th>
-                <th>Descrição</th>
-                <th>Valor</th>
-                <th>Tipo</th>
-            </tr>
-        `;
-        historyTable.appendChild(tableHeader);
+        if (outstandingDebt > 0) {
+            const debt = document.createElement('p');
+            debt.className = 'dividend-warning';
+            debt.textContent = `Dívida de custos fixos em aberto: R$ ${outstandingDebt.toFixed(2)}. Ela é paga antes da próxima cobrança.`;
+            modalContent.appendChild(debt);
+        }
         
-        // Table body
-        const tableBody = document.createElement('tbody');
+        if (!canEdit) {
+            Modal.show({
+                title: `Custos Fixos - ${company.name}`,
+                message: modalContent.outerHTML,
+                confirmText: 'Fechar',
+                cancelText: null
+            });
+            return;
+        }
         
-        activityHistory.forEach(activity => {
-            const row = document.createElement('tr');
-            row.className = `activity-row activity-${activity.type}`;
-            
-            const dateFormatted = new Date(activity.date).toLocaleDateString('pt-BR');
-            
-            // Date cell
-            const dateCell = document.createElement('td');
-            dateCell.textContent = dateFormatted;
-            row.appendChild(dateCell);
-            
-            // Description cell
-            const descriptionCell = document.createElement('td');
-            descriptionCell.textContent = activity.description;
-            row.appendChild(descriptionCell);
+        Modal.show({
+            title: `Custos Fixos - ${company.name}`,
+            message: modalContent.outerHTML,
+            confirmText: recurringExpenses.length > 0 ? 'Adicionar ou Editar' : 'Adicionar',
+            cancelText: 'Fechar',
+            onConfirm: () => this.showRecurringExpenseSelectModal(company, recurringExpenses)
+        });
+    }
+
+    /**
+     * Ask which period the financial statements should cover, when the class has periods
+     * @param {Object} company - The company object
+     */
+    async showStatementsPeriodModal(company) {
+        const periods = await this.classManager.getPeriods(company.classId);
+        
+        if (periods.length === 0) {
+            this.showStatementsModal(company);
+            return;
+        }
+        
+        Modal.showInput({
+            title: `Demonstrativos - ${company.name}`,
+            fields: [
+                {
+                    id: 'periodId',
+                    label: 'Período:',
+                    type: 'select',
+                    options: [
+                        { value: '', text: 'Todo o histórico' },
+                        ...periods.map(period => ({
+                            value: period.id,
+                            text: `${period.name}${period.status === 'open' ? ' (atual)' : ''}`
+                        }))
+                    ]
+                }
+            ],
+            confirmText: 'Ver',
+            cancelText: 'Cancelar',
+            onConfirm: (values) => {
+                this.showStatementsModal(company, periods.find(period => period.id === values.periodId) || null);
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show the income statement, balance sheet and cash-flow statement of a company
+     * @param {Object} company - The company object
+     * @param {Object|null} period - Period to report, or null for the whole history
+     */
+    async showStatementsModal(company, period = null) {
+        const result = await this.companyManager.getStatements(company.id, period ? period.id : null);
+        
+        if (!result.success) {
+            Toast.show({ message: result.message, type: 'error' });
+            return;
+        }
+        
+        const { incomeStatement, balanceSheet, cashFlow } = result.statements;
+        
+        const money = value => `${value < 0 ? '- ' : ''}R$ ${Math.abs(value).toFixed(2)}`;
+        const line = (label, value, className = '') => `
+            <tr class="${className}">
+                <td>${label}</td>
+                <td class="amount-cell ${value < 0 ? 'amount-expense' : ''}">${money(value)}</td>
+            </tr>
+        `;
+        const table = rows => `<table class="data-table activity-history-table statement-table"><tbody>${rows.join('')}</tbody></table>`;
+        
+        const modalContent = document.createElement('div');
+        modalContent.className = 'activity-history-modal statements-modal';
+        
+        modalContent.innerHTML = `
+            <p class="category-totals">${period ? `Período: ${period.name}` : 'Todo o histórico'}</p>
+            <h4>Demonstração do Resultado</h4>
+            ${table([
+                line('Vendas', incomeStatement.revenue.sales),
+                line('(-) Devoluções', -incomeStatement.revenue.refunds),
+                ...Object.entries(incomeStatement.revenue.other).map(([category, total]) => line(`Outras receitas: ${this.getCategoryLabel(category)}`, total)),
+                line('Receita líquida', incomeStatement.revenue.total, 'statement-total'),
+                line('(-) Custo dos produtos vendidos', -incomeStatement.costOfGoodsSold),
+                line('Lucro bruto', incomeStatement.grossProfit, 'statement-total'),
+                ...Object.entries(incomeStatement.operatingExpenses.byCategory).map(([category, total]) => line(`(-) ${this.getCategoryLabel(category)}`, -total)),
+                line('Resultado operacional', incomeStatement.operatingProfit, 'statement-total'),
+                line('(-) Juros de empréstimos', -incomeStatement.interestExpense),
+                line('Resultado antes dos impostos', incomeStatement.profitBeforeTaxes, 'statement-total'),
+                line('(-) Impostos', -incomeStatement.taxes),
+                line('Lucro líquido', incomeStatement.netIncome, 'statement-total'),
+                line('Lucros distribuídos', incomeStatement.dividends)
+            ])}
+            <h4>Balanço Patrimonial <span class="period-dates">em ${new Date(balanceSheet.asOf).toLocaleDateString('pt-BR')}</span></h4>
+            ${table([
+                line('Caixa', balanceSheet.assets.cash),
+                line('Estoque', balanceSheet.assets.inventory),
+                line('Total do ativo', balanceSheet.assets.total, 'statement-total'),
+                line('Empréstimos', balanceSheet.liabilities.loans),
+                line('Custos fixos em aberto', balanceSheet.liabilities.recurringExpenses),
+                line('Total do passivo', balanceSheet.liabilities.total, 'statement-total'),
+                line('Capital contribuído', balanceSheet.equity.contributedCapital),
+                line('Lucros acumulados', balanceSheet.equity.retainedEarnings),
+                line('Patrimônio líquido', balanceSheet.equity.total, 'statement-total')
+            ])}
+            <h4>Fluxo de Caixa</h4>
+            ${table([
+                line('Caixa inicial', cashFlow.openingCash),
+                ...Object.entries(cashFlow.operating.items).map(([type, total]) => line(CompanyView.CASH_FLOW_LABELS[type] || type, total)),
+                line('Caixa das operações', cashFlow.operating.net, 'statement-total'),
+                ...Object.entries(cashFlow.financing.items).map(([type, total]) => line(CompanyView.CASH_FLOW_LABELS[type] || type, total)),
+                line('Caixa dos financiamentos', cashFlow.financing.net, 'statement-total'),
+                line('Variação do caixa', cashFlow.netChange),
+                line('Caixa final', cashFlow.closingCash, 'statement-total')
+            ])}
+        `;
+        
+        Modal.show({
+            title: `Demonstrativos - ${company.name}`,
+            message: modalContent.outerHTML,
+            confirmText: 'Fechar',
+            cancelText: null
+        });
+    }
+
+    /**
+     * Ask which recurring expense to edit, or whether to create a new one
+     * @param {Object} company - The company object
+     * @param {Array} recurringExpenses - Current recurring expenses of the company
+     */
+    showRecurringExpenseSelectModal(company, recurringExpenses) {
+        if (recurringExpenses.length === 0) {
+            this.showRecurringExpenseFormModal(company);
+            return;
+        }
+        
+        Modal.showInput({
+            title: `Custos Fixos - ${company.name}`,
+            fields: [
+                {
+                    id: 'recurringExpenseId',
+                    label: 'Custo fixo:',
+                    type: 'select',
+                    options: [
+                        { value: '', text: 'Novo custo fixo' },
+                        ...recurringExpenses.map(recurringExpense => ({
+                            value: recurringExpense.id,
+                            text: `${recurringExpense.description} (R$ ${recurringExpense.amount.toFixed(2)})`
+                        }))
+                    ]
+                }
+            ],
+            confirmText: 'Continuar',
+            cancelText: 'Cancelar',
+            onConfirm: (values) => {
+                const recurringExpense = recurringExpenses.find(r => r.id === values.recurringExpenseId) || null;
+                this.showRecurringExpenseFormModal(company, recurringExpense);
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show a modal to add a recurring expense to a company or edit one of its recurring expenses
+     * @param {Object} company - The company object
+     * @param {Object|null} recurringExpense - Recurring expense to edit, or null to create one
+     */
+    async showRecurringExpenseFormModal(company, recurringExpense = null) {
+        const toOptions = labels => Object.entries(labels).map(([value, text]) => ({ value, text }));
+        const categoryOptions = await this.getCategoryOptions(company.classId);
+        
+        const fields = [
+            {
+                id: 'description',
+                label: 'Descrição:',
+                type: 'text',
+                placeholder: 'Aluguel, salários, assinatura...',
+                value: recurringExpense ? recurringExpense.description : '',
+                required: true
+            },
+            {
+                id: 'amount',
+                label: 'Valor (R$):',
+                type: 'number',
+                placeholder: '0.00',
+                value: recurringExpense ? String(recurringExpense.amount) : '',
+                required: true
+            },
+            {
+                id: 'category',
+                label: 'Categoria:',
+                type: 'select',
+                options: categoryOptions,
+                value: recurringExpense ? recurringExpense.category : 'other'
+            },
+            {
+                id: 'frequency',
+                label: 'Cobrança:',
+                type: 'select',
+                options: toOptions(CompanyView.RECURRING_FREQUENCIES),
+                value: recurringExpense ? recurringExpense.frequency : 'period'
+            },
+            {
+                id: 'budgetPolicy',
+                label: 'Se o caixa não for suficiente:',
+                type: 'select',
+                options: toOptions(CompanyView.RECURRING_POLICIES),
+                value: recurringExpense ? recurringExpense.budgetPolicy : 'block'
+            }
+        ];
+        
+        if (recurringExpense) {
+            fields.push({
+                id: 'active',
+                label: 'Situação:',
+                type: 'select',
+                options: [
+                    { value: 'true', text: 'Ativo' },
+                    { value: 'false', text: 'Inativo' }
+                ],
+                value: String(recurringExpense.active)
+            });
+        }
+        
+        Modal.showInput({
+            title: recurringExpense ? `Editar Custo Fixo - ${company.name}` : `Novo Custo Fixo - ${company.name}`,
+            fields,
+            confirmText: 'Salvar',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const description = values.description.trim();
+                const amount = parseFloat(values.amount);
+                
+                if (!description || isNaN(amount) || amount <= 0) {
+                    Toast.show({ message: 'Por favor, preencha todos os campos corretamente.', type: 'error' });
+                    return false;
+                }
+                
+                const data = {
+                    description,
+                    amount,
+                    category: values.category,
+                    frequency: values.frequency,
+                    budgetPolicy: values.budgetPolicy
+                };
+                
+                const result = recurringExpense
+                    ? await this.companyManager.updateRecurringExpense(recurringExpense.id, { ...data, active: values.active === 'true' })
+                    : await this.companyManager.createRecurringExpense(company.id, data);
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+                
+                Toast.show({ message: `Custo fixo "${result.recurringExpense.description}" salvo.`, type: 'success' });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Label of an expense or revenue category
+     * @param {string} category - Category name
+     * @returns {string} Label of a fixed category, or the name of a custom one
+     */
+    getCategoryLabel(category) {
+        return CompanyView.CATEGORY_LABELS[category] || category || CompanyView.CATEGORY_LABELS.other;
+    }
+
+    /**
+     * Build the select options of the categories a company of the class can use
+     * @param {string} classId - The ID of the class
+     * @returns {Array} Options with the fixed categories first, then the custom ones
+     */
+    async getCategoryOptions(classId) {
+        const { fixed, custom } = await this.companyManager.getCategories(classId);
+        return [...fixed, ...custom].map(category => ({ value: category, text: this.getCategoryLabel(category) }));
+    }
+
+    /**
+     * Show a modal to add expense or revenue
+     * @param {Object} company - The company
+     * @param {string} type - 'expense' or 'revenue'
+     */
+    async showFinanceModal(company, type) {
+        const isExpense = type === 'expense';
+        const title = isExpense ? 'Adicionar Despesa' : 'Adicionar Receita';
+        const categoryOptions = await this.getCategoryOptions(company.classId);
+        
+        Modal.showInput({
+            title: title,
+            fields: [
+                {
+                    id: 'description',
+                    label: 'Descrição:',
+                    type: 'text',
+                    placeholder: `Descreva a ${isExpense ? 'despesa' : 'receita'}`,
+                    value: `${isExpense ? 'Despesa' : 'Receita'} da empresa ${company.name}`,
+                    required: true
+                },
+                {
+                    id: 'amount',
+                    label: 'Valor (R$):',
+                    type: 'number',
+                    placeholder: '0.00',
+                    required: true
+                },
+                {
+                    id: 'category',
+                    label: 'Categoria:',
+                    type: 'select',
+                    options: categoryOptions,
+                    value: isExpense ? 'other' : 'sales'
+                },
+                {
+                    id: 'newCategory',
+                    label: 'Ou crie uma categoria da turma:',
+                    type: 'text',
+                    placeholder: 'Opcional'
+                },
+                {
+                    id: 'date',
+                    label: 'Data:',
+                    type: 'date',
+                    value: new Date(),
+                    required: true
+                }
+            ],
+            confirmText: 'Salvar',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const { description, amount, date } = values;
+                
+                if (isNaN(amount) || parseFloat(amount) <= 0) {
+                    Toast.show({ message: 'Por favor, insira um valor válido.', type: 'error' });
+                    return false;
+                }
+                
+                let category = values.category;
+                if (values.newCategory.trim()) {
+                    const result = await this.companyManager.addCategory(company.classId, values.newCategory.trim());
+                    if (!result.success) {
+                        Toast.show({ message: result.message, type: 'error' });
+                        return false;
+                    }
+                    category = result.category;
+                }
+                
+                if (isExpense) {
+                    await this.companyManager.addExpense(company, description, amount, date, category);
+                    Toast.show({ message: 'Despesa adicionada com sucesso!', type: 'success' });
+                } else {
+                    await this.companyManager.addRevenue(company, description, amount, date, category);
+                    Toast.show({ message: 'Receita adicionada com sucesso!', type: 'success' });
+                }
+                
+                await this.renderCompanyList();
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show a modal dialog for distributing profits to company members
+     * @param {Object} company - The company object
+     */
+    async showDistributeProfitsModal(company) {
+        // Get current company members with their details
+        const members = await this.companyManager.getCompanyMembers(company.id);
+
+        const students = (await Promise.all(members.map(async member => {
+            const classStudents = await this.classManager.getStudents(company.classId);
+            return classStudents.find(s => s.id === member.id);
+        }))).filter(student => student); // Filter out any undefined students
+
+        if (students.length === 0) {
+            Toast.show({ message: 'Não há membros disponíveis para distribuir lucros.', type: 'warning' });
+            return;
+        }
+        
+        // Create modal content with student selection and amount inputs
+        const fields = [
+            {
+                id: 'studentId',
+                label: 'Selecione o membro:',
+                type: 'select',
+                options: students.map(student => ({
+                    value: student.id,
+                    text: `${student.name} (Saldo: R$ ${student.currentBalance.toFixed(2)})`
+                }))
+            },
+            {
+                id: 'amount',
+                label: 'Valor a distribuir (R$):',
+                type: 'number',
+                placeholder: '0.00',
+                required: true
+            },
+            {
+                id: 'description',
+                label: 'Descrição:',
+                type: 'text',
+                placeholder: 'Distribuição de lucros',
+                value: 'Distribuição de lucros'
+            }
+        ];
+
+        const profit = await this.companyManager.getCompanyProfit(company.id);
+
+        Modal.showInput({
+            title: `Distribuir Lucros - ${company.name}`,
+            message: `Lucro disponível: R$ ${profit.toFixed(2)}`,
+            fields,
+            confirmText: 'Distribuir',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const { studentId, amount, description } = values;
+                const parsedAmount = parseFloat(amount);
+                
+                if (!studentId || isNaN(parsedAmount) || parsedAmount <= 0) {
+                    Toast.show({ message: 'Por favor, preencha todos os campos corretamente.', type: 'error' });
+                    return false;
+                }
+                
+                // Use company manager to distribute profits
+                const result = await this.companyManager.distributeProfits(
+                    company.id,
+                    studentId,
+                    parsedAmount,
+                    description
+                );
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+                
+                // Update UI
+                await this.renderCompanyList();
+                
+                // Notify that student balance was updated
+                document.dispatchEvent(new CustomEvent('studentBalanceUpdated', {
+                    detail: {
+                        studentIds: [studentId],
+                        className: company.classroomName
+                    }
+                }));
+                
+                Toast.show({ message: result.message, type: 'success' });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show modal with full activity history
+     * @param {Object} company - The company
+     */
+    showFullHistoryModal(company, activityHistory) {
+        const modalContent = document.createElement('div');
+        modalContent.className = 'activity-history-modal';
+        
+        // Totals of each category, expenses and revenues apart
+        const totals = {};
+        activityHistory.forEach(activity => {
+            const key = `${activity.type}:${activity.category || 'other'}`;
+            totals[key] = (totals[key] || 0) + activity.amount;
+        });
+        const categoryTotals = document.createElement('p');
+        categoryTotals.className = 'category-totals';
+        categoryTotals.innerHTML = Object.entries(totals)
+            .sort(([, a], [, b]) => b - a)
+            .map(([key, total]) => {
+                const [type, category] = key.split(':');
+                return `<span class="amount-${type}">${this.getCategoryLabel(category)}: ${type === 'expense' ? '-' : '+'} R$ ${total.toFixed(2)}</span>`;
+            })
+            .join(' | ');
+        modalContent.appendChild(categoryTotals);
+        
+        // Create table with all activities
+        const historyTable = document.createElement('table');
+        historyTable.className = 'data-table activity-history-table';
+        
+        // Table header
+        const tableHeader = document.createElement('thead');
+        tableHeader.innerHTML = `
+            <tr>
+                <th>Data</th>
+                <th>Descrição</th>
+                <th>Categoria</th>
+                <th>Valor</th>
+                <th>Tipo</th>
+            </tr>
+        `;
+        historyTable.appendChild(tableHeader);
+        
+        // Table body
+        const tableBody = document.createElement('tbody');
+        
+        activityHistory.forEach(activity => {
+            const row = document.createElement('tr');
+            row.className = `activity-row activity-${activity.type}`;
+            
+            const dateFormatted = new Date(activity.date).toLocaleDateString('pt-BR');
+            
+            // Date cell
+            const dateCell = document.createElement('td');
+            dateCell.textContent = dateFormatted;
+            row.appendChild(dateCell);
+            
+            // Description cell
+            const descriptionCell = document.createElement('td');
+            descriptionCell.textContent = activity.description;
+            row.appendChild(descriptionCell);
+            
+            // Category cell
+            const categoryCell = document.createElement('td');
+            categoryCell.textContent = this.getCategoryLabel(activity.category);
+            row.appendChild(categoryCell);
             
             // Amount cell
             const amountCell = document.createElement('td');
@@ -859,6 +1514,422 @@ export default class CompanyView {
         });
     }
 
+    /**
+     * Show a modal for distributing a dividend to all members
+     * The teacher first chooses the amount and split, then confirms a preview of each payout
+     * @param {Object} company - The company object
+     */
+    async showDividendsModal(company) {
+        const profit = await this.companyManager.getCompanyProfit(company.id);
+        
+        Modal.showInput({
+            title: `Distribuir Dividendos - ${company.name}`,
+            message: `Lucro atual: R$ ${profit.toFixed(2)}`,
+            fields: [
+                {
+                    id: 'mode',
+                    label: 'Base do cálculo:',
+                    type: 'select',
+                    options: [
+                        { value: 'amount', text: 'Valor total (R$)' },
+                        { value: 'percentage', text: 'Percentual do lucro (%)' }
+                    ]
+                },
+                {
+                    id: 'value',
+                    label: 'Valor:',
+                    type: 'number',
+                    placeholder: '0.00',
+                    required: true
+                },
+                {
+                    id: 'split',
+                    label: 'Divisão:',
+                    type: 'select',
+                    options: [
+                        { value: 'shares', text: 'Proporcional às ações' },
+                        { value: 'equal', text: 'Igual entre os membros' }
+                    ]
+                },
+                {
+                    id: 'description',
+                    label: 'Descrição:',
+                    type: 'text',
+                    value: 'Distribuição de dividendos'
+                }
+            ],
+            confirmText: 'Pré-visualizar',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const value = parseFloat(values.value);
+                
+                if (isNaN(value) || value <= 0) {
+                    Toast.show({ message: 'Por favor, insira um valor positivo válido.', type: 'error' });
+                    return false;
+                }
+                
+                const dividend = values.mode === 'percentage'
+                    ? { profitPercentage: value, split: values.split }
+                    : { amount: value, split: values.split };
+                
+                const result = await this.companyManager.previewDividends(company.id, dividend);
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+                
+                this.showDividendsPreviewModal(company, result.preview, { ...dividend, description: values.description });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show the payouts of a dividend and distribute it on confirmation
+     * @param {Object} company - The company object
+     * @param {Object} preview - Dividend preview returned by the API
+     * @param {Object} dividend - Dividend settings to submit
+     */
+    showDividendsPreviewModal(company, preview, dividend) {
+        const modalContent = document.createElement('div');
+        modalContent.className = 'activity-history-modal';
+        
+        const summary = document.createElement('p');
+        summary.innerHTML = `<strong>Total:</strong> R$ ${preview.totalAmount.toFixed(2)} | <strong>Caixa disponível:</strong> R$ ${preview.currentBudget.toFixed(2)} | <strong>Divisão:</strong> ${preview.split === 'shares' ? 'proporcional às ações' : 'igual'}`;
+        modalContent.appendChild(summary);
+        
+        const payoutsTable = document.createElement('table');
+        payoutsTable.className = 'data-table activity-history-table';
+        payoutsTable.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Membro</th>
+                    <th>Ações</th>
+                    <th>Participação</th>
+                    <th>Valor</th>
+                </tr>
+            </thead>
+        `;
+        
+        const tableBody = document.createElement('tbody');
+        preview.payouts.forEach(payout => {
+            const row = document.createElement('tr');
+            row.className = 'activity-row activity-expense';
+            
+            const nameCell = document.createElement('td');
+            nameCell.textContent = payout.name;
+            row.appendChild(nameCell);
+            
+            const sharesCell = document.createElement('td');
+            sharesCell.textContent = payout.shares.toFixed(2);
+            row.appendChild(sharesCell);
+            
+            const shareCell = document.createElement('td');
+            shareCell.textContent = `${payout.share.toFixed(2)}%`;
+            row.appendChild(shareCell);
+            
+            const amountCell = document.createElement('td');
+            amountCell.textContent = `R$ ${payout.amount.toFixed(2)}`;
+            amountCell.className = 'amount-cell amount-expense';
+            row.appendChild(amountCell);
+            
+            tableBody.appendChild(row);
+        });
+        payoutsTable.appendChild(tableBody);
+        modalContent.appendChild(payoutsTable);
+        
+        if (preview.totalAmount > preview.currentBudget) {
+            const warning = document.createElement('p');
+            warning.className = 'dividend-warning';
+            warning.textContent = 'O caixa da empresa é insuficiente para esta distribuição.';
+            modalContent.appendChild(warning);
+        }
+        
+        Modal.show({
+            title: `Confirmar Dividendos - ${company.name}`,
+            message: modalContent.outerHTML,
+            confirmText: 'Distribuir',
+            cancelText: 'Cancelar',
+            onConfirm: async () => {
+                const result = await this.companyManager.distributeDividends(company.id, dividend);
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return;
+                }
+                
+                await this.renderCompanyList();
+                
+                document.dispatchEvent(new CustomEvent('studentBalanceUpdated', {
+                    detail: {
+                        studentIds: result.dividend.payouts.map(p => p.studentId),
+                        classId: company.classId
+                    }
+                }));
+                
+                Toast.show({ message: `Dividendos de R$ ${result.dividend.totalAmount.toFixed(2)} distribuídos entre ${result.dividend.distributions.length} membros.`, type: 'success' });
+            }
+        });
+    }
+
+    /**
+     * Show a modal for recording an additional capital contribution from a member
+     * @param {Object} company - The company object
+     */
+    async showContributionModal(company) {
+        const members = await this.companyManager.getCompanyMembers(company.id);
+        
+        if (members.length === 0) {
+            Toast.show({ message: 'Esta empresa não possui membros.', type: 'warning' });
+            return;
+        }
+        
+        Modal.showInput({
+            title: `Aportar Capital - ${company.name}`,
+            message: 'O valor será debitado do saldo do membro e somado ao orçamento e à contribuição dele na empresa.',
+            fields: [
+                {
+                    id: 'studentId',
+                    label: 'Membro:',
+                    type: 'select',
+                    options: members.map(member => ({
+                        value: member.id,
+                        text: `${member.name} (Saldo: R$ ${member.currentBalance.toFixed(2)} | Contribuição: R$ ${member.contribution.toFixed(2)})`
+                    }))
+                },
+                {
+                    id: 'amount',
+                    label: 'Valor do aporte (R$):',
+                    type: 'number',
+                    placeholder: '0.00',
+                    required: true
+                }
+            ],
+            confirmText: 'Aportar',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const { studentId, amount } = values;
+                const parsedAmount = parseFloat(amount);
+                const member = members.find(m => m.id === studentId);
+                
+                if (!member || isNaN(parsedAmount) || parsedAmount <= 0) {
+                    Toast.show({ message: 'Por favor, preencha todos os campos corretamente.', type: 'error' });
+                    return false;
+                }
+                
+                if (parsedAmount > member.currentBalance) {
+                    Toast.show({ message: `O membro não possui saldo suficiente (R$ ${member.currentBalance.toFixed(2)}).`, type: 'error' });
+                    return false;
+                }
+                
+                const result = await this.companyManager.addContribution(company.id, studentId, parsedAmount);
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+                
+                // Update UI
+                await this.renderCompanyList();
+                
+                // Notify that student balance was updated
+                document.dispatchEvent(new CustomEvent('studentBalanceUpdated', {
+                    detail: {
+                        studentIds: [studentId],
+                        classId: company.classId
+                    }
+                }));
+                
+                Toast.show({ message: `Aporte de R$ ${parsedAmount.toFixed(2)} de "${member.name}" registrado.`, type: 'success' });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show a modal for transferring shares from a member to another student of the class
+     * @param {Object} company - The company object
+     */
+    async showShareTransferModal(company) {
+        const members = (await this.companyManager.getCompanyMembers(company.id))
+            .filter(member => member.shares > 0);
+        
+        if (members.length === 0) {
+            Toast.show({ message: 'Nenhum membro possui ações desta empresa.', type: 'warning' });
+            return;
+        }
+        
+        const students = (await this.classManager.getStudents(company.classId))
+            .sort((a, b) => a.name.localeCompare(b.name, 'pt', { sensitivity: 'base' }));
+        
+        Modal.showInput({
+            title: `Transferir Ações - ${company.name}`,
+            message: 'O comprador passa a ser membro da empresa. Se houver preço, ele é debitado do saldo do comprador e creditado ao vendedor.',
+            fields: [
+                {
+                    id: 'fromStudentId',
+                    label: 'Vendedor:',
+                    type: 'select',
+                    options: members.map(member => ({
+                        value: member.id,
+                        text: `${member.name} (${member.shares.toFixed(2)} ações)`
+                    }))
+                },
+                {
+                    id: 'toStudentId',
+                    label: 'Comprador:',
+                    type: 'select',
+                    options: students.map(student => ({
+                        value: student.id,
+                        text: `${student.name} (Saldo: R$ ${student.currentBalance.toFixed(2)})`
+                    }))
+                },
+                {
+                    id: 'shares',
+                    label: 'Quantidade de ações:',
+                    type: 'number',
+                    placeholder: '0',
+                    required: true
+                },
+                {
+                    id: 'price',
+                    label: 'Preço total (R$, opcional):',
+                    type: 'number',
+                    placeholder: '0.00'
+                }
+            ],
+            confirmText: 'Transferir',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const { fromStudentId, toStudentId } = values;
+                const shares = parseFloat(values.shares);
+                const price = parseFloat(values.price) || 0;
+                const seller = members.find(m => m.id === fromStudentId);
+                
+                if (!seller || !toStudentId || isNaN(shares) || shares <= 0 || price < 0) {
+                    Toast.show({ message: 'Por favor, preencha todos os campos corretamente.', type: 'error' });
+                    return false;
+                }
+                
+                if (fromStudentId === toStudentId) {
+                    Toast.show({ message: 'O vendedor e o comprador devem ser alunos diferentes.', type: 'error' });
+                    return false;
+                }
+                
+                if (shares > seller.shares) {
+                    Toast.show({ message: `O vendedor possui apenas ${seller.shares.toFixed(2)} ações.`, type: 'error' });
+                    return false;
+                }
+                
+                const result = await this.companyManager.transferShares(company.id, fromStudentId, toStudentId, shares, price);
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+                
+                await this.renderCompanyList();
+                
+                if (price > 0) {
+                    document.dispatchEvent(new CustomEvent('studentBalanceUpdated', {
+                        detail: {
+                            studentIds: [fromStudentId, toStudentId],
+                            classId: company.classId
+                        }
+                    }));
+                }
+                
+                Toast.show({ message: `${shares.toFixed(2)} ações transferidas de "${result.transfer.from.name}" para "${result.transfer.to.name}".`, type: 'success' });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show a modal for transferring money from a student of the class to the company
+     * @param {Object} company - The company object
+     */
+    async showTransferModal(company) {
+        const students = (await this.classManager.getStudents(company.classId))
+            .filter(student => student.currentBalance > 0);
+        
+        if (students.length === 0) {
+            Toast.show({ message: 'Não há alunos com saldo disponível nesta turma.', type: 'warning' });
+            return;
+        }
+        
+        Modal.showInput({
+            title: `Receber Transferência - ${company.name}`,
+            message: 'O valor será debitado do saldo do aluno e somado ao orçamento da empresa.',
+            fields: [
+                {
+                    id: 'studentId',
+                    label: 'Aluno de origem:',
+                    type: 'select',
+                    options: students.map(student => ({
+                        value: student.id,
+                        text: `${student.name} (Saldo: R$ ${student.currentBalance.toFixed(2)})`
+                    }))
+                },
+                {
+                    id: 'amount',
+                    label: 'Valor (R$):',
+                    type: 'number',
+                    placeholder: '0.00',
+                    required: true
+                },
+                {
+                    id: 'description',
+                    label: 'Descrição (opcional):',
+                    type: 'text',
+                    placeholder: 'Ex: Pagamento de serviço'
+                }
+            ],
+            confirmText: 'Transferir',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const { studentId, amount, description } = values;
+                const parsedAmount = parseFloat(amount);
+                const student = students.find(s => s.id === studentId);
+                
+                if (!student || isNaN(parsedAmount) || parsedAmount <= 0) {
+                    Toast.show({ message: 'Por favor, preencha todos os campos corretamente.', type: 'error' });
+                    return false;
+                }
+                
+                if (parsedAmount > student.currentBalance) {
+                    Toast.show({ message: `O aluno não possui saldo suficiente (R$ ${student.currentBalance.toFixed(2)}).`, type: 'error' });
+                    return false;
+                }
+                
+                const result = await this.transferManager.transfer(
+                    studentId,
+                    { type: 'company', id: company.id },
+                    parsedAmount,
+                    description
+                );
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+                
+                Toast.show({ message: `R$ ${parsedAmount.toFixed(2)} transferidos de "${student.name}" para "${company.name}".`, type: 'success' });
+                
+                document.dispatchEvent(new CustomEvent('transferCompleted', {
+                    detail: {
+                        classId: company.classId,
+                        from: result.transfer.from,
+                        to: result.transfer.to
+                    }
+                }));
+                
+                return true;
+            }
+        });
+    }
+
     /**
      * Show a modal dialog for editing students in a company
      * @param {Object} company - The company object
@@ -966,6 +2037,19 @@ export default class CompanyView {
         columnsContainer.appendChild(rightColumn);
         modalContent.appendChild(columnsContainer);
         
+        // Exit policy applied to the students removed from the company
+        const policyGroup = document.createElement('div');
+        policyGroup.className = 'form-group exit-policy-group';
+        policyGroup.innerHTML = `
+            <label for="exit-policy-select">Ao remover alunos:</label>
+            <select id="exit-policy-select" class="form-select">
+                <option value="keep">Empresa mantém a contribuição</option>
+                <option value="refund">Devolver a contribuição original</option>
+                <option value="buyout">Pagar a participação no caixa atual</option>
+            </select>
+        `;
+        modalContent.appendChild(policyGroup);
+        
         // Create the modal
         Modal.show({
             title: `Editar Alunos - ${company.name}`,
@@ -978,12 +2062,13 @@ export default class CompanyView {
                 const updatedMemberIds = Array.from(companyStudentsList.options).map(option => option.value);
 
                 const currentMemberIds = companyStudents.map(s => s.id);
+                const exitPolicy = document.querySelector('#exit-policy-select').value;
 
                 const updatePromiseList = [];
 
                 const removeList = currentMemberIds.filter(id => !updatedMemberIds.includes(id));
                 updatePromiseList.push(...removeList.map(async id => {
-                    return this.companyManager.removeStudentFromCompany(id, company.id);
+                    return this.companyManager.removeStudentFromCompany(id, company.id, exitPolicy);
                 }));
 
                 const addList = updatedMemberIds.filter(id => !currentMemberIds.includes(id));
@@ -995,6 +2080,17 @@ export default class CompanyView {
 
                 if (result.every(res => res.success)) {
                     await this.renderCompanyList();
+                    
+                    // Removed members may have received a refund or buyout
+                    if (removeList.length > 0 && exitPolicy !== 'keep') {
+                        document.dispatchEvent(new CustomEvent('studentBalanceUpdated', {
+                            detail: {
+                                studentIds: removeList,
+                                classId: company.classId
+                            }
+                        }));
+                    }
+                    
                     Toast.show({ message: 'Lista de alunos atualizada com sucesso!', type: 'success' });
                 } else {
                     Toast.show({ message: result.message || 'Erro ao atualizar a lista de alunos.', type: 'error' });
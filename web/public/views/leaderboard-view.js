@@ -0,0 +1,171 @@
+/**
+ * Leaderboard View
+ * Handles UI rendering for the ranking of companies and students in the BusiCode application
+ */
+import ClassManager from '../helpers/class-manager.js';
+import Toast from '../components/toast.js';
+
+export default class LeaderboardView {
+    // Company metrics the ranking can be sorted by, with how each value is shown
+    static METRICS = {
+        profit: { label: 'Lucro', format: value => `R$ ${value.toFixed(2)}` },
+        revenue: { label: 'Receita', format: value => `R$ ${value.toFixed(2)}` },
+        roi: { label: 'Retorno sobre o capital', format: value => `${value.toFixed(2)}%` },
+        unitsSold: { label: 'Unidades vendidas', format: value => `${value}` },
+        budgetGrowth: { label: 'Crescimento do caixa', format: value => `${value.toFixed(2)}%` }
+    };
+
+    constructor() {
+        this.classManager = new ClassManager();
+    }
+
+    /**
+     * Initialize the LeaderboardView
+     */
+    async initialize() {
+        this.setupEventListeners();
+        await this.updateClassSelect();
+        return this;
+    }
+
+    /**
+     * Setup event listeners for the leaderboard filters
+     */
+    setupEventListeners() {
+        const classSelect = document.querySelector('#leaderboard-class-select');
+        if (classSelect) {
+            classSelect.addEventListener('change', async () => {
+                await this.updatePeriodSelect();
+                await this.render();
+            });
+        }
+
+        const metricSelect = document.querySelector('#leaderboard-metric-select');
+        if (metricSelect) {
+            metricSelect.innerHTML = Object.entries(LeaderboardView.METRICS)
+                .map(([metric, { label }]) => `<option value="${metric}">${label}</option>`)
+                .join('');
+            metricSelect.addEventListener('change', async () => await this.render());
+        }
+
+        const periodSelect = document.querySelector('#leaderboard-period-select');
+        if (periodSelect) {
+            periodSelect.addEventListener('change', async () => await this.render());
+        }
+
+        document.addEventListener('classSelectsUpdated', async () => await this.updateClassSelect());
+        document.addEventListener('classDeleted', async () => await this.updateClassSelect());
+
+        // Rankings change with every operation, so they are reloaded whenever the tab is opened
+        document.addEventListener('sectionChanged', async (event) => {
+            if (event.detail.sectionId === 'leaderboard-section') {
+                await this.render();
+            }
+        });
+    }
+
+    /**
+     * Update the class dropdown of the leaderboard
+     */
+    async updateClassSelect() {
+        const classSelect = document.querySelector('#leaderboard-class-select');
+        if (!classSelect) return;
+
+        const currentSelection = classSelect.value;
+        while (classSelect.options.length > 1) {
+            classSelect.options.remove(1);
+        }
+
+        const classes = await this.classManager.getAllClasses();
+        classes.forEach(classroom => {
+            const option = document.createElement('option');
+            option.value = classroom.id;
+            option.textContent = classroom.name;
+            classSelect.appendChild(option);
+        });
+
+        if (currentSelection && classes.some(classroom => classroom.id === currentSelection)) {
+            classSelect.value = currentSelection;
+        } else if (classes.length === 1) {
+            classSelect.value = classes[0].id;
+        }
+
+        await this.updatePeriodSelect();
+        await this.render();
+    }
+
+    /**
+     * Fill the period dropdown with the periods of the selected class
+     */
+    async updatePeriodSelect() {
+        const periodSelect = document.querySelector('#leaderboard-period-select');
+        if (!periodSelect) return;
+
+        while (periodSelect.options.length > 1) {
+            periodSelect.options.remove(1);
+        }
+
+        const classId = document.querySelector('#leaderboard-class-select')?.value;
+        if (!classId) return;
+
+        const periods = await this.classManager.getPeriods(classId);
+        periods.forEach(period => {
+            const option = document.createElement('option');
+            option.value = period.id;
+            option.textContent = `${period.name}${period.status === 'open' ? ' (atual)' : ''}`;
+            periodSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Render the company and student rankings of the selected class
+     */
+    async render() {
+        const companiesBody = document.querySelector('#leaderboard-companies-body');
+        const studentsBody = document.querySelector('#leaderboard-students-body');
+        if (!companiesBody || !studentsBody) return;
+
+        const classId = document.querySelector('#leaderboard-class-select')?.value;
+        if (!classId) {
+            companiesBody.innerHTML = '<tr><td colspan="3" class="empty-table-message">Selecione uma turma.</td></tr>';
+            studentsBody.innerHTML = '<tr><td colspan="5" class="empty-table-message">Selecione uma turma.</td></tr>';
+            return;
+        }
+
+        const metric = document.querySelector('#leaderboard-metric-select')?.value || 'profit';
+        const periodId = document.querySelector('#leaderboard-period-select')?.value || null;
+
+        const result = await this.classManager.getLeaderboard(classId, { metric, periodId });
+        if (!result.success) {
+            Toast.show({ message: result.message, type: 'error' });
+            return;
+        }
+
+        const { label, format } = LeaderboardView.METRICS[metric];
+        document.querySelector('#leaderboard-metric-header').textContent = label;
+
+        const rankCell = entry => `<td class="leaderboard-rank">${entry.rank ? `${entry.rank}º${entry.tied ? ' (empate)' : ''}` : '-'}</td>`;
+
+        companiesBody.innerHTML = result.companies.length === 0
+            ? '<tr><td colspan="3" class="empty-table-message">Nenhuma empresa ativa nesta turma.</td></tr>'
+            : result.companies.map(company => `
+                <tr class="${company.rank === 1 ? 'leaderboard-first' : ''}">
+                    ${rankCell(company)}
+                    <td>${company.name}</td>
+                    <td>${company[metric] === null ? '-' : format(company[metric])}</td>
+                </tr>
+            `).join('');
+
+        studentsBody.innerHTML = result.students.length === 0
+            ? '<tr><td colspan="5" class="empty-table-message">Nenhum aluno nesta turma.</td></tr>'
+            : result.students.map(student => `
+                <tr class="${student.rank === 1 ? 'leaderboard-first' : ''}">
+                    ${rankCell(student)}
+                    <td>${student.name}</td>
+                    <td>R$ ${student.balance.toFixed(2)}</td>
+                    <td>R$ ${student.stakes.toFixed(2)}</td>
+                    <td><strong>R$ ${student.netWorth.toFixed(2)}</strong></td>
+                </tr>
+            `).join('');
+    }
+}
@@ -0,0 +1,367 @@
+/**
+ * Market View
+ * Handles UI rendering for the market demand simulation in the BusiCode application
+ */
+import MarketManager from '../helpers/market-manager.js';
+import ClassManager from '../helpers/class-manager.js';
+import Toast from '../components/toast.js';
+import Modal from '../components/modal.js';
+
+export default class MarketView {
+    constructor(isAuthenticated = false) {
+        this.marketManager = new MarketManager();
+        this.classManager = new ClassManager();
+        this.isReadOnlyMode = !isAuthenticated; // Set based on initial auth state
+    }
+
+    /**
+     * Initialize the MarketView
+     */
+    async initialize() {
+        this.setupEventListeners();
+        await this.updateClassSelect();
+
+        // Listen for read-only mode changes
+        document.addEventListener('readOnlyModeChanged', async (event) => {
+            this.isReadOnlyMode = event.detail.isReadOnly;
+            if (!this.isReadOnlyMode) {
+                await this.updateClassSelect();
+            }
+        });
+
+        return this;
+    }
+
+    /**
+     * Setup event listeners for the market simulation card
+     */
+    setupEventListeners() {
+        const classSelect = document.querySelector('#market-class-select');
+        if (classSelect) {
+            classSelect.addEventListener('change', async () => await this.renderStatus());
+        }
+
+        const settingsBtn = document.querySelector('#market-settings-btn');
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', async () => await this.showSettingsModal());
+        }
+
+        const previewBtn = document.querySelector('#market-preview-btn');
+        if (previewBtn) {
+            previewBtn.addEventListener('click', async () => await this.showPreviewModal());
+        }
+
+        const runBtn = document.querySelector('#market-run-btn');
+        if (runBtn) {
+            runBtn.addEventListener('click', async () => await this.showRunRoundModal());
+        }
+
+        document.addEventListener('classSelectsUpdated', async () => await this.updateClassSelect());
+        document.addEventListener('classDeleted', async () => await this.updateClassSelect());
+    }
+
+    /**
+     * Update the class dropdown of the market card
+     */
+    async updateClassSelect() {
+        const classSelect = document.querySelector('#market-class-select');
+        if (!classSelect) return;
+
+        const currentSelection = classSelect.value;
+        while (classSelect.options.length > 1) {
+            classSelect.options.remove(1);
+        }
+
+        const classes = await this.classManager.getAllClasses();
+        classes.forEach(classroom => {
+            const option = document.createElement('option');
+            option.value = classroom.id;
+            option.textContent = classroom.name;
+            classSelect.appendChild(option);
+        });
+
+        if (currentSelection && classes.some(classroom => classroom.id === currentSelection)) {
+            classSelect.value = currentSelection;
+        }
+
+        await this.renderStatus();
+    }
+
+    /**
+     * Get the selected class, warning the teacher when there is none
+     * @returns {string|null} Selected class ID
+     */
+    getSelectedClassId() {
+        const classId = document.querySelector('#market-class-select')?.value;
+        if (!classId) {
+            Toast.show({ message: 'Selecione uma turma.', type: 'warning' });
+            return null;
+        }
+        return classId;
+    }
+
+    /**
+     * Show the settings and the number of rounds of the selected class
+     */
+    async renderStatus() {
+        const status = document.querySelector('#market-status');
+        if (!status) return;
+
+        const classId = document.querySelector('#market-class-select')?.value;
+        if (!classId) {
+            status.textContent = '';
+            return;
+        }
+
+        const result = await this.marketManager.getSettings(classId);
+        if (!result.success) {
+            status.textContent = '';
+            return;
+        }
+
+        const rounds = await this.marketManager.getRounds(classId);
+        const { settings } = result;
+        status.textContent = settings.enabled
+            ? `Simulação ativa · curva ${settings.demandModel === 'elastic' ? 'elástica' : 'linear'} · ${settings.marketSize} unidades por rodada · ${rounds.length} rodadas executadas`
+            : 'Simulação desativada para esta turma.';
+        status.classList.toggle('market-status-disabled', !settings.enabled);
+    }
+
+    /**
+     * Show a modal to edit the demand model of the selected class
+     */
+    async showSettingsModal() {
+        const classId = this.getSelectedClassId();
+        if (!classId) return;
+
+        const result = await this.marketManager.getSettings(classId);
+        if (!result.success) {
+            Toast.show({ message: result.message, type: 'error' });
+            return;
+        }
+
+        const { settings } = result;
+        Modal.showInput({
+            title: 'Configurar Simulação de Mercado',
+            message: 'A demanda de cada rodada é dividida entre os produtos da turma. Produtos mais baratos que o preço de referência vendem mais.',
+            fields: [
+                {
+                    id: 'enabled',
+                    label: 'Simulação:',
+                    type: 'select',
+                    options: [
+                        { value: 'true', text: 'Ativada' },
+                        { value: 'false', text: 'Desativada' }
+                    ],
+                    value: String(settings.enabled)
+                },
+                {
+                    id: 'demandModel',
+                    label: 'Curva de demanda:',
+                    type: 'select',
+                    options: [
+                        { value: 'linear', text: 'Linear' },
+                        { value: 'elastic', text: 'Elástica' }
+                    ],
+                    value: settings.demandModel
+                },
+                {
+                    id: 'marketSize',
+                    label: 'Tamanho do mercado (unidades por rodada):',
+                    type: 'number',
+                    value: String(settings.marketSize),
+                    required: true
+                },
+                {
+                    id: 'referencePrice',
+                    label: 'Preço de referência (R$, vazio usa a média de cada categoria):',
+                    type: 'number',
+                    placeholder: 'Média da categoria',
+                    value: settings.referencePrice !== null ? String(settings.referencePrice) : ''
+                },
+                {
+                    id: 'elasticity',
+                    label: 'Elasticidade:',
+                    type: 'number',
+                    value: String(settings.elasticity),
+                    required: true
+                },
+                {
+                    id: 'noise',
+                    label: 'Variação aleatória (%):',
+                    type: 'number',
+                    value: String(Math.round(settings.noise * 100)),
+                    required: true
+                }
+            ],
+            confirmText: 'Salvar',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const noise = parseFloat(values.noise);
+                if (isNaN(noise) || noise < 0 || noise > 100) {
+                    Toast.show({ message: 'A variação aleatória deve estar entre 0 e 100%.', type: 'error' });
+                    return false;
+                }
+
+                const result = await this.marketManager.updateSettings(classId, {
+                    enabled: values.enabled === 'true',
+                    demandModel: values.demandModel,
+                    marketSize: parseInt(values.marketSize),
+                    referencePrice: values.referencePrice ? parseFloat(values.referencePrice) : null,
+                    elasticity: parseFloat(values.elasticity),
+                    noise: noise / 100
+                });
+
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+
+                await this.renderStatus();
+                Toast.show({ message: 'Configuração do mercado salva.', type: 'success' });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Build the projection table of the next round
+     * @param {Object} preview - Projection returned by the API
+     * @returns {HTMLElement} Modal content
+     */
+    renderPreview(preview) {
+        const modalContent = document.createElement('div');
+        modalContent.className = 'activity-history-modal';
+
+        const summary = document.createElement('p');
+        summary.innerHTML = `<strong>Categorias:</strong> ${preview.categories.length} | <strong>Vendas previstas:</strong> ${preview.totals.expectedSales} unidades | <strong>Receita prevista:</strong> R$ ${preview.totals.expectedRevenue.toFixed(2)}`;
+        modalContent.appendChild(summary);
+
+        const previewTable = document.createElement('table');
+        previewTable.className = 'data-table activity-history-table';
+        previewTable.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Categoria</th>
+                    <th>Empresa</th>
+                    <th>Produto</th>
+                    <th>Preço</th>
+                    <th>Referência</th>
+                    <th>Demanda</th>
+                    <th>Estoque</th>
+                    <th>Vendas</th>
+                    <th>Receita</th>
+                </tr>
+            </thead>
+        `;
+
+        const tableBody = document.createElement('tbody');
+        preview.products.forEach(product => {
+            const row = document.createElement('tr');
+            row.className = 'activity-row activity-revenue';
+            row.innerHTML = `
+                <td>${product.category || 'Sem categoria'}</td>
+                <td>${product.companyName}</td>
+                <td>${product.name}</td>
+                <td>R$ ${product.price.toFixed(2)}</td>
+                <td>R$ ${product.referencePrice.toFixed(2)}</td>
+                <td>${product.minDemand} - ${product.maxDemand}</td>
+                <td class="${product.stock < product.maxDemand ? 'out-of-stock' : ''}">${product.stock}</td>
+                <td>${product.expectedSales}</td>
+                <td class="amount-cell amount-revenue">R$ ${product.expectedRevenue.toFixed(2)}</td>
+            `;
+            tableBody.appendChild(row);
+        });
+        previewTable.appendChild(tableBody);
+        modalContent.appendChild(previewTable);
+
+        return modalContent;
+    }
+
+    /**
+     * Show the projected sales of the next round of the selected class
+     */
+    async showPreviewModal() {
+        const classId = this.getSelectedClassId();
+        if (!classId) return;
+
+        const preview = await this.marketManager.getPreview(classId);
+        if (!preview.success) {
+            Toast.show({ message: preview.message, type: 'error' });
+            return;
+        }
+
+        if (preview.products.length === 0) {
+            Toast.show({ message: 'Não há produtos de empresas ativas nesta turma.', type: 'warning' });
+            return;
+        }
+
+        Modal.show({
+            title: 'Prévia da Próxima Rodada',
+            message: this.renderPreview(preview).outerHTML,
+            confirmText: 'Fechar',
+            cancelText: null
+        });
+    }
+
+    /**
+     * Show the projection of the next round and run it once the teacher confirms
+     */
+    async showRunRoundModal() {
+        const classId = this.getSelectedClassId();
+        if (!classId) return;
+
+        const preview = await this.marketManager.getPreview(classId);
+        if (!preview.success) {
+            Toast.show({ message: preview.message, type: 'error' });
+            return;
+        }
+
+        if (!preview.settings.enabled) {
+            Toast.show({ message: 'Ative a simulação de mercado desta turma antes de executar uma rodada.', type: 'warning' });
+            return;
+        }
+
+        if (preview.products.length === 0) {
+            Toast.show({ message: 'Não há produtos de empresas ativas nesta turma.', type: 'warning' });
+            return;
+        }
+
+        const modalContent = this.renderPreview(preview);
+        const note = document.createElement('p');
+        note.textContent = 'A demanda real varia aleatoriamente dentro da faixa prevista. As vendas são registradas e a receita vai para o caixa das empresas.';
+        modalContent.appendChild(note);
+
+        Modal.show({
+            title: 'Executar Rodada de Mercado',
+            message: modalContent.outerHTML,
+            confirmText: 'Executar Rodada',
+            cancelText: 'Cancelar',
+            onConfirm: async () => {
+                const result = await this.marketManager.runRound(classId);
+
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return;
+                }
+
+                // The sales changed the products and the company budgets
+                document.dispatchEvent(new CustomEvent('companyUpdate'));
+                document.dispatchEvent(new CustomEvent('productSalesUpdated'));
+                await this.renderStatus();
+
+                const { charges, totals } = result.recurringExpenses;
+                if (charges.length > 0) {
+                    document.dispatchEvent(new CustomEvent('recurringExpensesCharged', { detail: { classId } }));
+                }
+
+                const lostSales = result.round.lostSales > 0 ? ` ${result.round.lostSales} unidades deixaram de ser vendidas por falta de estoque.` : '';
+                const recurring = charges.length > 0 ? ` Custos fixos cobrados: R$ ${totals.paid.toFixed(2)}.` : '';
+                Toast.show({
+                    message: `Rodada ${result.round.number}: ${result.round.unitsSold} unidades vendidas, R$ ${result.round.revenue.toFixed(2)} de receita.${lostSales}${recurring}`,
+                    type: 'success'
+                });
+            }
+        });
+    }
+}
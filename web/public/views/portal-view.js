@@ -0,0 +1,583 @@
+/**
+ * Portal View
+ * Student portal, opened at #/portal. A student logs in with the join code of the class and the PIN set by the
+ * teacher, then sees their balance, their companies and finances, their transaction history, and makes requests
+ * (company expenses or transfers) that only move money once the teacher approves them in the console.
+ */
+import StudentAuthManager from '../helpers/student-auth-manager.js';
+import PortalManager from '../helpers/portal-manager.js';
+import ClassManager from '../helpers/class-manager.js';
+import CompanyManager from '../helpers/company-manager.js';
+import LiveUpdates from '../helpers/live-updates.js';
+import CompanyView from './company-view.js';
+import Toast from '../components/toast.js';
+import Modal from '../components/modal.js';
+
+export default class PortalView {
+    static TRANSACTION_LABELS = {
+        initial_balance: 'Saldo Inicial',
+        deposit: 'Depósito',
+        withdrawal: 'Retirada',
+        reset: 'Redefinição',
+        adjustment: 'Ajuste',
+        contribution: 'Contribuição',
+        dividend: 'Distribuição de Lucros',
+        transfer: 'Transferência',
+        exit_refund: 'Devolução de Contribuição',
+        exit_buyout: 'Recompra de Participação',
+        share_sale: 'Venda de Ações',
+        liquidation: 'Liquidação de Empresa',
+        loan: 'Empréstimo',
+        loan_payment: 'Parcela de Empréstimo'
+    };
+
+    static REQUEST_TYPE_LABELS = {
+        expense: 'Despesa da empresa',
+        transfer: 'Transferência'
+    };
+
+    static REQUEST_STATUS_LABELS = {
+        pending: 'Pendente',
+        approved: 'Aprovada',
+        rejected: 'Recusada',
+        cancelled: 'Cancelada'
+    };
+
+    constructor() {
+        this.studentAuthManager = new StudentAuthManager();
+        this.portalManager = new PortalManager(this.studentAuthManager);
+        this.classManager = new ClassManager();
+        this.companyManager = new CompanyManager();
+        this.liveUpdates = new LiveUpdates();
+        this.data = null;
+    }
+
+    /**
+     * Replace the console with the portal, showing the login form or the dashboard of the logged student
+     * @returns {PortalView} This instance for chaining
+     */
+    async initialize() {
+        document.body.classList.add('portal-mode');
+
+        this.container = document.createElement('div');
+        this.container.id = 'portal';
+        document.body.appendChild(this.container);
+
+        // Balances and requests of the class change while the portal is open
+        document.addEventListener('liveUpdate', () => {
+            if (this.studentAuthManager.isLoggedIn()) {
+                this.debouncedRefresh();
+            }
+        });
+
+        if (await this.studentAuthManager.checkAuthStatus()) {
+            await this.showDashboard();
+        } else {
+            this.renderLogin();
+        }
+
+        return this;
+    }
+
+    /**
+     * Render the login form: the join code first, then the student and the PIN
+     */
+    renderLogin() {
+        this.liveUpdates.close();
+        this.data = null;
+
+        this.container.innerHTML = `
+            <div class="portal-login card">
+                <h1>Portal do Aluno</h1>
+                <p>Digite o código da turma informado pelo professor.</p>
+                <form class="portal-login-form">
+                    <div class="form-group">
+                        <label for="portal-join-code">Código da turma</label>
+                        <input type="text" id="portal-join-code" class="form-input" maxlength="8" autocomplete="off" required>
+                    </div>
+                    <div class="portal-login-student" style="display: none;">
+                        <div class="form-group">
+                            <label for="portal-student">Aluno</label>
+                            <select id="portal-student" class="form-select"></select>
+                        </div>
+                        <div class="form-group">
+                            <label for="portal-pin">PIN</label>
+                            <input type="password" id="portal-pin" class="form-input" autocomplete="current-password">
+                        </div>
+                    </div>
+                    <button type="submit" class="portal-login-submit">Continuar</button>
+                </form>
+                <a href="#" class="portal-back">Voltar ao console</a>
+            </div>
+        `;
+
+        const form = this.container.querySelector('.portal-login-form');
+        const joinCodeInput = form.querySelector('#portal-join-code');
+        const studentGroup = form.querySelector('.portal-login-student');
+        const studentSelect = form.querySelector('#portal-student');
+        const pinInput = form.querySelector('#portal-pin');
+        const submitButton = form.querySelector('.portal-login-submit');
+        let roster = null;
+
+        // Typing another code goes back to the first step
+        joinCodeInput.addEventListener('input', () => {
+            roster = null;
+            studentGroup.style.display = 'none';
+            submitButton.textContent = 'Continuar';
+        });
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const joinCode = joinCodeInput.value.trim();
+            submitButton.disabled = true;
+
+            if (!roster) {
+                const result = await this.studentAuthManager.getRoster(joinCode);
+                submitButton.disabled = false;
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return;
+                }
+
+                roster = result;
+                studentSelect.innerHTML = result.students.map(student => `
+                    <option value="${student.id}" ${student.hasPin ? '' : 'disabled'}>${student.name}${student.hasPin ? '' : ' (sem PIN)'}</option>
+                `).join('');
+                studentGroup.style.display = '';
+                submitButton.textContent = `Entrar em ${result.class.name}`;
+                pinInput.focus();
+                return;
+            }
+
+            const result = await this.studentAuthManager.login(joinCode, studentSelect.value, pinInput.value);
+            submitButton.disabled = false;
+            if (!result.success) {
+                Toast.show({ message: result.message, type: 'error' });
+                pinInput.value = '';
+                return;
+            }
+
+            Toast.show({ message: `Bem-vindo, ${result.student.name}!`, type: 'success' });
+            await this.showDashboard();
+        });
+
+        joinCodeInput.focus();
+    }
+
+    /**
+     * Render the dashboard of the logged student and listen to the events of their class
+     */
+    async showDashboard() {
+        this.container.innerHTML = `
+            <header class="portal-header">
+                <div>
+                    <h1 class="portal-student-name"></h1>
+                    <span class="portal-class-name"></span>
+                </div>
+                <div class="portal-balance">
+                    <span>Saldo</span>
+                    <strong class="portal-balance-value"></strong>
+                </div>
+                <div class="portal-actions">
+                    <button class="portal-pin-btn">Alterar PIN</button>
+                    <button class="portal-logout-btn">Sair</button>
+                </div>
+            </header>
+            <main class="portal-content">
+                <section class="card">
+                    <h2>Minhas Empresas</h2>
+                    <div class="portal-companies"></div>
+                </section>
+                <section class="card">
+                    <div class="portal-section-header">
+                        <h2>Solicitações</h2>
+                        <button class="portal-new-request-btn">Nova Solicitação</button>
+                    </div>
+                    <div class="portal-requests"></div>
+                </section>
+                <section class="card">
+                    <h2>Extrato</h2>
+                    <div class="portal-transactions"></div>
+                </section>
+            </main>
+        `;
+
+        this.container.querySelector('.portal-logout-btn').addEventListener('click', () => {
+            this.studentAuthManager.logout();
+            Toast.show({ message: 'Você saiu do portal.', type: 'info' });
+            this.renderLogin();
+        });
+        this.container.querySelector('.portal-pin-btn').addEventListener('click', () => this.showChangePinModal());
+        this.container.querySelector('.portal-new-request-btn').addEventListener('click', async () => await this.showRequestModal());
+
+        await this.refresh();
+
+        if (this.data) {
+            this.liveUpdates.connect([this.data.classroom.id]);
+        }
+    }
+
+    /**
+     * Load the data of the logged student and render every section
+     */
+    async refresh() {
+        const [profile, transactions, requests] = await Promise.all([
+            this.portalManager.getProfile(),
+            this.portalManager.getTransactions(),
+            this.portalManager.getRequests()
+        ]);
+
+        if (!profile) {
+            // The session expired or the student was removed from the class
+            if (!await this.studentAuthManager.checkAuthStatus()) {
+                Toast.show({ message: 'Sessão encerrada. Entre novamente.', type: 'warning' });
+                this.renderLogin();
+            }
+            return;
+        }
+
+        this.data = {
+            student: profile.student,
+            classroom: profile.class,
+            companies: profile.companies,
+            transactions,
+            requests
+        };
+
+        this.container.querySelector('.portal-student-name').textContent = profile.student.name;
+        this.container.querySelector('.portal-class-name').textContent = profile.class.name;
+        this.container.querySelector('.portal-balance-value').textContent = this.formatMoney(profile.student.currentBalance);
+
+        this.renderCompanies();
+        this.renderRequests();
+        this.renderTransactions();
+    }
+
+    /**
+     * Reload the data shortly after a change in the class, once for a burst of changes
+     * @param {number} delay - Debounce delay in milliseconds (default: 1000ms)
+     */
+    debouncedRefresh(delay = 1000) {
+        clearTimeout(this.refreshTimeout);
+        this.refreshTimeout = setTimeout(async () => await this.refresh(), delay);
+    }
+
+    /**
+     * Render a card for each company of the student
+     */
+    renderCompanies() {
+        const container = this.container.querySelector('.portal-companies');
+        const { companies } = this.data;
+
+        if (companies.length === 0) {
+            container.innerHTML = '<p class="portal-empty">Você ainda não participa de nenhuma empresa.</p>';
+            return;
+        }
+
+        container.innerHTML = companies.map(company => `
+            <div class="portal-company ${company.status === 'closed' ? 'closed' : ''}" data-company-id="${company.id}">
+                <h3>${company.name}${company.status === 'closed' ? ' (encerrada)' : ''}</h3>
+                <p>Caixa: <strong>${this.formatMoney(company.currentBudget)}</strong></p>
+                <p>Participação: <strong>${company.percentage.toFixed(2)}%</strong> (${this.formatMoney(company.value)})</p>
+                <p>Contribuição: ${this.formatMoney(company.contribution)}</p>
+                <button class="portal-company-finances-btn">Ver Finanças</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.portal-company').forEach(card => {
+            card.querySelector('.portal-company-finances-btn').addEventListener('click', async () => await this.showCompanyFinances(card.dataset.companyId));
+        });
+    }
+
+    /**
+     * Show the summary, expenses and revenues of a company of the student
+     * @param {string} companyId - Company ID
+     */
+    async showCompanyFinances(companyId) {
+        const finances = await this.portalManager.getCompany(companyId);
+        if (!finances) {
+            Toast.show({ message: 'Erro ao carregar as finanças da empresa.', type: 'error' });
+            return;
+        }
+
+        const { company, expenses, revenues } = finances;
+        const summary = company.financialSummary;
+        const entries = [
+            ...revenues.map(entry => ({ ...entry, kind: 'revenue' })),
+            ...expenses.map(entry => ({ ...entry, kind: 'expense' }))
+        ].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        const rows = entries.map(entry => `
+            <tr class="activity-row activity-${entry.kind}">
+                <td>${new Date(entry.date).toLocaleDateString('pt-BR')}</td>
+                <td class="type-cell type-${entry.kind}">${entry.kind === 'revenue' ? 'Receita' : 'Despesa'}</td>
+                <td>${entry.description}</td>
+                <td class="amount-cell amount-${entry.kind}">${entry.kind === 'revenue' ? '+' : '-'} R$ ${Math.abs(entry.amount).toFixed(2)}</td>
+            </tr>
+        `).join('');
+
+        Modal.show({
+            title: `Finanças - ${company.name}`,
+            message: `
+                <div class="portal-finances">
+                    <p>Caixa: <strong>${this.formatMoney(summary.currentBudget)}</strong></p>
+                    <p>Receitas: ${this.formatMoney(summary.totalRevenues)} | Despesas: ${this.formatMoney(summary.totalExpenses)} | Lucro: <strong>${this.formatMoney(summary.profit)}</strong></p>
+                    <p>Sócios: ${company.members.map(member => member.name).join(', ')}</p>
+                    ${entries.length > 0 ? `
+                        <table class="data-table activity-history-table">
+                            <thead><tr><th>Data</th><th>Tipo</th><th>Descrição</th><th>Valor</th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    ` : '<p class="portal-empty">Nenhuma despesa ou receita registrada.</p>'}
+                </div>
+            `,
+            confirmText: 'Fechar',
+            cancelText: null
+        });
+    }
+
+    /**
+     * Render the requests of the student, with a cancel button on the pending ones
+     */
+    renderRequests() {
+        const container = this.container.querySelector('.portal-requests');
+        const { requests } = this.data;
+
+        if (requests.length === 0) {
+            container.innerHTML = '<p class="portal-empty">Nenhuma solicitação enviada.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="data-table portal-requests-table">
+                <thead><tr><th>Data</th><th>Tipo</th><th>Para</th><th>Descrição</th><th>Valor</th><th>Situação</th><th></th></tr></thead>
+                <tbody>${requests.map(request => `
+                    <tr data-request-id="${request.id}">
+                        <td>${new Date(request.createdAt).toLocaleDateString('pt-BR')}</td>
+                        <td>${PortalView.REQUEST_TYPE_LABELS[request.type] || request.type}</td>
+                        <td>${request.type === 'expense' ? request.companyName : request.targetName || '-'}</td>
+                        <td>${request.description || '-'}</td>
+                        <td>${this.formatMoney(request.amount)}</td>
+                        <td>
+                            <span class="portal-request-status status-${request.status}">${PortalView.REQUEST_STATUS_LABELS[request.status] || request.status}</span>
+                            ${request.reviewNote ? `<small class="portal-request-note">${request.reviewNote}</small>` : ''}
+                        </td>
+                        <td>${request.status === 'pending' ? '<button class="portal-cancel-request-btn">Cancelar</button>' : ''}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('.portal-cancel-request-btn').forEach(button => {
+            const requestId = button.closest('tr').dataset.requestId;
+            button.addEventListener('click', () => {
+                Modal.show({
+                    title: 'Cancelar Solicitação',
+                    message: 'Deseja cancelar esta solicitação?',
+                    confirmText: 'Cancelar Solicitação',
+                    cancelText: 'Voltar',
+                    onConfirm: async () => {
+                        const result = await this.portalManager.cancelRequest(requestId);
+                        Toast.show({ message: result.success ? 'Solicitação cancelada.' : result.message, type: result.success ? 'success' : 'error' });
+                        if (result.success) await this.refresh();
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Render the transaction history of the student
+     */
+    renderTransactions() {
+        const container = this.container.querySelector('.portal-transactions');
+        const { transactions } = this.data;
+
+        if (transactions.length === 0) {
+            container.innerHTML = '<p class="portal-empty">Nenhuma transação registrada.</p>';
+            return;
+        }
+
+        const counterpartLabel = (counterpart) => {
+            if (counterpart.type === 'bank') return 'Professor';
+            if (counterpart.type === 'market') return 'Mercado';
+            if (counterpart.type === 'treasury') return 'Tesouro';
+            return counterpart.name || '-';
+        };
+
+        container.innerHTML = `
+            <table class="data-table activity-history-table">
+                <thead><tr><th>Data</th><th>Tipo</th><th>Origem/Destino</th><th>Descrição</th><th>Valor</th><th>Saldo</th></tr></thead>
+                <tbody>${transactions.map(transaction => {
+                    // Money entering the student account is shown like a revenue, leaving it like an expense
+                    const activityType = transaction.direction === 'in' ? 'revenue' : 'expense';
+                    return `
+                        <tr class="activity-row activity-${activityType}">
+                            <td>${new Date(transaction.date).toLocaleDateString('pt-BR')}</td>
+                            <td class="type-cell type-${activityType}">${PortalView.TRANSACTION_LABELS[transaction.type] || transaction.type}</td>
+                            <td>${counterpartLabel(transaction.counterpart)}</td>
+                            <td>${transaction.description || ''}</td>
+                            <td class="amount-cell amount-${activityType}">${transaction.amount >= 0 ? '+' : '-'} R$ ${Math.abs(transaction.amount).toFixed(2)}</td>
+                            <td class="amount-cell">R$ ${transaction.balance.toFixed(2)}</td>
+                        </tr>
+                    `;
+                }).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Ask the kind of request, then its details
+     */
+    async showRequestModal() {
+        const activeCompanies = this.data.companies.filter(company => company.status !== 'closed');
+
+        Modal.showInput({
+            title: 'Nova Solicitação',
+            message: 'O professor precisa aprovar a solicitação antes do dinheiro ser movimentado.',
+            fields: [
+                {
+                    id: 'type',
+                    label: 'Tipo',
+                    type: 'select',
+                    options: [
+                        ...(activeCompanies.length > 0 ? [{ value: 'expense', text: 'Despesa de uma empresa minha' }] : []),
+                        { value: 'student', text: 'Transferência para um aluno' },
+                        { value: 'company', text: 'Transferência para uma empresa' }
+                    ]
+                }
+            ],
+            confirmText: 'Continuar',
+            onConfirm: (values) => {
+                if (values.type === 'expense') {
+                    this.showExpenseRequestModal(activeCompanies);
+                } else {
+                    this.showTransferRequestModal(values.type);
+                }
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Ask the details of a company expense
+     * @param {Array} companies - Active companies of the student
+     */
+    async showExpenseRequestModal(companies) {
+        const { fixed, custom } = await this.companyManager.getCategories(this.data.classroom.id);
+
+        Modal.showInput({
+            title: 'Solicitar Despesa',
+            fields: [
+                { id: 'companyId', label: 'Empresa', type: 'select', options: companies.map(company => ({ value: company.id, text: `${company.name} (caixa: ${this.formatMoney(company.currentBudget)})` })) },
+                { id: 'description', label: 'Descrição', type: 'text', placeholder: 'Ex.: Anúncio no jornal da escola' },
+                { id: 'amount', label: 'Valor (R$)', type: 'number', placeholder: '0.00' },
+                { id: 'category', label: 'Categoria', type: 'select', options: [...fixed, ...custom].map(category => ({ value: category, text: CompanyView.CATEGORY_LABELS[category] || category, selected: category === 'other' })) }
+            ],
+            confirmText: 'Enviar',
+            onConfirm: (values) => {
+                const amount = parseFloat(values.amount);
+                if (!values.description.trim() || !(amount > 0)) {
+                    Toast.show({ message: 'Informe a descrição e um valor positivo.', type: 'error' });
+                    return false;
+                }
+
+                this.sendRequest({ type: 'expense', companyId: values.companyId, description: values.description.trim(), amount, category: values.category });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Ask the details of a transfer from the student balance
+     * @param {string} targetType - student or company
+     */
+    async showTransferRequestModal(targetType) {
+        const targets = targetType === 'student'
+            ? (await this.classManager.getStudents(this.data.classroom.id)).filter(student => student.id !== this.data.student.id)
+            : (await this.companyManager.getCompaniesForClass(this.data.classroom.id)).filter(company => company.status !== 'closed');
+
+        if (targets.length === 0) {
+            Toast.show({ message: targetType === 'student' ? 'Não há outros alunos na turma.' : 'Não há empresas ativas na turma.', type: 'info' });
+            return;
+        }
+
+        Modal.showInput({
+            title: targetType === 'student' ? 'Transferir para um Aluno' : 'Transferir para uma Empresa',
+            message: `Saldo disponível: ${this.formatMoney(this.data.student.currentBalance)}`,
+            fields: [
+                { id: 'targetId', label: targetType === 'student' ? 'Aluno' : 'Empresa', type: 'select', options: targets.map(target => ({ value: target.id, text: target.name })) },
+                { id: 'amount', label: 'Valor (R$)', type: 'number', placeholder: '0.00' },
+                { id: 'description', label: 'Descrição (opcional)', type: 'text' }
+            ],
+            confirmText: 'Enviar',
+            onConfirm: (values) => {
+                const amount = parseFloat(values.amount);
+                if (!(amount > 0)) {
+                    Toast.show({ message: 'Informe um valor positivo.', type: 'error' });
+                    return false;
+                }
+                if (amount > this.data.student.currentBalance) {
+                    Toast.show({ message: 'Saldo insuficiente.', type: 'error' });
+                    return false;
+                }
+
+                this.sendRequest({ type: 'transfer', targetType, targetId: values.targetId, amount, description: values.description.trim() });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Send a request to the teacher and reload the list
+     * @param {Object} request - Request data (see PortalManager.createRequest)
+     */
+    async sendRequest(request) {
+        const result = await this.portalManager.createRequest(request);
+        if (!result.success) {
+            Toast.show({ message: result.message, type: 'error' });
+            return;
+        }
+
+        Toast.show({ message: 'Solicitação enviada ao professor.', type: 'success' });
+        await this.refresh();
+    }
+
+    /**
+     * Ask the current and the new PIN
+     */
+    showChangePinModal() {
+        Modal.showInput({
+            title: 'Alterar PIN',
+            fields: [
+                { id: 'currentPin', label: 'PIN atual', type: 'password' },
+                { id: 'newPin', label: 'Novo PIN (mínimo 4 caracteres)', type: 'password' },
+                { id: 'confirmPin', label: 'Confirme o novo PIN', type: 'password' }
+            ],
+            confirmText: 'Alterar',
+            onConfirm: (values) => {
+                if (values.newPin.length < 4) {
+                    Toast.show({ message: 'O novo PIN deve ter pelo menos 4 caracteres.', type: 'error' });
+                    return false;
+                }
+                if (values.newPin !== values.confirmPin) {
+                    Toast.show({ message: 'Os PINs não conferem.', type: 'error' });
+                    return false;
+                }
+
+                this.portalManager.changePin(values.currentPin, values.newPin).then(result => {
+                    Toast.show({ message: result.success ? 'PIN alterado com sucesso.' : result.message, type: result.success ? 'success' : 'error' });
+                });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * @param {number} value - Amount
+     * @returns {string} Amount in reais
+     */
+    formatMoney(value) {
+        return `${value < 0 ? '- ' : ''}R$ ${Math.abs(value).toFixed(2)}`;
+    }
+}
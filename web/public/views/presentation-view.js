@@ -0,0 +1,302 @@
+/**
+ * Presentation View
+ * Read-only dashboard of a class for the classroom projector, opened at #/present/<classId>.
+ * It rotates between the leaderboard, the company budgets and the latest sales, with a ticker of the
+ * latest transactions, and reloads its data periodically and whenever the class changes (live updates).
+ */
+import ClassManager from '../helpers/class-manager.js';
+import CompanyManager from '../helpers/company-manager.js';
+
+export default class PresentationView {
+    // Time each slide stays on screen and time between data reloads, in milliseconds
+    static SLIDE_INTERVAL = 15000;
+    static REFRESH_INTERVAL = 30000;
+
+    // Number of sales and transactions shown
+    static SALES_LIMIT = 8;
+    static TICKER_LIMIT = 15;
+
+    static SLIDES = [
+        { id: 'leaderboard', title: 'Ranking das Empresas' },
+        { id: 'students', title: 'Ranking dos Alunos' },
+        { id: 'budgets', title: 'Caixa das Empresas' },
+        { id: 'sales', title: 'Últimas Vendas' }
+    ];
+
+    static TRANSACTION_LABELS = {
+        initial_balance: 'Saldo inicial',
+        deposit: 'Depósito',
+        withdrawal: 'Retirada',
+        reset: 'Redefinição',
+        adjustment: 'Ajuste',
+        contribution: 'Contribuição',
+        expense: 'Despesa',
+        revenue: 'Receita',
+        sale: 'Venda',
+        refund: 'Devolução',
+        production_cost: 'Produção',
+        dividend: 'Lucros',
+        transfer: 'Transferência',
+        share_sale: 'Venda de ações',
+        exit_refund: 'Saída de sócio',
+        exit_buyout: 'Recompra',
+        liquidation: 'Liquidação',
+        loan: 'Empréstimo',
+        loan_payment: 'Parcela',
+        tax: 'Imposto'
+    };
+
+    /**
+     * @param {string} classId - Class shown on the projector
+     */
+    constructor(classId) {
+        this.classId = classId;
+        this.classManager = new ClassManager();
+        this.companyManager = new CompanyManager();
+        this.slideIndex = 0;
+        this.data = null;
+    }
+
+    /**
+     * Replace the console with the presentation and start the rotation and the refresh timers
+     * @returns {PresentationView} This instance for chaining
+     */
+    async initialize() {
+        document.body.classList.add('presentation-mode');
+
+        this.container = document.createElement('div');
+        this.container.id = 'presentation';
+        this.container.innerHTML = `
+            <header class="presentation-header">
+                <h1 class="presentation-class"></h1>
+                <h2 class="presentation-title"></h2>
+                <span class="presentation-updated"></span>
+            </header>
+            <section class="presentation-slide"></section>
+            <footer class="presentation-ticker"><div class="presentation-ticker-track"></div></footer>
+            <a href="#" class="presentation-exit" title="Voltar ao console">Sair</a>
+        `;
+        document.body.appendChild(this.container);
+
+        await this.refresh();
+
+        setInterval(() => this.nextSlide(), PresentationView.SLIDE_INTERVAL);
+        setInterval(async () => await this.refresh(), PresentationView.REFRESH_INTERVAL);
+
+        return this;
+    }
+
+    /**
+     * Load the class data and render the current slide and the ticker
+     */
+    async refresh() {
+        let classroom, leaderboard, companies, sales, entries;
+        try {
+            [classroom, leaderboard, companies, sales, entries] = await Promise.all([
+                this.classManager.getClassById(this.classId),
+                this.classManager.getLeaderboard(this.classId, { metric: 'profit' }),
+                this.companyManager.getCompaniesForClass(this.classId),
+                this.classManager.getLedger(this.classId, { accountType: 'company', transactionType: 'sale', limit: PresentationView.SALES_LIMIT }),
+                this.classManager.getLedger(this.classId, { limit: PresentationView.TICKER_LIMIT * 2 })
+            ]);
+        } catch (error) {
+            // Keep showing the last data until the API is back
+            console.error('Error refreshing presentation:', error);
+            return;
+        }
+
+        if (!classroom) {
+            this.container.querySelector('.presentation-class').textContent = 'Turma não encontrada';
+            return;
+        }
+
+        const names = {};
+        (companies || []).forEach(company => names[`company:${company.id}`] = company.name);
+        (leaderboard.students || []).forEach(student => names[`student:${student.studentId}`] = student.name);
+
+        this.data = {
+            classroom,
+            leaderboard: leaderboard.success ? leaderboard : { companies: [], students: [] },
+            companies: (companies || []).filter(company => company.status !== 'closed'),
+            sales,
+            entries,
+            names
+        };
+
+        this.container.querySelector('.presentation-class').textContent = classroom.name;
+        this.container.querySelector('.presentation-updated').textContent = `Atualizado às ${new Date().toLocaleTimeString('pt-BR')}`;
+
+        this.renderSlide();
+        this.renderTicker();
+    }
+
+    /**
+     * Reload the data shortly after a change in the class, once for a burst of changes
+     * @param {number} delay - Debounce delay in milliseconds (default: 1000ms)
+     */
+    debouncedRefresh(delay = 1000) {
+        clearTimeout(this.refreshTimeout);
+        this.refreshTimeout = setTimeout(async () => await this.refresh(), delay);
+    }
+
+    /**
+     * Move to the next slide
+     */
+    nextSlide() {
+        this.slideIndex = (this.slideIndex + 1) % PresentationView.SLIDES.length;
+        this.renderSlide();
+    }
+
+    /**
+     * Render the current slide
+     */
+    renderSlide() {
+        if (!this.data) return;
+
+        const slide = PresentationView.SLIDES[this.slideIndex];
+        this.container.querySelector('.presentation-title').textContent = slide.title;
+
+        const renderers = {
+            leaderboard: () => this.renderCompanyRanking(),
+            students: () => this.renderStudentRanking(),
+            budgets: () => this.renderBudgets(),
+            sales: () => this.renderSales()
+        };
+        this.container.querySelector('.presentation-slide').innerHTML = renderers[slide.id]();
+    }
+
+    /**
+     * @returns {string} Companies ranked by profit
+     */
+    renderCompanyRanking() {
+        const { companies } = this.data.leaderboard;
+        if (companies.length === 0) {
+            return '<p class="presentation-empty">Nenhuma empresa ativa.</p>';
+        }
+
+        return this.renderTable(['', 'Empresa', 'Lucro', 'Receita', 'Unidades'], companies.map(company => [
+            this.formatRank(company),
+            company.name,
+            this.formatMoney(company.profit),
+            this.formatMoney(company.revenue),
+            company.unitsSold
+        ]));
+    }
+
+    /**
+     * @returns {string} Students ranked by net worth
+     */
+    renderStudentRanking() {
+        const { students } = this.data.leaderboard;
+        if (students.length === 0) {
+            return '<p class="presentation-empty">Nenhum aluno na turma.</p>';
+        }
+
+        return this.renderTable(['', 'Aluno', 'Patrimônio'], students.slice(0, 10).map(student => [
+            this.formatRank(student),
+            student.name,
+            this.formatMoney(student.netWorth)
+        ]));
+    }
+
+    /**
+     * @returns {string} Current budget of each active company, as bars relative to the largest one
+     */
+    renderBudgets() {
+        const companies = [...this.data.companies].sort((a, b) => b.currentBudget - a.currentBudget);
+        if (companies.length === 0) {
+            return '<p class="presentation-empty">Nenhuma empresa ativa.</p>';
+        }
+
+        const largest = Math.max(...companies.map(company => company.currentBudget), 1);
+        return `<div class="presentation-bars">${companies.map(company => `
+            <div class="presentation-bar">
+                <span class="presentation-bar-label">${company.name}</span>
+                <div class="presentation-bar-track">
+                    <div class="presentation-bar-fill ${company.currentBudget < 0 ? 'negative' : ''}" style="width: ${Math.max(company.currentBudget, 0) / largest * 100}%"></div>
+                </div>
+                <span class="presentation-bar-value">${this.formatMoney(company.currentBudget)}</span>
+            </div>
+        `).join('')}</div>`;
+    }
+
+    /**
+     * @returns {string} Latest sales of the class
+     */
+    renderSales() {
+        const { sales, names } = this.data;
+        if (sales.length === 0) {
+            return '<p class="presentation-empty">Nenhuma venda registrada.</p>';
+        }
+
+        return this.renderTable(['Horário', 'Empresa', 'Venda', 'Valor'], sales.map(sale => [
+            new Date(sale.createdAt).toLocaleString('pt-BR'),
+            names[`company:${sale.accountId}`] || '-',
+            sale.description || '-',
+            this.formatMoney(sale.amount)
+        ]));
+    }
+
+    /**
+     * Render the latest transactions in the ticker, one per ledger transaction
+     */
+    renderTicker() {
+        const { entries, names } = this.data;
+
+        const transactions = {};
+        entries.forEach(entry => {
+            transactions[entry.transactionId] = { ...transactions[entry.transactionId], [entry.entryType]: entry };
+        });
+
+        const accountName = entry => {
+            if (entry.accountType === 'bank') return 'Professor';
+            if (entry.accountType === 'market') return 'Mercado';
+            if (entry.accountType === 'treasury') return 'Tesouro';
+            return names[`${entry.accountType}:${entry.accountId}`] || '-';
+        };
+
+        const items = Object.values(transactions)
+            .filter(transaction => transaction.debit && transaction.credit)
+            .slice(0, PresentationView.TICKER_LIMIT)
+            .map(({ debit, credit }) => `
+                <span class="presentation-ticker-item">
+                    <strong>${PresentationView.TRANSACTION_LABELS[credit.transactionType] || credit.transactionType}</strong>
+                    ${accountName(debit)} → ${accountName(credit)}: ${this.formatMoney(credit.amount)}
+                </span>
+            `);
+
+        this.container.querySelector('.presentation-ticker-track').innerHTML = items.length > 0
+            ? items.join('')
+            : '<span class="presentation-ticker-item">Nenhuma transação registrada.</span>';
+    }
+
+    /**
+     * @param {Array<string>} headers - Column headers
+     * @param {Array<Array>} rows - Cell values of each row
+     * @returns {string} Table HTML
+     */
+    renderTable(headers, rows) {
+        return `
+            <table class="presentation-table">
+                <thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+                <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * @param {Object} entry - Ranked entry
+     * @returns {string} Rank position, with ties marked
+     */
+    formatRank(entry) {
+        return entry.rank ? `${entry.rank}º${entry.tied ? '=' : ''}` : '-';
+    }
+
+    /**
+     * @param {number} value - Amount
+     * @returns {string} Amount in reais
+     */
+    formatMoney(value) {
+        return `${value < 0 ? '- ' : ''}R$ ${Math.abs(value).toFixed(2)}`;
+    }
+}
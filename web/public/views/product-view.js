@@ -57,9 +57,9 @@ export default class ProductView {
         const headers = headerRow.querySelectorAll('th');
         
         // Hide/show "Nova Venda" and "Ações" columns based on read-only mode
-        if (headers.length >= 7) {
-            const newSaleHeader = headers[5]; // "Nova Venda"
-            const actionsHeader = headers[6]; // "Ações"
+        if (headers.length >= 9) {
+            const newSaleHeader = headers[7]; // "Nova Venda"
+            const actionsHeader = headers[8]; // "Ações"
             
             if (this.isReadOnlyMode) {
                 newSaleHeader.style.display = 'none';
@@ -167,6 +167,20 @@ export default class ProductView {
                 document.dispatchEvent(new CustomEvent('companyUpdate'));
             }
         });
+
+        // Listen for sales and refunds made in other browsers, updating only the row of the product
+        document.addEventListener('liveUpdate', (event) => {
+            const { type, data } = event.detail;
+            const applyProduct = this.productRows?.get(data.productId);
+            if (type !== 'sale' || !applyProduct) return;
+
+            applyProduct({
+                sales: data.product.salesCount,
+                total: data.product.totalRevenue,
+                totalCost: data.product.totalCost,
+                stock: data.product.stock
+            });
+        });
     }
 
     /**
@@ -247,10 +261,11 @@ export default class ProductView {
         // Get selected class filter
         const selectedClass = document.querySelector('#product-filter-select').value;
         
-        // Get companies filtered by class if needed
-        const companies = selectedClass 
+        // Get companies filtered by class if needed; closed companies cannot launch products
+        const companies = (selectedClass 
             ? await this.companyManager.getCompaniesForClass(selectedClass)
-            : await this.companyManager.getAllCompanies();
+            : await this.companyManager.getAllCompanies())
+            .filter(company => company.status !== 'closed');
 
         // Add company names and sort alphabetically
         for (const company of companies) {
@@ -280,18 +295,22 @@ export default class ProductView {
         const companySelect = document.querySelector('#product-company-select');
         const productNameInput = document.querySelector('#product-name');
         const productPriceInput = document.querySelector('#product-price');
+        const productCostInput = document.querySelector('#product-cost');
+        const productCategoryInput = document.querySelector('#product-category');
         
         const companyId = companySelect.value;
         const productName = productNameInput.value.trim();
         const productPrice = parseFloat(productPriceInput.value);
+        const productCost = productCostInput && productCostInput.value !== '' ? parseFloat(productCostInput.value) : 0;
+        const productCategory = productCategoryInput ? productCategoryInput.value.trim() : '';
 
-        if (!companyId || !productName || isNaN(productPrice)) {
+        if (!companyId || !productName || isNaN(productPrice) || isNaN(productCost) || productCost < 0) {
             Toast.show({ message: 'Por favor, preencha todos os campos corretamente.', type: 'error' });
             return;
         }
 
         // Use the product manager to launch the product
-        const result = await this.productManager.launchProduct(companyId, productName, productPrice);
+        const result = await this.productManager.launchProduct(companyId, productName, productPrice, productCost, productCategory || null);
         
         if (!result.success) {
             Toast.show({ message: 'Erro ao lançar produto: ' + result.message, type: 'error' });
@@ -301,6 +320,8 @@ export default class ProductView {
         // Reset form
         productNameInput.value = '';
         productPriceInput.value = '';
+        if (productCostInput) productCostInput.value = '';
+        if (productCategoryInput) productCategoryInput.value = '';
         
         // Update UI
         document.dispatchEvent(new CustomEvent('companyUpdate'));
@@ -308,7 +329,7 @@ export default class ProductView {
     }
 
     /**
-     * Show a modal to edit a product's price
+     * Show a modal to edit a product's price, unit cost and market category
      * @param {string} productId - ID of the product to edit
      */
     async editProductPrice(productId) {
@@ -325,12 +346,32 @@ export default class ProductView {
                     placeholder: '0.00',
                     value: product.price.toFixed(2),
                     required: true
+                },
+                {
+                    id: 'unitCost',
+                    label: 'Custo Unitário (R$):',
+                    type: 'number',
+                    placeholder: '0.00',
+                    value: (product.unitCost || 0).toFixed(2)
+                },
+                {
+                    id: 'category',
+                    label: 'Categoria de Mercado:',
+                    type: 'text',
+                    placeholder: 'Sem categoria',
+                    value: product.category || ''
                 }
             ],
             confirmText: 'Salvar',
             cancelText: 'Cancelar',
             onConfirm: async (values) => {
                 const newPrice = parseFloat(values.price);
+                const newCost = values.unitCost === '' ? 0 : parseFloat(values.unitCost);
+                
+                if (isNaN(newCost) || newCost < 0) {
+                    Toast.show({ message: 'O custo unitário não pode ser negativo.', type: 'error' });
+                    return false;
+                }
                 
                 const result = await this.productManager.editProductPrice(productId, newPrice);
                 
@@ -339,6 +380,27 @@ export default class ProductView {
                     return false;
                 }
                 
+                // The cost only affects future sales
+                if (newCost !== (product.unitCost || 0)) {
+                    const costResult = await this.productManager.editProductCost(productId, newCost);
+                    
+                    if (!costResult.success) {
+                        Toast.show({ message: costResult.message, type: 'error' });
+                        return false;
+                    }
+                }
+                
+                // The category decides which products it competes with in the next market rounds
+                const newCategory = (values.category || '').trim();
+                if (newCategory !== (product.category || '')) {
+                    const categoryResult = await this.productManager.editProductCategory(productId, newCategory || null);
+                    
+                    if (!categoryResult.success) {
+                        Toast.show({ message: categoryResult.message, type: 'error' });
+                        return false;
+                    }
+                }
+                
                 document.dispatchEvent(new CustomEvent('companyUpdate'));
                 Toast.show({ message: result.message, type: 'success' });
                 return true;
@@ -346,6 +408,257 @@ export default class ProductView {
         });
     }
 
+    /**
+     * Show a modal to produce a batch of a product
+     * @param {Product} product - The product to produce
+     */
+    async showProduceModal(product) {
+        const company = await this.companyManager.getCompany(product.companyId);
+        if (!company) return;
+        
+        Modal.showInput({
+            title: `Produzir Lote - ${product.name}`,
+            message: `Custo unitário: R$ ${product.unitCost.toFixed(2)} | Caixa da empresa: R$ ${company.currentBudget.toFixed(2)} | Estoque atual: ${product.stock}`,
+            fields: [
+                {
+                    id: 'quantity',
+                    label: 'Quantidade a produzir:',
+                    type: 'number',
+                    placeholder: '0',
+                    required: true
+                }
+            ],
+            confirmText: 'Produzir',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const quantity = parseInt(values.quantity);
+                
+                if (isNaN(quantity) || quantity <= 0) {
+                    Toast.show({ message: 'Por favor, insira uma quantidade válida.', type: 'error' });
+                    return false;
+                }
+                
+                const cost = quantity * product.unitCost;
+                if (cost > company.currentBudget) {
+                    Toast.show({ message: `Caixa insuficiente: o lote custa R$ ${cost.toFixed(2)}.`, type: 'error' });
+                    return false;
+                }
+                
+                const result = await this.productManager.produceBatch(product.id, quantity);
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+                
+                // The batch was paid from the company budget; the product list is re-rendered with the new stock
+                document.dispatchEvent(new CustomEvent('companyUpdate'));
+                
+                Toast.show({ message: `${quantity} unidades de "${product.name}" produzidas por R$ ${result.batch.total_cost.toFixed(2)}.`, type: 'success' });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show the price history of a product as a timeline, with the sales made under each price
+     * @param {Product} product - The product to show
+     */
+    async showPriceHistoryModal(product) {
+        const result = await this.productManager.getPriceHistory(product.id);
+        
+        if (!result.success) {
+            Toast.show({ message: result.message, type: 'error' });
+            return;
+        }
+        
+        const formatDate = date => new Date(date).toLocaleString('pt-BR');
+        
+        // Newest period first, each one showing the change that started it
+        const items = result.periods.map((period, index) => {
+            const change = index > 0 ? result.history[index - 1] : null;
+            const variation = change && change.oldPrice > 0
+                ? (change.newPrice - change.oldPrice) / change.oldPrice * 100
+                : 0;
+            const origin = change
+                ? `R$ ${change.oldPrice.toFixed(2)} → R$ ${change.newPrice.toFixed(2)} <span class="${variation < 0 ? 'price-down' : 'price-up'}">(${variation > 0 ? '+' : ''}${variation.toFixed(1)}%)</span>`
+                : 'Lançamento';
+            
+            return `
+                <li class="price-timeline-item">
+                    <div class="price-timeline-header">
+                        <strong>R$ ${period.price.toFixed(2)}</strong>
+                        <span class="price-timeline-origin">${origin}</span>
+                    </div>
+                    <div class="price-timeline-dates">${formatDate(period.from)} — ${period.to ? formatDate(period.to) : 'atual'}</div>
+                    <div class="price-timeline-sales">${period.unitsSold} unidades em ${period.salesCount} vendas | Receita: R$ ${period.revenue.toFixed(2)}</div>
+                </li>
+            `;
+        }).reverse();
+        
+        const message = `
+            ${result.history.length === 0 ? '<p>O preço não foi alterado desde o lançamento.</p>' : ''}
+            <ul class="price-timeline">${items.join('')}</ul>
+        `;
+        
+        Modal.show({
+            title: `Histórico de Preços - ${product.name}`,
+            message,
+            confirmText: 'Fechar',
+            cancelText: null
+        });
+    }
+
+    /**
+     * Show the sales of a product, with the refunds made on each one
+     * @param {Product} product - The product to show
+     */
+    async showSalesModal(product) {
+        const result = await this.productManager.getProductSales(product.id);
+        
+        if (!result.success) {
+            Toast.show({ message: result.message, type: 'error' });
+            return;
+        }
+        
+        const statusLabels = {
+            completed: 'Concluída',
+            partially_refunded: 'Estornada parcialmente',
+            refunded: 'Estornada'
+        };
+        
+        const modalContent = document.createElement('div');
+        modalContent.className = 'activity-history-modal';
+        
+        if (result.sales.length === 0) {
+            modalContent.innerHTML = '<p>Nenhuma venda registrada.</p>';
+        } else {
+            const salesTable = document.createElement('table');
+            salesTable.className = 'data-table activity-history-table';
+            salesTable.innerHTML = `
+                <thead>
+                    <tr>
+                        <th>Data</th>
+                        <th>Quantidade</th>
+                        <th>Preço Unit.</th>
+                        <th>Valor</th>
+                        <th>Situação</th>
+                    </tr>
+                </thead>
+            `;
+            
+            const tableBody = document.createElement('tbody');
+            result.sales.forEach(sale => {
+                const row = document.createElement('tr');
+                row.className = 'activity-row activity-revenue';
+                row.innerHTML = `
+                    <td>${new Date(sale.sale_date).toLocaleString('pt-BR')}</td>
+                    <td>${sale.quantity}</td>
+                    <td>R$ ${sale.unit_price.toFixed(2)}</td>
+                    <td class="amount-cell amount-revenue">R$ ${sale.total_amount.toFixed(2)}</td>
+                    <td>${statusLabels[sale.status] || statusLabels.completed}</td>
+                `;
+                tableBody.appendChild(row);
+                
+                // Each reversal is listed right below the sale it refunds
+                sale.refunds.forEach(refund => {
+                    const refundRow = document.createElement('tr');
+                    refundRow.className = 'activity-row activity-expense sale-refund-row';
+                    refundRow.innerHTML = `
+                        <td>${new Date(refund.created_at).toLocaleString('pt-BR')}</td>
+                        <td>-${refund.quantity}</td>
+                        <td></td>
+                        <td class="amount-cell amount-expense">-R$ ${refund.amount.toFixed(2)}</td>
+                        <td>Estorno${refund.reason ? `: ${refund.reason}` : ''}</td>
+                    `;
+                    tableBody.appendChild(refundRow);
+                });
+            });
+            salesTable.appendChild(tableBody);
+            modalContent.appendChild(salesTable);
+        }
+        
+        Modal.show({
+            title: `Vendas - ${product.name}`,
+            message: modalContent.outerHTML,
+            confirmText: 'Fechar',
+            cancelText: null
+        });
+    }
+
+    /**
+     * Show a modal to refund a sale of a product, fully or partially
+     * @param {Product} product - The product whose sale is refunded
+     */
+    async showRefundModal(product) {
+        const result = await this.productManager.getProductSales(product.id);
+        
+        if (!result.success) {
+            Toast.show({ message: result.message, type: 'error' });
+            return;
+        }
+        
+        const refundableSales = result.sales.filter(sale => sale.quantity > sale.refunded_quantity);
+        if (refundableSales.length === 0) {
+            Toast.show({ message: `Não há vendas de "${product.name}" para estornar.`, type: 'warning' });
+            return;
+        }
+        
+        Modal.showInput({
+            title: `Estornar Venda - ${product.name}`,
+            message: 'O valor é devolvido pelo caixa da empresa e as unidades voltam ao estoque.',
+            fields: [
+                {
+                    id: 'saleId',
+                    label: 'Venda:',
+                    type: 'select',
+                    options: refundableSales.map(sale => ({
+                        value: sale.id,
+                        text: `${new Date(sale.sale_date).toLocaleString('pt-BR')} - ${sale.quantity - sale.refunded_quantity} un. x R$ ${sale.unit_price.toFixed(2)}`
+                    }))
+                },
+                {
+                    id: 'quantity',
+                    label: 'Quantidade a estornar (vazio estorna toda a venda):',
+                    type: 'number',
+                    placeholder: 'Todas'
+                },
+                {
+                    id: 'reason',
+                    label: 'Motivo (opcional):',
+                    type: 'text',
+                    placeholder: 'Ex: quantidade digitada errada'
+                }
+            ],
+            confirmText: 'Estornar',
+            cancelText: 'Cancelar',
+            onConfirm: async (values) => {
+                const sale = refundableSales.find(sale => sale.id === values.saleId);
+                const remaining = sale.quantity - sale.refunded_quantity;
+                const quantity = values.quantity ? parseInt(values.quantity) : null;
+                
+                if (quantity !== null && (isNaN(quantity) || quantity <= 0 || quantity > remaining)) {
+                    Toast.show({ message: `Informe uma quantidade entre 1 e ${remaining}.`, type: 'error' });
+                    return false;
+                }
+                
+                const result = await this.productManager.refundSale(product.id, sale.id, quantity, values.reason);
+                
+                if (!result.success) {
+                    Toast.show({ message: result.message, type: 'error' });
+                    return false;
+                }
+                
+                // The refund was paid from the company budget; the product list is re-rendered with the new totals
+                document.dispatchEvent(new CustomEvent('companyUpdate'));
+                document.dispatchEvent(new CustomEvent('productSalesUpdated'));
+                
+                Toast.show({ message: `${result.refund.quantity} unidades de "${product.name}" estornadas (R$ ${result.refund.amount.toFixed(2)}).`, type: 'success' });
+                return true;
+            }
+        });
+    }
+
     /**
      * Render the list of launched products
      */
@@ -358,6 +671,9 @@ export default class ProductView {
         
         launchProductsBody.innerHTML = '';
         
+        // Rows on screen, updated in place when their product is sold (see applyProduct)
+        this.productRows = new Map();
+        
         // Get selected class filter
         const selectedClass = document.querySelector('#product-filter-select').value;
         const selectedClassName = document.querySelector('#product-filter-select').selectedOptions[0].textContent;
@@ -399,7 +715,7 @@ export default class ProductView {
         if (filteredProducts.length === 0) {
             const emptyRow = document.createElement('tr');
             const emptyCell = document.createElement('td');
-            emptyCell.colSpan = 7;
+            emptyCell.colSpan = 9;
             emptyCell.className = 'empty-table';
             
             let emptyMessage = 'Nenhum produto lançado.';
@@ -416,11 +732,24 @@ export default class ProductView {
             return;
         }
 
+        // Suggest the categories already in use, so products of the same market share one name
+        const categoryOptions = document.querySelector('#product-category-options');
+        if (categoryOptions) {
+            const categories = [...new Set(filteredProducts.map(product => product.category).filter(Boolean))];
+            categoryOptions.innerHTML = '';
+            categories.sort((a, b) => a.localeCompare(b, 'pt', { sensitivity: 'base' })).forEach(category => {
+                const option = document.createElement('option');
+                option.value = category;
+                categoryOptions.appendChild(option);
+            });
+        }
+
         // Sort products alphabetically by name
         filteredProducts.sort((a, b) => a.name.localeCompare(b.name, 'pt', { sensitivity: 'base' }));
 
         filteredProducts.forEach(async product => {
             const row = document.createElement('tr');
+            row.dataset.productId = product.id;
             
             // Company name
             const companyCell = document.createElement('td');
@@ -431,22 +760,77 @@ export default class ProductView {
             const nameCell = document.createElement('td');
             nameCell.setAttribute('data-label', 'Produto');
             nameCell.textContent = product.name;
+            if (product.category) {
+                const categoryBadge = document.createElement('span');
+                categoryBadge.className = 'product-category-badge';
+                categoryBadge.title = 'Categoria de mercado';
+                categoryBadge.textContent = product.category;
+                nameCell.appendChild(categoryBadge);
+            }
             
             // Price
             const priceCell = document.createElement('td');
             priceCell.setAttribute('data-label', 'Preço');
             priceCell.textContent = `R$ ${product.price.toFixed(2)}`;
             
+            // Price history is view-only, so it stays available in read-only mode
+            const priceHistoryBtn = document.createElement('button');
+            priceHistoryBtn.textContent = '🕒';
+            priceHistoryBtn.className = 'price-history-btn';
+            priceHistoryBtn.title = 'Histórico de Preços';
+            priceHistoryBtn.addEventListener('click', () => this.showPriceHistoryModal(product));
+            priceCell.appendChild(priceHistoryBtn);
+            
             // Total Sales (read-only)
             const salesCell = document.createElement('td');
             salesCell.setAttribute('data-label', 'Vendas Totais');
             salesCell.textContent = product.sales || 0;
             
+            // The sales list is view-only, so it stays available in read-only mode
+            const salesListBtn = document.createElement('button');
+            salesListBtn.textContent = '🧾';
+            salesListBtn.className = 'sales-list-btn';
+            salesListBtn.title = 'Lista de Vendas';
+            salesListBtn.addEventListener('click', () => this.showSalesModal(product));
+            
             // Total Revenue
             const totalCell = document.createElement('td');
             totalCell.setAttribute('data-label', 'Receita Total');
             totalCell.textContent = `R$ ${product.total.toFixed(2)}`;
             
+            // Margin of one unit, with the gross profit of the sales so far
+            const marginCell = document.createElement('td');
+            marginCell.setAttribute('data-label', 'Margem');
+            const renderMargin = () => {
+                marginCell.textContent = `${product.getUnitMargin().toFixed(1)}%`;
+                marginCell.title = `Custo unitário: R$ ${product.unitCost.toFixed(2)} | Lucro bruto: R$ ${product.getGrossProfit().toFixed(2)}`;
+                marginCell.classList.toggle('negative-margin', product.getUnitMargin() < 0);
+            };
+            renderMargin();
+            
+            // Stock available for sale
+            const stockCell = document.createElement('td');
+            stockCell.setAttribute('data-label', 'Estoque');
+            const renderStock = () => {
+                stockCell.textContent = product.stock;
+                stockCell.classList.toggle('out-of-stock', product.stock === 0);
+            };
+            renderStock();
+            
+            // Show the latest totals of the product, after a sale here or in another browser
+            const applyProduct = (updated) => {
+                product.sales = updated.sales;
+                product.total = updated.total;
+                product.totalCost = updated.totalCost;
+                product.stock = updated.stock;
+                salesCell.textContent = product.sales;
+                salesCell.appendChild(salesListBtn);
+                totalCell.textContent = `R$ ${product.total.toFixed(2)}`;
+                renderMargin();
+                renderStock();
+            };
+            this.productRows.set(product.id, applyProduct);
+            
             // New Sales Input - only render if not in read-only mode
             const newSalesCell = document.createElement('td');
             newSalesCell.setAttribute('data-label', 'Nova Venda');
@@ -476,6 +860,11 @@ export default class ProductView {
                         return;
                     }
 
+                    if (newSalesValue > product.stock) {
+                        Toast.show({ message: `Estoque insuficiente: apenas ${product.stock} unidades disponíveis.`, type: 'error' });
+                        return;
+                    }
+
                     // Use the product manager to add sales
                     const result = await this.productManager.addProductSales(product.id, newSalesValue);
                     
@@ -489,8 +878,7 @@ export default class ProductView {
                     document.dispatchEvent(new CustomEvent('productSalesUpdated'));
                     
                     // Update UI
-                    salesCell.textContent = result.product.sales;
-                    totalCell.textContent = `R$ ${result.product.total.toFixed(2)}`;
+                    applyProduct(result.product);
                     newSalesInput.value = '';
                     
                     Toast.show({ message: result.message, type: 'success' });
@@ -510,6 +898,22 @@ export default class ProductView {
             if (!this.isReadOnlyMode) {
                 actionsCell.className = 'action-buttons';
                 
+                // Produce batch button
+                const produceBtn = document.createElement('button');
+                produceBtn.textContent = 'Produzir';
+                produceBtn.className = 'produce-product-btn';
+                produceBtn.title = 'Produzir um lote, pago com o caixa da empresa';
+                produceBtn.addEventListener('click', () => this.showProduceModal(product));
+                actionsCell.appendChild(produceBtn);
+                
+                // Refund sale button
+                const refundBtn = document.createElement('button');
+                refundBtn.textContent = 'Estornar';
+                refundBtn.className = 'refund-sale-btn';
+                refundBtn.title = 'Estornar uma venda, devolvendo o valor e as unidades ao estoque';
+                refundBtn.addEventListener('click', () => this.showRefundModal(product));
+                actionsCell.appendChild(refundBtn);
+                
                 // Edit price button
                 const editPriceBtn = document.createElement('button');
                 editPriceBtn.textContent = 'Editar Preço';
@@ -527,12 +931,16 @@ export default class ProductView {
                 actionsCell.style.display = 'none'; // Hide entire column in read-only
             }
             
+            salesCell.appendChild(salesListBtn);
+            
             // Add cells to row
             row.appendChild(companyCell);
             row.appendChild(nameCell);
             row.appendChild(priceCell);
             row.appendChild(salesCell);
             row.appendChild(totalCell);
+            row.appendChild(marginCell);
+            row.appendChild(stockCell);
             row.appendChild(newSalesCell);
             row.appendChild(actionsCell);
             